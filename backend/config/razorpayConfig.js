@@ -1,9 +1,22 @@
 require('dotenv').config();
 const Razorpay = require('razorpay');
 
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+// Created on first use, so code that needs it can load without Razorpay credentials.
+// Tests put a local stub in its place with setRazorpayClient()
+let razorpay = null;
 
-module.exports = razorpay;
\ No newline at end of file
+const getRazorpay = () => {
+  if (!razorpay) {
+    razorpay = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return razorpay;
+};
+
+const setRazorpayClient = (client) => {
+  razorpay = client;
+};
+
+module.exports = { getRazorpay, setRazorpayClient };
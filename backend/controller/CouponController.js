@@ -140,6 +140,13 @@ const validateCoupon = async (req, res) => {
             });
         }
 
+        if (coupon.userId.some((id) => id.toString() === req.user.id.toString())) {
+            return res.status(400).json({
+                valid: false,
+                message: "You have already used this coupon"
+            });
+        }
+
         // Check minimum price requirement
         if (totalAmount < coupon.minimumPrice) {
             return res.status(400).json({
@@ -1,4 +1,6 @@
 const Brand = require('../models/brandSchema');
+const { refreshSearchIndex } = require('../utils/searchUtils');
+const { slugFields, findBySlug } = require('../utils/slugUtils');
 
 const addBrand = async(req,res)=>{
     try {
@@ -10,7 +12,7 @@ const addBrand = async(req,res)=>{
 
         }
 
-        const newBrand = new Brand({name,status});
+        const newBrand = new Brand({name,status,...await slugFields(Brand,null,name)});
         await newBrand.save();
         return res.status(201).json({message:"Brand added successfully"});
     } catch (error) {
@@ -86,11 +88,13 @@ const toggleBrandStatus = async (req, res) => {
         return res.status(400).json({ message: 'Cannot edit an inactive brand' });
       }
   
-      // Update the brand name
+      // Update the brand name; a new name gets a new slug, and the old one redirects to it
+      Object.assign(brand, await slugFields(Brand, brand, name));
       brand.name = name;
   
       // Save the updated brand to the database
       const updatedBrand = await brand.save();
+      refreshSearchIndex({ brandId: updatedBrand._id });
   
       return res.status(200).json({
         message: 'Brand name updated successfully',
@@ -121,6 +125,24 @@ const toggleBrandStatus = async (req, res) => {
     }
   };
   
+  // An active brand for its storefront page. A slug it had before being renamed redirects to its current one
+  const getBrandBySlug = async (req, res) => {
+    try {
+      const { slug } = req.params;
+      const brand = await findBySlug(Brand, slug, { status: 'active' });
+      if (!brand) {
+        return res.status(404).json({ message: "Brand not found" });
+      }
+      if (brand.slug !== slug) {
+        return res.redirect(301, `${req.baseUrl}/brands/slug/${brand.slug}`);
+      }
+
+      return res.status(200).json({ message: "Brand found successfully", brand });
+    } catch (error) {
+      console.error('Error fetching brand by slug:', error);
+      return res.status(500).json({ message: "Internal Server Error" });
+    }
+  };
 
 
 
@@ -134,5 +156,6 @@ module.exports = {
     toggleBrandStatus,
     updateBrandName,
     getallIsactiveBrands,
-    showBrandbyId
+    showBrandbyId,
+    getBrandBySlug
 }
\ No newline at end of file
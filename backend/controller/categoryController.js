@@ -1,9 +1,16 @@
+const mongoose = require('mongoose');
 const Category = require('../models/categorySchema'); // Assuming Category model is in 'models' folder
+const { refreshSearchIndex } = require('../utils/searchUtils');
+const { runInTransaction } = require('../utils/transactionUtils');
+const { createError } = require('../utils/errorUtils');
+const { lineage, resolveParent, refreshDescendants, categoryTree } = require('../utils/categoryTreeUtils');
+const { normalizeDefinitions, effectiveDefinitions } = require('../utils/attributeSchemaUtils');
+const { slugFields, findBySlug } = require('../utils/slugUtils');
 
-// Controller to add a new category
+// Controller to add a new category, at the top level or under parentId
 const addCategory = async (req, res) => {
   try {
-    const { name, description, status } = req.body;
+    const { name, description, status, parentId } = req.body;
 
     // Check if the category name already exists
     const existingCategory = await Category.findOne({ name });
@@ -14,11 +21,21 @@ const addCategory = async (req, res) => {
     }
 
     // Create and save the new category
-    const newCategory = new Category({ name, description, status });
+    const parent = await resolveParent(parentId);
+    const newCategory = new Category({
+      name,
+      description,
+      status,
+      ...lineage(name, parent),
+      ...await slugFields(Category, null, name),
+    });
     await newCategory.save();
 
     return res.status(201).json({ message: 'Category added successfully', category: newCategory });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error adding category:', error);
     return res.status(500).json({ message: 'Internal Server Error' });
   }
@@ -123,16 +140,26 @@ const getAllCategories = async (req, res) => {
         return res.status(400).json({ message: 'Cannot edit an inactive category' });
       }
   
-      // Update the category details
+      // Update the category details; a new name changes its path and every subcategory's
+      const renamed = Boolean(name) && name !== category.name;
       category.name = name || category.name;
       category.description = description || category.description;
-  
-      // Save the updated category to the database
-      const updatedCategory = await category.save();
+
+      const result = await runInTransaction(async (session) => {
+        if (renamed) {
+          const parent = category.parentId ? await Category.findById(category.parentId).session(session) : null;
+          Object.assign(category, lineage(category.name, parent), await slugFields(Category, category, category.name, session));
+        }
+        // Save the updated category to the database
+        await category.save({ session });
+        const descendantIds = renamed ? await refreshDescendants(category, session) : [];
+        return { category, affectedIds: [category._id, ...descendantIds] };
+      });
+      refreshSearchIndex({ categoryId: { $in: result.affectedIds } });
   
       return res.status(200).json({
         message: 'Category updated successfully',
-        category: updatedCategory,
+        category: result.category,
       });
     } catch (error) {
       console.error('Error updating category:', error);
@@ -152,6 +179,122 @@ const getAllCategories = async (req, res) => {
 
 
 
+// Move a category, with everything below it, under parentId (or to the top level when empty)
+const moveCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { parentId } = req.body;
+
+    const result = await runInTransaction(async (session) => {
+      const category = await Category.findById(id).session(session);
+      if (!category) {
+        throw createError('Category not found', 404);
+      }
+
+      const parent = await resolveParent(parentId, category, session);
+      Object.assign(category, lineage(category.name, parent));
+      await category.save({ session });
+      const descendantIds = await refreshDescendants(category, session);
+      return { category, affectedIds: [category._id, ...descendantIds] };
+    });
+
+    // Products index their category's full path for search
+    refreshSearchIndex({ categoryId: { $in: result.affectedIds } });
+
+    return res.status(200).json({ message: 'Category moved successfully', category: result.category });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error moving category:', error);
+    return res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
+// Every category as a tree, for the admin editor
+const getCategoryTree = async (req, res) => {
+  try {
+    const categories = await categoryTree();
+    return res.status(200).json({ categories });
+  } catch (error) {
+    console.error('Error fetching category tree:', error);
+    return res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
+// Active categories as a tree, for storefront navigation and breadcrumbs
+const getActiveCategoryTree = async (req, res) => {
+  try {
+    const categories = await categoryTree({ status: 'active' });
+    return res.status(200).json({ categories });
+  } catch (error) {
+    console.error('Error fetching category tree:', error);
+    return res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
+// An active category for its storefront page. A slug it had before being renamed redirects to its current one
+const getCategoryBySlug = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const category = await findBySlug(Category, slug, { status: 'active' });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (category.slug !== slug) {
+      return res.redirect(301, `${req.baseUrl}/categories/slug/${category.slug}`);
+    }
+
+    return res.status(200).json({ category });
+  } catch (error) {
+    console.error('Error fetching category by slug:', error);
+    return res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
+// The attribute definitions products in a category are checked against, including those it
+// inherits from its parents, for the product form
+const getCategoryAttributes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+
+    const attributes = await effectiveDefinitions(id);
+    if (!attributes) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    return res.status(200).json({ attributes });
+  } catch (error) {
+    console.error('Error fetching category attributes:', error);
+    return res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
+// Replace a category's own attribute definitions. Products already saved are checked against
+// the new definitions the next time they are edited
+const updateCategoryAttributes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const category = await Category.findById(id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    category.attributes = normalizeDefinitions(req.body.attributes);
+    await category.save();
+
+    return res.status(200).json({ message: 'Category attributes updated successfully', category });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error updating category attributes:', error);
+    return res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
 // Exporting the controllers
 module.exports = {
   addCategory,
@@ -159,5 +302,11 @@ module.exports = {
   // softDeleteCategory,
   editCategory,
   toggleCategoryStatus,
-  getAllCategoriesIsactive
+  getAllCategoriesIsactive,
+  moveCategory,
+  getCategoryTree,
+  getActiveCategoryTree,
+  getCategoryBySlug,
+  getCategoryAttributes,
+  updateCategoryAttributes
 };
@@ -0,0 +1,25 @@
+const { createImageAsset } = require('../utils/imageUtils');
+
+
+// One image sent as the request body, with optional ?alt= and ?name= (the original file name).
+// Responds with the stored asset and its renditions
+const uploadImage = async (req, res) => {
+    try {
+        const asset = await createImageAsset(req.body, {
+            originalName: req.query.name,
+            alt: req.query.alt,
+            uploadedBy: req.user._id
+        });
+        return res.status(201).json({ message: "Image uploaded successfully", asset });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error("Error uploading image:", error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+module.exports = {
+    uploadImage
+};
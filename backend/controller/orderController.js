@@ -1,31 +1,113 @@
 const mongoose = require('mongoose')
 const Order = require('../models/orderSchema');
 const User = require('../models/userModel');
-const Product = require('../models/productSchema');
 const Cart = require('../models/CartSchema');
-const Coupon = require('../models/CouponSchema');
-const razorpay = require('../config/razorpayConfig');
+const { getRazorpay } = require('../config/razorpayConfig');
 const Wallet = require('../models/walletSchema');
-const crypto = require('crypto');
+const PaymentIntent = require('../models/paymentIntentSchema');
+const Refund = require('../models/refundSchema');
+const { calculateOrderPricing, hasPriceMismatch, remainingQuantity } = require('../utils/pricingUtils');
+const { createError } = require('../utils/errorUtils');
+const { changeOrderStatus } = require('../utils/orderStatusUtils');
+const { claimItemChange, closeOrderItem, closeRemainingItems, findOpenItem } = require('../utils/orderItemUtils');
+const { issueRefund, refundedTotal } = require('../utils/refundUtils');
+const { runInTransaction } = require('../utils/transactionUtils');
+const { isValidSignature } = require('../utils/paymentUtils');
+const { orderFields, completeCheckout, fetchCapturedPayment, settleRazorpayPayment, recordFailedPayment } = require('../utils/checkoutUtils');
+const { getStoreSettings, paymentDeadline } = require('../utils/settingsUtils');
+const { reserveStock, releaseReservations } = require('../utils/reservationUtils');
+const { notifyStockAlerts } = require('../utils/stockAlertUtils');
+const { notifyBackInStock } = require('../utils/stockSubscriptionUtils');
 
 
 const createRazorpayOrder = async (req, res) => {
     try {
-        const { amount, currency = "INR" } = req.body;
-        
+        const { orderId, couponCode, shippingAddress, finalAmount, currency = "INR" } = req.body;
+
+        // The amount is always worked out here: an existing order (payment retry) or the user's cart.
+        // The items are held for the customer while the payment is open
+        let amount;
+        let reservation;
+        let orderData;
+        let existingOrder;
+        if (orderId) {
+            existingOrder = await Order.findOne({ _id: orderId, userId: req.user.id });
+            if (!existingOrder) {
+                return res.status(404).json({ success: false, error: "Order not found" });
+            }
+
+            const settings = await getStoreSettings();
+            if (existingOrder.orderStatus !== 'Payment Failed' || paymentDeadline(existingOrder, settings) < new Date()) {
+                return res.status(400).json({ success: false, error: "This order can no longer be paid for. Please place it again." });
+            }
+            amount = existingOrder.finalAmount;
+            reservation = await reserveStock(req.user.id, existingOrder.products, { orderId: existingOrder._id });
+        } else {
+            if (!shippingAddress) {
+                return res.status(400).json({ success: false, error: "Shipping address is required" });
+            }
+
+            const cart = await Cart.findOne({ userId: req.user.id });
+            if (!cart || !cart.items.length) {
+                return res.status(400).json({ success: false, error: "Your cart is empty" });
+            }
+            const pricing = await calculateOrderPricing(cart.items, couponCode, { userId: req.user.id });
+
+            if (hasPriceMismatch(finalAmount, pricing.finalAmount)) {
+                return res.status(409).json({
+                    success: false,
+                    error: "Prices in your cart have changed. Please review your order and try again.",
+                    pricing: {
+                        totalAmount: pricing.totalAmount,
+                        discountAmount: pricing.discountAmount,
+                        finalAmount: pricing.finalAmount
+                    }
+                });
+            }
+
+            amount = pricing.finalAmount;
+            orderData = orderFields(req.user.id, pricing, { shippingAddress, paymentMethod: 'RazorpayX' });
+            reservation = await reserveStock(req.user.id, pricing.products);
+        }
+
         const options = {
             amount: Math.round(amount * 100), // Razorpay expects amount in paise
             currency,
             receipt: `receipt_${Date.now()}`
         };
 
-        const order = await razorpay.orders.create(options);
-        
+        // What the payment is for is kept before the customer pays, so it can be settled
+        // from the webhook even if they never come back to the store
+        let order;
+        try {
+            order = await getRazorpay().orders.create(options);
+            await PaymentIntent.create({
+                userId: req.user.id,
+                razorpayOrderId: order.id,
+                amount,
+                ...(existingOrder ? { orderId: existingOrder._id } : { orderData })
+            });
+            // A retry pays through a new Razorpay order; the order follows it so failures match too
+            if (existingOrder) {
+                await Order.updateOne({ _id: existingOrder._id }, { $set: { 'razorpay.orderId': order.id } });
+            }
+        } catch (error) {
+            await releaseReservations({ _id: reservation._id }, 'Payment initialization failed');
+            throw error;
+        }
+
+        reservation.razorpayOrderId = order.id;
+        await reservation.save();
+
         res.status(200).json({
             success: true,
-            order
+            order,
+            holdExpiresAt: reservation.expiresAt
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
         console.error("Razorpay order creation error:", error);
         res.status(500).json({
             success: false,
@@ -35,22 +117,21 @@ const createRazorpayOrder = async (req, res) => {
 };
 
 
+// The browser's word that a payment went through. The signature proves Razorpay issued these
+// ids; the payment itself is then looked up at Razorpay, and only a captured payment for the
+// full amount completes the order
 const verifyRazorpayPayment = async (req, res) => {
     try {
         const {
             razorpay_order_id,
             razorpay_payment_id,
-            razorpay_signature
+            razorpay_signature,
+            orderId
         } = req.body;
 
         // Verify signature
         const body = razorpay_order_id + "|" + razorpay_payment_id;
-        const expectedSignature = crypto
-            .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-            .update(body.toString())
-            .digest("hex");
-
-        const isAuthentic = expectedSignature === razorpay_signature;
+        const isAuthentic = isValidSignature(body, razorpay_signature, process.env.RAZORPAY_KEY_SECRET);
 
         if (!isAuthentic) {
             return res.status(400).json({
@@ -59,23 +140,35 @@ const verifyRazorpayPayment = async (req, res) => {
             });
         }
 
-        // Update the order with payment details
-        await Order.findOneAndUpdate(
-            { "razorpay.orderId": razorpay_order_id },
-            {
-                $set: {
-                    "razorpay.paymentId": razorpay_payment_id,
-                    "razorpay.signature": razorpay_signature,
-                    "paymentStatus": "Completed"
-                }
-            }
-        );
+        const payment = await fetchCapturedPayment(razorpay_payment_id, razorpay_order_id);
+
+        const { order } = await settleRazorpayPayment({
+            razorpayOrderId: razorpay_order_id,
+            payment,
+            signature: razorpay_signature,
+            userId: req.user.id,
+            orderId,
+            note: orderId ? 'Payment received on retry' : 'Order placed'
+        });
+
+        notifyStockAlerts();
+
+        if (order.orderStatus === 'Cancelled') {
+            return res.status(409).json({
+                success: false,
+                error: "This order expired before the payment went through. Your payment is being refunded."
+            });
+        }
 
         res.status(200).json({
             success: true,
-            message: "Payment verified successfully"
+            message: "Payment verified successfully",
+            order
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
         console.error("Payment verification error:", error);
         res.status(500).json({
             success: false,
@@ -87,131 +180,85 @@ const verifyRazorpayPayment = async (req, res) => {
 
 const placeOrder = async (req, res) => {
     try {
+        const userId = req.user.id;
         const { 
-            userId, 
             products, 
             shippingAddress, 
             paymentMethod, 
             couponCode, 
-            totalAmount, 
             finalAmount, 
             razorpayOrderId,
             status 
         } = req.body;
 
-        if (!userId || !products || !products.length || !shippingAddress || !paymentMethod) {
-            return res.status(400).json({ message: "All fields are required." });
-        }
-
-        let appliedCoupon = null;
-        let discountAmount = 0;
+        // Online payments become orders once verified (verify-payment or the webhook). Here the
+        // customer can only keep a checkout whose payment failed, so they can retry it later
+        if (paymentMethod === 'RazorpayX') {
+            if (status !== 'Payment Failed' || !razorpayOrderId) {
+                return res.status(400).json({ message: "Online payments are confirmed through payment verification." });
+            }
 
-        if (couponCode) {
-            appliedCoupon = await Coupon.findOne({
-                name: couponCode,
-                isListed: "active",
-                expireOn: { $gt: new Date() }
+            const failedOrder = await recordFailedPayment(userId, razorpayOrderId);
+            return res.status(201).json({
+                message: "Order created with payment failure",
+                order: failedOrder
             });
+        }
 
-            if (appliedCoupon) {
-                if (appliedCoupon.CouponType === 'percentage') {
-                    discountAmount = (totalAmount * appliedCoupon.offerPrice) / 100;
-                } else {
-                    discountAmount = appliedCoupon.offerPrice;
-                }
-                discountAmount = Math.min(discountAmount, totalAmount);
-            }
+        if (!products || !products.length || !shippingAddress || !paymentMethod) {
+            return res.status(400).json({ message: "All fields are required." });
         }
 
-        // First, verify stock availability for all products
-        for (const item of products) {
-            const product = await Product.findOne(
-                {
-                    _id: item.productId,
-                    'variants._id': item.variantId,
-                    'variants.availableQuantity': { $gte: item.quantity }
-                },
-                { 'variants.$': 1 }
-            );
+        const pricing = await calculateOrderPricing(products, couponCode, { userId });
 
-            if (!product) {
-                return res.status(400).json({ 
-                    message: `Insufficient stock for product ${item.name}` 
-                });
-            }
+        if (hasPriceMismatch(finalAmount, pricing.finalAmount)) {
+            return res.status(409).json({
+                message: "Prices in your cart have changed. Please review your order and try again.",
+                pricing: {
+                    totalAmount: pricing.totalAmount,
+                    discountAmount: pricing.discountAmount,
+                    finalAmount: pricing.finalAmount
+                }
+            });
         }
 
         const orderData = {
-            userId,
-            products: products.map(item => ({
-                productId: item.productId,
-                variantId: item.variantId,
-                name: item.name,
-                quantity: item.quantity,
-                price: item.variant.price,
-                variant: item.variant
-            })),
-            shippingAddress,
-            paymentMethod,
-            totalAmount,
-            coupon: appliedCoupon ? {
-                couponId: appliedCoupon._id,
-                code: appliedCoupon.name,
-                discountType: appliedCoupon.CouponType,
-                discountAmount: discountAmount
-            } : null,
-            discountAmount,
-            finalAmount: finalAmount || (totalAmount - discountAmount),
+            ...orderFields(userId, pricing, { shippingAddress, paymentMethod }),
             orderDate: new Date(),
-            orderStatus: status === 'Payment Failed' ? 'Payment Failed' : 'Processing',
-            paymentStatus: status === 'Payment Failed' ? 'Failed' : 
-                (paymentMethod === 'RazorpayX' ? 'Completed' : 'Pending')
+            orderStatus: 'Processing',
+            paymentStatus: 'Pending',
+            statusHistory: [{
+                status: 'Processing',
+                actor: 'customer',
+                note: 'Order placed'
+            }]
         };
 
-        if (paymentMethod === 'RazorpayX' && razorpayOrderId) {
-            orderData.razorpay = {
-                orderId: razorpayOrderId
-            };
-        }
+        const newOrder = await runInTransaction(async (session) => {
+            const [order] = await Order.create([orderData], { session });
 
-        const newOrder = new Order(orderData);
-        await newOrder.save();
-
-        // Only update stock and clear cart for successful orders
-        if (orderData.orderStatus !== 'Payment Failed') {
-            // Update stock for each product variant
-            const stockUpdatePromises = products.map(item => 
-                Product.findOneAndUpdate(
-                    {
-                        _id: item.productId,
-                        'variants._id': item.variantId
-                    },
-                    {
-                        $inc: {
-                            'variants.$.availableQuantity': -item.quantity
-                        }
-                    }
-                )
-            );
+            await completeCheckout({
+                userId,
+                items: pricing.products,
+                couponId: pricing.coupon?._id,
+                orderId: order._id,
+                session
+            });
 
-            // Clear cart
-            const clearCartPromise = Cart.findOneAndUpdate(
-                { userId: userId },
-                { $set: { items: [] } }
-            );
+            return order;
+        });
 
-            // Execute all updates in parallel
-            await Promise.all([...stockUpdatePromises, clearCartPromise]);
-        }
+        notifyStockAlerts();
 
         return res.status(201).json({ 
-            message: status === 'Payment Failed' 
-                ? "Order created with payment failure" 
-                : "Order placed successfully.", 
+            message: "Order placed successfully.", 
             order: newOrder 
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error("Error placing order:", error);
         return res.status(500).json({ 
             message: "Failed to place order", 
@@ -224,99 +271,67 @@ const placeOrder = async (req, res) => {
 
 const placeWalletOrder = async (req, res) => {
     try {
-        const { userId, products, shippingAddress, couponCode, totalAmount, finalAmount } = req.body;
+        const userId = req.user.id;
+        const { products, shippingAddress, couponCode, finalAmount: clientFinalAmount } = req.body;
 
-        if (!userId || !products || !products.length || !shippingAddress) {
+        if (!products || !products.length || !shippingAddress) {
             return res.status(400).json({ message: "All fields are required." });
         }
 
-        // Fetch user wallet
-        const userWallet = await Wallet.findOne({ userId });
-        if (!userWallet || userWallet.balance < finalAmount) {
-            return res.status(400).json({ message: "Insufficient wallet balance." });
-        }
-
-        let appliedCoupon = null;
-        let discountAmount = 0;
+        const pricing = await calculateOrderPricing(products, couponCode, { userId });
 
-        if (couponCode) {
-            appliedCoupon = await Coupon.findOne({
-                name: couponCode,
-                isListed: "active",
-                expireOn: { $gt: new Date() }
+        if (hasPriceMismatch(clientFinalAmount, pricing.finalAmount)) {
+            return res.status(409).json({
+                message: "Prices in your cart have changed. Please review your order and try again.",
+                pricing: {
+                    totalAmount: pricing.totalAmount,
+                    discountAmount: pricing.discountAmount,
+                    finalAmount: pricing.finalAmount
+                }
             });
-
-            if (appliedCoupon) {
-                discountAmount = appliedCoupon.CouponType === 'percentage'
-                    ? (totalAmount * appliedCoupon.offerPrice) / 100
-                    : appliedCoupon.offerPrice;
-                discountAmount = Math.min(discountAmount, totalAmount);
-            }
         }
 
-        // Verify stock availability
-        for (const item of products) {
-            const product = await Product.findOne(
-                { _id: item.productId, 'variants._id': item.variantId, 'variants.availableQuantity': { $gte: item.quantity } },
-                { 'variants.$': 1 }
-            );
-
-            if (!product) {
-                return res.status(400).json({ message: `Insufficient stock for product ${item.name}` });
-            }
-        }
-
-        // Deduct amount from wallet
-        userWallet.balance -= finalAmount;
-        userWallet.transactions.push({
-            transaction_id: new mongoose.Types.ObjectId().toString(),
-            type: "wallet",
-            amount: finalAmount,
-            description: "Order payment using wallet",
-            status: "completed"
-        });
-        await userWallet.save();
+        const finalAmount = pricing.finalAmount;
 
-        // Create order
         const orderData = {
-            userId,
-            products: products.map(item => ({
-                productId: item.productId,
-                variantId: item.variantId,
-                name: item.name,
-                quantity: item.quantity,
-                price: item.variant.price,
-                variant: item.variant
-            })),
-            shippingAddress,
-            paymentMethod: "Wallet",
-            totalAmount,
-            coupon: appliedCoupon ? {
-                couponId: appliedCoupon._id,
-                code: appliedCoupon.name,
-                discountType: appliedCoupon.CouponType,
-                discountAmount: discountAmount
-            } : null,
-            discountAmount,
-            finalAmount: finalAmount || (totalAmount - discountAmount),
+            ...orderFields(userId, pricing, { shippingAddress, paymentMethod: "Wallet" }),
             orderDate: new Date(),
             orderStatus: "Processing",
-            paymentStatus: "Completed"
+            paymentStatus: "Completed",
+            statusHistory: [{ status: "Processing", actor: 'customer', note: 'Order placed' }]
         };
 
-        const newOrder = new Order(orderData);
-        await newOrder.save();
+        const newOrder = await runInTransaction(async (session) => {
+            const [order] = await Order.create([orderData], { session });
 
-        // Update stock and clear cart
-        const stockUpdatePromises = products.map(item =>
-            Product.findOneAndUpdate(
-                { _id: item.productId, 'variants._id': item.variantId },
-                { $inc: { 'variants.$.availableQuantity': -item.quantity } }
-            )
-        );
-        const clearCartPromise = Cart.findOneAndUpdate({ userId }, { $set: { items: [] } });
+            // Debit only if the balance still covers the order at this moment
+            const wallet = await Wallet.findOneAndUpdate(
+                { userId, balance: { $gte: finalAmount } },
+                {
+                    $inc: { balance: -finalAmount },
+                    $push: {
+                        transactions: {
+                            transaction_id: new mongoose.Types.ObjectId().toString(),
+                            type: "wallet",
+                            amount: finalAmount,
+                            description: `Order payment using wallet for order ${order._id}`,
+                            status: "completed"
+                        }
+                    }
+                },
+                { session, new: true }
+            );
 
-        await Promise.all([...stockUpdatePromises, clearCartPromise]);
+            if (!wallet) {
+                throw createError("Insufficient wallet balance.");
+            }
+
+            await completeCheckout({ userId, items: pricing.products, couponId: pricing.coupon?._id, orderId: order._id, session });
+
+            return order;
+        });
+
+        notifyStockAlerts();
 
         return res.status(201).json({
             message: "Order placed successfully using wallet.",
@@ -324,6 +339,9 @@ const placeWalletOrder = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error("Error placing order with wallet payment:", error);
         return res.status(500).json({ message: "Failed to place order", error: error.message });
     }
@@ -336,13 +354,7 @@ const placeWalletOrder = async (req, res) => {
 
 const fetchOrders = async (req, res) => {
     try {
-        const { id:userId } = req.params;
-        console.log("User ID:", userId);
-
-        // Validate User ID
-        if (!userId) {
-            return res.status(400).json({ message: "User ID is required." });
-        }
+        const userId = req.user.id;
 
         // Check if user exists
         const user = await User.findById(userId);
@@ -393,267 +405,162 @@ const orderById = async (req, res) => {
     }
 };
 
-const returnOrderStatusUpdate = async (req, res) => {
+const orderStatusUpdate = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, returnReason, returnDescription } = req.body;
+        const { status, note, refundMethod } = req.body;
 
-        // Basic validation
         if (!status) {
             return res.status(400).json({ message: "Status is required" });
         }
 
-        // Find order
-        const orderDetails = await Order.findById(id);
-        if (!orderDetails) {
-            return res.status(404).json({ message: "Order not found" });
-        }
+        // Admin requests pass through verifyRoute, which loads the full admin user
+        const actor = req.user?.isAdmin ? 'admin' : 'customer';
+        const actorId = req.user._id || req.user.id;
 
-        // Validate return request
-        if (status !== 'Returned') {
-            return res.status(400).json({ message: "Invalid status for return order" });
+        if (status === 'Returned' && actor === 'customer') {
+            return res.status(400).json({ message: "Please submit a return request to return this order" });
         }
 
-        if (!returnReason || !returnDescription) {
-            return res.status(400).json({
-                message: "Return reason and description are required"
-            });
-        }
+        // Stock moves with the status change in one transaction; the refund is sent once it has
+        // committed, so a retried transaction can never pay out twice
+        const { orderDetails, refundAmount } = await runInTransaction(async (session) => {
+            const orderDetails = await Order.findById(id).session(session);
+            if (!orderDetails) {
+                throw createError("Order not found", 404);
+            }
 
-        // Validate order status
-        if (orderDetails.orderStatus !== 'Delivered') {
-            return res.status(400).json({
-                message: "Only delivered orders can be returned"
-            });
-        }
+            const previousStatus = orderDetails.orderStatus;
+            changeOrderStatus(orderDetails, status, { actor, note });
 
-        // Add return details
-        orderDetails.returnDetails = {
-            reason: returnReason,
-            description: returnDescription,
-            returnDate: new Date()
-        };
+            // Claim the change first: of two requests moving the order at once, only one gets here
+            const claimed = await Order.findOneAndUpdate(
+                { _id: id, orderStatus: previousStatus },
+                { $set: { orderStatus: status } },
+                { session }
+            );
+            if (!claimed) {
+                throw createError("This order was changed by another request. Please reload and try again.", 409);
+            }
 
-        // Process refund if payment is completed
-        if (orderDetails.paymentStatus === 'Completed') {
-            try {
-                const wallet = await processRefund(orderDetails);
-                
-                // Update order status
-                orderDetails.orderStatus = status;
-                const updatedOrder = await orderDetails.save();
-
-                return res.status(200).json({
-                    message: "Return processed successfully",
-                    order: updatedOrder,
-                    wallet: {
-                        currentBalance: wallet.balance,
-                        lastTransaction: wallet.transactions[wallet.transactions.length - 1]
-                    }
+            let refundAmount = 0;
+
+            // Handle Cancellation (orders whose payment failed never took any stock)
+            if (status === 'Cancelled') {
+                refundAmount = await closeRemainingItems(orderDetails, 'Cancelled', {
+                    restock: previousStatus !== 'Payment Failed',
+                    session,
+                    movement: { actor, actorId }
                 });
-            } catch (refundError) {
-                console.error("Refund processing failed:", refundError);
-                return res.status(500).json({
-                    message: "Failed to process refund",
-                    error: refundError.message
+
+                // A payment retry may still be holding stock for it
+                if (previousStatus === 'Payment Failed') {
+                    await releaseReservations({ orderId: orderDetails._id }, 'Order cancelled', session);
+                }
+            }
+
+            // Handle Returns
+            if (status === 'Returned') {
+                refundAmount = await closeRemainingItems(orderDetails, 'Returned', {
+                    session,
+                    movement: { actor, actorId }
                 });
             }
+
+            // Cash on delivery is collected when the order is handed over
+            if (orderDetails.orderStatus === 'Delivered') {
+                orderDetails.paymentStatus = 'Completed';
+            }
+
+            await orderDetails.save({ session });
+            return { orderDetails, refundAmount };
+        });
+
+        let refund;
+        if (refundAmount > 0) {
+            orderDetails.$session(null);
+            refund = await issueRefund(orderDetails, refundAmount, { method: refundMethod });
         }
 
-        // If no refund was needed, just update the order
-        orderDetails.orderStatus = status;
-        const updatedOrder = await orderDetails.save();
+        const updateOrder = await orderDetails.save();
+        notifyBackInStock();
 
         return res.status(200).json({
-            message: "Return processed successfully",
-            order: updatedOrder
+            message: "Order status updated successfully",
+            updateOrder: updateOrder,
+            refund,
         });
-
     } catch (error) {
-        console.error("Error processing return:", error);
-        return res.status(500).json({
-            message: "Error processing return order",
-            error: error.message
-        });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error("Error:", error);
+        return res.status(500).json({ message: "Error updating order status" });
     }
 };
 
-
-const orderStatusUpdate = async (req, res) => {
+const cancelOrderItem = async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
-
-        if (!status) {
-            return res.status(400).json({ message: "Status is required" });
-        }
-
-        const orderDetails = await Order.findById(id);
-        
-        if (!orderDetails) {
-            return res.status(404).json({ message: "Order not found" });
-        }
-
-        if (!['Processing', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled', 'Returned'].includes(status)) {
-            return res.status(400).json({ message: "Invalid order status" });
-        }
-
-        // Handle Cancellation
-        if (status === 'Cancelled') {
-            // Check if order can be cancelled
-            if (orderDetails.orderStatus === 'Shipped' || orderDetails.orderStatus === 'Delivered') {
-                return res.status(400).json({
-                    message: `Cannot cancel the order with current status ${orderDetails.orderStatus}`,
-                });
+        const { id, itemId } = req.params;
+        const quantity = Number(req.body.quantity);
+        const { reason, refundMethod } = req.body;
+
+        const { order, refundAmount } = await runInTransaction(async (session) => {
+            const order = await Order.findById(id).session(session);
+            if (!order) {
+                throw createError("Order not found", 404);
             }
 
-            // Restore product quantities back to stock
-            const stockUpdatePromises = orderDetails.products.map(item => 
-                Product.findOneAndUpdate(
-                    {
-                        _id: item.productId,
-                        'variants._id': item.variantId
-                    },
-                    {
-                        $inc: {
-                            'variants.$.availableQuantity': item.quantity // Add back the quantity
-                        }
-                    }
-                )
-            );
-
-            // Wait for all stock updates to complete
-            await Promise.all(stockUpdatePromises);
-
-            // Process refund for completed Razorpay payments
-            if (orderDetails.paymentMethod === 'RazorpayX' && orderDetails.paymentStatus === 'Completed') {
-                await processRefund(orderDetails);
+            // Payment-failed orders never took stock, so they are cancelled as a whole
+            if (!['Processing', 'Confirmed'].includes(order.orderStatus)) {
+                throw createError(`Items cannot be cancelled once the order is ${order.orderStatus}`);
             }
-            // Also handle cancellations for orders that are still in Processing/Confirmed status
-            else if (orderDetails.paymentMethod === 'RazorpayX' && 
-                     ['Processing', 'Confirmed'].includes(orderDetails.orderStatus) && 
-                     orderDetails.paymentStatus === 'Completed') {
-                await processRefund(orderDetails);
-            }
-        }
 
-        // Handle Returns
-        if (status === 'Returned') {
-            if (orderDetails.orderStatus !== 'Delivered') {
-                return res.status(400).json({
-                    message: "Only delivered orders can be returned",
-                });
+            const item = findOpenItem(order, itemId, quantity);
+            await claimItemChange(order, item, quantity, 'Cancelled', session);
+            if (reason) {
+                item.cancellationReason = reason;
             }
 
-            // Restore product quantities for returned items
-            const stockUpdatePromises = orderDetails.products.map(async (item) => {
-                try {
-                    console.log(`Updating stock for Product ID: ${item.productId}, Variant ID: ${item.variantId}, Quantity: ${item.quantity}`);
-            
-                    const product = await Product.findOne({ _id: item.productId });
-            
-                    if (!product) {
-                        console.error(`Product not found: ${item.productId}`);
-                        return;
-                    }
-            
-                    const variantIndex = product.variants.findIndex(v => v._id.toString() === item.variantId.toString());
-            
-                    if (variantIndex === -1) {
-                        console.error(`Variant not found: ${item.variantId} in Product: ${item.productId}`);
-                        return;
-                    }
-            
-                    // Updating the stock
-                    product.variants[variantIndex].availableQuantity += item.quantity;
-                    await product.save();
-            
-                    console.log(`Stock updated successfully for Variant ID: ${item.variantId}`);
-                } catch (error) {
-                    console.error("Stock update error:", error);
-                }
+            const refundAmount = await closeOrderItem(order, item, quantity, 'Cancelled', {
+                session,
+                movement: { actor: 'customer', actorId: req.user.id }
             });
-            
-            await Promise.all(stockUpdatePromises);
-            
-            
+            const note = `Cancelled ${quantity} x ${item.name}${reason ? `: ${reason}` : ''}`;
 
-            if (orderDetails.paymentStatus === 'Completed') {
-                await processRefund(orderDetails);
+            if (order.products.every((line) => remainingQuantity(line) === 0)) {
+                changeOrderStatus(order, 'Cancelled', { actor: 'customer', note });
+            } else {
+                order.statusHistory.push({ status: order.orderStatus, actor: 'customer', note, changedAt: new Date() });
             }
-        }
 
-        if (status === 'Processing') {
-            orderDetails.paymentStatus = 'Completed';
-        }
+            await order.save({ session });
+            return { order, refundAmount };
+        });
 
-        orderDetails.orderStatus = status;
-        if (orderDetails.orderStatus === 'Delivered') {
-            orderDetails.paymentStatus = 'Completed';
+        let refund;
+        if (refundAmount > 0) {
+            order.$session(null);
+            refund = await issueRefund(order, refundAmount, {
+                method: refundMethod,
+                reason: `Refund for items in order ${order._id}`
+            });
         }
 
-        const updateOrder = await orderDetails.save();
-
-        const responseData = {
-            message: "Order status updated successfully",
-            updateOrder: updateOrder,
-        };
+        const updatedOrder = await order.save();
+        notifyBackInStock();
 
-        // Add wallet information to response if refund was processed
-        if ((status === 'Cancelled' || status === 'Returned')) {
-            const wallet = await Wallet.findOne({ userId: orderDetails.userId });
-            if (wallet) {
-                responseData.wallet = {
-                    currentBalance: wallet.balance,
-                    lastTransaction: wallet.transactions[wallet.transactions.length - 1],
-                };
-            }
-        }
-
-        return res.status(200).json(responseData);
+        return res.status(200).json({ message: "Item cancelled successfully", order: updatedOrder, refund });
     } catch (error) {
-        console.error("Error:", error);
-        return res.status(500).json({ message: "Error updating order status" });
-    }
-};
-
-// Helper function to process refunds
-const processRefund = async (order) => {
-    const refundAmount = order.finalAmount;
-    let wallet = await Wallet.findOne({ userId: order.userId });
-
-    if (!wallet) {
-        wallet = new Wallet({
-            userId: order.userId,
-            balance: refundAmount,
-            transactions: [{
-                transaction_id: new mongoose.Types.ObjectId().toString(),
-                type: 'refund',
-                amount: refundAmount,
-                description: `Refund for order ${order._id}`,
-                status: 'completed',
-                date: new Date()
-            }]
-        });
-    } else {
-        wallet.balance += refundAmount;
-        wallet.transactions.push({
-            transaction_id: new mongoose.Types.ObjectId().toString(),
-            type: 'refund',
-            amount: refundAmount,
-            description: `Refund for order ${order._id}`,
-            status: 'completed',
-            date: new Date()
-        });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error("Error cancelling order item:", error);
+        return res.status(500).json({ message: "Error cancelling order item" });
     }
-
-    await wallet.save();
-    return wallet;
 };
 
 
-
-
 const getallorders = async (req,res) =>{
     try {
 
@@ -675,9 +582,12 @@ const getallorders = async (req,res) =>{
 
 
 
+// Refunds whatever is still owed on a cancelled online order, e.g. if the
+// automatic refund at cancellation time did not go through
 const refundOrders = async (req, res) => {
     try {
         const { orderId } = req.params;
+        const { refundMethod } = req.body;
 
         const order = await Order.findById(orderId);
         if (!order) {
@@ -698,33 +608,17 @@ const refundOrders = async (req, res) => {
             });
         }
 
-        const refundAmount = order.finalAmount;
-
-        let wallet = await Wallet.findOne({ userId: order.userId });
-        if (!wallet) {
-            wallet = new Wallet({
-                userId: order.userId
-            });
+        const outstanding = order.finalAmount - await refundedTotal(order._id);
+        if (outstanding <= 0) {
+            return res.status(400).json({ message: "This order has already been refunded" });
         }
 
-        wallet.balance += refundAmount;
-        wallet.transactions.push({
-            transaction_id: new mongoose.Types.ObjectId().toString(),
-            type: 'refund',
-            amount: refundAmount,
-            description: `Refund for order ${orderId}`,
-            status: 'completed',
-            date: new Date()
-        });
-
-        await wallet.save();
+        const refund = await issueRefund(order, outstanding, { method: refundMethod });
+        await order.save();
 
         return res.status(200).json({
             message: "Refund processed successfully!",
-            wallet: {
-                balance: wallet.balance,
-                lastTransaction: wallet.transactions[wallet.transactions.length - 1]
-            }
+            refund
         });
 
     } catch (error) {
@@ -736,6 +630,18 @@ const refundOrders = async (req, res) => {
 };
 
 
+const fetchOrderRefunds = async (req, res) => {
+    try {
+        const refunds = await Refund.find({ orderId: req.params.id }).sort({ createdAt: -1 });
+
+        return res.status(200).json({ message: "Refunds fetched successfully", refunds });
+    } catch (error) {
+        console.error("Error fetching refunds:", error);
+        return res.status(500).json({ message: "Error fetching refunds" });
+    }
+};
+
+
 
 
 module.exports = {
@@ -747,6 +653,7 @@ module.exports = {
     createRazorpayOrder,
     verifyRazorpayPayment,
     refundOrders,
-    returnOrderStatusUpdate,
     placeWalletOrder,
+    cancelOrderItem,
+    fetchOrderRefunds,
 }
\ No newline at end of file
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const Order = require('../models/orderSchema');
+const WebhookEvent = require('../models/webhookEventSchema');
+const Refund = require('../models/refundSchema');
+const PaymentIntent = require('../models/paymentIntentSchema');
+const { isValidSignature } = require('../utils/paymentUtils');
+const { settleRazorpayPayment } = require('../utils/checkoutUtils');
+const { roundAmount } = require('../utils/pricingUtils');
+const { issueRefund, markOrderRefunded } = require('../utils/refundUtils');
+const { releaseReservations } = require('../utils/reservationUtils');
+const { notifyStockAlerts } = require('../utils/stockAlertUtils');
+
+
+// The payment is settled from its intent whether or not the customer's browser made it back,
+// so a closed tab after paying still ends in an order
+const handlePaymentCaptured = async (payload) => {
+    const payment = payload.payment.entity;
+
+    try {
+        await settleRazorpayPayment({
+            razorpayOrderId: payment.order_id,
+            payment,
+            actor: 'system',
+            note: 'Payment captured (Razorpay webhook)'
+        });
+    } catch (error) {
+        // Not ours, or refunded because the store couldn't accept it; a retry won't change that
+        if (!error.statusCode) {
+            throw error;
+        }
+        console.warn(`Webhook: payment ${payment.id} for Razorpay order ${payment.order_id} not settled: ${error.message}`);
+    }
+
+    notifyStockAlerts();
+};
+
+
+const handlePaymentFailed = async (payload) => {
+    const payment = payload.payment.entity;
+    const failureReason = payment.error_description || 'Payment failed';
+
+    // A failed attempt must never override a payment that later succeeded
+    await Order.updateOne(
+        { "razorpay.orderId": payment.order_id, paymentStatus: { $nin: ['Completed', 'Refunded'] } },
+        { $set: { paymentStatus: 'Failed' } }
+    );
+
+    // The checkout stays open: the customer may still pay with another attempt
+    await PaymentIntent.updateOne(
+        { razorpayOrderId: payment.order_id, status: 'Created' },
+        { $set: { failureReason } }
+    );
+
+    await releaseReservations({ razorpayOrderId: payment.order_id }, 'Payment failed');
+};
+
+
+const handleRefundProcessed = async (payload) => {
+    const gatewayRefund = payload.refund.entity;
+
+    const order = await Order.findOne({ "razorpay.paymentId": gatewayRefund.payment_id });
+    if (!order) {
+        console.warn(`Webhook: no order found for Razorpay payment ${gatewayRefund.payment_id}`);
+        return;
+    }
+
+    const processedAt = new Date((gatewayRefund.created_at || Date.now() / 1000) * 1000);
+    const refund = await Refund.findOne({ gatewayRefundId: gatewayRefund.id });
+
+    if (refund) {
+        if (refund.status === 'Processed') {
+            return;
+        }
+        refund.status = 'Processed';
+        refund.processedAt = processedAt;
+        await refund.save();
+    } else {
+        // Refund issued outside the store (e.g. from the Razorpay dashboard), or one of ours whose
+        // record failed to save after Razorpay took it; ours carry the record's id in the notes
+        const storeRefundId = gatewayRefund.notes?.refundId;
+        await Refund.create({
+            ...(storeRefundId && { _id: storeRefundId }),
+            orderId: order._id,
+            userId: order.userId,
+            amount: roundAmount(gatewayRefund.amount / 100),
+            method: 'original',
+            status: 'Processed',
+            gatewayRefundId: gatewayRefund.id,
+            reason: storeRefundId ? `Refund for order ${order._id}` : 'Refund issued from the Razorpay dashboard',
+            processedAt
+        });
+    }
+
+    await markOrderRefunded(order);
+    await order.save();
+};
+
+
+// A gateway refund that fails after being accepted is credited to the wallet instead
+const handleRefundFailed = async (payload) => {
+    const gatewayRefund = payload.refund.entity;
+
+    const refund = await Refund.findOne({ gatewayRefundId: gatewayRefund.id });
+    if (!refund || refund.status === 'Failed') {
+        return;
+    }
+
+    refund.status = 'Failed';
+    refund.failureReason = gatewayRefund.error_description || 'Refund failed at Razorpay';
+    await refund.save();
+
+    const order = await Order.findById(refund.orderId);
+    await issueRefund(order, refund.amount, {
+        method: 'wallet',
+        reason: refund.reason,
+        returnRequestId: refund.returnRequestId
+    });
+    await order.save();
+};
+
+
+const webhookHandlers = {
+    'payment.captured': handlePaymentCaptured,
+    'payment.failed': handlePaymentFailed,
+    'refund.processed': handleRefundProcessed,
+    'refund.failed': handleRefundFailed,
+};
+
+
+// Razorpay signs the raw request body with the webhook secret (HMAC-SHA256, hex)
+// and sends it in the X-Razorpay-Signature header
+const razorpayWebhook = async (req, res) => {
+    const rawBody = req.body;
+    const signature = req.headers['x-razorpay-signature'];
+
+    if (!Buffer.isBuffer(rawBody) || !isValidSignature(rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+        return res.status(400).json({ message: "Invalid webhook signature" });
+    }
+
+    let eventId;
+    try {
+        const body = JSON.parse(rawBody.toString('utf8'));
+        const handler = webhookHandlers[body.event];
+
+        if (!handler) {
+            return res.status(200).json({ message: "Event ignored" });
+        }
+
+        // Razorpay repeats the event id on every retry of the same delivery
+        eventId = req.headers['x-razorpay-event-id'] ||
+            crypto.createHash('sha256').update(rawBody).digest('hex');
+
+        try {
+            await WebhookEvent.create({ provider: 'razorpay', eventId, event: body.event, payload: body.payload });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(200).json({ message: "Event already processed" });
+            }
+            throw error;
+        }
+
+        await handler(body.payload);
+
+        return res.status(200).json({ message: "Webhook processed" });
+    } catch (error) {
+        console.error("Error processing Razorpay webhook:", error);
+
+        // Forget the event so Razorpay's retry gets processed
+        if (eventId) {
+            await WebhookEvent.deleteOne({ eventId }).catch(() => {});
+        }
+
+        return res.status(500).json({ message: "Error processing webhook" });
+    }
+};
+
+
+module.exports = {
+    razorpayWebhook,
+};
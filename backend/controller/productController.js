@@ -1,5 +1,21 @@
 const Product = require("../models/productSchema");
 const Order = require("../models/orderSchema")
+const { heldQuantities } = require("../utils/reservationUtils");
+const { recordStockMovements, stockAdjustments, applyStockEdits } = require("../utils/stockUtils");
+const { runInTransaction } = require("../utils/transactionUtils");
+const { createError } = require("../utils/errorUtils");
+const { notifyBackInStock } = require("../utils/stockSubscriptionUtils");
+const { recordProductView } = require("../utils/popularityUtils");
+const { userIdFromRequest } = require("../utils/tokenUtils");
+const { refreshSearchIndex, searchProductIndex } = require("../utils/searchUtils");
+const { recordSearchQuery } = require("../utils/searchQueryUtils");
+const { parseListingFilters, listProductsWithFacets } = require("../utils/facetUtils");
+const { parsePagination, paginationMeta, listCatalog } = require("../utils/catalogUtils");
+const { withDescendants } = require("../utils/categoryTreeUtils");
+const { effectiveDefinitions, validateProductAttributes } = require("../utils/attributeSchemaUtils");
+const { resolveProductImages, imagesFromUrls, removeReplacedImages } = require("../utils/imageUtils");
+const { slugFields, findBySlug } = require("../utils/slugUtils");
+const mongoose = require("mongoose");
 
 
 
@@ -7,13 +23,25 @@ const Order = require("../models/orderSchema")
 const addProduct = async (req, res) => {
   console.log("shiwnooh")
   try {
-    const { title, sku, price, color, availableQuantity, description, productImages, status, categoryId, brandId, variants, specifications } = req.body;
+    const { title, sku, price, color, availableQuantity, description, productImages, images, status, categoryId, brandId, variants, specifications } = req.body;
     console.log(JSON.stringify(req.body))
     // Validate required fields
-    if (!title || !sku || !price || !availableQuantity || !productImages || !categoryId) {
+    if (!title || !sku || !price || !availableQuantity || !(productImages || images) || !categoryId) {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
+    // Uploaded images come as { assetId, alt } in display order; plain URLs are still accepted
+    const productPictures = images
+      ? await resolveProductImages(images)
+      : { images: imagesFromUrls(productImages), productImage: productImages };
+
+    // Specifications and variant attributes must follow the category's attribute definitions
+    const definitions = await effectiveDefinitions(categoryId);
+    if (!definitions) {
+      return res.status(400).json({ message: 'Category not found' });
+    }
+    const checked = validateProductAttributes({ specifications, variants }, definitions);
+
     // Create a new product instance
     const newProduct = new Product({
       title,
@@ -22,19 +50,36 @@ const addProduct = async (req, res) => {
       color,
       availableQuantity,
       description,
-      productImage: productImages, // Ensure this matches the frontend
+      productImage: productPictures.productImage,
+      images: productPictures.images,
       status,
       categoryId,
       brandId,
-      variants,
-      specifications,
+      variants: checked.variants,
+      specifications: checked.specifications,
+    });
+
+    // Save to the database, with the opening stock as the first entry in each variant's ledger
+    await runInTransaction(async (session) => {
+      Object.assign(newProduct, await slugFields(Product, null, title, session));
+      await newProduct.save({ session });
+      await recordStockMovements(stockAdjustments(null, newProduct), {
+        reason: 'manual_adjustment',
+        referenceType: 'Product',
+        referenceId: newProduct._id,
+        actor: 'admin',
+        actorId: req.user._id,
+        note: 'Initial stock'
+      }, session);
     });
 
-    // Save to the database
-    await newProduct.save();
+    refreshSearchIndex({ _id: newProduct._id });
 
     res.status(201).json({ message: 'Product added successfully', product: newProduct });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     if (error.code === 11000) {
       console.log(error)
       return res.status(400).json({ message: 'Duplicate key error: title or SKU must be unique' });
@@ -46,12 +91,15 @@ const addProduct = async (req, res) => {
 };
   
 
-// Controller to show all products
+// Controller to show all products, a page at a time (page/limit, or the cursor from the previous page)
 const showProducts = async (req, res) => {
     try {
-      const products = await Product.find();
-      res.status(200).json({ message: 'Products retrieved successfully', products });
+      const { products, pagination } = await listCatalog({}, parsePagination(req.query));
+      res.status(200).json({ message: 'Products retrieved successfully', products, pagination });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       res.status(500).json({ message: 'Server error', error: error.message });
     }
   };
@@ -60,9 +108,12 @@ const showProducts = async (req, res) => {
 
   const showProductsIsActive = async (req,res)=>{
     try {
-      const products = await Product.find({status:"active"});
-      res.status(200).json({ message: 'Products retrieved successfully', products });
+      const { products, pagination } = await listCatalog({ status: "active" }, parsePagination(req.query));
+      res.status(200).json({ message: 'Products retrieved successfully', products, pagination });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       res.status(500).json({ message: 'Server error', error: error.message });
     }
   }
@@ -82,6 +133,17 @@ const showProducts = async (req, res) => {
 
 
 
+// Units held by customers who are paying right now are not on sale, so
+// each variant reports how many of its availableQuantity are held
+const withHeldQuantities = async (product) => {
+  const held = await heldQuantities(product.variants.map((variant) => variant._id));
+  const productData = product.toObject();
+  productData.variants.forEach((variant) => {
+    variant.heldQuantity = held[variant._id.toString()] || 0;
+  });
+  return productData;
+};
+
   // Controller to show a single product by ID
 const showProductById = async (req, res) => {
   
@@ -93,21 +155,51 @@ const showProductById = async (req, res) => {
         return res.status(404).json({ message: 'Product not found' });
       }
 
-      
+      const productData = await withHeldQuantities(product);
   
-      res.status(200).json({ message: 'Product retrieved successfully', product });
+      res.status(200).json({ message: 'Product retrieved successfully', product: productData });
     } catch (error) {
       res.status(500).json({ message: 'Server error', error: error.message });
     }
   };
 
+// The product page by slug. A slug the product had before its title changed redirects to its current one
+const showProductBySlug = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const product = await findBySlug(Product, slug);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (product.slug !== slug) {
+      return res.redirect(301, `${req.baseUrl}/products/slug/${product.slug}`);
+    }
+
+    const productData = await withHeldQuantities(product);
+
+    return res.status(200).json({ message: 'Product retrieved successfully', product: productData });
+  } catch (error) {
+    console.error('Error fetching product by slug:', error);
+    return res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
 
 
 
   const editProduct = async (req, res) => {
     try {
       const { id } = req.params; // Extract product ID from request parameters
-      const updates = req.body;  // Updated product details from the request body
+      // Updated product details from the request body. Slugs follow the title, ratings follow the
+      // approved reviews and popularity comes from the popularity job, so none of them is ever set directly
+      const {
+        stockAdjustmentReason,
+        slug, previousSlugs,
+        averageRating, reviewCount,
+        popularityScore, unitsSold, isBestSeller, popularityUpdatedAt,
+        ...updates
+      } = req.body;
       console.log("New updates:", updates);
   
       // Prepare the update object with the new product image URLs
@@ -116,15 +208,77 @@ const showProductById = async (req, res) => {
         ...(updates.productImage && { productImage: updates.productImage })
       };
   
-      // Find the product by ID and update it with new details, returning the updated document
-      const updatedProduct = await Product.findByIdAndUpdate(id, updatedFields, { new: true });
+      // Find the product by ID and update it with new details, returning the updated document.
+      // Any stock change is written to the ledger in the same transaction, and needs a reason
+      let previousImages = [];
+      const updatedProduct = await runInTransaction(async (session) => {
+        const currentProduct = await Product.findById(id).session(session);
+        if (!currentProduct) {
+          return null;
+        }
+        previousImages = currentProduct.images;
+
+        // Stock comes from the product as it is now, so sales made while the form was open are kept
+        const variants = updates.variants && applyStockEdits(currentProduct.variants, updates.variants);
+
+        // A new category, specifications or variants are checked against the category's attribute definitions
+        if (updates.categoryId || updates.specifications || variants) {
+          const definitions = await effectiveDefinitions(updates.categoryId || currentProduct.categoryId);
+          if (!definitions) {
+            throw createError('Category not found');
+          }
+          const checked = validateProductAttributes({
+            specifications: updates.specifications ?? currentProduct.specifications,
+            variants: variants ?? currentProduct.variants
+          }, definitions);
+          if (updates.specifications) updatedFields.specifications = checked.specifications;
+          if (variants) updatedFields.variants = checked.variants;
+        }
+
+        // A new title gets a new slug, and the old one redirects to it
+        if (updates.title) {
+          Object.assign(updatedFields, await slugFields(Product, currentProduct, updates.title, session));
+        }
+
+        // images, with alt text and order, decide productImage; URLs alone keep what they can of images
+        if (updates.images) {
+          Object.assign(updatedFields, await resolveProductImages(updates.images));
+        } else if (updates.productImage) {
+          updatedFields.images = imagesFromUrls(updates.productImage, currentProduct.images);
+        }
+
+        const product = await Product.findByIdAndUpdate(id, updatedFields, { new: true, session });
+
+        const adjustments = stockAdjustments(currentProduct, product);
+        if (adjustments.length && !stockAdjustmentReason?.trim()) {
+          throw createError('Please give a reason for the stock change');
+        }
+
+        await recordStockMovements(adjustments, {
+          reason: 'manual_adjustment',
+          referenceType: 'Product',
+          referenceId: product._id,
+          actor: 'admin',
+          actorId: req.user._id,
+          note: stockAdjustmentReason?.trim()
+        }, session);
+
+        return product;
+      });
   
       if (!updatedProduct) {
         return res.status(404).json({ message: 'Product not found' });
       }
+
+      notifyBackInStock();
+      refreshSearchIndex({ _id: updatedProduct._id });
+      removeReplacedImages(previousImages, updatedProduct.images);
   
       res.status(200).json({ message: 'Product updated successfully', product: updatedProduct });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       console.error('Error updating product:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -141,8 +295,16 @@ const showProductById = async (req, res) => {
         return res.status(400).json({ message: 'Category ID is required' });
       }
   
-      // Find products with the matching category ID
-      const products = await Product.find({ categoryId: id });
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ message: 'Invalid category ID' });
+      }
+
+      // Find products with the matching category ID, or in any of its active subcategories
+      // with includeDescendants=true
+      const categoryIds = req.query.includeDescendants === 'true'
+        ? await withDescendants([id], { status: 'active' })
+        : [id];
+      const products = await Product.find({ categoryId: { $in: categoryIds } });
   
       if (products.length === 0) {
         return res.status(404).json({ message: 'No products found for this category' });
@@ -184,52 +346,33 @@ const toggleProductStatus = async(req,res)=>{
 }
 
 
+// Active products narrowed by brand, category, variant attributes, stock and effective
+// variant price (after offers), with facet counts for each of those filters
 const filteredProduct = async (req, res) => {
   try {
-    const { sortBy, brands, categories, minPrice, maxPrice } = req.query;
-
-    console.log(
-      "SortBy:", sortBy,
-      "Brands:", brands,
-      "Categories:", categories,
-      "MinPrice:", minPrice,
-      "MaxPrice:", maxPrice
-    );
-
-    // Initialize filter object
-    const filter = {};
-
-    // Filter by brands
-    if (brands) {
-      filter.brandId = { $in: Array.isArray(brands) ? brands : [brands] };
-    }
-
-    // Filter by categories
-    if (categories) {
-      filter.categoryId = { $in: Array.isArray(categories) ? categories : [categories] };
-    }
-
-    // Filter by price range
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = Number(minPrice);
-      if (maxPrice) filter.price.$lte = Number(maxPrice);
+    const { sortBy } = req.query;
+    const filters = parseListingFilters(req.query);
+    // A parent category also matches products in its active subcategories
+    if (req.query.includeDescendants === 'true') {
+      filters.categories = await withDescendants(filters.categories, { status: 'active' });
     }
 
     // Define sorting options
     const sortOptions = {};
     switch (sortBy) {
       case 'popularity':
-        sortOptions.popularity = -1;
+        sortOptions.popularityScore = -1;
+        sortOptions.unitsSold = -1;
         break;
       case 'price-low-high':
-        sortOptions.price = 1;
+        sortOptions.lowestPrice = 1;
         break;
       case 'price-high-low':
-        sortOptions.price = -1;
+        sortOptions.lowestPrice = -1;
         break;
       case 'average-rating':
-        sortOptions.rating = -1;
+        sortOptions.averageRating = -1;
+        sortOptions.reviewCount = -1;
         break;
       case 'new-arrivals':
         sortOptions.createdAt = -1;
@@ -245,29 +388,49 @@ const filteredProduct = async (req, res) => {
         break;
     }
 
-    // Fetch products based on filters and sort options
-    console.log(sortOptions)
-    const products = await Product.find({...filter,status:"active"}).sort(sortOptions);
+    const pagination = parsePagination(req.query);
+    const { products, total, facets } = await listProductsWithFacets(filters, sortOptions, pagination);
 
-    return res.status(200).json(products);
+    return res.status(200).json({ products, facets, pagination: paginationMeta(pagination, total) });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error in filtering products:', error);
     return res.status(500).json({ message: "Internal Server Error" });
   }
 };
 
-const searchProducts = async (req, res) => {
-  const { query } = req.query;
+const SEARCH_PAGE_SIZE = 20;
 
+// Ranked, typo-tolerant search over active products (see utils/searchUtils), a page at a time.
+// An empty query lists every active product, newest first
+const searchProducts = async (req, res) => {
   try {
-    const searchFilter = query
-      ? { title: { $regex: query, $options: 'i' }, status: "active" }
-      : { status: "active" }; // Fetch all active products if no query
+    const query = String(req.query.query || '').trim();
+    const pagination = parsePagination(req.query, { defaultLimit: SEARCH_PAGE_SIZE });
 
-    const searchResults = await Product.find(searchFilter);
-    return res.json({ data: searchResults });
+    if (!query) {
+      const { products, pagination: meta } = await listCatalog({ status: "active" }, pagination);
+      return res.json({ data: products, corrections: {}, pagination: meta });
+    }
+
+    const { products, total, corrections } = await searchProductIndex(query, pagination);
+    if (pagination.page === 1) {
+      recordSearchQuery(query, total);
+    }
+
+    return res.json({
+      data: products,
+      corrections,
+      pagination: paginationMeta(pagination, total)
+    });
   } catch (error) {
-    return res.status(500).json({ message: 'Error searching products', error });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error searching products:', error);
+    return res.status(500).json({ message: 'Error searching products' });
   }
 };
 
@@ -278,6 +441,52 @@ const searchProducts = async (req, res) => {
 
 
 
+// Most popular active products first, for the storefront's featured list, a page at a time
+const showFeaturedProducts = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { defaultLimit: 8, maxLimit: 24 });
+
+    const { products, pagination: meta } = await listCatalog(
+      { status: "active" },
+      pagination,
+      { popularityScore: -1, createdAt: -1 }
+    );
+
+    return res.status(200).json({ message: 'Products retrieved successfully', products, pagination: meta });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching featured products:', error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Counts towards the product's popularity score, once per viewer (signed-in user, else address) per window
+const recordView = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid product ID' });
+    }
+
+    const product = await Product.exists({ _id: id, status: "active" });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const userId = userIdFromRequest(req);
+    recordProductView(id, userId ? `user:${userId}` : `ip:${req.ip}`);
+
+    return res.status(200).json({ message: 'View recorded' });
+  } catch (error) {
+    console.error('Error recording product view:', error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+
+
 module.exports = {
     addProduct,
     showProducts,
@@ -289,6 +498,9 @@ module.exports = {
     filteredProduct,
     searchProducts,
     showProductsIsActiveOffer,
+    showFeaturedProducts,
+    showProductBySlug,
+    recordView,
 
 
 }
\ No newline at end of file
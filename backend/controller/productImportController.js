@@ -0,0 +1,73 @@
+const { refreshSearchIndex } = require('../utils/searchUtils');
+const { notifyBackInStock } = require('../utils/stockSubscriptionUtils');
+const {
+    IMPORT_CONTENT_TYPES,
+    importFormat,
+    readImportRows,
+    planImport,
+    applyImport,
+    importReport,
+    exportProductRows,
+    writeProductSheet
+} = require('../utils/productImportUtils');
+
+const EXPORT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+
+// Products from a CSV or XLSX file sent as the request body, upserted by SKU. Runs as a dry run
+// unless dryRun=false, reporting what each product would do and the problems on each row
+const importProducts = async (req, res) => {
+    try {
+        if (!req.is(IMPORT_CONTENT_TYPES)) {
+            return res.status(415).json({ message: 'Upload a CSV or XLSX file' });
+        }
+
+        const dryRun = req.query.dryRun !== 'false';
+        const rows = await readImportRows(req.body, importFormat(req.headers['content-type']));
+        const plans = await planImport(rows);
+
+        if (!dryRun) {
+            const savedIds = await applyImport(plans, req.user._id);
+            if (savedIds.length) {
+                refreshSearchIndex({ _id: { $in: savedIds } });
+                notifyBackInStock();
+            }
+        }
+
+        const report = importReport(plans, rows.length);
+        return res.status(200).json({
+            message: dryRun ? 'Import checked' : 'Import finished',
+            dryRun,
+            ...report
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error("Error importing products:", error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+// Every product in the import format, as CSV or XLSX (format=csv|xlsx, default xlsx)
+const exportProducts = async (req, res) => {
+    try {
+        const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+        const file = await writeProductSheet(await exportProductRows(), format);
+
+        res.setHeader('Content-Type', EXPORT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="products.${format}"`);
+        return res.status(200).send(file);
+    } catch (error) {
+        console.error("Error exporting products:", error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+module.exports = {
+    importProducts,
+    exportProducts
+};
@@ -0,0 +1,255 @@
+const Order = require('../models/orderSchema');
+const ReturnRequest = require('../models/returnRequestSchema');
+const { createError } = require('../utils/errorUtils');
+const { roundAmount, remainingQuantity } = require('../utils/pricingUtils');
+const { changeOrderStatus } = require('../utils/orderStatusUtils');
+const { closeOrderItem, findOpenItem } = require('../utils/orderItemUtils');
+const { OPEN_RETURN_STATUSES, changeReturnStatus } = require('../utils/returnUtils');
+const { issueRefund, REFUND_METHODS } = require('../utils/refundUtils');
+const { runInTransaction } = require('../utils/transactionUtils');
+const { notifyBackInStock } = require('../utils/stockSubscriptionUtils');
+
+
+// Units of each order line already part of a return request that is still open
+const pendingReturnQuantities = async (orderId) => {
+    const openRequests = await ReturnRequest.find({ orderId, status: { $in: OPEN_RETURN_STATUSES } });
+
+    const pending = {};
+    openRequests.forEach((request) => {
+        request.items.forEach((item) => {
+            const key = item.itemId.toString();
+            pending[key] = (pending[key] || 0) + item.quantity;
+        });
+    });
+    return pending;
+};
+
+
+const createReturnRequest = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { items, reason, description, photos = [], refundMethod } = req.body;
+
+        if (!reason || !description) {
+            return res.status(400).json({ message: "Return reason and description are required" });
+        }
+
+        if (!Array.isArray(photos)) {
+            return res.status(400).json({ message: "Photos must be a list of image URLs" });
+        }
+
+        const order = await Order.findById(id);
+        if (!order) {
+            return res.status(404).json({ message: "Order not found" });
+        }
+
+        if (order.orderStatus !== 'Delivered') {
+            return res.status(400).json({ message: "Only delivered orders can be returned" });
+        }
+
+        const pending = await pendingReturnQuantities(order._id);
+
+        // Without an item list the customer is returning everything still returnable
+        const requested = Array.isArray(items) && items.length
+            ? items
+            : order.products
+                .map((line) => ({
+                    itemId: line._id.toString(),
+                    quantity: remainingQuantity(line) - (pending[line._id.toString()] || 0)
+                }))
+                .filter((line) => line.quantity > 0);
+
+        if (!requested.length) {
+            return res.status(400).json({ message: "All items of this order are already being returned" });
+        }
+
+        const returnItems = requested.map(({ itemId, quantity }) => {
+            const item = findOpenItem(order, itemId, Number(quantity), pending[itemId] || 0);
+            pending[itemId] = (pending[itemId] || 0) + Number(quantity);
+
+            return {
+                itemId: item._id,
+                productId: item.productId,
+                variantId: item.variantId,
+                name: item.name,
+                quantity: Number(quantity)
+            };
+        });
+
+        const returnRequest = await ReturnRequest.create({
+            orderId: order._id,
+            userId: order.userId,
+            items: returnItems,
+            reason,
+            description,
+            photos: photos.map((url) => String(url).trim()).filter(Boolean),
+            refundMethod: REFUND_METHODS.includes(refundMethod) ? refundMethod : undefined,
+            statusHistory: [{ status: 'Requested', actor: 'customer', note: reason }]
+        });
+
+        return res.status(201).json({ message: "Return request submitted successfully", returnRequest });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error creating return request:", error);
+        return res.status(500).json({ message: "Error submitting return request" });
+    }
+};
+
+
+const fetchOrderReturns = async (req, res) => {
+    try {
+        const returnRequests = await ReturnRequest.find({ orderId: req.params.id }).sort({ createdAt: -1 });
+
+        return res.status(200).json({ message: "Return requests fetched successfully", returnRequests });
+    } catch (error) {
+        console.error("Error fetching return requests:", error);
+        return res.status(500).json({ message: "Error fetching return requests" });
+    }
+};
+
+
+const getReturnRequests = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const filter = status ? { status } : {};
+
+        const returnRequests = await ReturnRequest.find(filter)
+            .populate('userId', 'firstName lastName email')
+            .populate('orderId', 'orderStatus paymentMethod paymentStatus finalAmount orderDate')
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({ message: "Return requests fetched successfully", returnRequests });
+    } catch (error) {
+        console.error("Error fetching return requests:", error);
+        return res.status(500).json({ message: "Error fetching return requests" });
+    }
+};
+
+
+// Received: the items are back, so restock them and work out what is owed for them
+const receiveReturnedItems = async (returnRequest, adminId, session) => {
+    const order = await Order.findById(returnRequest.orderId).session(session);
+    if (!order) {
+        throw createError("Order not found", 404);
+    }
+
+    const returnDetails = {
+        reason: returnRequest.reason,
+        description: returnRequest.description,
+        returnDate: new Date()
+    };
+
+    let refundAmount = 0;
+    for (const line of returnRequest.items) {
+        const item = order.products.id(line.itemId);
+        if (!item || remainingQuantity(item) < line.quantity) {
+            throw createError(`${line.name} is no longer open on this order`);
+        }
+
+        item.returnDetails = returnDetails;
+        refundAmount += await closeOrderItem(order, item, line.quantity, 'Returned', {
+            session,
+            movement: {
+                referenceType: 'ReturnRequest',
+                referenceId: returnRequest._id,
+                actor: 'admin',
+                actorId: adminId
+            }
+        });
+    }
+
+    const note = `Return request ${returnRequest._id} received`;
+    if (order.products.every((item) => remainingQuantity(item) === 0)) {
+        order.returnDetails = returnDetails;
+        changeOrderStatus(order, 'Returned', { actor: 'admin', note });
+    } else {
+        order.statusHistory.push({ status: order.orderStatus, actor: 'admin', note, changedAt: new Date() });
+    }
+
+    await order.save({ session });
+    return roundAmount(refundAmount);
+};
+
+
+const updateReturnStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        if (!status) {
+            return res.status(400).json({ message: "Status is required" });
+        }
+
+        if (status === 'Rejected' && !note) {
+            return res.status(400).json({ message: "Please add a note explaining the rejection" });
+        }
+
+        // Restock and the status change land together; the refund goes out once they have committed
+        const returnRequest = await runInTransaction(async (session) => {
+            const returnRequest = await ReturnRequest.findById(id).session(session);
+            if (!returnRequest) {
+                throw createError("Return request not found", 404);
+            }
+
+            const previousStatus = returnRequest.status;
+            changeReturnStatus(returnRequest, status, { actor: 'admin', note });
+
+            // Claim the change first: of two admins moving the request at once, only one gets here
+            const claimed = await ReturnRequest.findOneAndUpdate(
+                { _id: id, status: previousStatus },
+                { $set: { status } },
+                { session }
+            );
+            if (!claimed) {
+                throw createError("This return request was changed by another request. Please reload and try again.", 409);
+            }
+
+            if (note) {
+                returnRequest.adminNote = note;
+            }
+
+            if (status === 'Received') {
+                returnRequest.refundAmount = await receiveReturnedItems(returnRequest, req.user._id, session);
+            }
+
+            await returnRequest.save({ session });
+            return returnRequest;
+        });
+
+        if (status === 'Received') {
+            notifyBackInStock();
+        }
+
+        let refund;
+        if (status === 'Refunded' && returnRequest.refundAmount > 0) {
+            const order = await Order.findById(returnRequest.orderId);
+            refund = await issueRefund(order, returnRequest.refundAmount, {
+                method: returnRequest.refundMethod,
+                reason: `Refund for return ${returnRequest._id}`,
+                returnRequestId: returnRequest._id
+            });
+            await order.save();
+        }
+
+        return res.status(200).json({ message: `Return request ${status.toLowerCase()}`, returnRequest, refund });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error("Error updating return request:", error);
+        return res.status(500).json({ message: "Error updating return request" });
+    }
+};
+
+
+module.exports = {
+    createReturnRequest,
+    fetchOrderReturns,
+    getReturnRequests,
+    updateReturnStatus,
+};
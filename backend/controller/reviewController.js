@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productSchema');
+const Review = require('../models/reviewSchema');
+const { hasDeliveredPurchase, refreshProductRating } = require('../utils/reviewUtils');
+
+const DEFAULT_PAGE_SIZE = 5;
+
+// Every status a review can have, as the schema defines them
+const REVIEW_STATUSES = Review.schema.path('status').enumValues;
+
+const REVIEW_SORTS = {
+    newest: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+};
+
+const parsePage = (query, defaultLimit) => ({
+    page: Math.max(Number.parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(Number.parseInt(query.limit, 10) || defaultLimit, 1), 50),
+});
+
+
+// Approved reviews of a product, a page at a time, with the star breakdown
+const getProductReviews = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ message: "Invalid product id" });
+        }
+
+        const { page, limit } = parsePage(req.query, DEFAULT_PAGE_SIZE);
+        const sort = REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest;
+        const filter = { productId: id, status: 'Approved' };
+
+        const [reviews, product, distribution] = await Promise.all([
+            Review.find(filter)
+                .populate('userId', 'firstName lastName')
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Product.findById(id).select('averageRating reviewCount'),
+            Review.aggregate([
+                { $match: { productId: new mongoose.Types.ObjectId(id), status: 'Approved' } },
+                { $group: { _id: '$rating', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        if (!product) {
+            return res.status(404).json({ message: "Product not found" });
+        }
+
+        const ratingCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        distribution.forEach(({ _id, count }) => {
+            ratingCounts[_id] = count;
+        });
+
+        return res.status(200).json({
+            message: "Reviews fetched successfully",
+            reviews,
+            summary: {
+                averageRating: product.averageRating,
+                reviewCount: product.reviewCount,
+                ratingCounts
+            },
+            pagination: { page, limit, total: product.reviewCount, totalPages: Math.ceil(product.reviewCount / limit) }
+        });
+    } catch (error) {
+        console.error("Error fetching reviews:", error);
+        return res.status(500).json({ message: "Error fetching reviews" });
+    }
+};
+
+
+// The signed-in customer's own review of a product, whatever its status
+const getMyReview = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: "Invalid product id" });
+        }
+
+        const review = await Review.findOne({ productId: req.params.id, userId: req.user.id });
+
+        return res.status(200).json({ message: "Review fetched successfully", review });
+    } catch (error) {
+        console.error("Error fetching review:", error);
+        return res.status(500).json({ message: "Error fetching review" });
+    }
+};
+
+
+const createReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { rating, title, body } = req.body;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ message: "Invalid product id" });
+        }
+
+        const product = await Product.findById(id).select('_id');
+        if (!product) {
+            return res.status(404).json({ message: "Product not found" });
+        }
+
+        const existing = await Review.exists({ productId: id, userId: req.user.id });
+        if (existing) {
+            return res.status(409).json({ message: "You have already reviewed this product. Edit your review instead." });
+        }
+
+        const review = await Review.create({
+            productId: id,
+            userId: req.user.id,
+            rating: Number(rating),
+            title,
+            body,
+            verifiedPurchase: await hasDeliveredPurchase(req.user.id, id)
+        });
+
+        const summary = await refreshProductRating(id);
+
+        return res.status(201).json({ message: "Thanks for your review", review, summary });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: "You have already reviewed this product. Edit your review instead." });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error creating review:", error);
+        return res.status(500).json({ message: "Error submitting review" });
+    }
+};
+
+
+const updateReview = async (req, res) => {
+    try {
+        const { rating, title, body } = req.body;
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: "Invalid review id" });
+        }
+
+        const review = await Review.findOne({ _id: req.params.id, userId: req.user.id });
+        if (!review) {
+            return res.status(404).json({ message: "Review not found" });
+        }
+
+        if (rating !== undefined) review.rating = Number(rating);
+        if (title !== undefined) review.title = title;
+        if (body !== undefined) review.body = body;
+        // The customer may have received the product since first reviewing it
+        review.verifiedPurchase = await hasDeliveredPurchase(req.user.id, review.productId);
+
+        await review.save();
+        const summary = await refreshProductRating(review.productId);
+
+        return res.status(200).json({ message: "Review updated", review, summary });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error("Error updating review:", error);
+        return res.status(500).json({ message: "Error updating review" });
+    }
+};
+
+
+const deleteReview = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: "Invalid review id" });
+        }
+
+        const review = await Review.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+        if (!review) {
+            return res.status(404).json({ message: "Review not found" });
+        }
+
+        const summary = await refreshProductRating(review.productId);
+
+        return res.status(200).json({ message: "Review deleted", summary });
+    } catch (error) {
+        console.error("Error deleting review:", error);
+        return res.status(500).json({ message: "Error deleting review" });
+    }
+};
+
+
+// Admin: every review, optionally by status, newest first
+const getAllReviews = async (req, res) => {
+    try {
+        const { status } = req.query;
+        // Only a known status goes into the filter, never an operator object like status[$ne]=
+        if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of ${REVIEW_STATUSES.join(', ')}` });
+        }
+
+        const { page, limit } = parsePage(req.query, 20);
+        const filter = status ? { status } : {};
+
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .populate('userId', 'firstName lastName email')
+                .populate('productId', 'title')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Review.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            message: "Reviews fetched successfully",
+            reviews,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error("Error fetching reviews:", error);
+        return res.status(500).json({ message: "Error fetching reviews" });
+    }
+};
+
+
+// Admin: hide a review from the product page, or approve it back
+const moderateReview = async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of ${REVIEW_STATUSES.join(', ')}` });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: "Invalid review id" });
+        }
+
+        const review = await Review.findByIdAndUpdate(
+            req.params.id,
+            { $set: { status, moderationNote: note, moderatedAt: new Date() } },
+            { new: true }
+        );
+        if (!review) {
+            return res.status(404).json({ message: "Review not found" });
+        }
+
+        await refreshProductRating(review.productId);
+
+        return res.status(200).json({ message: `Review ${status === 'Hidden' ? 'hidden' : 'approved'}`, review });
+    } catch (error) {
+        console.error("Error moderating review:", error);
+        return res.status(500).json({ message: "Error moderating review" });
+    }
+};
+
+
+module.exports = {
+    getProductReviews,
+    getMyReview,
+    createReview,
+    updateReview,
+    deleteReview,
+    getAllReviews,
+    moderateReview,
+};
@@ -0,0 +1,64 @@
+const Brand = require('../models/brandSchema');
+const Category = require('../models/categorySchema');
+const { escapeRegex, searchProductIndex } = require('../utils/searchUtils');
+const { popularSearches, zeroResultSearches } = require('../utils/searchQueryUtils');
+
+const MIN_SUGGESTION_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+
+// Suggestions for the search box while the customer types: matching products, brands and
+// categories, and popular recent searches. Short input only gets the popular searches
+const getSearchSuggestions = async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim().slice(0, MAX_QUERY_LENGTH);
+
+        if (q.length < MIN_SUGGESTION_LENGTH) {
+            const queries = await popularSearches();
+            return res.status(200).json({ products: [], brands: [], categories: [], queries });
+        }
+
+        // Names with a word starting with what was typed
+        const namePattern = { $regex: `(^|\\s)${escapeRegex(q)}`, $options: 'i' };
+
+        const [productResult, brands, categories, queries] = await Promise.all([
+            searchProductIndex(q, { limit: 5, partial: true }),
+            Brand.find({ status: 'active', name: namePattern }).select('name slug').limit(3),
+            Category.find({ status: 'active', name: namePattern }).select('name slug').limit(3),
+            popularSearches({ prefix: q }),
+        ]);
+
+        const products = productResult.products.map((product) => ({
+            _id: product._id,
+            title: product.title,
+            slug: product.slug,
+            image: product.productImage?.[0],
+            price: product.effectivePrice,
+        }));
+
+        return res.status(200).json({ products, brands, categories, queries });
+    } catch (error) {
+        console.error("Error fetching search suggestions:", error);
+        return res.status(500).json({ message: "Error fetching search suggestions" });
+    }
+};
+
+
+// Admin: what customers searched for and did not find
+const getZeroResultSearches = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(Number.parseInt(req.query.days, 10) || 30, 1), 90);
+        const searches = await zeroResultSearches({ days });
+
+        return res.status(200).json({ message: "Zero result searches fetched successfully", days, searches });
+    } catch (error) {
+        console.error("Error fetching zero result searches:", error);
+        return res.status(500).json({ message: "Error fetching zero result searches" });
+    }
+};
+
+
+module.exports = {
+    getSearchSuggestions,
+    getZeroResultSearches,
+};
@@ -0,0 +1,92 @@
+const Product = require('../models/productSchema');
+const Category = require('../models/categorySchema');
+const Brand = require('../models/brandSchema');
+
+// The most URLs one sitemap may list
+const MAX_SITEMAP_URLS = 50000;
+
+// Storefront pages that are per customer or need signing in, kept out of search engines
+const PRIVATE_PATHS = [
+    '/login',
+    '/signup',
+    '/otp',
+    '/forgotpassword',
+    '/resetpassword',
+    '/Account',
+    '/cart',
+    '/checkout',
+    '/filter',
+    '/wishlist',
+    '/orderSuccessful',
+];
+
+// Sitemap and robots.txt links point at the storefront (STOREFRONT_URL), which serves both
+// files from its own origin by forwarding /sitemap.xml and /robots.txt here (the Vite dev proxy
+// locally; the rewrites in frontend/user/vercel.json, pointed at this server's host, when deployed)
+const storefrontUrl = () => (process.env.STOREFRONT_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const urlEntry = (loc, lastModified) => [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    ...(lastModified ? [`    <lastmod>${lastModified.toISOString()}</lastmod>`] : []),
+    '  </url>',
+].join('\n');
+
+
+// Every public storefront page: home, the shop, and each active category, brand and product by slug
+const getSitemap = async (req, res) => {
+    try {
+        const listed = { status: 'active', slug: { $exists: true } };
+        const [categories, brands, products] = await Promise.all([
+            Category.find(listed).select('slug updatedAt').sort({ path: 1 }).lean(),
+            Brand.find(listed).select('slug updatedAt').sort({ name: 1 }).lean(),
+            Product.find(listed).select('slug updatedAt').sort({ updatedAt: -1 }).limit(MAX_SITEMAP_URLS).lean(),
+        ]);
+
+        const base = storefrontUrl();
+        const urls = [
+            urlEntry(`${base}/`),
+            urlEntry(`${base}/shop`),
+            ...categories.map((category) => urlEntry(`${base}/category/${category.slug}`, category.updatedAt)),
+            ...brands.map((brand) => urlEntry(`${base}/brand/${brand.slug}`, brand.updatedAt)),
+            ...products.map((product) => urlEntry(`${base}/product/${product.slug}`, product.updatedAt)),
+        ].slice(0, MAX_SITEMAP_URLS);
+
+        const sitemap = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...urls,
+            '</urlset>',
+        ].join('\n');
+
+        return res.status(200).set('Cache-Control', 'public, max-age=3600').type('application/xml').send(sitemap);
+    } catch (error) {
+        console.error("Error generating sitemap:", error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const getRobots = (req, res) => {
+    const robots = [
+        'User-agent: *',
+        ...PRIVATE_PATHS.map((path) => `Disallow: ${path}`),
+        '',
+        `Sitemap: ${storefrontUrl()}/sitemap.xml`,
+        '',
+    ].join('\n');
+
+    return res.status(200).set('Cache-Control', 'public, max-age=86400').type('text/plain').send(robots);
+};
+
+
+module.exports = {
+    getSitemap,
+    getRobots
+};
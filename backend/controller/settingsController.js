@@ -0,0 +1,51 @@
+const StoreSettings = require('../models/storeSettingsSchema');
+const { getStoreSettings } = require('../utils/settingsUtils');
+
+
+const getPaymentRetryWindow = async (req, res) => {
+    try {
+        const settings = await getStoreSettings();
+
+        return res.status(200).json({
+            message: "Payment retry window fetched successfully",
+            paymentRetryWindowMinutes: settings.paymentRetryWindowMinutes
+        });
+    } catch (error) {
+        console.error("Error fetching payment retry window:", error);
+        return res.status(500).json({ message: "Error fetching payment retry window" });
+    }
+};
+
+
+const updatePaymentRetryWindow = async (req, res) => {
+    try {
+        const minutes = Number(req.body.paymentRetryWindowMinutes);
+
+        if (!Number.isInteger(minutes)) {
+            return res.status(400).json({ message: "Retry window must be a whole number of minutes" });
+        }
+
+        const settings = await StoreSettings.findOneAndUpdate(
+            { key: 'store' },
+            { $set: { paymentRetryWindowMinutes: minutes } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        return res.status(200).json({
+            message: "Payment retry window updated successfully",
+            paymentRetryWindowMinutes: settings.paymentRetryWindowMinutes
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Retry window must be between 5 minutes and 7 days" });
+        }
+        console.error("Error updating payment retry window:", error);
+        return res.status(500).json({ message: "Error updating payment retry window" });
+    }
+};
+
+
+module.exports = {
+    getPaymentRetryWindow,
+    updatePaymentRetryWindow,
+};
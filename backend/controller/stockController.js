@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productSchema');
+const StockMovement = require('../models/stockMovementSchema');
+const { defaultLowStockThreshold } = require('../utils/stockUtils');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+
+// Ledger for one variant, newest first
+const getVariantStockMovements = async (req, res) => {
+    try {
+        const { id, variantId } = req.params;
+
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(variantId)) {
+            return res.status(400).json({ message: "Invalid product or variant id" });
+        }
+
+        const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), 200);
+
+        const product = await Product.findById(id).select('title variants');
+        if (!product) {
+            return res.status(404).json({ message: "Product not found" });
+        }
+
+        // Removed variants keep their history, so a missing variant is not an error
+        const variant = product.variants.id(variantId);
+
+        const filter = { productId: product._id, variantId };
+        const [movements, total] = await Promise.all([
+            StockMovement.find(filter)
+                .populate('actorId', 'firstName lastName email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            StockMovement.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            message: "Stock movements fetched successfully",
+            product: { _id: product._id, title: product.title },
+            variant,
+            movements,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error("Error fetching stock movements:", error);
+        return res.status(500).json({ message: "Error fetching stock movements" });
+    }
+};
+
+
+// Every variant that is out of stock or below its threshold, emptiest first.
+// `?status=low_stock|out_of_stock` narrows the list; the summary always counts both
+const getLowStockReport = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const variants = await Product.aggregate([
+            { $unwind: '$variants' },
+            {
+                $project: {
+                    _id: 0,
+                    productId: '$_id',
+                    title: 1,
+                    productStatus: '$status',
+                    image: { $arrayElemAt: ['$productImage', 0] },
+                    variantId: '$variants._id',
+                    sku: '$variants.sku',
+                    attributes: '$variants.attributes',
+                    quantity: { $ifNull: ['$variants.availableQuantity', 0] },
+                    threshold: {
+                        $ifNull: ['$variants.lowStockThreshold', { $ifNull: ['$lowStockThreshold', defaultLowStockThreshold()] }]
+                    }
+                }
+            },
+            { $match: { $expr: { $or: [{ $lte: ['$quantity', 0] }, { $lt: ['$quantity', '$threshold'] }] } } },
+            { $addFields: { stockStatus: { $cond: [{ $lte: ['$quantity', 0] }, 'out_of_stock', 'low_stock'] } } },
+            { $sort: { quantity: 1, title: 1 } }
+        ]);
+
+        const summary = {
+            outOfStock: variants.filter((variant) => variant.stockStatus === 'out_of_stock').length,
+            lowStock: variants.filter((variant) => variant.stockStatus === 'low_stock').length
+        };
+
+        return res.status(200).json({
+            message: "Low stock report fetched successfully",
+            summary,
+            variants: status ? variants.filter((variant) => variant.stockStatus === status) : variants
+        });
+    } catch (error) {
+        console.error("Error fetching low stock report:", error);
+        return res.status(500).json({ message: "Error fetching low stock report" });
+    }
+};
+
+
+module.exports = {
+    getVariantStockMovements,
+    getLowStockReport,
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productSchema');
+const StockSubscription = require('../models/stockSubscriptionSchema');
+const { heldQuantities } = require('../utils/reservationUtils');
+
+
+const subscribeToVariant = async (req, res) => {
+    try {
+        const { productId, variantId } = req.body;
+
+        if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(variantId)) {
+            return res.status(400).json({ message: "Product and variant are required" });
+        }
+
+        const product = await Product.findById(productId).select('variants');
+        const variant = product?.variants.id(variantId);
+        if (!variant) {
+            return res.status(404).json({ message: "Product variant not found" });
+        }
+
+        // Subscribers are emailed when stock comes back from zero, so only a variant that is
+        // really out can be subscribed to. Units held by checkouts in progress go back on sale
+        // when the hold ends, without a restock to announce it
+        if (variant.availableQuantity > 0) {
+            const held = await heldQuantities([variant._id]);
+            return res.status(400).json({
+                message: variant.availableQuantity - (held[variant._id.toString()] || 0) > 0
+                    ? "This variant is in stock"
+                    : "The last units are in other shoppers' checkouts. Please check back in a few minutes."
+            });
+        }
+
+        const existing = await StockSubscription.findOne({ userId: req.user.id, variantId, status: 'Active' });
+        if (existing) {
+            return res.status(200).json({ message: "You are already subscribed to this item", subscription: existing });
+        }
+
+        const subscription = await StockSubscription.create({ userId: req.user.id, productId, variantId });
+
+        return res.status(201).json({ message: "We will email you when it is back in stock", subscription });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(200).json({ message: "You are already subscribed to this item" });
+        }
+        console.error("Error creating stock subscription:", error);
+        return res.status(500).json({ message: "Error subscribing to stock updates" });
+    }
+};
+
+
+// The customer's open subscriptions, with enough product detail to show them
+const getStockSubscriptions = async (req, res) => {
+    try {
+        const subscriptions = await StockSubscription.find({ userId: req.user.id, status: 'Active' })
+            .populate('productId', 'title slug productImage variants')
+            .sort({ createdAt: -1 });
+
+        const result = subscriptions.map((subscription) => {
+            const product = subscription.productId;
+            const variant = product?.variants.id(subscription.variantId);
+
+            return {
+                _id: subscription._id,
+                productId: product?._id,
+                slug: product?.slug,
+                variantId: subscription.variantId,
+                title: product?.title,
+                image: product?.productImage?.[0],
+                attributes: variant?.attributes || [],
+                availableQuantity: variant?.availableQuantity ?? 0,
+                createdAt: subscription.createdAt
+            };
+        });
+
+        return res.status(200).json({ message: "Stock subscriptions fetched successfully", subscriptions: result });
+    } catch (error) {
+        console.error("Error fetching stock subscriptions:", error);
+        return res.status(500).json({ message: "Error fetching stock subscriptions" });
+    }
+};
+
+
+const removeStockSubscription = async (req, res) => {
+    try {
+        const subscription = await StockSubscription.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+        if (!subscription) {
+            return res.status(404).json({ message: "Subscription not found" });
+        }
+
+        return res.status(200).json({ message: "Subscription removed" });
+    } catch (error) {
+        console.error("Error removing stock subscription:", error);
+        return res.status(500).json({ message: "Error removing subscription" });
+    }
+};
+
+
+module.exports = {
+    subscribeToVariant,
+    getStockSubscriptions,
+    removeStockSubscription,
+};
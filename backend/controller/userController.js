@@ -480,13 +480,9 @@ const resetPassword = async (req, res) => {
 const upadateProfile = async (req,res)=>{
   try {
     
-    const {firstName,lastName,email,phone} = req.body;
+    const {firstName,lastName,phone} = req.body;
 
-    if(!email){
-      return res.status(400).json({message:"Email is required"});
-    }
-
-    const user = await User.findOne({email});
+    const user = await User.findById(req.user.id);
 
     if(!user){
       return res.status(404).json({message:"User not found"});
@@ -516,8 +512,7 @@ const upadateProfile = async (req,res)=>{
 
 const userProfile  = async(req,res)=>{
   try {
-    const userId = req.params.id;
-    const user = await User.findById(userId);
+    const user = await User.findById(req.user.id);
     if(!user){
       return res.status(404).json({message:"User not found"});
     }
@@ -532,14 +527,13 @@ const userProfile  = async(req,res)=>{
 
 const updatePassword = async (req, res) => {
   try {
-    const { email, oldPassword, newPassword } = req.body;
+    const { oldPassword, newPassword } = req.body;
 
-    if (!email || !oldPassword || !newPassword) {
+    if (!oldPassword || !newPassword) {
       return res.status(400).json({ message: "All fields are required" });
     }
 
-    // Ensure email is case insensitive
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await User.findById(req.user.id);
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
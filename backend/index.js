@@ -9,6 +9,16 @@ const session = require("express-session");
 const userRoutes = require('./routes/userRoutes');
 const cookieParser = require('cookie-parser');
 const adminRoutes = require('./routes/adminRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const { startOrderExpiryJob } = require('./jobs/orderExpiryJob');
+const { startPopularityJob } = require('./jobs/popularityJob');
+const { startImageCleanupJob } = require('./jobs/imageCleanupJob');
+const { refreshSearchIndex } = require('./utils/searchUtils');
+const { backfillCategoryLineage } = require('./utils/categoryTreeUtils');
+const { backfillProductImages } = require('./utils/imageUtils');
+const { localUploadDir } = require('./utils/imageStorage');
+const { backfillSlugs } = require('./utils/slugUtils');
+const { getSitemap, getRobots } = require('./controller/seoController');
 
 const PORT = process.env.PORT || 4000 || 3000;
 
@@ -23,6 +33,9 @@ app.use(cookieParser());
 
 app.use(cors(corsOptions));
 
+// Mounted before the JSON parser: webhooks verify signatures against the raw body
+app.use("/payments",paymentRoutes)
+
 app.use(bodyParser.json());
 
 app.use(session({
@@ -42,9 +55,31 @@ app.use(session({
 app.use("/user",userRoutes)
 app.use("/admin",adminRoutes)
 
+// For search engines, generated from the catalog
+app.get('/sitemap.xml', getSitemap)
+app.get('/robots.txt', getRobots)
+
+// Images kept by the local storage adapter
+if ((process.env.IMAGE_STORAGE || 'local') === 'local') {
+    app.use('/uploads', express.static(localUploadDir(), { maxAge: '30d', immutable: true }))
+}
+
 
 mongoose.connect(process.env.MONGODB_URI)
-.then(()=>console.log("Mongodb connected successfully"))
+.then(()=>{
+    console.log("Mongodb connected successfully");
+    startOrderExpiryJob();
+    startPopularityJob();
+    startImageCleanupJob();
+    // Index any products saved before search indexing existed
+    refreshSearchIndex({ searchIndex: { $exists: false } });
+    // Categories saved before subcategories existed become top-level ones
+    backfillCategoryLineage();
+    // Products saved before managed images existed get an images list from their URLs
+    backfillProductImages();
+    // Products, categories and brands saved before slugs existed get one
+    backfillSlugs();
+})
 .catch((err)=>console.log("Mongodb connection failed"));
 
 
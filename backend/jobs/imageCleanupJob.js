@@ -0,0 +1,33 @@
+const { removeUnusedImages } = require('../utils/imageUtils');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Runs removeUnusedImages on an interval (IMAGE_CLEANUP_INTERVAL_MINUTES, default 60)
+// for the life of the process
+const startImageCleanupJob = () => {
+  const intervalMinutes = Number(process.env.IMAGE_CLEANUP_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const removed = await removeUnusedImages();
+      if (removed) {
+        console.log(`Image cleanup: removed ${removed} unused upload(s)`);
+      }
+    } catch (error) {
+      console.error('Image cleanup job failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = { startImageCleanupJob };
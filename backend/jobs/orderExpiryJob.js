@@ -0,0 +1,117 @@
+const Order = require('../models/orderSchema');
+const User = require('../models/userModel');
+const { changeOrderStatus } = require('../utils/orderStatusUtils');
+const { closeRemainingItems } = require('../utils/orderItemUtils');
+const { runInTransaction } = require('../utils/transactionUtils');
+const { getStoreSettings } = require('../utils/settingsUtils');
+const { sendMail, html } = require('../utils/mailUtils');
+const { releaseReservations, expireReservations } = require('../utils/reservationUtils');
+const { notifyStockAlerts } = require('../utils/stockAlertUtils');
+const { notifyBackInStock } = require('../utils/stockSubscriptionUtils');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Online orders still waiting for a payment. Cash on delivery is collected at the door and never expires
+const unpaidOrderFilter = (cutoff) => ({
+  createdAt: { $lt: cutoff },
+  paymentStatus: { $in: ['Pending', 'Failed'] },
+  $or: [
+    { orderStatus: 'Payment Failed' },
+    { paymentMethod: 'RazorpayX', orderStatus: { $in: ['Processing', 'Confirmed'] } },
+  ],
+});
+
+const notifyCustomer = async (order, windowMinutes) => {
+  const user = await User.findById(order.userId).select('email firstName');
+  if (!user) return;
+
+  await sendMail({
+    to: user.email,
+    subject: `Your SpectraX order ${order._id} has been cancelled`,
+    text: `Hi ${user.firstName}, we did not receive payment for order ${order._id} within ${windowMinutes} minutes, so it has been cancelled. Any items you reserved have been released. You are welcome to place the order again.`,
+    html: html`<p>Hi ${user.firstName},</p><p>We did not receive payment for order <b>${order._id}</b> within ${windowMinutes} minutes, so it has been cancelled. Any items you reserved have been released.</p><p>You are welcome to place the order again.</p>`,
+  });
+};
+
+// Cancel one order if it is still unpaid, releasing any stock it took
+const expireOrder = async (orderId, cutoff, windowMinutes) =>
+  runInTransaction(async (session) => {
+    // Re-check inside the transaction: the customer may have paid since the scan
+    const order = await Order.findOne({ _id: orderId, ...unpaidOrderFilter(cutoff) }).session(session);
+    if (!order) return null;
+
+    // Orders whose payment failed never took any stock, though a payment retry may still hold some
+    const restock = order.orderStatus !== 'Payment Failed';
+    await closeRemainingItems(order, 'Cancelled', { restock, session });
+    await releaseReservations({ orderId: order._id }, 'Order cancelled', session);
+
+    changeOrderStatus(order, 'Cancelled', {
+      actor: 'system',
+      note: `Payment not received within ${windowMinutes} minutes`,
+    });
+    order.paymentStatus = 'Failed';
+
+    return order.save({ session });
+  });
+
+const expireUnpaidOrders = async () => {
+  const settings = await getStoreSettings();
+  const windowMinutes = settings.paymentRetryWindowMinutes;
+  const cutoff = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  const candidates = await Order.find(unpaidOrderFilter(cutoff)).select('_id');
+
+  let expired = 0;
+  for (const { _id } of candidates) {
+    try {
+      const order = await expireOrder(_id, cutoff, windowMinutes);
+      if (order) {
+        expired += 1;
+        await notifyCustomer(order, windowMinutes);
+      }
+    } catch (error) {
+      console.error(`Failed to expire order ${_id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+// Runs expireUnpaidOrders, marks stock holds that ran out and sends any stock alert or
+// back-in-stock emails still due, on an interval (ORDER_EXPIRY_INTERVAL_MINUTES, default 5)
+// for the life of the process
+const startOrderExpiryJob = () => {
+  const intervalMinutes = Number(process.env.ORDER_EXPIRY_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const expired = await expireUnpaidOrders();
+      if (expired) {
+        console.log(`Order expiry: cancelled ${expired} unpaid order(s)`);
+      }
+
+      const releasedHolds = await expireReservations();
+      if (releasedHolds) {
+        console.log(`Order expiry: released ${releasedHolds} expired stock hold(s)`);
+      }
+
+      await notifyStockAlerts();
+      await notifyBackInStock();
+    } catch (error) {
+      console.error('Order expiry job failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = { expireUnpaidOrders, startOrderExpiryJob };
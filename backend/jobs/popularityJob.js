@@ -0,0 +1,31 @@
+const { refreshPopularity } = require('../utils/popularityUtils');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Runs refreshPopularity on an interval (POPULARITY_REFRESH_INTERVAL_MINUTES, default 60)
+// for the life of the process
+const startPopularityJob = () => {
+  const intervalMinutes = Number(process.env.POPULARITY_REFRESH_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const scored = await refreshPopularity();
+      console.log(`Popularity: refreshed scores for ${scored} product(s)`);
+    } catch (error) {
+      console.error('Popularity job failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = { startPopularityJob };
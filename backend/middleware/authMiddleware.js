@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Order = require('../models/orderSchema');
 
 const verifyAccessToken = async (req, res, next) => {
   // Check both cookies and Authorization header
@@ -40,4 +41,32 @@ const verifyAccessToken = async (req, res, next) => {
   }
 };
 
-module.exports = { verifyAccessToken };
\ No newline at end of file
+// Reject requests that name a different user than the one in the access token
+const verifyOwnership = (req, res, next) => {
+  const claimedUserId = req.params.userId || req.body?.userId;
+
+  if (claimedUserId && claimedUserId.toString() !== req.user.id.toString()) {
+    return res.status(403).json({ message: 'You are not allowed to access this resource' });
+  }
+
+  next();
+};
+
+// Make sure the order in the URL belongs to the logged in user
+const verifyOrderOwner = async (req, res, next) => {
+  try {
+    const orderId = req.params.id || req.params.orderId;
+
+    const order = await Order.exists({ _id: orderId, userId: req.user.id });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Order ownership check error:', error);
+    res.status(400).json({ message: 'Invalid order ID' });
+  }
+};
+
+module.exports = { verifyAccessToken, verifyOwnership, verifyOrderOwner };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKeySchema');
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+// Optional Idempotency-Key support for customer routes; must run after verifyAccessToken.
+// The first response for a key is stored and replayed for repeats within the TTL
+// (IDEMPOTENCY_KEY_TTL_HOURS, default 24). Server errors are not stored so the request can be retried.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.route.path}`;
+  const requestHash = hashRequest(req.body);
+  const ttlHours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      userId: req.user.id,
+      route,
+      requestHash,
+      expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Error storing idempotency key:', error);
+      return res.status(500).json({ message: 'Internal server error' });
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, userId: req.user.id, route });
+    if (!existing || existing.expiresAt < new Date()) {
+      // Expired but not yet swept by MongoDB: start over with a fresh record
+      await IdempotencyKey.deleteOne({ key, userId: req.user.id, route });
+      return idempotent(req, res, next);
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({ message: 'This Idempotency-Key was already used for a different request' });
+    }
+
+    if (existing.status === 'processing') {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the response before it goes out, so a retry that races the reply still gets a replay
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const save = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        // Stored exactly as the client receives it
+        { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) } }
+      );
+
+    save
+      .catch((error) => console.error('Error saving idempotent response:', error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  return next();
+};
+
+module.exports = { idempotent };
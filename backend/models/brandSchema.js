@@ -6,6 +6,16 @@ const brandSchema = new mongoose.Schema({
         required:true,
         trim:true,
     },
+    // Kept by utils/slugUtils from the name. Slugs the brand had before still lead to it
+    slug:{
+        type:String,
+        unique:true,
+        sparse:true,
+    },
+    previousSlugs:{
+        type:[String],
+        index:true,
+    },
     status:{
         type:String,
         enum:['active','blocked'],
@@ -1,5 +1,40 @@
 const mongoose = require('mongoose');
 
+// One attribute products in the category can have. Variant-defining attributes are set per
+// variant (e.g. RAM); the rest are product specifications (e.g. screen size)
+const attributeDefinitionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'boolean', 'select'],
+      default: 'text',
+    },
+    unit: {
+      type: String,
+      trim: true,
+    },
+    allowedValues: [String],
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    filterable: {
+      type: Boolean,
+      default: false,
+    },
+    variantDefining: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
 const categorySchema = new mongoose.Schema(
   {
     name: {
@@ -12,6 +47,16 @@ const categorySchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // Kept by utils/slugUtils from the name. Slugs the category had before still lead to it
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    previousSlugs: {
+      type: [String],
+      index: true,
+    },
     status: {
       type: String,
       enum: ['active', 'inactive'],
@@ -21,9 +66,34 @@ const categorySchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Offer',
       required: false
-  }  
+  },
+    // Hierarchy, kept in step by utils/categoryTreeUtils: the parent (null at the top level),
+    // every ancestor from the root down, the names joined as "Laptops > Gaming Laptops", and depth
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    }],
+    path: {
+      type: String,
+      trim: true,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Checked by utils/attributeSchemaUtils when products are saved; subcategories inherit them
+    attributes: [attributeDefinitionSchema],
   },
   { timestamps: true } 
 );
 
+categorySchema.index({ parentId: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
 module.exports = mongoose.models.Category || mongoose.model('Category', categorySchema);
\ No newline at end of file
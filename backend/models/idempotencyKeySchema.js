@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// First response sent for a client-supplied Idempotency-Key, replayed for repeats of the same request
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Method and route the key was first used on, e.g. "POST /user/place-order"
+  route: {
+    type: String,
+    required: true,
+  },
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  // MongoDB drops the document once this passes
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ userId: 1, route: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', idempotencyKeySchema);
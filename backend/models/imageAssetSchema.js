@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One size of an uploaded image in one format
+const renditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['large', 'medium', 'thumbnail'],
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: ['jpeg', 'png', 'webp'],
+    required: true,
+  },
+  width: Number,
+  height: Number,
+  size: Number,
+  // Where the storage adapter keeps it, so it can be removed again
+  key: {
+    type: String,
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+// An image uploaded through the server, stored as resized renditions
+const imageAssetSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['local', 'cloudinary', 's3'],
+    required: true,
+  },
+  originalName: String,
+  // The upload as received
+  format: String,
+  width: Number,
+  height: Number,
+  size: Number,
+  alt: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  renditions: [renditionSchema],
+  // The large and thumbnail renditions in JPEG or PNG, for places that take a single URL
+  url: {
+    type: String,
+    required: true,
+  },
+  thumbnailUrl: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.models.ImageAsset || mongoose.model('ImageAsset', imageAssetSchema);
@@ -31,6 +31,18 @@ const orderSchema = new mongoose.Schema({
         required: true,
         min: 0,
       },
+      originalPrice: {
+        type: Number,
+        min: 0,
+      },
+      offer: {
+        offerId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Offer',
+        },
+        name: String,
+        discountPercent: Number,
+      },
       variant: {
         name: String,
         price: Number,
@@ -41,6 +53,35 @@ const orderSchema = new mongoose.Schema({
           },
         ],
       },
+      status: {
+        type: String,
+        enum: ['Active', 'Partially Cancelled', 'Cancelled', 'Partially Returned', 'Returned'],
+        default: 'Active',
+      },
+      cancelledQuantity: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      returnedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      cancellationReason: String,
+      returnDetails: {
+        reason: {
+          type: String,
+          enum: ['Wrong Item', 'Defective Product', 'Not as Described', 'Other'],
+        },
+        description: String,
+        returnDate: Date,
+      },
     },
   ],
   shippingAddress: {
@@ -72,7 +113,7 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['Pending', 'Completed', 'Failed'],
+    enum: ['Pending', 'Completed', 'Failed', 'Refunded'],
     default: 'Pending',
   },
   razorpay: {
@@ -126,6 +167,25 @@ const orderSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   }, 
+  statusHistory: [
+    {
+      status: {
+        type: String,
+        required: true,
+      },
+      previousStatus: String,
+      actor: {
+        type: String,
+        enum: ['admin', 'customer', 'system'],
+        default: 'system',
+      },
+      note: String,
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   returnDetails: {
     reason: {
       type: String,
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One per Razorpay order the store opens, written before the customer is sent to pay, so a
+// payment can be matched to what it was for even if the browser never comes back. A fresh
+// checkout keeps the order to create, priced on the server; a payment retry names its order
+const paymentIntentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  razorpayOrderId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // What the payment must come to, in rupees
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Fields of the order a fresh checkout becomes once paid
+  orderData: mongoose.Schema.Types.Mixed,
+  // The order the payment is for: the retried order, or the one the checkout became
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  // Created: a payment may still arrive. Paid: settled. Failed: closed, any payment refunded
+  status: {
+    type: String,
+    enum: ['Created', 'Paid', 'Failed'],
+    default: 'Created',
+  },
+  paymentId: String,
+  failureReason: String,
+}, { timestamps: true });
+
+module.exports = mongoose.models.PaymentIntent || mongoose.model('PaymentIntent', paymentIntentSchema);
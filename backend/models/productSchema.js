@@ -11,6 +11,16 @@ const productSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // Kept by utils/slugUtils from the title. Slugs the product had before still lead to it
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+    previousSlugs: {
+        type: [String],
+        index: true,
+    },
     price: {
         type: Number,
         required: true
@@ -31,6 +41,27 @@ const productSchema = new mongoose.Schema({
         type: [String],
         required: true
     },
+    // The same images in the same order, with alt text and, for uploads, the asset they come from.
+    // productImage is kept as their URLs for everything that only needs those
+    images: [
+        {
+            assetId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'ImageAsset',
+            },
+            url: {
+                type: String,
+                required: true,
+            },
+            thumbnailUrl: String,
+            alt: {
+                type: String,
+                trim: true,
+                default: '',
+            },
+            _id: false,
+        },
+    ],
     status: {
         type: String,
         enum: ['active', 'inactive'],
@@ -68,8 +99,55 @@ const productSchema = new mongoose.Schema({
             availableQuantity: {
                 type: Number,
             },
+            // Overrides the product's lowStockThreshold for this variant
+            lowStockThreshold: {
+                type: Number,
+                min: 0,
+            },
         },
     ],
+    // A variant is low on stock once it falls below this; unset falls back to LOW_STOCK_THRESHOLD
+    lowStockThreshold: {
+        type: Number,
+        min: 0,
+    },
+    // Kept in step with the product's approved reviews
+    averageRating: {
+        type: Number,
+        default: 0,
+    },
+    reviewCount: {
+        type: Number,
+        default: 0,
+    },
+    // Refreshed by the popularity job from recent delivered sales, views and wishlist adds
+    popularityScore: {
+        type: Number,
+        default: 0,
+    },
+    // Units delivered within the popularity window
+    unitsSold: {
+        type: Number,
+        default: 0,
+    },
+    isBestSeller: {
+        type: Boolean,
+        default: false,
+    },
+    popularityUpdatedAt: Date,
+    // Words from the product, its brand and category, kept by refreshSearchIndex; never sent to clients
+    searchIndex: {
+        type: new mongoose.Schema({
+            title: [String],
+            brand: [String],
+            category: [String],
+            attributes: [String],
+            specifications: [String],
+            description: [String],
+            terms: [String],
+        }, { _id: false }),
+        select: false,
+    },
     specifications: {
         type: Map,
         of: mongoose.Schema.Types.Mixed, 
@@ -77,4 +155,7 @@ const productSchema = new mongoose.Schema({
     },
 }, { timestamps: true });
 
+productSchema.index({ status: 1, popularityScore: -1 });
+productSchema.index({ status: 1, 'searchIndex.terms': 1 });
+
 module.exports = mongoose.models.Product || mongoose.model('Product', productSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Storefront views are only ever read recency-weighted, so older buckets are dropped
+const VIEW_RETENTION_DAYS = 90;
+
+// Product page views, one document per product per day
+const productViewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  day: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+productViewSchema.index({ productId: 1, day: 1 }, { unique: true });
+productViewSchema.index({ day: 1 }, { expireAfterSeconds: VIEW_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.ProductView || mongoose.model('ProductView', productViewSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// How long a repeat view of the same product by the same viewer counts as one
+const VIEW_DEDUPE_MINUTES = 30;
+
+// Who viewed a product lately, so a reload (or a script hitting the endpoint) adds one view,
+// not one per request. Entries drop out on their own once the window has passed
+const recentViewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Hash of the signed-in user's id, or of the address of an anonymous viewer
+  viewerKey: {
+    type: String,
+    required: true,
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+recentViewSchema.index({ productId: 1, viewerKey: 1 }, { unique: true });
+recentViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: VIEW_DEDUPE_MINUTES * 60 });
+
+module.exports = mongoose.models.RecentView || mongoose.model('RecentView', recentViewSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One document per refund issued against an order, whichever way the money goes back
+const refundSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  returnRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // 'original' goes back through Razorpay, 'wallet' is credited to the SpectraX wallet
+  method: {
+    type: String,
+    enum: ['original', 'wallet'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Processed', 'Failed'],
+    default: 'Pending',
+  },
+  gatewayRefundId: {
+    type: String,
+    index: true,
+    sparse: true,
+  },
+  walletTransactionId: String,
+  reason: String,
+  failureReason: String,
+  processedAt: Date,
+}, { timestamps: true });
+
+module.exports = mongoose.models.Refund || mongoose.model('Refund', refundSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = ['Wrong Item', 'Defective Product', 'Not as Described', 'Other'];
+const RETURN_STATUSES = ['Requested', 'Approved', 'Rejected', 'Picked Up', 'Received', 'Refunded'];
+
+// A customer's request to send back some or all units of a delivered order
+const returnRequestSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  items: [
+    {
+      // _id of the line in order.products
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+      },
+      variantId: {
+        type: String,
+        required: true,
+      },
+      name: String,
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+      },
+    },
+  ],
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true,
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  photos: {
+    type: [String],
+    validate: {
+      validator: (photos) => photos.length <= 5 && photos.every((url) => /^https?:\/\//.test(url)),
+      message: 'Up to 5 photo links starting with http:// or https:// are allowed',
+    },
+  },
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'Requested',
+  },
+  // Share of the order total owed back, worked out when the items are received
+  refundAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Where the customer asked for the money to go; store policy applies when unset
+  refundMethod: {
+    type: String,
+    enum: ['original', 'wallet'],
+  },
+  adminNote: String,
+  statusHistory: [
+    {
+      status: {
+        type: String,
+        enum: RETURN_STATUSES,
+        required: true,
+      },
+      actor: {
+        type: String,
+        enum: ['admin', 'customer', 'system'],
+        default: 'system',
+      },
+      note: String,
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+}, { timestamps: true });
+
+module.exports = mongoose.models.ReturnRequest || mongoose.model('ReturnRequest', returnRequestSchema);
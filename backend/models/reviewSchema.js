@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One review per customer and product. Only Approved reviews are shown and counted in the product's rating
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars',
+    },
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+  },
+  // Set when the customer has a delivered order containing the product
+  verifiedPurchase: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ['Approved', 'Hidden'],
+    default: 'Approved',
+  },
+  moderationNote: String,
+  moderatedAt: Date,
+}, { timestamps: true });
+
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Review || mongoose.model('Review', reviewSchema);
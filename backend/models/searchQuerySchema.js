@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const QUERY_RETENTION_DAYS = 90;
+
+// Storefront searches, one document per normalised query per day
+const searchQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+  },
+  day: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Searches for the query that found nothing
+  zeroResultCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  lastSearchedAt: Date,
+  lastZeroResultAt: Date,
+});
+
+searchQuerySchema.index({ query: 1, day: 1 }, { unique: true });
+searchQuerySchema.index({ day: 1 }, { expireAfterSeconds: QUERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.SearchQuery || mongoose.model('SearchQuery', searchQuerySchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Raised when a sale takes a variant below its low-stock threshold. It is written in the same
+// transaction as the sale, and admins are emailed about it once the sale has gone through
+const stockAlertSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  productTitle: String,
+  sku: String,
+  type: {
+    type: String,
+    enum: ['low_stock', 'out_of_stock'],
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  threshold: Number,
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  // Unset until the admin email has gone out
+  notifiedAt: Date,
+}, { timestamps: true });
+
+stockAlertSchema.index({ notifiedAt: 1, createdAt: 1 });
+
+module.exports = mongoose.models.StockAlert || mongoose.model('StockAlert', stockAlertSchema);
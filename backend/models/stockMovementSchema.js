@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One ledger entry per change to a variant's availableQuantity, so every stock level can be explained
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  sku: String,
+  // Positive when stock comes in, negative when it goes out
+  delta: {
+    type: Number,
+    required: true,
+  },
+  quantityAfter: Number,
+  reason: {
+    type: String,
+    enum: ['sale', 'cancel', 'return', 'manual_adjustment', 'import'],
+    required: true,
+  },
+  // The document that caused the movement: the order, return request or the product itself for admin edits
+  referenceType: {
+    type: String,
+    enum: ['Order', 'ReturnRequest', 'Product'],
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceType',
+  },
+  actor: {
+    type: String,
+    enum: ['customer', 'admin', 'system'],
+    default: 'system',
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  note: String,
+}, { timestamps: true });
+
+stockMovementSchema.index({ variantId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.StockMovement || mongoose.model('StockMovement', stockMovementSchema);
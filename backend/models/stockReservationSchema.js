@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Units held for a customer while they pay online, so nobody else can buy them in the meantime
+const stockReservationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Set for a fresh checkout; a payment retry holds stock for an existing order instead
+  razorpayOrderId: {
+    type: String,
+    index: true,
+    sparse: true,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  }],
+  // Active holds count against stock until they expire; Converted holds became a sale
+  status: {
+    type: String,
+    enum: ['Active', 'Converted', 'Released', 'Expired'],
+    default: 'Active',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  releaseReason: String,
+}, { timestamps: true });
+
+stockReservationSchema.index({ 'items.variantId': 1, status: 1, expiresAt: 1 });
+
+module.exports = mongoose.models.StockReservation || mongoose.model('StockReservation', stockReservationSchema);
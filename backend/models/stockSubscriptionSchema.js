@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A customer waiting for an out-of-stock variant. Restocking stamps restockedAt; the customer
+// is then emailed once and the subscription is closed as Notified
+const stockSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Notified'],
+    default: 'Active',
+  },
+  restockedAt: Date,
+  notifiedAt: Date,
+}, { timestamps: true });
+
+// One open subscription per customer and variant
+stockSubscriptionSchema.index(
+  { userId: 1, variantId: 1 },
+  { unique: true, partialFilterExpression: { status: 'Active' } }
+);
+stockSubscriptionSchema.index({ variantId: 1, status: 1 });
+
+module.exports = mongoose.models.StockSubscription || mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAYMENT_RETRY_WINDOW_MINUTES = 60;
+
+// Store-wide settings admins can change at runtime; there is a single document with key 'store'
+const storeSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'store',
+    unique: true,
+  },
+  // How long an unpaid online order may wait for payment before it is cancelled
+  paymentRetryWindowMinutes: {
+    type: Number,
+    min: 5,
+    max: 7 * 24 * 60,
+    default: () => Number(process.env.PAYMENT_RETRY_WINDOW_MINUTES) || DEFAULT_PAYMENT_RETRY_WINDOW_MINUTES,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.models.StoreSettings || mongoose.model('StoreSettings', storeSettingsSchema);
@@ -5,7 +5,9 @@ const walletSchema = new mongoose.Schema({
     userId: {
         type: Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: true,
+        // One wallet per customer, so concurrent first credits can't each create one
+        unique: true
     },
     balance: {
         type: Number,
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One document per processed webhook delivery, so retries of the same event are ignored
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ['razorpay'],
+        required: true,
+    },
+    eventId: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    event: {
+        type: String,
+        required: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+}, {
+    timestamps: true,
+});
+
+module.exports = mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', webhookEventSchema);
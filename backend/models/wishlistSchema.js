@@ -14,6 +14,10 @@ const WishlistSchema = new mongoose.Schema({
         variantId:{
             type:Schema.Types.ObjectId,
             required:true
+        },
+        addedAt:{
+            type:Date,
+            default:Date.now
         }
     }],
     createdOn:{
@@ -5,10 +5,18 @@ const adminRoutes = express.Router();
 const { adminLogin, logoutAdmin, fetchAllUsers } = require('../controller/adminController');
 const { verifyAdmin } = require('../middleware/verifyAdmin');
 const { addProduct, showProducts, editProduct, showProductById, toggleProductStatus,showProductsIsActive, showProductsIsActiveOffer } = require('../controller/productController');
-const { addCategory, getAllCategories, editCategory, toggleCategoryStatus, getAllCategoriesIsactive } = require('../controller/categoryController');
+const { addCategory, getAllCategories, editCategory, toggleCategoryStatus, getAllCategoriesIsactive, moveCategory, getCategoryTree, getCategoryAttributes, updateCategoryAttributes } = require('../controller/categoryController');
 const { updateUserStatus } = require('../controller/userController');
 const { addBrand, getAllBrand, toggleBrandStatus, updateBrandName, getallIsactiveBrands } = require('../controller/brandController');
 const { fetchOrders, getallorders, orderStatusUpdate } = require('../controller/orderController');
+const { getReturnRequests, updateReturnStatus } = require('../controller/returnController');
+const { getPaymentRetryWindow, updatePaymentRetryWindow } = require('../controller/settingsController');
+const { getVariantStockMovements, getLowStockReport } = require('../controller/stockController');
+const { importProducts, exportProducts } = require('../controller/productImportController');
+const { IMPORT_CONTENT_TYPES } = require('../utils/productImportUtils');
+const { uploadImage } = require('../controller/imageController');
+const { getAllReviews, moderateReview } = require('../controller/reviewController');
+const { getZeroResultSearches } = require('../controller/searchController');
 const { addCoupon, allCoupons, updateCoupon, removeCoupon } = require('../controller/CouponController');
 const { addOffer, allOffers, deleteOffers, updateOffer, fetchOfferById } = require('../controller/offerController');
 const { salesReport, getSalesAnalytics } = require('../controller/salesController');
@@ -30,6 +38,22 @@ adminRoutes.get('/showproductsIsActive', verifyRoute, showProductsIsActive);
 adminRoutes.get('/showproductsIsActiveOffer', verifyRoute, showProductsIsActiveOffer);
 adminRoutes.put('/product/:id', verifyRoute, editProduct);
 adminRoutes.patch('/toggleProductStatus/:id', verifyRoute, toggleProductStatus);
+adminRoutes.get('/products/export', verifyRoute, exportProducts);
+// The CSV or XLSX file is the request body itself
+adminRoutes.post('/products/import', verifyRoute, express.raw({ type: IMPORT_CONTENT_TYPES, limit: '10mb' }), importProducts);
+// The image is the request body itself; its size is checked once it has arrived
+adminRoutes.post('/images', verifyRoute, express.raw({ type: 'image/*', limit: '10mb' }), uploadImage);
+
+// ------------------ Inventory Routes ------------------
+adminRoutes.get('/product/:id/variants/:variantId/stock-movements', verifyRoute, getVariantStockMovements);
+adminRoutes.get('/inventory/low-stock', verifyRoute, getLowStockReport);
+
+// ------------------ Review Moderation Routes ------------------
+adminRoutes.get('/reviews', verifyRoute, getAllReviews);
+adminRoutes.patch('/reviews/:id/moderation', verifyRoute, moderateReview);
+
+// ------------------ Search Insights Routes ------------------
+adminRoutes.get('/search/zero-results', verifyRoute, getZeroResultSearches);
 
 // ------------------ Category Management Routes ------------------
 adminRoutes.post('/category', verifyRoute, addCategory);
@@ -37,6 +61,10 @@ adminRoutes.get('/getallcategory', verifyRoute, getAllCategories);
 adminRoutes.get('/getallcategoryIsactive', verifyRoute, getAllCategoriesIsactive);
 adminRoutes.put('/editcategory/:id', verifyRoute, editCategory);
 adminRoutes.patch('/toggleCategoryStatus/:id', verifyRoute, toggleCategoryStatus);
+adminRoutes.get('/categories/tree', verifyRoute, getCategoryTree);
+adminRoutes.patch('/categories/:id/parent', verifyRoute, moveCategory);
+adminRoutes.get('/categories/:id/attributes', verifyRoute, getCategoryAttributes);
+adminRoutes.put('/categories/:id/attributes', verifyRoute, updateCategoryAttributes);
 
 // ------------------ Brand Management Routes ------------------
 adminRoutes.post('/addbrand', verifyRoute, addBrand);
@@ -49,6 +77,14 @@ adminRoutes.patch('/updateBrandName/:id', verifyRoute, updateBrandName);
 adminRoutes.get('/orders', verifyRoute, getallorders);
 adminRoutes.post('/order/status/:id', verifyRoute, orderStatusUpdate);
 
+// ------------------ Return Request Routes ------------------
+adminRoutes.get('/returns', verifyRoute, getReturnRequests);
+adminRoutes.post('/returns/:id/status', verifyRoute, updateReturnStatus);
+
+// ------------------ Store Settings Routes ------------------
+adminRoutes.get('/settings/payment-retry', verifyRoute, getPaymentRetryWindow);
+adminRoutes.put('/settings/payment-retry', verifyRoute, updatePaymentRetryWindow);
+
 // ------------------ Coupon Management Routes ------------------
 adminRoutes.post('/Coupon/Add', verifyRoute, addCoupon);
 adminRoutes.get('/Coupon/fetch', verifyRoute, allCoupons);
@@ -0,0 +1,9 @@
+const express = require('express');
+const paymentRoutes = express.Router();
+const { razorpayWebhook } = require('../controller/paymentController');
+
+// ------------------ Payment Gateway Webhooks ------------------
+// Signature checks need the exact bytes Razorpay sent, so this body stays raw
+paymentRoutes.post('/razorpay/webhook', express.raw({ type: 'application/json' }), razorpayWebhook);
+
+module.exports = paymentRoutes;
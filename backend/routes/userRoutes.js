@@ -1,17 +1,23 @@
 const express = require("express");
 const userRoutes = express.Router();
 const {signup,login,verifyOtp,resendOtp, googleAuth,refreshAccessToken,forgotPassword,forgotPasswordVerifyOtp, logoutUser, resetPassword, upadateProfile, userProfile, updatePassword} = require('../controller/userController')
-const { verifyAccessToken } = require('../middleware/authMiddleware');
-const { showProducts, showProductById, productsByCategory, showProductsIsActive, filteredProduct, searchProducts } = require("../controller/productController");
-const { showBrandbyId } = require("../controller/brandController");
+const { verifyAccessToken, verifyOwnership, verifyOrderOwner } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
+const { showProducts, showProductById, showProductBySlug, productsByCategory, showProductsIsActive, filteredProduct, searchProducts, showFeaturedProducts, recordView } = require("../controller/productController");
+const { showBrandbyId, getBrandBySlug } = require("../controller/brandController");
 const { addAddress, fetchAddress , updateAddressStatus, updateAddress, fetchAddressById} = require("../controller/addressController");
 const { AddCart, CartDetails, UpdateQuantity, RemoveItem } = require("../controller/cartController");
-const { getAllCategoriesIsactive } = require("../controller/categoryController");
+const { getAllCategoriesIsactive, getActiveCategoryTree, getCategoryBySlug } = require("../controller/categoryController");
 const { getallIsactiveBrands } = require("../controller/brandController");
-const { placeOrder, fetchOrders, orderById, orderStatusUpdate, verifyRazorpayPayment, createRazorpayOrder, refundOrders, returnOrderStatusUpdate, placeWalletOrder } = require("../controller/orderController");
+const { placeOrder, fetchOrders, orderById, orderStatusUpdate, verifyRazorpayPayment, createRazorpayOrder, refundOrders, placeWalletOrder, cancelOrderItem, fetchOrderRefunds } = require("../controller/orderController");
+const { createReturnRequest, fetchOrderReturns } = require("../controller/returnController");
+const { getPaymentRetryWindow } = require("../controller/settingsController");
 const { validateCoupon } = require("../controller/CouponController");
 const { addToWishlist, getWishlist, removeFromWishlist } = require("../controller/wishlistController");
 const { getWallet } = require("../controller/walletController");
+const { getProductReviews, getMyReview, createReview, updateReview, deleteReview } = require("../controller/reviewController");
+const { subscribeToVariant, getStockSubscriptions, removeStockSubscription } = require("../controller/stockSubscriptionController");
+const { getSearchSuggestions } = require("../controller/searchController");
 const { fetchOfferById , fetchOfferOfCategory} = require("../controller/offerController");
 // const { verifyUser } = require("../middleware/userAuth");
 
@@ -39,59 +45,83 @@ userRoutes.post('/verifytoken', verifyAccessToken, (req, res) => {
 userRoutes.get('/showproductsisActive', showProductsIsActive);
 userRoutes.get('/showproducts', showProducts);
 userRoutes.get('/showProductsById/:id', showProductById);
+userRoutes.get('/products/slug/:slug', showProductBySlug);
+userRoutes.get('/products/featured', showFeaturedProducts);
+userRoutes.post('/products/:id/views', recordView);
 userRoutes.get('/productsByCategory/:id', productsByCategory);
 userRoutes.get('/filterProduct', filteredProduct);
 
+// ------------------ Review Routes ------------------
+userRoutes.get('/products/:id/reviews', getProductReviews);
+userRoutes.get('/products/:id/reviews/mine', verifyAccessToken, getMyReview);
+userRoutes.post('/products/:id/reviews', verifyAccessToken, createReview);
+userRoutes.put('/reviews/:id', verifyAccessToken, updateReview);
+userRoutes.delete('/reviews/:id', verifyAccessToken, deleteReview);
+
 // ------------------ Brand Routes ------------------
 userRoutes.get('/showBrandbyId/:id', showBrandbyId);
+userRoutes.get('/brands/slug/:slug', getBrandBySlug);
 userRoutes.get('/Brand/active', getallIsactiveBrands);
 
 // ------------------ Category Routes ------------------
 userRoutes.get('/category/active', getAllCategoriesIsactive);
+userRoutes.get('/categories/tree', getActiveCategoryTree);
+userRoutes.get('/categories/slug/:slug', getCategoryBySlug);
 
 // ------------------ User Profile and Account Routes ------------------
-userRoutes.post('/updateProfile', upadateProfile);
-userRoutes.get('/User/Details/:id', userProfile);
-userRoutes.put('/User/Password', updatePassword);
+userRoutes.post('/updateProfile', verifyAccessToken, verifyOwnership, upadateProfile);
+userRoutes.get('/User/Details/:userId', verifyAccessToken, verifyOwnership, userProfile);
+userRoutes.put('/User/Password', verifyAccessToken, verifyOwnership, updatePassword);
 
 // ------------------ Address Management Routes ------------------
-userRoutes.post('/addAddress', addAddress);
-userRoutes.get('/User/Address/:id', fetchAddress);
-userRoutes.put('/address/:id/status', updateAddressStatus);
-userRoutes.put('/User/Address/:id', updateAddress);
-userRoutes.get('/fetch/Address/:id', fetchAddressById);
+userRoutes.post('/addAddress', verifyAccessToken, verifyOwnership, addAddress);
+userRoutes.get('/User/Address/:userId', verifyAccessToken, verifyOwnership, fetchAddress);
+userRoutes.put('/address/:id/status', verifyAccessToken, verifyOwnership, updateAddressStatus);
+userRoutes.put('/User/Address/:id', verifyAccessToken, verifyOwnership, updateAddress);
+userRoutes.get('/fetch/Address/:id', verifyAccessToken, verifyOwnership, fetchAddressById);
 
 // ------------------ Cart Management Routes ------------------
-userRoutes.post('/Cart', AddCart);
-userRoutes.post('/cart/details', CartDetails);
-userRoutes.patch('/cart/update-quantity', UpdateQuantity);
-userRoutes.delete('/cart/remove-item/:id', RemoveItem);
+userRoutes.post('/Cart', verifyAccessToken, verifyOwnership, AddCart);
+userRoutes.post('/cart/details', verifyAccessToken, verifyOwnership, CartDetails);
+userRoutes.patch('/cart/update-quantity', verifyAccessToken, verifyOwnership, UpdateQuantity);
+userRoutes.delete('/cart/remove-item/:id', verifyAccessToken, verifyOwnership, RemoveItem);
 
 // ------------------ Order Management Routes ------------------
-userRoutes.post('/place-order', placeOrder);
-userRoutes.get('/fetch/orders/:id', fetchOrders);
-userRoutes.get('/fetch/order-details/:id', orderById);
-userRoutes.post('/update/order-status/:id', orderStatusUpdate);
-userRoutes.post('/create-razorpay-order', createRazorpayOrder);
-userRoutes.post('/verify-payment', verifyRazorpayPayment);
-userRoutes.post('/refund-order/:orderId',refundOrders)
-userRoutes.post('/order/status/:id', orderStatusUpdate);
-userRoutes.post('/order/return/:id',returnOrderStatusUpdate)
+userRoutes.post('/place-order', verifyAccessToken, verifyOwnership, idempotent, placeOrder);
+userRoutes.get('/fetch/orders/:userId', verifyAccessToken, verifyOwnership, fetchOrders);
+userRoutes.get('/fetch/order-details/:id', verifyAccessToken, verifyOrderOwner, orderById);
+userRoutes.post('/update/order-status/:id', verifyAccessToken, verifyOrderOwner, orderStatusUpdate);
+userRoutes.post('/create-razorpay-order', verifyAccessToken, createRazorpayOrder);
+userRoutes.post('/verify-payment', verifyAccessToken, idempotent, verifyRazorpayPayment);
+userRoutes.post('/refund-order/:orderId', verifyAccessToken, verifyOrderOwner, refundOrders)
+userRoutes.get('/order/:id/refunds', verifyAccessToken, verifyOrderOwner, fetchOrderRefunds);
+userRoutes.get('/settings/payment-retry', verifyAccessToken, getPaymentRetryWindow);
+userRoutes.post('/order/status/:id', verifyAccessToken, verifyOrderOwner, orderStatusUpdate);
+userRoutes.post('/order/:id/items/:itemId/cancel', verifyAccessToken, verifyOrderOwner, cancelOrderItem);
+
+// ------------------ Return Request Routes ------------------
+userRoutes.post('/order/:id/returns', verifyAccessToken, verifyOrderOwner, createReturnRequest);
+userRoutes.get('/order/:id/returns', verifyAccessToken, verifyOrderOwner, fetchOrderReturns);
 
 
 
 // ------------------ Coupon Management Routes ------------------
-userRoutes.post('/validate-coupon', validateCoupon);
+userRoutes.post('/validate-coupon', verifyAccessToken, validateCoupon);
 
 
 // ------------------Wishlist Management Routes ------------------
-userRoutes.post('/add/wishlist',addToWishlist);
-userRoutes.post('/remove/wishlist', removeFromWishlist);
-userRoutes.get('/wishlist/:userId', getWishlist);
+userRoutes.post('/add/wishlist', verifyAccessToken, verifyOwnership, addToWishlist);
+userRoutes.post('/remove/wishlist', verifyAccessToken, verifyOwnership, removeFromWishlist);
+userRoutes.get('/wishlist/:userId', verifyAccessToken, verifyOwnership, getWishlist);
+
+// ------------------Back In Stock Routes ------------------
+userRoutes.post('/stock-subscriptions', verifyAccessToken, subscribeToVariant);
+userRoutes.get('/stock-subscriptions', verifyAccessToken, getStockSubscriptions);
+userRoutes.delete('/stock-subscriptions/:id', verifyAccessToken, removeStockSubscription);
 
 // ------------------Wallet Management Routes ------------------
-userRoutes.get('/Wallet/:userId',getWallet);
-userRoutes.post('/wallet-payment',placeWalletOrder);
+userRoutes.get('/Wallet/:userId', verifyAccessToken, verifyOwnership, getWallet);
+userRoutes.post('/wallet-payment', verifyAccessToken, verifyOwnership, idempotent, placeWalletOrder);
 
 // ------------------Offer Management Routes ------------------
 userRoutes.get('/Offer/fetch/:id',fetchOfferById)
@@ -99,6 +129,7 @@ userRoutes.get('/Offer/category/:id',fetchOfferOfCategory)
 
 // ------------------Search Management Routes ------------------
 userRoutes.get('/search/products',searchProducts)
+userRoutes.get('/search/suggestions', getSearchSuggestions);
 
 
 module.exports = userRoutes;
@@ -0,0 +1,97 @@
+// Replays a recorded Razorpay webhook (samples/razorpay/<event>.json) against a running server,
+// signed with RAZORPAY_WEBHOOK_SECRET the way Razorpay signs it.
+//
+//   npm run replay-webhook -- payment.captured --order order_X --payment pay_X --amount 49900
+//
+// --order, --payment, --refund and --amount (paise) point the sample at a real checkout.
+// --event-id repeats a delivery to check it is only processed once. Every replay also sends
+// the payload with a bad signature, which the server must refuse. WEBHOOK_URL defaults to
+// the local server. Exits non-zero if any check fails
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLES_DIR = path.join(__dirname, '..', 'samples', 'razorpay');
+
+const parseArgs = (argv) => {
+  const [event, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    options[rest[i].replace(/^--/, '')] = rest[i + 1];
+  }
+  return { event, options };
+};
+
+// Point the sample's payment and refund at the ids given on the command line
+const applyOverrides = (body, { order, payment, refund, amount }) => {
+  const paymentEntity = body.payload.payment?.entity;
+  const refundEntity = body.payload.refund?.entity;
+
+  if (paymentEntity) {
+    if (order) paymentEntity.order_id = order;
+    if (payment) paymentEntity.id = payment;
+    if (amount && !refundEntity) paymentEntity.amount = Number(amount);
+  }
+  if (refundEntity) {
+    if (payment) refundEntity.payment_id = payment;
+    if (refund) refundEntity.id = refund;
+    if (amount) refundEntity.amount = Number(amount);
+  }
+  return body;
+};
+
+const send = async (url, rawBody, signature, eventId) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signature,
+      'X-Razorpay-Event-Id': eventId,
+    },
+    body: rawBody,
+  });
+  return { status: response.status, body: await response.text() };
+};
+
+const main = async () => {
+  const { event, options } = parseArgs(process.argv.slice(2));
+  const samples = fs.readdirSync(SAMPLES_DIR).map((file) => path.basename(file, '.json'));
+
+  if (!samples.includes(event)) {
+    console.error(`Usage: replayRazorpayWebhook.js <${samples.join('|')}> [--order id] [--payment id] [--refund id] [--amount paise] [--event-id id]`);
+    process.exit(1);
+  }
+
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('RAZORPAY_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 4000}/payments/razorpay/webhook`;
+  const sample = JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, `${event}.json`), 'utf8'));
+  const rawBody = JSON.stringify(applyOverrides(sample, options));
+  const signature = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const eventId = options['event-id'] || `evt_replay_${crypto.randomBytes(7).toString('hex')}`;
+
+  const checks = [
+    { name: 'signed delivery is accepted', expected: 200, result: await send(url, rawBody, signature, eventId) },
+    { name: 'bad signature is refused', expected: 400, result: await send(url, rawBody, signature.replace(/.$/, (c) => (c === '0' ? '1' : '0')), eventId) },
+  ];
+
+  let failed = false;
+  for (const { name, expected, result } of checks) {
+    const passed = result.status === expected;
+    failed = failed || !passed;
+    console.log(`${passed ? 'PASS' : 'FAIL'} ${name}: ${result.status} ${result.body}`);
+  }
+  console.log(`Event ${event} sent as ${eventId}`);
+
+  process.exit(failed ? 1 : 0);
+};
+
+main().catch((error) => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
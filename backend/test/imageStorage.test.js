@@ -0,0 +1,133 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { v2: cloudinary } = require('cloudinary');
+const { createImageStorage } = require('../utils/imageStorage');
+
+const STORAGE_ENV = [
+  'UPLOAD_DIR', 'UPLOAD_BASE_URL',
+  'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY', 'S3_REGION', 'S3_ENDPOINT', 'S3_PUBLIC_URL',
+  'CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET',
+];
+
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(STORAGE_ENV.map((name) => [name, process.env[name]]));
+  STORAGE_ENV.forEach((name) => delete process.env[name]);
+});
+
+afterEach(() => {
+  Object.entries(savedEnv).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+});
+
+test('the local adapter writes files under UPLOAD_DIR and serves them from UPLOAD_BASE_URL', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrax-uploads-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  process.env.UPLOAD_DIR = dir;
+  process.env.UPLOAD_BASE_URL = 'http://localhost:4000/uploads/';
+  const storage = createImageStorage('local');
+
+  const url = await storage.put('products/abc/large.webp', Buffer.from('image bytes'), 'image/webp');
+
+  assert.equal(storage.name, 'local');
+  assert.equal(url, 'http://localhost:4000/uploads/products/abc/large.webp');
+  assert.equal(await fs.readFile(path.join(dir, 'products', 'abc', 'large.webp'), 'utf8'), 'image bytes');
+
+  await storage.remove('products/abc/large.webp');
+  await assert.rejects(fs.access(path.join(dir, 'products', 'abc', 'large.webp')));
+  // Removing what is already gone is not an error
+  await storage.remove('products/abc/large.webp');
+});
+
+test('the S3 adapter puts and deletes objects path-style on a compatible endpoint', async (t) => {
+  Object.assign(process.env, {
+    S3_BUCKET: 'spectrax',
+    S3_ACCESS_KEY_ID: 'key',
+    S3_SECRET_ACCESS_KEY: 'secret',
+    S3_ENDPOINT: 'http://minio.local:9000/',
+  });
+  const sent = [];
+  t.mock.method(S3Client.prototype, 'send', async function send(command) {
+    sent.push({ command, forcePathStyle: this.config.forcePathStyle });
+    return {};
+  });
+  const storage = createImageStorage('s3');
+
+  const url = await storage.put('products/abc/large.jpg', Buffer.from('image bytes'), 'image/jpeg');
+  await storage.remove('products/abc/large.jpg');
+
+  assert.equal(url, 'http://minio.local:9000/spectrax/products/abc/large.jpg');
+  assert.ok(sent[0].command instanceof PutObjectCommand);
+  assert.equal(sent[0].forcePathStyle, true);
+  assert.deepEqual(
+    { ...sent[0].command.input, Body: sent[0].command.input.Body.toString() },
+    { Bucket: 'spectrax', Key: 'products/abc/large.jpg', Body: 'image bytes', ContentType: 'image/jpeg' }
+  );
+  assert.ok(sent[1].command instanceof DeleteObjectCommand);
+  assert.deepEqual(sent[1].command.input, { Bucket: 'spectrax', Key: 'products/abc/large.jpg' });
+});
+
+test('the S3 adapter serves files from S3_PUBLIC_URL when it is set', async (t) => {
+  Object.assign(process.env, {
+    S3_BUCKET: 'spectrax',
+    S3_ACCESS_KEY_ID: 'key',
+    S3_SECRET_ACCESS_KEY: 'secret',
+    S3_PUBLIC_URL: 'https://cdn.example.com/',
+  });
+  t.mock.method(S3Client.prototype, 'send', async () => ({}));
+
+  const url = await createImageStorage('s3').put('products/abc/thumbnail.png', Buffer.from('x'), 'image/png');
+
+  assert.equal(url, 'https://cdn.example.com/products/abc/thumbnail.png');
+});
+
+test('the Cloudinary adapter keeps the format in the public id', async (t) => {
+  Object.assign(process.env, {
+    CLOUDINARY_CLOUD_NAME: 'spectrax',
+    CLOUDINARY_API_KEY: 'key',
+    CLOUDINARY_API_SECRET: 'secret',
+  });
+  const uploads = [];
+  t.mock.method(cloudinary.uploader, 'upload_stream', (options, callback) => ({
+    end: (body) => {
+      uploads.push({ options, body: body.toString() });
+      callback(null, { secure_url: `https://res.cloudinary.com/spectrax/image/upload/${options.public_id}` });
+    },
+  }));
+  const destroy = t.mock.method(cloudinary.uploader, 'destroy', async () => ({ result: 'ok' }));
+  const storage = createImageStorage('cloudinary');
+
+  const url = await storage.put('products/abc/large.webp', Buffer.from('image bytes'), 'image/webp');
+  await storage.remove('products/abc/large.webp');
+
+  assert.equal(url, 'https://res.cloudinary.com/spectrax/image/upload/products/abc/large-webp');
+  assert.equal(uploads[0].options.public_id, 'products/abc/large-webp');
+  assert.equal(uploads[0].body, 'image bytes');
+  assert.equal(destroy.mock.calls[0].arguments[0], 'products/abc/large-webp');
+});
+
+test('the Cloudinary adapter passes upload errors on', async (t) => {
+  Object.assign(process.env, {
+    CLOUDINARY_CLOUD_NAME: 'spectrax',
+    CLOUDINARY_API_KEY: 'key',
+    CLOUDINARY_API_SECRET: 'secret',
+  });
+  t.mock.method(cloudinary.uploader, 'upload_stream', (options, callback) => ({
+    end: () => callback(new Error('Invalid signature')),
+  }));
+
+  await assert.rejects(createImageStorage('cloudinary').put('products/abc/large.jpg', Buffer.from('x')), /Invalid signature/);
+});
+
+test('adapters refuse to start without their settings, and unknown ones are refused', () => {
+  assert.throws(() => createImageStorage('s3'), /missing S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY/);
+  assert.throws(() => createImageStorage('cloudinary'), /missing CLOUDINARY_CLOUD_NAME/);
+  assert.throws(() => createImageStorage('ftp'), /Unknown IMAGE_STORAGE "ftp"/);
+});
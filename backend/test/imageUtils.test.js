@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const ImageAsset = require('../models/imageAssetSchema');
+const Product = require('../models/productSchema');
+const { createImageAsset, removeUnusedImages } = require('../utils/imageUtils');
+const { uploadImage } = require('../controller/imageController');
+
+// Uploads go to the local adapter, in a directory of their own
+let uploadDir;
+
+before(async () => {
+  uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrax-images-'));
+  process.env.UPLOAD_DIR = uploadDir;
+  process.env.UPLOAD_BASE_URL = 'http://localhost:4000/uploads';
+  delete process.env.IMAGE_STORAGE;
+});
+
+after(() => fs.rm(uploadDir, { recursive: true, force: true }));
+
+const image = (width, height, format = 'png') =>
+  sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).toFormat(format).toBuffer();
+
+const storedFiles = async () => {
+  const files = await fs.readdir(uploadDir, { recursive: true, withFileTypes: true });
+  return files.filter((file) => file.isFile());
+};
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+test('createImageAsset stores a large, medium and thumbnail rendition in WebP and JPEG', async (t) => {
+  t.mock.method(ImageAsset, 'create', async (asset) => asset);
+
+  const asset = await createImageAsset(await image(800, 600, 'jpeg'), { originalName: 'desk.jpg', alt: 'Desk' });
+
+  assert.equal(asset.storage, 'local');
+  assert.equal(asset.format, 'jpeg');
+  assert.deepEqual([asset.width, asset.height], [800, 600]);
+  assert.deepEqual(
+    asset.renditions.map(({ name, format }) => `${name}.${format}`),
+    ['large.webp', 'large.jpeg', 'medium.webp', 'medium.jpeg', 'thumbnail.webp', 'thumbnail.jpeg']
+  );
+  // Never enlarged past the upload
+  assert.equal(asset.renditions.find((rendition) => rendition.name === 'large').width, 800);
+  assert.equal(asset.renditions.find((rendition) => rendition.name === 'thumbnail').width, 200);
+  assert.equal(asset.url, `http://localhost:4000/uploads/products/${asset._id}/large.jpg`);
+  assert.equal(asset.thumbnailUrl, `http://localhost:4000/uploads/products/${asset._id}/thumbnail.jpg`);
+
+  const thumbnail = await sharp(path.join(uploadDir, 'products', String(asset._id), 'thumbnail.webp')).metadata();
+  assert.equal(thumbnail.format, 'webp');
+});
+
+test('createImageAsset keeps transparent images as PNG', async (t) => {
+  t.mock.method(ImageAsset, 'create', async (asset) => asset);
+  const transparent = await sharp({ create: { width: 300, height: 300, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .png()
+    .toBuffer();
+
+  const asset = await createImageAsset(transparent);
+
+  assert.ok(asset.renditions.every((rendition) => ['webp', 'png'].includes(rendition.format)));
+  assert.match(asset.url, /large\.png$/);
+});
+
+test('createImageAsset refuses uploads that are too big, not images, or the wrong size or format', async (t) => {
+  const create = t.mock.method(ImageAsset, 'create', async (asset) => asset);
+  const filesBefore = (await storedFiles()).length;
+
+  const refusals = [
+    [Buffer.alloc(5 * 1024 * 1024 + 1), 'Images must be 5MB or smaller'],
+    [Buffer.from('%PDF-1.7 not an image'), 'The file is not a readable image'],
+    [Buffer.alloc(0), 'Upload an image file'],
+    [await image(300, 300, 'gif'), 'Only JPG, PNG and WebP images are allowed'],
+    [await image(150, 400), 'Images must be at least 200x200 pixels'],
+    [await image(4001, 300), 'Images must not exceed 4000x4000 pixels'],
+  ];
+
+  for (const [buffer, message] of refusals) {
+    await assert.rejects(createImageAsset(buffer), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.message, message);
+      return true;
+    });
+  }
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal((await storedFiles()).length, filesBefore);
+});
+
+test('the upload endpoint answers 400 when the body is not an image', async () => {
+  // express.raw only hands over image/* bodies; anything else arrives as an empty object
+  const res = mockResponse();
+
+  await uploadImage({ body: {}, query: {}, user: { _id: new mongoose.Types.ObjectId() } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Upload an image file');
+});
+
+test('removeUnusedImages deletes old uploads no product shows, and keeps the rest', async (t) => {
+  t.mock.method(ImageAsset, 'create', async (asset) => ({ ...asset, deleteOne: t.mock.fn(async () => {}) }));
+  const abandoned = await createImageAsset(await image(300, 300));
+  const savedMeanwhile = await createImageAsset(await image(300, 300));
+  const usedId = new mongoose.Types.ObjectId();
+
+  t.mock.method(Product, 'distinct', async () => [usedId]);
+  const find = t.mock.method(ImageAsset, 'find', async () => [abandoned, savedMeanwhile]);
+  t.mock.method(Product, 'exists', async ({ 'images.assetId': assetId }) => assetId === savedMeanwhile._id);
+
+  process.env.UNUSED_IMAGE_GRACE_HOURS = '6';
+  const removed = await removeUnusedImages();
+  delete process.env.UNUSED_IMAGE_GRACE_HOURS;
+
+  const [filter] = find.mock.calls[0].arguments;
+  assert.deepEqual(filter._id, { $nin: [usedId] });
+  const graceMs = Date.now() - filter.createdAt.$lt.getTime();
+  assert.ok(Math.abs(graceMs - 6 * 60 * 60 * 1000) < 60 * 1000);
+
+  assert.equal(removed, 1);
+  assert.equal(abandoned.deleteOne.mock.callCount(), 1);
+  assert.equal(savedMeanwhile.deleteOne.mock.callCount(), 0);
+  await assert.rejects(fs.access(path.join(uploadDir, 'products', String(abandoned._id), 'large.jpg')));
+  await fs.access(path.join(uploadDir, 'products', String(savedMeanwhile._id), 'large.jpg'));
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, html } = require('../utils/mailUtils');
+
+test('escapeHtml escapes markup and quotes, and treats missing values as empty', () => {
+  assert.equal(escapeHtml(`<b>"Tom" & 'Jerry'</b>`), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('html escapes every interpolated value but keeps the template markup', () => {
+  const name = '<img src=x onerror="alert(1)">';
+  const link = 'https://example.com/product/a" onclick="steal()';
+
+  assert.equal(
+    html`<p>Hi ${name},</p><a href="${link}">Open</a>`,
+    '<p>Hi &lt;img src=x onerror=&quot;alert(1)&quot;&gt;,</p>' +
+      '<a href="https://example.com/product/a&quot; onclick=&quot;steal()">Open</a>'
+  );
+  assert.equal(html`<p>No values</p>`, '<p>No values</p>');
+});
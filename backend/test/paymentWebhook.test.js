@@ -0,0 +1,202 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/orderSchema');
+const Refund = require('../models/refundSchema');
+const WebhookEvent = require('../models/webhookEventSchema');
+const PaymentIntent = require('../models/paymentIntentSchema');
+const StockReservation = require('../models/stockReservationSchema');
+const paymentRoutes = require('../routes/paymentRoutes');
+
+const SECRET = 'webhook_test_secret';
+const SAMPLES_DIR = path.join(__dirname, '..', 'samples', 'razorpay');
+
+// The checked-in sample for an event, as the exact bytes Razorpay would send
+const sampleBody = (event) => fs.readFileSync(path.join(SAMPLES_DIR, `${event}.json`));
+const sign = (rawBody, secret = SECRET) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+let server;
+let webhookUrl;
+
+// Mounted the way index.js mounts it: ahead of the JSON parser, so the route sees the raw body
+before(async () => {
+  process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+  const app = express();
+  app.use('/payments', paymentRoutes);
+  app.use(express.json());
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  webhookUrl = `http://127.0.0.1:${server.address().port}/payments/razorpay/webhook`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const deliver = async (rawBody, { signature = sign(rawBody), eventId, contentType = 'application/json' } = {}) => {
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': contentType,
+      ...(signature && { 'X-Razorpay-Signature': signature }),
+      ...(eventId && { 'X-Razorpay-Event-Id': eventId }),
+    },
+    body: rawBody,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// WebhookEvent keeps its unique eventId index in memory; everything the handlers write is recorded
+let store;
+
+beforeEach((t) => {
+  store = { events: new Set(), orderUpdates: [], intentUpdates: [], releases: [], refunds: [] };
+
+  t.mock.method(WebhookEvent, 'create', async ({ eventId }) => {
+    if (store.events.has(eventId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    store.events.add(eventId);
+    return { eventId };
+  });
+  t.mock.method(WebhookEvent, 'deleteOne', async ({ eventId }) => {
+    store.events.delete(eventId);
+    return { deletedCount: 1 };
+  });
+  t.mock.method(Order, 'updateOne', async (filter, update) => {
+    store.orderUpdates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(PaymentIntent, 'updateOne', async (filter, update) => {
+    store.intentUpdates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(StockReservation, 'updateMany', async (filter, update) => {
+    store.releases.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+});
+
+test('a signed payment.failed delivery marks the order failed and releases its held stock', async () => {
+  const { status, body } = await deliver(sampleBody('payment.failed'), { eventId: 'evt_failed_1' });
+
+  assert.equal(status, 200);
+  assert.equal(body.message, 'Webhook processed');
+  assert.equal(store.orderUpdates.length, 1);
+  assert.equal(store.orderUpdates[0].filter['razorpay.orderId'], 'order_DESlLckIVRkHWj');
+  assert.deepEqual(store.orderUpdates[0].filter.paymentStatus, { $nin: ['Completed', 'Refunded'] });
+  assert.equal(store.orderUpdates[0].update.$set.paymentStatus, 'Failed');
+  assert.equal(store.intentUpdates[0].update.$set.failureReason, 'Payment processing failed because of incorrect OTP');
+  assert.equal(store.releases[0].filter.razorpayOrderId, 'order_DESlLckIVRkHWj');
+});
+
+test('a delivery with a bad signature is refused before anything is recorded', async () => {
+  const rawBody = sampleBody('payment.failed');
+
+  const forged = await deliver(rawBody, { signature: sign(rawBody, 'not_the_secret'), eventId: 'evt_forged' });
+  const unsigned = await deliver(rawBody, { signature: null, eventId: 'evt_unsigned' });
+
+  assert.equal(forged.status, 400);
+  assert.equal(forged.body.message, 'Invalid webhook signature');
+  assert.equal(unsigned.status, 400);
+  assert.equal(store.events.size, 0);
+  assert.equal(store.orderUpdates.length, 0);
+});
+
+test('the signature is checked against the raw bytes, not the parsed JSON', async () => {
+  const rawBody = sampleBody('payment.failed');
+  const reformatted = Buffer.from(JSON.stringify(JSON.parse(rawBody)));
+
+  const resigned = await deliver(reformatted, { signature: sign(reformatted), eventId: 'evt_compact' });
+  const tampered = await deliver(reformatted, { signature: sign(rawBody), eventId: 'evt_tampered' });
+
+  assert.equal(resigned.status, 200);
+  assert.equal(tampered.status, 400);
+});
+
+test('a body that is not sent as JSON never reaches the handler', async () => {
+  const rawBody = sampleBody('payment.failed');
+
+  const { status } = await deliver(rawBody, { contentType: 'text/plain', eventId: 'evt_text' });
+
+  assert.equal(status, 400);
+  assert.equal(store.orderUpdates.length, 0);
+});
+
+test('a repeated delivery of the same event is only processed once', async () => {
+  const rawBody = sampleBody('payment.failed');
+
+  const first = await deliver(rawBody, { eventId: 'evt_repeat' });
+  const repeat = await deliver(rawBody, { eventId: 'evt_repeat' });
+
+  assert.equal(first.body.message, 'Webhook processed');
+  assert.equal(repeat.status, 200);
+  assert.equal(repeat.body.message, 'Event already processed');
+  assert.equal(store.orderUpdates.length, 1);
+});
+
+test('deliveries without an event id are deduplicated by their body', async () => {
+  const rawBody = sampleBody('payment.failed');
+
+  await deliver(rawBody);
+  const repeat = await deliver(rawBody);
+
+  assert.equal(repeat.body.message, 'Event already processed');
+  assert.equal(store.orderUpdates.length, 1);
+});
+
+test('a delivery that fails is forgotten, so Razorpay\'s retry is processed', async (t) => {
+  const rawBody = sampleBody('payment.failed');
+  t.mock.method(console, 'error', () => {});
+  Order.updateOne.mock.mockImplementationOnce(async () => {
+    throw new Error('connection lost');
+  });
+
+  const failed = await deliver(rawBody, { eventId: 'evt_retry' });
+  const retried = await deliver(rawBody, { eventId: 'evt_retry' });
+
+  assert.equal(failed.status, 500);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.message, 'Webhook processed');
+  assert.equal(store.orderUpdates.length, 1);
+});
+
+test('a signed refund.processed delivery records a refund issued from the dashboard', async (t) => {
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    finalAmount: 499,
+    paymentStatus: 'Completed',
+    save: async () => order,
+  };
+  t.mock.method(Order, 'findOne', async () => order);
+  t.mock.method(Refund, 'findOne', async () => null);
+  t.mock.method(Refund, 'create', async (refund) => {
+    store.refunds.push(refund);
+    return refund;
+  });
+  t.mock.method(Refund, 'find', async () => store.refunds);
+
+  const { status } = await deliver(sampleBody('refund.processed'), { eventId: 'evt_refund_1' });
+
+  assert.equal(status, 200);
+  assert.equal(Order.findOne.mock.calls[0].arguments[0]['razorpay.paymentId'], 'pay_DESlfW9H8K9uqM');
+  assert.equal(store.refunds.length, 1);
+  assert.equal(store.refunds[0].gatewayRefundId, 'rfnd_DEUKdhE0W5oZBU');
+  assert.equal(store.refunds[0].amount, 499);
+  assert.equal(store.refunds[0].status, 'Processed');
+  assert.equal(order.paymentStatus, 'Refunded');
+});
+
+test('events the store does not handle are acknowledged and ignored', async () => {
+  const rawBody = Buffer.from(JSON.stringify({ event: 'order.paid', payload: {} }));
+
+  const { status, body } = await deliver(rawBody, { eventId: 'evt_other' });
+
+  assert.equal(status, 200);
+  assert.equal(body.message, 'Event ignored');
+  assert.equal(store.events.size, 0);
+});
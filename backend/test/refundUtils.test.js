@@ -0,0 +1,150 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Refund = require('../models/refundSchema');
+const Wallet = require('../models/walletSchema');
+const { setRazorpayClient } = require('../config/razorpayConfig');
+const { issueRefund, refundPayment, resolveRefundMethod } = require('../utils/refundUtils');
+
+// Refund records and wallet credits are kept in memory; the Razorpay client is a local stub
+const stubStore = (t) => {
+  const refunds = [];
+  const walletCredits = [];
+
+  t.mock.method(Refund.prototype, 'save', async function save() {
+    refunds.push(this);
+    return this;
+  });
+  t.mock.method(Refund, 'find', async ({ orderId }) =>
+    refunds.filter((refund) => refund.orderId.equals(orderId) && refund.status !== 'Failed'));
+  t.mock.method(Wallet, 'updateOne', async (filter, update) => {
+    walletCredits.push({ userId: filter.userId, amount: update.$inc.balance });
+    return { acknowledged: true };
+  });
+
+  return { refunds, walletCredits };
+};
+
+const stubGateway = (refund) => {
+  const calls = [];
+  setRazorpayClient({
+    payments: {
+      refund: async (paymentId, options) => {
+        calls.push({ paymentId, ...options });
+        return refund(paymentId, options);
+      },
+    },
+  });
+  return calls;
+};
+
+const paidOrder = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  paymentMethod: 'RazorpayX',
+  paymentStatus: 'Completed',
+  razorpay: { orderId: 'order_test', paymentId: 'pay_test' },
+  finalAmount: 499,
+  ...overrides,
+});
+
+beforeEach(() => {
+  delete process.env.REFUND_DEFAULT_METHOD;
+});
+
+test('resolveRefundMethod sends only captured Razorpay payments back through the gateway', () => {
+  assert.equal(resolveRefundMethod(paidOrder(), 'original'), 'original');
+  assert.equal(resolveRefundMethod(paidOrder(), 'wallet'), 'wallet');
+  assert.equal(resolveRefundMethod(paidOrder({ paymentMethod: 'COD', razorpay: undefined }), 'original'), 'wallet');
+  assert.equal(resolveRefundMethod(paidOrder({ razorpay: { orderId: 'order_test' } }), 'original'), 'wallet');
+
+  process.env.REFUND_DEFAULT_METHOD = 'wallet';
+  assert.equal(resolveRefundMethod(paidOrder()), 'wallet');
+});
+
+test('issueRefund refunds a Razorpay order through the gateway in paise', async (t) => {
+  const { refunds, walletCredits } = stubStore(t);
+  const calls = stubGateway(() => ({ id: 'rfnd_test', status: 'processed' }));
+  const order = paidOrder();
+
+  const refund = await issueRefund(order, 499, { method: 'original' });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].paymentId, 'pay_test');
+  assert.equal(calls[0].amount, 49900);
+  assert.equal(calls[0].notes.refundId, refund._id.toString());
+  assert.equal(refund.method, 'original');
+  assert.equal(refund.status, 'Processed');
+  assert.equal(refund.gatewayRefundId, 'rfnd_test');
+  assert.equal(refunds.length, 1);
+  assert.equal(walletCredits.length, 0);
+  assert.equal(order.paymentStatus, 'Refunded');
+});
+
+test('issueRefund keeps a pending gateway refund pending until Razorpay processes it', async (t) => {
+  stubStore(t);
+  stubGateway(() => ({ id: 'rfnd_test', status: 'pending' }));
+  const order = paidOrder();
+
+  const refund = await issueRefund(order, 200, { method: 'original' });
+
+  assert.equal(refund.status, 'Pending');
+  assert.equal(order.paymentStatus, 'Completed');
+});
+
+test('issueRefund credits the wallet when the gateway rejects the refund', async (t) => {
+  const { refunds, walletCredits } = stubStore(t);
+  t.mock.method(console, 'error', () => {});
+  stubGateway(() => {
+    throw Object.assign(new Error('Bad request'), { error: { description: 'The payment has been fully refunded already' } });
+  });
+  const order = paidOrder();
+
+  const refund = await issueRefund(order, 150, { method: 'original' });
+
+  assert.equal(refunds.length, 2);
+  assert.equal(refunds[0].status, 'Failed');
+  assert.equal(refunds[0].failureReason, 'The payment has been fully refunded already');
+  assert.equal(refund.method, 'wallet');
+  assert.equal(refund.status, 'Processed');
+  assert.deepEqual(walletCredits, [{ userId: order.userId, amount: 150 }]);
+});
+
+test('issueRefund never also credits the wallet once the gateway has taken the refund', async (t) => {
+  const { walletCredits } = stubStore(t);
+  t.mock.method(Refund.prototype, 'save', async () => {
+    throw new Error('connection lost');
+  });
+  stubGateway(() => ({ id: 'rfnd_test', status: 'processed' }));
+
+  await assert.rejects(issueRefund(paidOrder(), 499, { method: 'original' }), /connection lost/);
+  assert.equal(walletCredits.length, 0);
+});
+
+test('issueRefund credits the wallet for orders not paid online', async (t) => {
+  const { walletCredits } = stubStore(t);
+  const calls = stubGateway(() => ({ id: 'rfnd_test', status: 'processed' }));
+  const order = paidOrder({ paymentMethod: 'COD', razorpay: undefined, finalAmount: 300 });
+
+  const refund = await issueRefund(order, 300, { method: 'original' });
+
+  assert.equal(calls.length, 0);
+  assert.equal(refund.method, 'wallet');
+  assert.ok(refund.walletTransactionId);
+  assert.deepEqual(walletCredits, [{ userId: order.userId, amount: 300 }]);
+  assert.equal(order.paymentStatus, 'Refunded');
+});
+
+test('refundPayment returns a whole payment and logs instead of throwing on failure', async (t) => {
+  const calls = stubGateway(() => ({ id: 'rfnd_test' }));
+  const payment = { id: 'pay_test', order_id: 'order_test', amount: 49900 };
+
+  assert.deepEqual(await refundPayment(payment, 'Stock gone'), { id: 'rfnd_test' });
+  assert.equal(calls[0].amount, 49900);
+
+  t.mock.method(console, 'error', () => {});
+  stubGateway(() => {
+    throw new Error('Gateway down');
+  });
+  assert.equal(await refundPayment(payment, 'Stock gone'), null);
+});
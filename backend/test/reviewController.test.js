@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/productSchema');
+const Review = require('../models/reviewSchema');
+const { createReview, getAllReviews, moderateReview } = require('../controller/reviewController');
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// A Review.find query that resolves to `reviews` however it is chained
+const findQuery = (reviews) => {
+  const query = {
+    populate: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    then: (resolve, reject) => Promise.resolve(reviews).then(resolve, reject),
+  };
+  return query;
+};
+
+test('createReview refuses a product id that is not an ObjectId before querying', async (t) => {
+  const findById = t.mock.method(Product, 'findById', () => {
+    throw new Error('should not be queried');
+  });
+  const res = mockResponse();
+
+  await createReview({ params: { id: 'not-an-id' }, body: { rating: 5 }, user: { id: 'user' } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Invalid product id');
+  assert.equal(findById.mock.callCount(), 0);
+});
+
+test('getAllReviews refuses statuses it does not know, including operator objects', async (t) => {
+  const find = t.mock.method(Review, 'find', () => findQuery([]));
+
+  for (const status of [{ $ne: '' }, 'Pending', ['Approved', 'Hidden']]) {
+    const res = mockResponse();
+    await getAllReviews({ query: { status } }, res);
+    assert.equal(res.statusCode, 400);
+  }
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('getAllReviews filters by a known status', async (t) => {
+  const find = t.mock.method(Review, 'find', () => findQuery([]));
+  t.mock.method(Review, 'countDocuments', async () => 0);
+  const res = mockResponse();
+
+  await getAllReviews({ query: { status: 'Hidden' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(find.mock.calls[0].arguments[0], { status: 'Hidden' });
+});
+
+test('moderateReview refuses an unknown status or review id', async () => {
+  const badStatus = mockResponse();
+  await moderateReview({ params: { id: '64b7f0c2a1b2c3d4e5f60718' }, body: { status: 'Deleted' } }, badStatus);
+
+  const badId = mockResponse();
+  await moderateReview({ params: { id: 'not-an-id' }, body: { status: 'Hidden' } }, badId);
+
+  assert.equal(badStatus.statusCode, 400);
+  assert.equal(badId.statusCode, 400);
+  assert.equal(badId.body.message, 'Invalid review id');
+});
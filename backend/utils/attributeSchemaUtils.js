@@ -0,0 +1,229 @@
+const Category = require('../models/categorySchema');
+const { createError } = require('./errorUtils');
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select'];
+
+const sameName = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toPlainObject = (value) => {
+  if (!value) return {};
+  return value instanceof Map ? Object.fromEntries(value) : value;
+};
+
+// Check and tidy a category's attribute definitions before they are saved
+const normalizeDefinitions = (definitions) => {
+  if (!Array.isArray(definitions)) {
+    throw createError('Attributes must be a list');
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const normalized = definitions.map((definition, index) => {
+    const name = String(definition?.name || '').trim();
+    const label = name || `Attribute ${index + 1}`;
+    const type = definition?.type || 'text';
+
+    if (!name) {
+      errors.push(`${label}: a name is required`);
+    } else if (/[.$]/.test(name)) {
+      // Specification names become field names in queries
+      errors.push(`${label}: the name cannot contain "." or "$"`);
+    } else if (seen.has(name.toLowerCase())) {
+      errors.push(`${label}: defined more than once`);
+    }
+    seen.add(name.toLowerCase());
+
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      errors.push(`${label}: unknown type "${type}"`);
+    }
+
+    const allowedValues = type === 'boolean'
+      ? []
+      : [...new Set((definition?.allowedValues || []).map((value) => String(value).trim()).filter(Boolean))];
+    if (type === 'select' && !allowedValues.length) {
+      errors.push(`${label}: a select attribute needs allowed values`);
+    }
+    if (type === 'number' && allowedValues.some((value) => !Number.isFinite(Number(value)))) {
+      errors.push(`${label}: allowed values must be numbers`);
+    }
+
+    return {
+      name,
+      type,
+      unit: String(definition?.unit || '').trim() || undefined,
+      allowedValues,
+      required: Boolean(definition?.required),
+      filterable: Boolean(definition?.filterable),
+      variantDefining: Boolean(definition?.variantDefining),
+    };
+  });
+
+  if (errors.length) {
+    throw createError(errors.join('. '));
+  }
+  return normalized;
+};
+
+// The definitions that apply to products in categoryId: its ancestors' from the top level down,
+// then its own, a nearer category's definition replacing a same-named one further up. Each carries
+// the categoryId and categoryName it comes from. Null when the category doesn't exist
+const effectiveDefinitions = async (categoryId) => {
+  const category = await Category.findById(categoryId).select('name attributes ancestors').lean();
+  if (!category) return null;
+
+  const ancestors = category.ancestors?.length
+    ? await Category.find({ _id: { $in: category.ancestors } }).select('name attributes').lean()
+    : [];
+  const ancestorById = new Map(ancestors.map((ancestor) => [ancestor._id.toString(), ancestor]));
+  const chain = [
+    ...(category.ancestors || []).map((id) => ancestorById.get(id.toString())).filter(Boolean),
+    category,
+  ];
+
+  const definitions = [];
+  chain.forEach((source) => {
+    (source.attributes || []).forEach((definition) => {
+      const entry = { ...definition, categoryId: source._id, categoryName: source.name };
+      const index = definitions.findIndex((existing) => sameName(existing.name, definition.name));
+      if (index === -1) definitions.push(entry);
+      else definitions[index] = entry;
+    });
+  });
+  return definitions;
+};
+
+// value as the definition's type, or undefined when it isn't a valid value for it
+const coerceValue = (definition, value) => {
+  const allowed = definition.allowedValues || [];
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'boolean' ? NaN : Number(value);
+      if (!Number.isFinite(number)) return undefined;
+      return !allowed.length || allowed.map(Number).includes(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return undefined;
+    default: {
+      const text = String(value).trim();
+      return allowed.length ? allowed.find((option) => sameName(option, text)) : text;
+    }
+  }
+};
+
+const invalidValueMessage = (definition, value) => {
+  const allowed = definition.allowedValues || [];
+  if (definition.type === 'boolean') return `${definition.name} must be true or false`;
+  if (allowed.length) return `${definition.name} must be one of ${allowed.join(', ')} (got "${value}")`;
+  return `${definition.name} must be a number (got "${value}")`;
+};
+
+// Check a product's specifications and variant attributes against its category's definitions,
+// returning them with names and values in their defined form (e.g. "memory" becomes "RAM",
+// "16.0" becomes 16). Throws a 400 listing every problem, naming variants with variantLabel.
+// A category without definitions accepts anything, as before they existed
+const validateProductAttributes = (
+  { specifications, variants },
+  definitions,
+  { variantLabel = (variant, index) => `Variant ${index + 1}` } = {}
+) => {
+  if (!definitions.length) return { specifications, variants };
+
+  const errors = [];
+  const find = (name) => definitions.find((definition) => sameName(definition.name, name));
+
+  const checkedSpecifications = {};
+  const invalidSpecifications = new Set();
+  Object.entries(toPlainObject(specifications)).forEach(([name, value]) => {
+    if (isBlank(value)) return;
+    const definition = find(name);
+    if (!definition || definition.variantDefining) {
+      errors.push(`"${name}" is not a specification of this category`);
+      return;
+    }
+    const coerced = coerceValue(definition, value);
+    if (coerced === undefined) {
+      errors.push(invalidValueMessage(definition, value));
+      invalidSpecifications.add(definition.name);
+    } else {
+      checkedSpecifications[definition.name] = coerced;
+    }
+  });
+  definitions
+    .filter((definition) => !definition.variantDefining && definition.required)
+    .filter((definition) => checkedSpecifications[definition.name] === undefined && !invalidSpecifications.has(definition.name))
+    .forEach((definition) => errors.push(`${definition.name} is required`));
+
+  const combinations = new Set();
+  const checkedVariants = (variants || []).map((variant, index) => {
+    const plainVariant = typeof variant.toObject === 'function' ? variant.toObject() : variant;
+    const label = variantLabel(plainVariant, index);
+    const attributes = [];
+    const invalid = new Set();
+
+    (plainVariant.attributes || []).forEach(({ name, value }) => {
+      if (isBlank(name) && isBlank(value)) return;
+      const definition = find(name);
+      if (!definition || !definition.variantDefining) {
+        errors.push(`${label}: "${name}" is not a variant attribute of this category`);
+        return;
+      }
+      if (isBlank(value)) return;
+      const coerced = coerceValue(definition, value);
+      if (coerced === undefined) {
+        errors.push(`${label}: ${invalidValueMessage(definition, value)}`);
+        invalid.add(definition.name);
+      } else {
+        attributes.push({ name: definition.name, value: String(coerced) });
+      }
+    });
+
+    definitions
+      .filter((definition) => definition.variantDefining && definition.required)
+      .filter((definition) => !attributes.some((attribute) => attribute.name === definition.name) && !invalid.has(definition.name))
+      .forEach((definition) => errors.push(`${label}: ${definition.name} is required`));
+
+    const combination = attributes.map(({ name, value }) => `${name}=${value}`).sort().join('|');
+    if (combination && combinations.has(combination)) {
+      errors.push(`${label} has the same attributes as another variant`);
+    }
+    combinations.add(combination);
+
+    return { ...plainVariant, attributes };
+  });
+
+  if (errors.length) {
+    throw createError(errors.join('. '));
+  }
+  return { specifications: checkedSpecifications, variants: checkedVariants };
+};
+
+// Every filterable definition across active categories, by name: variant attributes and
+// specifications separately. Null when no category defines any, so listings fall back to
+// offering every variant attribute
+const filterableDefinitions = async () => {
+  const categories = await Category.find({ status: 'active', 'attributes.filterable': true }).select('attributes').lean();
+  if (!categories.length) return null;
+
+  const variant = new Map();
+  const specification = new Map();
+  categories.forEach((category) => {
+    category.attributes
+      .filter((definition) => definition.filterable)
+      .forEach((definition) => {
+        const target = definition.variantDefining ? variant : specification;
+        if (!target.has(definition.name)) target.set(definition.name, definition);
+      });
+  });
+  return { variant, specification };
+};
+
+module.exports = {
+  normalizeDefinitions,
+  effectiveDefinitions,
+  validateProductAttributes,
+  filterableDefinitions,
+};
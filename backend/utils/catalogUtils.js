@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productSchema');
+const Category = require('../models/categorySchema');
+const Offer = require('../models/offerSchema');
+const { createError } = require('./errorUtils');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Newest first; _id breaks ties so a cursor always points at exactly one position
+const DEFAULT_SORT = { createdAt: -1, _id: -1 };
+
+// What a product card needs. The detail page loads the full document
+const LIST_PROJECTION = {
+  title: 1,
+  slug: 1,
+  price: 1,
+  status: 1,
+  brandId: 1,
+  categoryId: 1,
+  createdAt: 1,
+  averageRating: 1,
+  reviewCount: 1,
+  isBestSeller: 1,
+  discountPercent: 1,
+  effectivePrice: 1,
+  lowestPrice: 1,
+  searchScore: 1,
+  productImage: { $slice: [{ $ifNull: ['$productImage', []] }, 1] },
+  variants: {
+    $map: {
+      input: { $ifNull: ['$variants', []] },
+      as: 'variant',
+      in: {
+        _id: '$$variant._id',
+        attributes: '$$variant.attributes',
+        price: '$$variant.price',
+        effectivePrice: '$$variant.effectivePrice',
+        availableQuantity: '$$variant.availableQuantity',
+      },
+    },
+  },
+};
+
+// Discount (percent) each product gets from the best running offer, its own or its category's,
+// the same way pricingUtils prices an order
+const discountExpression = async () => {
+  const now = new Date();
+  const offers = await Offer.find({ isActive: true, startDate: { $lte: now }, endDate: { $gte: now } })
+    .select('discountPercent');
+  if (!offers.length) return 0;
+
+  const categories = await Category.find({ offerId: { $in: offers.map((offer) => offer._id) } }).select('offerId');
+  const percentByOffer = new Map(offers.map((offer) => [offer._id.toString(), offer.discountPercent]));
+
+  const productBranches = offers.map((offer) => ({
+    case: { $eq: ['$offerId', offer._id] },
+    then: offer.discountPercent,
+  }));
+  const categoryBranches = categories.map((category) => ({
+    case: { $eq: ['$categoryId', category._id] },
+    then: percentByOffer.get(category.offerId.toString()),
+  }));
+
+  const branchesOrZero = (branches) => (branches.length ? { $switch: { branches, default: 0 } } : 0);
+  return { $max: [branchesOrZero(productBranches), branchesOrZero(categoryBranches)] };
+};
+
+const discounted = (price, discountPercent) => ({
+  $round: [{ $multiply: [price, { $subtract: [1, { $divide: [discountPercent, 100] }] }] }, 2],
+});
+
+// Aggregation stages setting discountPercent on each product and effectivePrice on it and
+// each of its variants, so listings show offer prices without a request per product
+const pricedProductStages = async () => {
+  const discountPercent = await discountExpression();
+  return [
+    { $set: { discountPercent } },
+    {
+      $set: {
+        effectivePrice: discounted('$price', '$discountPercent'),
+        variants: {
+          $map: {
+            input: { $ifNull: ['$variants', []] },
+            as: 'variant',
+            in: {
+              $mergeObjects: ['$$variant', { effectivePrice: discounted('$$variant.price', '$discountPercent') }],
+            },
+          },
+        },
+      },
+    },
+  ];
+};
+
+const encodeCursor = (product) =>
+  Buffer.from(JSON.stringify({ createdAt: product.createdAt, _id: product._id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, _id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(_id)) throw new Error();
+    return { createdAt: date, _id: new mongoose.Types.ObjectId(_id) };
+  } catch {
+    throw createError('Invalid cursor', 400);
+  }
+};
+
+// page, limit and an optional cursor from a query string. A cursor takes precedence over page
+const parsePagination = (query, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit),
+  cursor: query.cursor ? decodeCursor(query.cursor) : null,
+});
+
+// Page metadata for a response. nextCursor is only set by cursor-capable listings
+const paginationMeta = ({ page, limit }, total, { hasMore = page * limit < total, nextCursor = null } = {}) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+  hasMore,
+  nextCursor,
+});
+
+// One page of products matching match, priced and projected for a list. Newest first by default,
+// where a cursor (the previous page's nextCursor) can be used instead of page; any other sort is
+// paged by page number only
+const listCatalog = async (match, { page, limit, cursor }, sort = null) => {
+  const useCursor = Boolean(cursor) && !sort;
+  const pageMatch = useCursor
+    ? {
+      $and: [match, {
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+        ],
+      }],
+    }
+    : match;
+  const priced = await pricedProductStages();
+
+  const [rows, total] = await Promise.all([
+    Product.aggregate([
+      { $match: pageMatch },
+      { $sort: sort ? { ...sort, _id: 1 } : DEFAULT_SORT },
+      ...(useCursor ? [] : [{ $skip: (page - 1) * limit }]),
+      { $limit: limit + 1 },
+      ...priced,
+      { $project: LIST_PROJECTION },
+    ]),
+    Product.countDocuments(match),
+  ]);
+
+  const products = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  const nextCursor = hasMore && !sort ? encodeCursor(products[products.length - 1]) : null;
+
+  return {
+    products,
+    pagination: paginationMeta({ page: useCursor ? null : page, limit }, total, { hasMore, nextCursor }),
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  LIST_PROJECTION,
+  pricedProductStages,
+  parsePagination,
+  paginationMeta,
+  listCatalog,
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Category = require('../models/categorySchema');
+const { createError } = require('./errorUtils');
+
+const PATH_SEPARATOR = ' > ';
+
+// Where a category named name sits under parent (null for a top-level category): its parent,
+// ancestor ids from the root down, display path such as "Laptops > Gaming Laptops", and depth
+const lineage = (name, parent) => (parent
+  ? {
+    parentId: parent._id,
+    ancestors: [...parent.ancestors, parent._id],
+    path: `${parent.path}${PATH_SEPARATOR}${name}`,
+    depth: parent.depth + 1,
+  }
+  : { parentId: null, ancestors: [], path: name, depth: 0 });
+
+// The category that parentId names, checked as a parent for category (when moving one).
+// Empty parentId means top level
+const resolveParent = async (parentId, category = null, session = null) => {
+  if (!parentId) return null;
+  if (!mongoose.isValidObjectId(parentId)) {
+    throw createError('Invalid parent category', 400);
+  }
+
+  const parent = await Category.findById(parentId).session(session);
+  if (!parent) {
+    throw createError('Parent category not found', 404);
+  }
+  if (category && (parent._id.equals(category._id) || parent.ancestors.some((id) => id.equals(category._id)))) {
+    throw createError('A category cannot be placed under itself or one of its subcategories', 400);
+  }
+  return parent;
+};
+
+// Recompute ancestors, path and depth of everything below category, after it was renamed or moved
+const refreshDescendants = async (category, session = null) => {
+  // Shallowest first, so each parent is updated before its children
+  const descendants = await Category.find({ ancestors: category._id }).sort({ depth: 1 }).session(session);
+  if (!descendants.length) return [];
+
+  const byId = new Map([[category._id.toString(), category]]);
+  const updates = descendants.map((descendant) => {
+    const fields = lineage(descendant.name, byId.get(descendant.parentId.toString()));
+    Object.assign(descendant, fields);
+    byId.set(descendant._id.toString(), descendant);
+    return { updateOne: { filter: { _id: descendant._id }, update: { $set: fields } } };
+  });
+
+  await Category.bulkWrite(updates, { session });
+  return descendants.map((descendant) => descendant._id);
+};
+
+// Categories matching filter nested under their parents, each level sorted by name. A category
+// whose parent is left out by filter (e.g. an inactive parent) is left out along with it
+const categoryTree = async (filter = {}) => {
+  const categories = await Category.find(filter).sort({ name: 1 }).lean();
+
+  const nodes = new Map(categories.map((category) => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    if (!node.parentId) {
+      roots.push(node);
+      return;
+    }
+    const parent = nodes.get(node.parentId.toString());
+    if (parent) parent.children.push(node);
+  });
+  return roots;
+};
+
+// categoryIds along with every category below them that matches filter
+const withDescendants = async (categoryIds, filter = {}) => {
+  if (!categoryIds.length) return categoryIds;
+
+  const ids = categoryIds.map((id) => new mongoose.Types.ObjectId(id));
+  const descendants = await Category.find({ ...filter, ancestors: { $in: ids } }).distinct('_id');
+  return [...ids, ...descendants];
+};
+
+// Categories saved before the hierarchy existed become top-level ones.
+// Never throws, so it can run at startup without awaiting
+const backfillCategoryLineage = async () => {
+  try {
+    const result = await Category.updateMany(
+      { path: { $exists: false } },
+      [{ $set: { parentId: null, ancestors: [], depth: 0, path: '$name' } }]
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('Failed to backfill category paths:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  lineage,
+  resolveParent,
+  refreshDescendants,
+  categoryTree,
+  withDescendants,
+  backfillCategoryLineage,
+};
@@ -0,0 +1,226 @@
+const Order = require('../models/orderSchema');
+const Cart = require('../models/CartSchema');
+const Coupon = require('../models/CouponSchema');
+const PaymentIntent = require('../models/paymentIntentSchema');
+const { getRazorpay } = require('../config/razorpayConfig');
+const { createError } = require('./errorUtils');
+const { decrementStock } = require('./stockUtils');
+const { runInTransaction } = require('./transactionUtils');
+const { refundPayment } = require('./refundUtils');
+const { confirmOrderPayment, refundLatePayment } = require('./paymentUtils');
+const { releaseReservations, convertReservation } = require('./reservationUtils');
+
+// The fields of a new order that come from its server-side pricing
+const orderFields = (userId, pricing, { shippingAddress, paymentMethod }) => ({
+  userId,
+  products: pricing.products,
+  shippingAddress,
+  paymentMethod,
+  totalAmount: pricing.totalAmount,
+  coupon: pricing.coupon ? {
+    couponId: pricing.coupon._id,
+    code: pricing.coupon.name,
+    discountType: pricing.coupon.CouponType,
+    discountAmount: pricing.discountAmount
+  } : null,
+  offer: { discountAmount: pricing.offerDiscount },
+  discountAmount: pricing.discountAmount,
+  finalAmount: pricing.finalAmount
+});
+
+// Stock, coupon and cart changes shared by every successful checkout. The units an online
+// payment held become this sale; any other hold the customer left behind is freed.
+// A checkout that is already paid for keeps its coupon even if it was used again meanwhile
+const completeCheckout = async ({ userId, items, couponId, razorpayOrderId, orderId, paid = false, session }) => {
+  if (razorpayOrderId) {
+    await convertReservation({ userId, razorpayOrderId }, orderId, session);
+  }
+  await releaseReservations({ userId }, 'Replaced by a new checkout', session);
+  await decrementStock(items, session, {
+    reason: 'sale',
+    referenceType: 'Order',
+    referenceId: orderId,
+    actor: 'customer',
+    actorId: userId
+  });
+
+  if (couponId) {
+    const consumed = await Coupon.updateOne(
+      { _id: couponId, ...(!paid && { userId: { $ne: userId } }) },
+      paid ? { $addToSet: { userId } } : { $push: { userId } },
+      { session }
+    );
+
+    if (!paid && consumed.modifiedCount === 0) {
+      throw createError("You have already used this coupon");
+    }
+  }
+
+  await Cart.updateOne({ userId }, { $set: { items: [] } }, { session });
+};
+
+// The payment as Razorpay has it, captured. Whatever the browser reports, the payment has
+// to belong to the Razorpay order and cover all of it before the store counts it as paid
+const fetchCapturedPayment = async (paymentId, razorpayOrderId) => {
+  const [payment, razorpayOrder] = await Promise.all([
+    getRazorpay().payments.fetch(paymentId),
+    getRazorpay().orders.fetch(razorpayOrderId)
+  ]);
+
+  if (payment.order_id !== razorpayOrderId || payment.amount !== razorpayOrder.amount) {
+    throw createError("Payment does not match this order");
+  }
+
+  if (payment.status === 'authorized') {
+    return getRazorpay().payments.capture(paymentId, payment.amount, payment.currency);
+  }
+  if (payment.status !== 'captured') {
+    throw createError("Payment has not been completed", 402);
+  }
+  return payment;
+};
+
+const checkAmountPaid = (payment, amount) => {
+  if (payment.amount !== Math.round(amount * 100)) {
+    throw createError("The amount paid does not match the order total", 409);
+  }
+};
+
+// Turn a captured payment into a paid order, whether the customer's browser (verify-payment)
+// or Razorpay's webhook gets here first. A fresh checkout becomes an order from what its intent
+// priced; a retried order moves back into the normal flow. Safe to repeat for the same payment.
+// A payment the store can't accept (wrong amount, stock gone, intent closed, order already paid)
+// is refunded in full and reported as a 409. Resolves to { order, settled }, settled being
+// true only for the call that marked the order paid
+const settleRazorpayPayment = async ({ razorpayOrderId, payment, signature, userId, orderId, actor = 'customer', note }) => {
+  let settled = false;
+
+  try {
+    const order = await runInTransaction(async (session) => {
+      settled = false;
+
+      const intent = await PaymentIntent.findOne({ razorpayOrderId }).session(session);
+      if (intent && userId && intent.userId.toString() !== String(userId)) {
+        throw createError("Order not found", 404);
+      }
+
+      if (intent && !intent.orderId) {
+        if (intent.status !== 'Created') {
+          throw Object.assign(createError("This checkout is closed", 409), { refund: true });
+        }
+        checkAmountPaid(payment, intent.amount);
+
+        const [order] = await Order.create([{
+          ...intent.orderData,
+          orderDate: new Date(),
+          orderStatus: 'Processing',
+          paymentStatus: 'Completed',
+          razorpay: { orderId: razorpayOrderId, paymentId: payment.id, ...(signature && { signature }) },
+          statusHistory: [{ status: 'Processing', actor, note }]
+        }], { session });
+
+        await completeCheckout({
+          userId: intent.userId,
+          items: order.products,
+          couponId: intent.orderData.coupon?.couponId,
+          razorpayOrderId,
+          orderId: order._id,
+          paid: true,
+          session
+        });
+
+        intent.set({ status: 'Paid', paymentId: payment.id, orderId: order._id });
+        await intent.save({ session });
+        settled = true;
+        return order;
+      }
+
+      // A retried order, or one whose payment was opened before intents were kept
+      const order = intent
+        ? await Order.findById(intent.orderId).session(session)
+        : await Order.findOne(orderId && userId ? { _id: orderId, userId } : { 'razorpay.orderId': razorpayOrderId }).session(session);
+      if (!order) {
+        throw createError("Order not found", 404);
+      }
+
+      if (order.paymentStatus === 'Completed' || order.paymentStatus === 'Refunded') {
+        if (order.razorpay?.paymentId === payment.id) {
+          return order;
+        }
+        throw Object.assign(createError("This order has already been paid for", 409), { refund: true });
+      }
+      checkAmountPaid(payment, order.finalAmount);
+
+      await confirmOrderPayment(order, { razorpayOrderId, paymentId: payment.id, signature, note }, session);
+      if (intent) {
+        intent.set({ status: 'Paid', paymentId: payment.id });
+        await intent.save({ session });
+      }
+      settled = true;
+      return order;
+    });
+
+    if (settled && order.orderStatus === 'Cancelled') {
+      await refundLatePayment(order);
+    }
+
+    return { order, settled };
+  } catch (error) {
+    if (!error.statusCode || error.statusCode === 404) {
+      throw error;
+    }
+
+    // Close the intent first so the browser and the webhook can't both refund the payment
+    const closed = await PaymentIntent.updateOne(
+      { razorpayOrderId, status: 'Created' },
+      { $set: { status: 'Failed', paymentId: payment.id, failureReason: error.message } }
+    );
+    if (closed.modifiedCount || error.refund) {
+      await refundPayment(payment, error.message);
+      await releaseReservations({ razorpayOrderId }, 'Payment refunded');
+      error.message = `${error.message}. Your payment is being refunded.`;
+      error.statusCode = 409;
+    }
+    throw error;
+  }
+};
+
+// Keep a checkout whose payment failed as a 'Payment Failed' order the customer can retry,
+// and put its held stock back on sale. The intent stays open, so a payment that still
+// goes through later settles the order
+const recordFailedPayment = (userId, razorpayOrderId) =>
+  runInTransaction(async (session) => {
+    const intent = await PaymentIntent.findOne({ userId, razorpayOrderId }).session(session);
+    if (!intent) {
+      throw createError("Checkout not found", 404);
+    }
+    if (intent.status === 'Paid') {
+      throw createError("This checkout has already been paid for", 409);
+    }
+    if (intent.orderId) {
+      return Order.findById(intent.orderId).session(session);
+    }
+
+    const [order] = await Order.create([{
+      ...intent.orderData,
+      orderDate: new Date(),
+      orderStatus: 'Payment Failed',
+      paymentStatus: 'Failed',
+      razorpay: { orderId: razorpayOrderId },
+      statusHistory: [{ status: 'Payment Failed', actor: 'customer', note: 'Order placed' }]
+    }], { session });
+
+    intent.orderId = order._id;
+    await intent.save({ session });
+    await releaseReservations({ userId, razorpayOrderId }, 'Payment failed', session);
+
+    return order;
+  });
+
+module.exports = {
+  orderFields,
+  completeCheckout,
+  fetchCapturedPayment,
+  settleRazorpayPayment,
+  recordFailedPayment,
+};
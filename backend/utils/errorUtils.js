@@ -0,0 +1,8 @@
+// Error carrying the HTTP status a controller should answer with
+const createError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = { createError };
@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productSchema');
+const Brand = require('../models/brandSchema');
+const Category = require('../models/categorySchema');
+const { LIST_PROJECTION, pricedProductStages } = require('./catalogUtils');
+const { filterableDefinitions } = require('./attributeSchemaUtils');
+
+// Where one price bucket ends and the next begins; everything above the last is one open-ended bucket
+const PRICE_BOUNDARIES = [0, 1000, 5000, 10000, 25000, 50000, 100000];
+
+const toArray = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+};
+
+const toObjectIds = (values) =>
+  toArray(values).filter((id) => mongoose.isValidObjectId(id)).map((id) => new mongoose.Types.ObjectId(id));
+
+const toPrice = (value) => {
+  const price = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+// Read the listing filters from a query string: brands, categories, minPrice, maxPrice, inStock,
+// and attributes as attributes[<name>]=<value> (repeatable)
+const parseListingFilters = (query) => {
+  const attributes = {};
+  if (query.attributes && typeof query.attributes === 'object') {
+    Object.entries(query.attributes).forEach(([name, values]) => {
+      const selected = toArray(values);
+      if (selected.length) attributes[name] = selected;
+    });
+  }
+
+  return {
+    brands: toObjectIds(query.brands),
+    categories: toObjectIds(query.categories),
+    minPrice: toPrice(query.minPrice),
+    maxPrice: toPrice(query.maxPrice),
+    inStock: query.inStock === 'true' || query.inStock === true,
+    attributes,
+    specifications: {},
+  };
+};
+
+// Selected attributes named by a filterable specification definition filter on the product's
+// specifications rather than its variants
+const splitSpecificationFilters = (filters, definitions) => {
+  if (!definitions) return filters;
+
+  const attributes = {};
+  const specifications = { ...filters.specifications };
+  Object.entries(filters.attributes).forEach(([name, values]) => {
+    if (definitions.specification.has(name) && !definitions.variant.has(name)) specifications[name] = values;
+    else attributes[name] = values;
+  });
+  return { ...filters, attributes, specifications };
+};
+
+// Query strings only carry text, but specifications are stored as their defined type
+const specificationValues = (values) => values.flatMap((value) => {
+  const candidates = [value];
+  if (value.trim() !== '' && Number.isFinite(Number(value))) candidates.push(Number(value));
+  if (value === 'true' || value === 'false') candidates.push(value === 'true');
+  return candidates;
+});
+
+// Whether the variant at path (e.g. '$$variant') passes the variant-level filters, leaving out
+// the facet named by exclude so its own options can still be counted
+const variantCondition = (path, filters, exclude = null) => {
+  const conditions = [];
+
+  if (exclude !== 'price') {
+    if (filters.minPrice !== null) conditions.push({ $gte: [`${path}.effectivePrice`, filters.minPrice] });
+    if (filters.maxPrice !== null) conditions.push({ $lte: [`${path}.effectivePrice`, filters.maxPrice] });
+  }
+  if (exclude !== 'inStock' && filters.inStock) {
+    conditions.push({ $gt: [`${path}.availableQuantity`, 0] });
+  }
+  Object.entries(filters.attributes).forEach(([name, values]) => {
+    conditions.push({
+      $gt: [{
+        $size: {
+          $filter: {
+            input: { $ifNull: [`${path}.attributes`, []] },
+            as: 'attribute',
+            cond: { $and: [{ $eq: ['$$attribute.name', { $literal: name }] }, { $in: ['$$attribute.value', { $literal: values }] }] },
+          },
+        },
+      }, 0],
+    });
+  });
+
+  return conditions.length ? { $and: conditions } : null;
+};
+
+// Product-level match: brand and category, plus at least one variant passing the variant filters
+const productMatch = (filters, exclude = null) => {
+  const match = {};
+  if (exclude !== 'brand' && filters.brands.length) match.brandId = { $in: filters.brands };
+  if (exclude !== 'category' && filters.categories.length) match.categoryId = { $in: filters.categories };
+  Object.entries(filters.specifications || {}).forEach(([name, values]) => {
+    if (exclude !== `spec:${name}`) match[`specifications.${name}`] = { $in: specificationValues(values) };
+  });
+
+  const condition = variantCondition('$$variant', filters, exclude);
+  if (condition) {
+    match.$expr = { $anyElementTrue: [{ $map: { input: '$variants', as: 'variant', in: condition } }] };
+  }
+  return match;
+};
+
+// Products whose variants pass the filters (except exclude), one document per passing variant
+const passingVariants = (filters, exclude) => {
+  const condition = variantCondition('$variant', filters, exclude);
+  return [
+    { $match: productMatch(filters, exclude) },
+    { $unwind: '$variants' },
+    { $set: { variant: '$variants' } },
+    ...(condition ? [{ $match: { $expr: condition } }] : []),
+  ];
+};
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+];
+
+// Only variant attributes marked filterable are offered once any category defines some
+const attributeFacet = (filters, definitions) => {
+  // Each attribute's options are counted with every other filter applied, but not its own
+  const otherAttributes = (path) => Object.entries(filters.attributes).map(([name]) => ({
+    $or: [
+      { $eq: ['$attribute.name', { $literal: name }] },
+      variantCondition(path, { ...filters, minPrice: null, maxPrice: null, inStock: false, attributes: { [name]: filters.attributes[name] } }),
+    ],
+  }));
+  const baseCondition = variantCondition('$variant', { ...filters, attributes: {} });
+  const conditions = [...(baseCondition ? [baseCondition] : []), ...otherAttributes('$variant')];
+
+  return [
+    { $match: productMatch({ ...filters, minPrice: null, maxPrice: null, inStock: false, attributes: {} }) },
+    { $unwind: '$variants' },
+    { $set: { variant: '$variants', attribute: '$variants.attributes' } },
+    { $unwind: '$attribute' },
+    ...(conditions.length ? [{ $match: { $expr: { $and: conditions } } }] : []),
+    {
+      $match: {
+        'attribute.name': definitions ? { $in: [...definitions.variant.keys()] } : { $nin: [null, ''] },
+        'attribute.value': { $nin: [null, ''] },
+      },
+    },
+    { $group: { _id: { name: '$attribute.name', value: '$attribute.value', productId: '$_id' } } },
+    { $group: { _id: { name: '$_id.name', value: '$_id.value' }, count: { $sum: 1 } } },
+    { $sort: { '_id.value': 1 } },
+    { $group: { _id: '$_id.name', values: { $push: { value: '$_id.value', count: '$count' } } } },
+    { $sort: { _id: 1 } },
+  ];
+};
+
+// Counts for one filterable specification, with every filter applied but its own
+const specificationFacet = (filters, name) => [
+  { $match: { ...productMatch(filters, `spec:${name}`), [`specifications.${name}`]: { $nin: [null, ''] } } },
+  ...countBy(`$specifications.${name}`),
+];
+
+const priceFacet = (filters) => [
+  ...passingVariants(filters, 'price'),
+  {
+    $bucket: {
+      groupBy: '$variant.effectivePrice',
+      boundaries: PRICE_BOUNDARIES,
+      default: 'over',
+      output: { products: { $addToSet: '$_id' } },
+    },
+  },
+  { $project: { count: { $size: '$products' } } },
+];
+
+const priceRangeFacet = (filters) => [
+  ...passingVariants(filters, 'price'),
+  { $group: { _id: null, min: { $min: '$variant.effectivePrice' }, max: { $max: '$variant.effectivePrice' } } },
+];
+
+const stockFacet = (filters) => [
+  ...passingVariants(filters, 'inStock'),
+  { $group: { _id: '$_id', inStock: { $max: { $cond: [{ $gt: ['$variant.availableQuantity', 0] }, 1, 0] } } } },
+  { $group: { _id: null, total: { $sum: 1 }, inStock: { $sum: '$inStock' } } },
+];
+
+// Every active option with its count, so options with no results can be shown disabled.
+// Subcategories are named by their full path
+const withCounts = (options, counts) => {
+  const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  return options.map((option) => ({
+    _id: option._id,
+    name: option.path || option.name,
+    count: countById.get(String(option._id)) || 0,
+  }));
+};
+
+const priceBuckets = (rows) => {
+  const countByBucket = new Map(rows.map(({ _id, count }) => [String(_id), count]));
+  return PRICE_BOUNDARIES.map((min, i) => ({
+    min,
+    max: i + 1 < PRICE_BOUNDARIES.length ? PRICE_BOUNDARIES[i + 1] : null,
+    count: countByBucket.get(i + 1 < PRICE_BOUNDARIES.length ? String(min) : 'over') || 0,
+  }));
+};
+
+const withSelected = (values, selected = []) => {
+  selected
+    .filter((value) => !values.some((option) => option.value === value))
+    .forEach((value) => values.push({ value, count: 0 }));
+  return values;
+};
+
+// Variant attributes, then specifications, each with the unit and type its definition gives.
+// Selected options stay listed even once other filters leave them with no results
+const attributeFacets = (result, filters, definitions) => {
+  const facets = new Map(result.attributes.map(({ _id, values }) => [_id, values]));
+  Object.entries(filters.attributes).forEach(([name, selected]) => {
+    facets.set(name, withSelected(facets.get(name) || [], selected));
+  });
+  const describe = (name, values, definition) => ({
+    name,
+    ...(definition && { type: definition.type, unit: definition.unit }),
+    values: definition?.type === 'number'
+      ? values.sort((a, b) => Number(a.value) - Number(b.value))
+      : values,
+  });
+
+  const variantFacets = [...facets.entries()]
+    .map(([name, values]) => describe(name, values, definitions?.variant.get(name)));
+  const specificationFacets = [...(definitions?.specification.entries() || [])]
+    .filter(([name]) => !definitions.variant.has(name))
+    .map(([name, definition], index) => {
+      const values = (result[`spec${index}`] || []).map(({ _id, count }) => ({ value: String(_id), count }));
+      return describe(name, withSelected(values, filters.specifications[name]), definition);
+    })
+    .filter(({ values }) => values.length);
+
+  return [...variantFacets, ...specificationFacets];
+};
+
+// Active products passing the filters, sorted, with facet counts for brand, category, price,
+// variant attributes and availability. Prices are per variant, after the best running offer;
+// each product also carries lowestPrice, the cheapest of its variants that passed. Only the
+// requested page of products is returned, along with the total that passed
+const listProductsWithFacets = async (listingFilters, sortOptions, { page = 1, limit = 24 } = {}) => {
+  const definitions = await filterableDefinitions();
+  const filters = splitSpecificationFilters(listingFilters, definitions);
+  const specificationNames = [...(definitions?.specification.keys() || [])]
+    .filter((name) => !definitions.variant.has(name));
+  const condition = variantCondition('$$variant', filters);
+  const priced = await pricedProductStages();
+
+  const pipeline = [
+    { $match: { status: 'active' } },
+    { $project: { searchIndex: 0 } },
+    ...priced,
+    {
+      $facet: {
+        products: [
+          { $match: productMatch(filters) },
+          {
+            $set: {
+              lowestPrice: {
+                $ifNull: [{
+                  $min: {
+                    $map: {
+                      input: condition
+                        ? { $filter: { input: '$variants', as: 'variant', cond: condition } }
+                        : '$variants',
+                      as: 'variant',
+                      in: '$$variant.effectivePrice',
+                    },
+                  },
+                }, '$price'],
+              },
+            },
+          },
+          { $sort: { ...sortOptions, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: LIST_PROJECTION },
+        ],
+        total: [{ $match: productMatch(filters) }, { $count: 'count' }],
+        brands: [{ $match: productMatch(filters, 'brand') }, ...countBy('$brandId')],
+        categories: [{ $match: productMatch(filters, 'category') }, ...countBy('$categoryId')],
+        attributes: attributeFacet(filters, definitions),
+        ...Object.fromEntries(specificationNames.map((name, index) => [`spec${index}`, specificationFacet(filters, name)])),
+        prices: priceFacet(filters),
+        priceRange: priceRangeFacet(filters),
+        availability: stockFacet(filters),
+      },
+    },
+  ];
+
+  const [[result], brands, categories] = await Promise.all([
+    Product.aggregate(pipeline),
+    Brand.find({ status: 'active' }).select('name').sort({ name: 1 }),
+    Category.find({ status: 'active' }).select('name path').sort({ path: 1 }),
+  ]);
+
+  return {
+    products: result.products,
+    total: result.total[0]?.count || 0,
+    facets: {
+      brands: withCounts(brands, result.brands),
+      categories: withCounts(categories, result.categories),
+      attributes: attributeFacets(result, filters, definitions),
+      priceBuckets: priceBuckets(result.prices),
+      priceRange: result.priceRange[0]
+        ? { min: result.priceRange[0].min, max: result.priceRange[0].max }
+        : { min: 0, max: 0 },
+      availability: result.availability[0]
+        ? { inStock: result.availability[0].inStock, total: result.availability[0].total }
+        : { inStock: 0, total: 0 },
+    },
+  };
+};
+
+module.exports = { parseListingFilters, listProductsWithFacets };
@@ -0,0 +1,111 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where uploaded images are kept, chosen by IMAGE_STORAGE: local (the default, for development
+// and tests), cloudinary or s3 (any S3-compatible store). Each adapter puts a file under a key
+// such as products/<assetId>/large.webp, returning its public URL, and can remove it again
+
+const localUploadDir = () => process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+const requireEnv = (names) => {
+  const missing = names.filter((name) => !process.env[name]);
+  if (missing.length) {
+    throw new Error(`Image storage is missing ${missing.join(', ')}`);
+  }
+};
+
+// Files under UPLOAD_DIR, served by the app at /uploads
+const localStorage = () => {
+  const baseUrl = (process.env.UPLOAD_BASE_URL || `http://localhost:${process.env.PORT || 4000}/uploads`).replace(/\/$/, '');
+  const root = localUploadDir();
+  const filePath = (key) => path.join(root, ...key.split('/'));
+
+  return {
+    name: 'local',
+    put: async (key, body) => {
+      await fs.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.writeFile(filePath(key), body);
+      return `${baseUrl}/${key}`;
+    },
+    remove: (key) => fs.rm(filePath(key), { force: true }),
+  };
+};
+
+// Uploads through the Cloudinary SDK to CLOUDINARY_CLOUD_NAME with CLOUDINARY_API_KEY and
+// CLOUDINARY_API_SECRET, which only ever live on the server
+const cloudinaryStorage = () => {
+  requireEnv(['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET']);
+  const { v2: cloudinary } = require('cloudinary');
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true,
+  });
+
+  // Cloudinary ids have no extension, so the format is kept in the id to tell renditions apart
+  const publicId = (key) => key.replace(/\.(\w+)$/, '-$1');
+
+  return {
+    name: 'cloudinary',
+    put: (key, body) => new Promise((resolve, reject) => {
+      cloudinary.uploader
+        .upload_stream({ public_id: publicId(key), overwrite: true, resource_type: 'image' }, (error, result) => (
+          error ? reject(error) : resolve(result.secure_url)
+        ))
+        .end(body);
+    }),
+    remove: (key) => cloudinary.uploader.destroy(publicId(key), { resource_type: 'image', invalidate: true }),
+  };
+};
+
+// Through the AWS SDK, to S3 itself or a compatible store (S3_ENDPOINT, addressed path-style).
+// Files are served from S3_PUBLIC_URL when the bucket sits behind a CDN
+const s3Storage = () => {
+  requireEnv(['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']);
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT?.replace(/\/$/, '');
+  const publicUrl = (process.env.S3_PUBLIC_URL || `${endpoint || `https://s3.${region}.amazonaws.com`}/${bucket}`).replace(/\/$/, '');
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    },
+  });
+
+  return {
+    name: 's3',
+    put: async (key, body, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+      return `${publicUrl}/${key}`;
+    },
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+  };
+};
+
+const ADAPTERS = { local: localStorage, cloudinary: cloudinaryStorage, s3: s3Storage };
+
+// A new adapter of the given kind, configured from the environment
+const createImageStorage = (name) => {
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown IMAGE_STORAGE "${name}"`);
+  }
+  return ADAPTERS[name]();
+};
+
+let adapter = null;
+
+// The adapter IMAGE_STORAGE names, created on first use
+const imageStorage = () => {
+  if (!adapter) {
+    adapter = createImageStorage(process.env.IMAGE_STORAGE || 'local');
+  }
+  return adapter;
+};
+
+module.exports = { imageStorage, createImageStorage, localUploadDir };
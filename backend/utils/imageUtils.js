@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const ImageAsset = require('../models/imageAssetSchema');
+const Product = require('../models/productSchema');
+const { createError } = require('./errorUtils');
+const { imageStorage } = require('./imageStorage');
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MIN_DIMENSION = 200;
+const MAX_DIMENSION = 4000;
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+const DEFAULT_UNUSED_IMAGE_GRACE_HOURS = 24;
+
+// Each size is made as WebP and as JPEG, or PNG when the image has transparency
+const RENDITIONS = [
+  { name: 'large', size: 1200 },
+  { name: 'medium', size: 600 },
+  { name: 'thumbnail', size: 200 },
+];
+
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Check an upload by its content rather than its name or declared type
+const inspectImage = async (buffer) => {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) {
+    throw createError('Upload an image file');
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw createError('Images must be 5MB or smaller');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw createError('The file is not a readable image');
+  }
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw createError('Only JPG, PNG and WebP images are allowed');
+  }
+  // Sideways photos report their stored size; what matters is the size once upright
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+    throw createError(`Images must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels`);
+  }
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw createError(`Images must not exceed ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`);
+  }
+
+  return { format: metadata.format, width, height, hasAlpha: Boolean(metadata.hasAlpha) };
+};
+
+// Every rendition of the image, upright and without its metadata, never enlarged
+const renderImage = (buffer, { hasAlpha }) => Promise.all(
+  RENDITIONS.flatMap(({ name, size }) => ['webp', hasAlpha ? 'png' : 'jpeg'].map(async (format) => {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION })
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .toFormat(format, { quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+    return { name, format, width: info.width, height: info.height, size: info.size, data };
+  }))
+);
+
+// Validate an upload, make its renditions and store them, returning the saved asset. If storing
+// any rendition fails, the ones already stored are removed
+const createImageAsset = async (buffer, { originalName, alt, uploadedBy } = {}) => {
+  const source = await inspectImage(buffer);
+  const renditions = await renderImage(buffer, source);
+  const storage = imageStorage();
+  const assetId = new mongoose.Types.ObjectId();
+
+  const stored = [];
+  try {
+    await Promise.all(renditions.map(async ({ data, ...rendition }) => {
+      const key = `products/${assetId}/${rendition.name}.${EXTENSIONS[rendition.format]}`;
+      const url = await storage.put(key, data, CONTENT_TYPES[rendition.format]);
+      stored.push({ ...rendition, key, url });
+    }));
+  } catch (error) {
+    await Promise.allSettled(stored.map(({ key }) => storage.remove(key)));
+    throw error;
+  }
+
+  const fallback = (name) => stored.find((rendition) => rendition.name === name && rendition.format !== 'webp');
+  return ImageAsset.create({
+    _id: assetId,
+    storage: storage.name,
+    originalName,
+    format: source.format,
+    width: source.width,
+    height: source.height,
+    size: buffer.length,
+    alt,
+    renditions: RENDITIONS.flatMap(({ name }) => stored.filter((rendition) => rendition.name === name)),
+    url: fallback('large').url,
+    thumbnailUrl: fallback('thumbnail').url,
+    uploadedBy,
+  });
+};
+
+const imageEntry = (entry) => ({
+  ...(entry.assetId && { assetId: entry.assetId }),
+  url: entry.url,
+  ...(entry.thumbnailUrl && { thumbnailUrl: entry.thumbnailUrl }),
+  alt: entry.alt || '',
+});
+
+// A product's images, in order, from what an admin sent: { assetId, alt } for uploaded assets,
+// or { url, alt } for images hosted elsewhere. Returns the images and productImage, their URLs
+const resolveProductImages = async (entries) => {
+  if (!Array.isArray(entries) || !entries.length) {
+    throw createError('At least one product image is required');
+  }
+
+  const assetIds = entries.map((entry) => entry?.assetId).filter(Boolean);
+  if (assetIds.some((id) => !mongoose.isValidObjectId(id))) {
+    throw createError('Invalid image id');
+  }
+  const assets = await ImageAsset.find({ _id: { $in: assetIds } }).select('url thumbnailUrl alt').lean();
+  const assetById = new Map(assets.map((asset) => [asset._id.toString(), asset]));
+
+  const images = entries.map((entry) => {
+    const alt = String(entry?.alt ?? '').trim();
+    if (entry?.assetId) {
+      const asset = assetById.get(String(entry.assetId));
+      if (!asset) {
+        throw createError('Image not found');
+      }
+      return imageEntry({ assetId: asset._id, url: asset.url, thumbnailUrl: asset.thumbnailUrl, alt: alt || asset.alt });
+    }
+    if (!/^https?:\/\/\S+$/i.test(entry?.url || '')) {
+      throw createError('Each image needs an uploaded image or a URL');
+    }
+    return imageEntry({ url: entry.url, alt });
+  });
+
+  return { images, productImage: images.map((image) => image.url) };
+};
+
+// Images for a list of URLs set directly (e.g. by an import), keeping the asset and alt text of
+// any the product already had
+const imagesFromUrls = (urls, currentImages = []) => urls.map((url) => {
+  const current = currentImages.find((image) => image.url === url);
+  return imageEntry(current ? (current.toObject?.() || current) : { url });
+});
+
+// Take an uploaded image out of storage and delete its asset, unless a product shows it.
+// Assets kept in another storage than the one configured are left alone. Resolves to whether
+// the asset was removed
+const removeImageAsset = async (asset) => {
+  if (await Product.exists({ 'images.assetId': asset._id })) return false;
+
+  const storage = imageStorage();
+  if (asset.storage !== storage.name) {
+    console.warn(`Image ${asset._id} is kept in ${asset.storage} storage, not ${storage.name}; not removed`);
+    return false;
+  }
+  await Promise.all(asset.renditions.map(({ key }) => storage.remove(key)));
+  await asset.deleteOne();
+  return true;
+};
+
+// Take uploaded images a product no longer shows out of storage, once they have been replaced
+// or removed. Images another product still shows are kept. Never throws, so it can run after a
+// response without awaiting
+const removeReplacedImages = async (previousImages = [], currentImages = []) => {
+  try {
+    const kept = new Set(currentImages.map((image) => String(image.assetId)));
+    const replacedIds = [...new Set(previousImages
+      .filter((image) => image.assetId && !kept.has(String(image.assetId)))
+      .map((image) => String(image.assetId)))];
+
+    for (const assetId of replacedIds) {
+      const asset = await ImageAsset.findById(assetId);
+      if (asset) await removeImageAsset(asset);
+    }
+  } catch (error) {
+    console.error('Error removing replaced images:', error);
+  }
+};
+
+// Remove uploads that no product shows once they are older than UNUSED_IMAGE_GRACE_HOURS
+// (default 24), e.g. images uploaded for a product whose save failed or was abandoned. The grace
+// period leaves an upload time to be saved with its product. Resolves to the number removed
+const removeUnusedImages = async () => {
+  const graceHours = Number(process.env.UNUSED_IMAGE_GRACE_HOURS) || DEFAULT_UNUSED_IMAGE_GRACE_HOURS;
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+
+  const usedIds = await Product.distinct('images.assetId', { 'images.assetId': { $ne: null } });
+  const unused = await ImageAsset.find({ createdAt: { $lt: cutoff }, _id: { $nin: usedIds } });
+
+  let removed = 0;
+  for (const asset of unused) {
+    try {
+      if (await removeImageAsset(asset)) removed += 1;
+    } catch (error) {
+      console.error(`Failed to remove unused image ${asset._id}:`, error);
+    }
+  }
+  return removed;
+};
+
+// Give products saved before managed images existed an images list from their productImage URLs
+const backfillProductImages = async () => {
+  try {
+    const products = await Product.find({ images: { $exists: false } }).select('productImage').lean();
+    if (!products.length) return;
+
+    await Product.bulkWrite(products.map((product) => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { images: imagesFromUrls(product.productImage || []) } },
+        timestamps: false,
+      },
+    })));
+  } catch (error) {
+    console.error('Error backfilling product images:', error);
+  }
+};
+
+module.exports = {
+  createImageAsset,
+  resolveProductImages,
+  imagesFromUrls,
+  removeReplacedImages,
+  removeUnusedImages,
+  backfillProductImages,
+};
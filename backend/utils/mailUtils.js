@@ -0,0 +1,43 @@
+const nodemailer = require('nodemailer');
+
+const createTransporter = () => nodemailer.createTransport({
+  service: 'gmail',
+  port: 587,
+  secure: false,
+  requireTLS: true,
+  auth: {
+    user: process.env.NODEMAILER_EMAIL,
+    pass: process.env.NODEMAILER_PASSWORD
+  }
+});
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Template tag for email bodies: every interpolated value is HTML-escaped, so names and
+// titles customers or admins typed can't add markup or links to the email
+const html = (strings, ...values) =>
+  strings.reduce((result, string, index) => result + escapeHtml(values[index - 1]) + string);
+
+// Send a notification email; failures are logged and reported as false rather than thrown
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    const info = await createTransporter().sendMail({
+      from: process.env.NODEMAILER_EMAIL,
+      to,
+      subject,
+      text,
+      html,
+    });
+    return info.accepted.length > 0;
+  } catch (error) {
+    console.error('Error sending email', error);
+    return false;
+  }
+};
+
+module.exports = { sendMail, escapeHtml, html };
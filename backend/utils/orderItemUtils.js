@@ -0,0 +1,95 @@
+const Order = require('../models/orderSchema');
+const { createError } = require('./errorUtils');
+const { roundAmount, remainingQuantity, calculateItemRefund } = require('./pricingUtils');
+const { restoreStock } = require('./stockUtils');
+const { recordItemChange } = require('./orderStatusUtils');
+
+// Cancel or return `quantity` units of one line. Only that variant is restocked; the
+// amount owed back is returned when the order has been paid for. `movement` names who
+// closed the line (and, for returns, the return request) in the stock ledger
+const closeOrderItem = async (order, item, quantity, type, { restock = true, session, movement } = {}) => {
+  const refundAmount = order.paymentStatus === 'Completed'
+    ? calculateItemRefund(order, item, quantity)
+    : 0;
+
+  if (restock) {
+    await restoreStock([{ productId: item.productId, variantId: item.variantId, quantity }], session, {
+      reason: type === 'Cancelled' ? 'cancel' : 'return',
+      referenceType: 'Order',
+      referenceId: order._id,
+      ...movement,
+    });
+  }
+
+  recordItemChange(item, quantity, type);
+  item.refundedAmount = roundAmount((item.refundedAmount || 0) + refundAmount);
+
+  return refundAmount;
+};
+
+// Close every unit still open on the order, e.g. when the whole order is cancelled
+const closeRemainingItems = async (order, type, options) => {
+  let refundAmount = 0;
+
+  for (const item of order.products) {
+    const quantity = remainingQuantity(item);
+    if (quantity > 0) {
+      refundAmount += await closeOrderItem(order, item, quantity, type, options);
+    }
+  }
+
+  return roundAmount(refundAmount);
+};
+
+// Validate the line item and quantity a customer wants to cancel or return.
+// `pendingQuantity` units are already part of an open return request
+const findOpenItem = (order, itemId, quantity, pendingQuantity = 0) => {
+  const item = order.products.id(itemId);
+  if (!item) {
+    throw createError('Item not found in this order', 404);
+  }
+
+  const openQuantity = remainingQuantity(item) - pendingQuantity;
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > openQuantity) {
+    throw createError(openQuantity > 0
+      ? `Quantity must be between 1 and ${openQuantity}`
+      : `${item.name} has already been cancelled or returned`);
+  }
+
+  return item;
+};
+
+// Count `quantity` more units of a line as cancelled or returned, before anything is restocked
+// or refunded. It only matches while the order and the line are as they were read, so when two
+// requests close the same units only the first gets through; the other gets a 409
+const claimItemChange = async (order, item, quantity, type, session) => {
+  const field = type === 'Cancelled' ? 'cancelledQuantity' : 'returnedQuantity';
+  const unchanged = (count) => (count ? count : { $in: [0, null] });
+
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      orderStatus: order.orderStatus,
+      products: {
+        $elemMatch: {
+          _id: item._id,
+          cancelledQuantity: unchanged(item.cancelledQuantity),
+          returnedQuantity: unchanged(item.returnedQuantity),
+        },
+      },
+    },
+    { $set: { [`products.$.${field}`]: (item[field] || 0) + quantity } },
+    { session }
+  );
+
+  if (!claimed) {
+    throw createError('This order was changed by another request. Please reload and try again.', 409);
+  }
+};
+
+module.exports = {
+  claimItemChange,
+  closeOrderItem,
+  closeRemainingItems,
+  findOpenItem,
+};
@@ -0,0 +1,93 @@
+const { createError } = require('./errorUtils');
+
+// Statuses each order status may move to next; terminal statuses map to an empty list
+const ORDER_STATUS_TRANSITIONS = {
+  'Payment Failed': ['Cancelled'],
+  'Processing': ['Confirmed', 'Cancelled'],
+  'Confirmed': ['Shipped', 'Cancelled'],
+  'Shipped': ['Delivered'],
+  'Delivered': ['Returned'],
+  'Cancelled': [],
+  'Returned': [],
+};
+
+// Transitions a customer may trigger themselves; everything else is admin or system only
+const CUSTOMER_TRANSITIONS = {
+  'Processing': ['Cancelled'],
+  'Confirmed': ['Cancelled'],
+  'Payment Failed': ['Cancelled'],
+  'Delivered': ['Returned'],
+};
+
+// Transitions only the system makes. A failed order goes back to Processing once its retried
+// payment is confirmed (confirmOrderPayment), which is also when its stock is taken
+const SYSTEM_TRANSITIONS = {
+  'Payment Failed': ['Processing'],
+};
+
+const canTransition = (from, to, actor = 'system') => {
+  if (actor === 'customer') {
+    return (CUSTOMER_TRANSITIONS[from] || []).includes(to);
+  }
+  const allowed = [
+    ...(ORDER_STATUS_TRANSITIONS[from] || []),
+    ...(actor === 'system' ? SYSTEM_TRANSITIONS[from] || [] : []),
+  ];
+  return allowed.includes(to);
+};
+
+// Move the order to a new status and record the change, or throw if the move is illegal
+const changeOrderStatus = (order, status, { actor = 'system', note } = {}) => {
+  if (!ORDER_STATUS_TRANSITIONS[status]) {
+    throw createError(`Invalid order status: ${status}`);
+  }
+
+  if (order.orderStatus === status) {
+    throw createError(`Order is already ${status}`);
+  }
+
+  if (!canTransition(order.orderStatus, status, actor)) {
+    if (SYSTEM_TRANSITIONS[order.orderStatus]?.includes(status)) {
+      throw createError(`An order moves from ${order.orderStatus} to ${status} only once its payment is confirmed`);
+    }
+    throw createError(`Cannot change order status from ${order.orderStatus} to ${status}`);
+  }
+
+  order.statusHistory.push({
+    status,
+    previousStatus: order.orderStatus,
+    actor,
+    note,
+    changedAt: new Date(),
+  });
+  order.orderStatus = status;
+
+  return order;
+};
+
+// Record `quantity` units of a line as cancelled or returned and refresh the line status
+const recordItemChange = (item, quantity, type) => {
+  if (type === 'Cancelled') {
+    item.cancelledQuantity = (item.cancelledQuantity || 0) + quantity;
+  } else {
+    item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+  }
+
+  const closed = item.cancelledQuantity + item.returnedQuantity;
+  if (closed >= item.quantity) {
+    item.status = item.returnedQuantity > 0 ? 'Returned' : 'Cancelled';
+  } else if (item.returnedQuantity > 0) {
+    item.status = 'Partially Returned';
+  } else {
+    item.status = 'Partially Cancelled';
+  }
+
+  return item;
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  canTransition,
+  changeOrderStatus,
+  recordItemChange,
+};
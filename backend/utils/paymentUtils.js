@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { decrementStock } = require('./stockUtils');
+const { changeOrderStatus } = require('./orderStatusUtils');
+const { issueRefund } = require('./refundUtils');
+const { convertReservation } = require('./reservationUtils');
+
+// Constant-time comparison of a hex HMAC-SHA256 of `payload` against `signature`
+const isValidSignature = (payload, signature, secret) => {
+  if (!payload || !signature || !secret) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+// Mark an order as paid. Orders whose payment had failed never took stock,
+// so they take it now (from the retry's hold, if it is still active) and move back into the normal flow.
+const confirmOrderPayment = async (order, { paymentId, signature, razorpayOrderId, note }, session) => {
+  if (order.orderStatus === 'Payment Failed') {
+    changeOrderStatus(order, 'Processing', { actor: 'system', note });
+    await convertReservation({ orderId: order._id }, order._id, session);
+    await decrementStock(order.products, session, {
+      reason: 'sale',
+      referenceType: 'Order',
+      referenceId: order._id,
+      actor: 'system',
+      note,
+    });
+  }
+
+  order.razorpay = {
+    ...(order.razorpay?.toObject ? order.razorpay.toObject() : order.razorpay),
+    ...(razorpayOrderId && { orderId: razorpayOrderId }),
+    paymentId,
+    ...(signature && { signature }),
+  };
+  order.paymentStatus = 'Completed';
+
+  return order.save({ session });
+};
+
+// A payment that lands after the order was cancelled (e.g. it expired while the
+// checkout was still open) is sent straight back to the customer
+const refundLatePayment = async (order) => {
+  // The order may come out of a transaction whose session has already ended
+  order.$session(null);
+
+  const refund = await issueRefund(order, order.finalAmount, {
+    method: 'original',
+    reason: `Payment received after order ${order._id} was cancelled`
+  });
+  await order.save();
+  return refund;
+};
+
+module.exports = { isValidSignature, confirmOrderPayment, refundLatePayment };
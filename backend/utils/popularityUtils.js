@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const Order = require('../models/orderSchema');
+const Product = require('../models/productSchema');
+const ProductView = require('../models/productViewSchema');
+const RecentView = require('../models/recentViewSchema');
+const Wishlist = require('../models/wishlistSchema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SALES_WINDOW_DAYS = 90;
+const DEFAULT_HALF_LIFE_DAYS = 14;
+const DEFAULT_BEST_SELLER_COUNT = 10;
+
+// What one delivered unit, one view and one wishlist add are each worth in the score
+const WEIGHTS = { sale: 10, view: 0.2, wishlist: 3 };
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Count one storefront view of a product by `viewer` (a user id or an address). The same viewer
+// counts once per product within the dedupe window. Never throws, so it can run after a
+// response without awaiting
+const recordProductView = async (productId, viewer) => {
+  try {
+    const viewerKey = crypto.createHash('sha256').update(String(viewer)).digest('hex');
+    await RecentView.create({ productId, viewerKey });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error(`Failed to record a view of product ${productId}:`, error);
+    }
+    return;
+  }
+
+  try {
+    await ProductView.updateOne(
+      { productId, day: startOfDay() },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Failed to record a view of product ${productId}:`, error);
+  }
+};
+
+// Weight of something that happened at dateField: 1 now, halving every halfLifeDays
+const recencyWeight = (dateField, now, halfLifeDays) => ({
+  $pow: [0.5, { $divide: [{ $subtract: [now, dateField] }, halfLifeDays * DAY_MS] }],
+});
+
+// Units per product in delivered orders, less any that were cancelled or returned
+const deliveredUnits = (since) => Order.aggregate([
+  { $match: { orderStatus: 'Delivered', orderDate: { $gte: since } } },
+  { $unwind: '$products' },
+  {
+    $group: {
+      _id: '$products.productId',
+      value: {
+        $sum: {
+          $subtract: [
+            '$products.quantity',
+            { $add: [{ $ifNull: ['$products.cancelledQuantity', 0] }, { $ifNull: ['$products.returnedQuantity', 0] }] },
+          ],
+        },
+      },
+    },
+  },
+]);
+
+const weightedViews = (now, halfLifeDays) => ProductView.aggregate([
+  { $group: { _id: '$productId', value: { $sum: { $multiply: ['$count', recencyWeight('$day', now, halfLifeDays)] } } } },
+]);
+
+// Entries saved before addedAt existed fall back to the time their id was generated
+const weightedWishlistAdds = (now, halfLifeDays) => Wishlist.aggregate([
+  { $unwind: '$product' },
+  {
+    $group: {
+      _id: '$product.productId',
+      value: { $sum: recencyWeight({ $ifNull: ['$product.addedAt', { $toDate: '$product._id' }] }, now, halfLifeDays) },
+    },
+  },
+]);
+
+// Recompute every product's popularity score, units sold and best-seller flag. Products with
+// no recent activity are reset to zero. Returns how many products have a score
+const refreshPopularity = async () => {
+  const now = new Date();
+  const salesWindowDays = Number(process.env.POPULARITY_SALES_WINDOW_DAYS) || DEFAULT_SALES_WINDOW_DAYS;
+  const halfLifeDays = Number(process.env.POPULARITY_HALF_LIFE_DAYS) || DEFAULT_HALF_LIFE_DAYS;
+  const bestSellerCount = Number(process.env.BEST_SELLER_COUNT) || DEFAULT_BEST_SELLER_COUNT;
+
+  const [sales, views, wishlistAdds] = await Promise.all([
+    deliveredUnits(new Date(now.getTime() - salesWindowDays * DAY_MS)),
+    weightedViews(now, halfLifeDays),
+    weightedWishlistAdds(now, halfLifeDays),
+  ]);
+
+  const signals = new Map();
+  const collect = (rows, key) => rows.forEach(({ _id, value }) => {
+    if (!_id) return;
+    const id = _id.toString();
+    if (!signals.has(id)) signals.set(id, { unitsSold: 0, views: 0, wishlistAdds: 0 });
+    signals.get(id)[key] += value;
+  });
+  collect(sales, 'unitsSold');
+  collect(views, 'views');
+  collect(wishlistAdds, 'wishlistAdds');
+
+  const bestSellers = new Set(
+    [...signals.entries()]
+      .filter(([, signal]) => signal.unitsSold > 0)
+      .sort(([, a], [, b]) => b.unitsSold - a.unitsSold)
+      .slice(0, bestSellerCount)
+      .map(([id]) => id)
+  );
+
+  // Statistics only: leave updatedAt alone so it still means the product itself changed
+  const operations = [...signals.entries()].map(([id, signal]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: {
+        $set: {
+          popularityScore: Math.round((
+            signal.unitsSold * WEIGHTS.sale +
+            signal.views * WEIGHTS.view +
+            signal.wishlistAdds * WEIGHTS.wishlist
+          ) * 100) / 100,
+          unitsSold: signal.unitsSold,
+          isBestSeller: bestSellers.has(id),
+          popularityUpdatedAt: now,
+        },
+      },
+      timestamps: false,
+    },
+  }));
+
+  if (operations.length) {
+    await Product.bulkWrite(operations, { ordered: false });
+  }
+
+  await Product.updateMany(
+    {
+      _id: { $nin: [...signals.keys()] },
+      $or: [{ popularityScore: { $ne: 0 } }, { unitsSold: { $ne: 0 } }, { isBestSeller: true }],
+    },
+    { $set: { popularityScore: 0, unitsSold: 0, isBestSeller: false, popularityUpdatedAt: now } },
+    { timestamps: false }
+  );
+
+  return operations.length;
+};
+
+module.exports = { recordProductView, refreshPopularity };
@@ -0,0 +1,166 @@
+const Product = require('../models/productSchema');
+const Category = require('../models/categorySchema');
+const Offer = require('../models/offerSchema');
+const Coupon = require('../models/CouponSchema');
+const { createError } = require('./errorUtils');
+
+// Allowed difference (in ₹) between the client's total and ours, to absorb rounding
+const PRICE_TOLERANCE = 1;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isOfferActive = (offer, now = new Date()) => {
+  return Boolean(
+    offer &&
+    offer.isActive &&
+    new Date(offer.startDate) <= now &&
+    new Date(offer.endDate) >= now
+  );
+};
+
+// Best running offer for a product, comparing its own offer with its category offer
+const getBestOffer = async (product) => {
+  const category = await Category.findById(product.categoryId).select('offerId');
+  const offerIds = [product.offerId, category?.offerId].filter(Boolean);
+
+  if (!offerIds.length) {
+    return null;
+  }
+
+  const offers = await Offer.find({ _id: { $in: offerIds } });
+
+  return offers
+    .filter((offer) => isOfferActive(offer))
+    .reduce((best, offer) => (!best || offer.discountPercent > best.discountPercent ? offer : best), null);
+};
+
+// The coupon's discount on totalAmount. With userId, a coupon that customer has already used is
+// refused here, so every checkout (including an online payment, before it is taken) checks it
+const calculateCouponDiscount = async (couponCode, totalAmount, { userId } = {}) => {
+  if (!couponCode) {
+    return { coupon: null, discountAmount: 0 };
+  }
+
+  const coupon = await Coupon.findOne({
+    name: couponCode,
+    isListed: "active",
+    expireOn: { $gt: new Date() }
+  });
+
+  if (!coupon) {
+    throw createError("Invalid or expired coupon code");
+  }
+
+  if (userId && coupon.userId.some((id) => id.toString() === userId.toString())) {
+    throw createError("You have already used this coupon");
+  }
+
+  if (totalAmount < coupon.minimumPrice) {
+    throw createError(`Minimum purchase amount of ₹${coupon.minimumPrice} required for this coupon`);
+  }
+
+  const discount = coupon.CouponType === 'percentage'
+    ? (totalAmount * coupon.offerPrice) / 100
+    : coupon.offerPrice;
+
+  return { coupon, discountAmount: roundAmount(Math.min(discount, totalAmount)) };
+};
+
+// Price the given line items from the catalogue, ignoring any price sent by the client.
+// `userId` is the customer placing the order, for the coupon check
+const calculateOrderPricing = async (items, couponCode, { userId } = {}) => {
+  const lineItems = [];
+  let offerDiscount = 0;
+
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createError(`Invalid quantity for product ${item.name || item.productId}`);
+    }
+
+    const product = await Product.findOne({ _id: item.productId, status: "active" });
+    if (!product) {
+      throw createError(`Product ${item.name || item.productId} is no longer available`);
+    }
+
+    const variant = product.variants.id(item.variantId);
+    if (!variant) {
+      throw createError(`Variant not found for product ${product.title}`);
+    }
+
+    const originalPrice = variant.price ?? product.price;
+    const offer = await getBestOffer(product);
+    const offerPercent = offer ? offer.discountPercent : 0;
+    const price = roundAmount(originalPrice - (originalPrice * offerPercent) / 100);
+
+    offerDiscount += (originalPrice - price) * quantity;
+
+    lineItems.push({
+      productId: product._id,
+      variantId: variant._id.toString(),
+      name: product.title,
+      quantity,
+      price,
+      originalPrice,
+      offer: offer ? {
+        offerId: offer._id,
+        name: offer.name,
+        discountPercent: offer.discountPercent
+      } : undefined,
+      variant: {
+        name: `${product.title} - ${variant.attributes.map((attr) => attr.value).join(' ')}`.trim(),
+        price: originalPrice,
+        attributes: variant.attributes.map(({ name, value }) => ({ name, value }))
+      }
+    });
+  }
+
+  const totalAmount = roundAmount(lineItems.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const { coupon, discountAmount } = await calculateCouponDiscount(couponCode, totalAmount, { userId });
+
+  return {
+    products: lineItems,
+    totalAmount,
+    offerDiscount: roundAmount(offerDiscount),
+    coupon,
+    discountAmount,
+    finalAmount: roundAmount(totalAmount - discountAmount)
+  };
+};
+
+// Units of a line that have not been cancelled or returned yet
+const remainingQuantity = (item) => item.quantity - (item.cancelledQuantity || 0) - (item.returnedQuantity || 0);
+
+// What the customer paid for `quantity` units of a line. The coupon discount is
+// spread over lines by their value; the last units of the order absorb rounding.
+const calculateItemRefund = (order, item, quantity) => {
+  const alreadyRefunded = order.products.reduce((sum, line) => sum + (line.refundedAmount || 0), 0);
+  const refundable = roundAmount(order.finalAmount - alreadyRefunded);
+  const unitsLeft = order.products.reduce((sum, line) => sum + remainingQuantity(line), 0);
+
+  if (quantity >= unitsLeft) {
+    return Math.max(refundable, 0);
+  }
+
+  const paidRatio = order.totalAmount > 0 ? order.finalAmount / order.totalAmount : 0;
+  return Math.max(Math.min(roundAmount(item.price * quantity * paidRatio), refundable), 0);
+};
+
+// True when the amount the client showed the customer differs from the server's total
+const hasPriceMismatch = (clientAmount, serverAmount) => {
+  if (clientAmount === undefined || clientAmount === null) {
+    return false;
+  }
+  return Math.abs(Number(clientAmount) - serverAmount) > PRICE_TOLERANCE;
+};
+
+module.exports = {
+  calculateOrderPricing,
+  calculateCouponDiscount,
+  getBestOffer,
+  isOfferActive,
+  hasPriceMismatch,
+  roundAmount,
+  remainingQuantity,
+  calculateItemRefund,
+};
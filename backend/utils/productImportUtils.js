@@ -0,0 +1,522 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
+const Product = require('../models/productSchema');
+const Category = require('../models/categorySchema');
+const Brand = require('../models/brandSchema');
+const { createError } = require('./errorUtils');
+const { runInTransaction } = require('./transactionUtils');
+const { recordStockMovements, stockAdjustments } = require('./stockUtils');
+const { effectiveDefinitions, validateProductAttributes } = require('./attributeSchemaUtils');
+const { imagesFromUrls, removeReplacedImages } = require('./imageUtils');
+const { slugFields } = require('./slugUtils');
+
+// One row per variant. Product columns repeat on each of a product's rows; rows are grouped
+// into products by sku. Variant attributes and specifications get a column each, named
+// "attribute:<name>" and "spec:<name>"
+const PRODUCT_COLUMNS = ['sku', 'title', 'description', 'category', 'brand', 'price', 'color', 'status', 'images', 'lowStockThreshold'];
+const VARIANT_COLUMNS = ['variantSku', 'variantPrice', 'variantQuantity', 'variantLowStockThreshold'];
+const ATTRIBUTE_PREFIX = 'attribute:';
+const SPECIFICATION_PREFIX = 'spec:';
+const IMAGE_SEPARATOR = '|';
+const MAX_IMPORT_ROWS = 5000;
+
+const lower = (value) => String(value).trim().toLowerCase();
+
+const toPlainObject = (value) => {
+  if (!value) return {};
+  return value instanceof Map ? Object.fromEntries(value) : { ...value };
+};
+
+// Column names are matched without regard to case; anything unrecognised is ignored
+const canonicalColumn = (header) => {
+  const name = String(header).trim();
+  const fixed = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS].find((column) => lower(column) === lower(name));
+  if (fixed) return fixed;
+  const prefix = [ATTRIBUTE_PREFIX, SPECIFICATION_PREFIX].find((candidate) => lower(name).startsWith(candidate));
+  return prefix && name.length > prefix.length ? `${prefix}${name.slice(prefix.length).trim()}` : null;
+};
+
+// Content types an import may be sent as, by format. Windows browsers label CSV files as Excel
+const IMPORT_TYPES = {
+  csv: ['text/csv', 'application/csv', 'application/vnd.ms-excel'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+};
+const IMPORT_CONTENT_TYPES = Object.values(IMPORT_TYPES).flat();
+
+// The import format for a request's content type, or null if it is neither CSV nor XLSX
+const importFormat = (contentType) => {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(IMPORT_TYPES).find((format) => IMPORT_TYPES[format].includes(type)) || null;
+};
+
+// What an XLSX cell holds, as the text a CSV cell would have
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    return '';
+  }
+  return String(value);
+};
+
+const tooManyRows = () => createError(`Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+
+// Lines of a CSV file as { row, values }. The request size limit bounds how much there is to
+// parse. Cells stay text, so SKUs like 0012 keep their leading zeros
+const readCsvLines = (buffer) => {
+  const lines = parseCsv(buffer, {
+    bom: true,
+    info: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+  });
+  return lines.map(({ record, info }) => ({ row: info.lines, values: record }));
+};
+
+// Lines of the first sheet of an XLSX file as { row, values }. A small XLSX file can unzip to
+// a huge sheet, so it is read as a stream and reading stops just past the row limit
+const readXlsxLines = async (buffer) => {
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from(buffer), {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'ignore',
+    worksheets: 'emit',
+  });
+
+  const lines = [];
+  for await (const worksheet of reader) {
+    for await (const row of worksheet) {
+      // row.values starts at index 1, for column A
+      const values = Array.from(row.values.slice(1), cellText);
+      if (values.some((value) => value.trim() !== '')) {
+        lines.push({ row: row.number, values });
+      }
+      if (lines.length > MAX_IMPORT_ROWS + 1) {
+        throw tooManyRows();
+      }
+    }
+    break;
+  }
+  return lines;
+};
+
+// The first sheet of a CSV or XLSX file as { row, cells }, row being the spreadsheet's line number
+const readImportRows = async (buffer, format) => {
+  if (!Buffer.isBuffer(buffer) || !buffer.length || !format) {
+    throw createError('Upload a CSV or XLSX file');
+  }
+
+  let lines;
+  try {
+    lines = format === 'xlsx' ? await readXlsxLines(buffer) : readCsvLines(buffer);
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw createError(`The file could not be read as ${format.toUpperCase()}`);
+  }
+
+  const [header, ...records] = lines;
+  if (!records.length) {
+    throw createError('The file has no product rows');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw tooManyRows();
+  }
+
+  const columns = header.values.map(canonicalColumn);
+  return records.map(({ row, values }) => {
+    const cells = {};
+    columns.forEach((column, index) => {
+      if (column) cells[column] = String(values[index] ?? '').trim();
+    });
+    // Blank lines are skipped, so the line number comes from the sheet rather than the position
+    return { row, cells };
+  });
+};
+
+const cellsWithPrefix = (cells, prefix) =>
+  Object.entries(cells)
+    .filter(([column, value]) => column.startsWith(prefix) && value !== '')
+    .map(([column, value]) => [column.slice(prefix.length), value]);
+
+const parseNumber = (value, label, addError, { integer = false } = {}) => {
+  if (value === '' || value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    addError(`${label} must be a ${integer ? 'whole number' : 'number'} of 0 or more (got "${value}")`);
+    return undefined;
+  }
+  return number;
+};
+
+// Categories are given by their full path ("Electronics > Laptops"), or by name when only one has it
+const findCategory = (categories, value) => {
+  const byPath = categories.find((category) => lower(category.path || category.name) === lower(value));
+  if (byPath) return byPath;
+  const byName = categories.filter((category) => lower(category.name) === lower(value));
+  return byName.length === 1 ? byName[0] : null;
+};
+
+// A product-level column's value for the group: the first row's, unless a later row disagrees
+const productValue = (groupRows, column, addError) => {
+  const filled = groupRows.filter(({ cells }) => (cells[column] ?? '') !== '');
+  if (!filled.length) return '';
+  const [first] = filled;
+  filled
+    .filter(({ cells }) => cells[column] !== first.cells[column])
+    .forEach(({ row }) => addError(row, `${column} differs from row ${first.row}`));
+  return first.cells[column];
+};
+
+// What importing one product's rows would do. Blank cells keep an existing product's values, and
+// its variants missing from the file are left as they are. Errors are listed by spreadsheet row
+const planProduct = async (sku, groupRows, context) => {
+  const errors = [];
+  const [firstRow] = groupRows;
+  const addError = (row, message) => errors.push({ row, message });
+  const productError = (message) => addError(firstRow.row, message);
+  const value = (column) => productValue(groupRows, column, addError);
+  const existing = context.existing.get(sku);
+
+  const title = value('title') || existing?.title || '';
+  if (!title) productError('title is required');
+  const titleOwner = context.titleOwners.get(lower(title));
+  if (title && titleOwner && titleOwner !== sku) {
+    productError(`title "${title}" is already used by product ${titleOwner}`);
+  }
+
+  const price = parseNumber(value('price'), 'price', productError) ?? existing?.price;
+  if (!price) productError('price is required');
+
+  const statusValue = value('status');
+  const status = statusValue ? lower(statusValue) : existing?.status || 'active';
+  if (!['active', 'inactive'].includes(status)) productError('status must be active or inactive');
+
+  const categoryValue = value('category');
+  const category = categoryValue ? findCategory(context.categories, categoryValue) : null;
+  if (categoryValue && !category) productError(`category "${categoryValue}" not found`);
+  const categoryId = category?._id || (categoryValue ? null : existing?.categoryId);
+  if (!categoryValue && !categoryId) productError('category is required');
+
+  const brandValue = value('brand');
+  const brand = brandValue ? context.brands.find((candidate) => lower(candidate.name) === lower(brandValue)) : null;
+  if (brandValue && !brand) productError(`brand "${brandValue}" not found`);
+  const brandId = brand?._id || (brandValue ? null : existing?.brandId);
+  if (!brandValue && !brandId) productError('brand is required');
+
+  const imagesValue = value('images');
+  const productImage = imagesValue
+    ? imagesValue.split(IMAGE_SEPARATOR).map((url) => url.trim()).filter(Boolean)
+    : existing?.productImage || [];
+  if (!productImage.length) productError('at least one image URL is required');
+  productImage
+    .filter((url) => !/^https?:\/\/\S+$/i.test(url))
+    .forEach((url) => productError(`"${url}" is not an image URL`));
+
+  const specifications = toPlainObject(existing?.specifications);
+  const specificationColumns = new Set(
+    groupRows.flatMap(({ cells }) => Object.keys(cells).filter((column) => column.startsWith(SPECIFICATION_PREFIX)))
+  );
+  specificationColumns.forEach((column) => {
+    const specification = value(column);
+    if (specification !== '') specifications[column.slice(SPECIFICATION_PREFIX.length)] = specification;
+  });
+
+  const fileVariants = [];
+  groupRows.forEach(({ row, cells }) => {
+    const rowError = (message) => addError(row, message);
+    const variantSku = cells.variantSku || '';
+    const attributes = cellsWithPrefix(cells, ATTRIBUTE_PREFIX);
+
+    if (!variantSku) {
+      if (attributes.length || VARIANT_COLUMNS.some((column) => cells[column])) {
+        rowError('variantSku is required for a variant');
+      }
+      return;
+    }
+    if (fileVariants.some((variant) => variant.sku === variantSku)) {
+      rowError(`variant ${variantSku} is listed more than once`);
+      return;
+    }
+
+    const current = existing?.variants.find((variant) => variant.sku === variantSku);
+    const mergedAttributes = (current?.attributes || []).map(({ name, value: attributeValue }) => ({ name, value: attributeValue }));
+    attributes.forEach(([name, attributeValue]) => {
+      const index = mergedAttributes.findIndex((attribute) => lower(attribute.name) === lower(name));
+      if (index === -1) mergedAttributes.push({ name, value: attributeValue });
+      else mergedAttributes[index] = { name, value: attributeValue };
+    });
+
+    fileVariants.push({
+      sku: variantSku,
+      attributes: mergedAttributes,
+      price: parseNumber(cells.variantPrice, 'variantPrice', rowError) ?? current?.price ?? price,
+      // Left unset, an existing variant keeps whatever stock it has when the import runs
+      availableQuantity: parseNumber(cells.variantQuantity, 'variantQuantity', rowError, { integer: true })
+        ?? (current ? undefined : 0),
+      lowStockThreshold: parseNumber(cells.variantLowStockThreshold, 'variantLowStockThreshold', rowError, { integer: true })
+        ?? current?.lowStockThreshold,
+    });
+  });
+
+  const keptVariants = (existing?.variants || []).filter(
+    (variant) => !fileVariants.some((fileVariant) => fileVariant.sku === variant.sku)
+  );
+
+  let checked = { specifications, variants: fileVariants };
+  if (categoryId) {
+    const key = categoryId.toString();
+    if (!context.definitions.has(key)) context.definitions.set(key, await effectiveDefinitions(categoryId));
+    try {
+      const result = validateProductAttributes(
+        { specifications, variants: [...keptVariants, ...fileVariants] },
+        context.definitions.get(key) || [],
+        { variantLabel: (variant) => `Variant ${variant.sku}` }
+      );
+      checked = { specifications: result.specifications, variants: result.variants.slice(keptVariants.length) };
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      productError(error.message);
+    }
+  }
+
+  return {
+    sku,
+    title,
+    action: existing ? 'update' : 'create',
+    rows: groupRows.map(({ row }) => row),
+    errors,
+    fields: {
+      title,
+      description: value('description') || existing?.description || '',
+      color: value('color') || existing?.color || '',
+      price,
+      status,
+      categoryId,
+      brandId,
+      productImage,
+      lowStockThreshold: parseNumber(value('lowStockThreshold'), 'lowStockThreshold', productError, { integer: true })
+        ?? existing?.lowStockThreshold,
+    },
+    specifications: checked.specifications,
+    variants: checked.variants,
+  };
+};
+
+// Group the rows into products by sku and check each against the catalog as it is now
+const planImport = async (rows) => {
+  const groups = new Map();
+  const unassigned = [];
+  rows.forEach((row) => {
+    if (!row.cells.sku) {
+      unassigned.push(row);
+      return;
+    }
+    if (!groups.has(row.cells.sku)) groups.set(row.cells.sku, []);
+    groups.get(row.cells.sku).push(row);
+  });
+
+  const skus = [...groups.keys()];
+  const fileTitles = [...groups.values()].map((groupRows) => groupRows.find(({ cells }) => cells.title)?.cells.title).filter(Boolean);
+  const [existingProducts, titleOwners, categories, brands] = await Promise.all([
+    Product.find({ sku: { $in: skus } }).lean(),
+    Product.find({ title: { $in: fileTitles } }).select('title sku').lean(),
+    Category.find().select('name path').lean(),
+    Brand.find().select('name').lean(),
+  ]);
+
+  const context = {
+    existing: new Map(existingProducts.map((product) => [product.sku, product])),
+    titleOwners: new Map(titleOwners.map((product) => [lower(product.title), product.sku])),
+    categories,
+    brands,
+    definitions: new Map(),
+  };
+
+  const plans = [];
+  for (const [sku, groupRows] of groups) {
+    const plan = await planProduct(sku, groupRows, context);
+    // Two products in the same file can't share a title either
+    const owner = context.titleOwners.get(lower(plan.title));
+    if (plan.title && !owner) context.titleOwners.set(lower(plan.title), sku);
+    plans.push(plan);
+  }
+
+  unassigned.forEach(({ row }) => {
+    plans.push({ sku: '', title: '', action: 'skip', rows: [row], errors: [{ row, message: 'sku is required' }] });
+  });
+  return plans;
+};
+
+// Write one planned product, with its stock changes in the ledger as an import. Resolves to the
+// product and the images it had before
+const applyProduct = (plan, actorId) => runInTransaction(async (session) => {
+  let product = await Product.findOne({ sku: plan.sku }).session(session);
+  const before = product ? product.toObject() : null;
+
+  if (product) {
+    product.set({
+      ...plan.fields,
+      images: imagesFromUrls(plan.fields.productImage, product.images),
+      specifications: plan.specifications,
+    });
+    plan.variants.forEach((variant) => {
+      const current = product.variants.find((candidate) => candidate.sku === variant.sku);
+      if (current) {
+        current.set({ ...variant, availableQuantity: variant.availableQuantity ?? current.availableQuantity });
+      } else {
+        product.variants.push({ ...variant, availableQuantity: variant.availableQuantity ?? 0 });
+      }
+    });
+  } else {
+    product = new Product({
+      sku: plan.sku,
+      ...plan.fields,
+      images: imagesFromUrls(plan.fields.productImage),
+      specifications: plan.specifications,
+      variants: plan.variants.map((variant) => ({ ...variant, availableQuantity: variant.availableQuantity ?? 0 })),
+    });
+  }
+  // New products get a slug, and renamed ones a new slug that their old one redirects to
+  Object.assign(product, await slugFields(Product, before, product.title, session));
+
+  await product.save({ session });
+  await recordStockMovements(stockAdjustments(before, product), {
+    reason: 'import',
+    referenceType: 'Product',
+    referenceId: product._id,
+    actor: 'admin',
+    actorId,
+    note: 'Bulk import',
+  }, session);
+  return { product, previousImages: before?.images || [] };
+});
+
+// Apply every plan without errors, each product on its own so one failure doesn't stop the rest.
+// Plans that fail to save get the error added to their report
+const applyImport = async (plans, actorId) => {
+  const savedIds = [];
+  for (const plan of plans.filter((candidate) => !candidate.errors.length)) {
+    try {
+      const { product, previousImages } = await applyProduct(plan, actorId);
+      savedIds.push(product._id);
+      removeReplacedImages(previousImages, product.images);
+    } catch (error) {
+      const message = error.code === 11000 ? 'title or sku is already in use' : error.message;
+      plan.errors.push({ row: plan.rows[0], message });
+    }
+  }
+  return savedIds;
+};
+
+// The report sent back for a dry run or an import
+const importReport = (plans, rowCount) => {
+  const failed = plans.filter((plan) => plan.errors.length);
+  const succeeded = plans.filter((plan) => !plan.errors.length);
+  return {
+    summary: {
+      rows: rowCount,
+      products: plans.length,
+      created: succeeded.filter((plan) => plan.action === 'create').length,
+      updated: succeeded.filter((plan) => plan.action === 'update').length,
+      failed: failed.length,
+    },
+    products: plans.map(({ sku, title, action, rows, errors }) => ({
+      sku,
+      title,
+      action: errors.length ? 'skip' : action,
+      rows,
+      errors,
+    })),
+  };
+};
+
+const cellValue = (value) => (value === undefined || value === null ? '' : String(value));
+
+// Every product in the import format, so an export can be edited and imported back. Stock is
+// left out: a quantity in the file replaces live stock, and the export's would undo later sales
+const exportProductRows = async () => {
+  const [products, categories, brands] = await Promise.all([
+    Product.find().sort({ sku: 1 }).lean(),
+    Category.find().select('name path').lean(),
+    Brand.find().select('name').lean(),
+  ]);
+  const categoryById = new Map(categories.map((category) => [category._id.toString(), category.path || category.name]));
+  const brandById = new Map(brands.map((brand) => [brand._id.toString(), brand.name]));
+
+  const attributeNames = new Set();
+  const specificationNames = new Set();
+  products.forEach((product) => {
+    Object.keys(product.specifications || {}).forEach((name) => specificationNames.add(name));
+    (product.variants || []).forEach((variant) => {
+      (variant.attributes || []).forEach(({ name }) => name && attributeNames.add(name));
+    });
+  });
+
+  const columns = [
+    ...PRODUCT_COLUMNS,
+    ...VARIANT_COLUMNS,
+    ...[...attributeNames].sort().map((name) => `${ATTRIBUTE_PREFIX}${name}`),
+    ...[...specificationNames].sort().map((name) => `${SPECIFICATION_PREFIX}${name}`),
+  ];
+
+  const rows = products.flatMap((product) => {
+    const productCells = {
+      sku: product.sku,
+      title: product.title,
+      description: cellValue(product.description),
+      category: categoryById.get(String(product.categoryId)) || '',
+      brand: brandById.get(String(product.brandId)) || '',
+      price: cellValue(product.price),
+      color: cellValue(product.color),
+      status: product.status,
+      images: (product.productImage || []).join(` ${IMAGE_SEPARATOR} `),
+      lowStockThreshold: cellValue(product.lowStockThreshold),
+      ...Object.fromEntries(Object.entries(product.specifications || {})
+        .map(([name, value]) => [`${SPECIFICATION_PREFIX}${name}`, cellValue(value)])),
+    };
+    if (!product.variants?.length) return [productCells];
+
+    return product.variants.map((variant) => ({
+      ...productCells,
+      variantSku: variant.sku,
+      variantPrice: cellValue(variant.price),
+      // Blank, so importing the file back keeps the stock each variant has by then
+      variantQuantity: '',
+      variantLowStockThreshold: cellValue(variant.lowStockThreshold),
+      ...Object.fromEntries((variant.attributes || [])
+        .filter(({ name }) => name)
+        .map(({ name, value }) => [`${ATTRIBUTE_PREFIX}${name}`, cellValue(value)])),
+    }));
+  });
+
+  return { columns, rows };
+};
+
+// rows as a CSV or XLSX file
+const writeProductSheet = async ({ columns, rows }, format) => {
+  if (format === 'csv') {
+    return Buffer.from(stringifyCsv(rows, { header: true, columns }), 'utf8');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Products');
+  sheet.addRow(columns);
+  rows.forEach((row) => sheet.addRow(columns.map((column) => row[column] ?? '')));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  IMPORT_CONTENT_TYPES,
+  importFormat,
+  readImportRows,
+  planImport,
+  applyImport,
+  importReport,
+  exportProductRows,
+  writeProductSheet,
+};
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/walletSchema');
+const Refund = require('../models/refundSchema');
+const { roundAmount } = require('./pricingUtils');
+const { getRazorpay } = require('../config/razorpayConfig');
+
+const REFUND_METHODS = ['original', 'wallet'];
+
+// Store policy when the customer has not picked a method (REFUND_DEFAULT_METHOD=original|wallet)
+const defaultRefundMethod = () =>
+  REFUND_METHODS.includes(process.env.REFUND_DEFAULT_METHOD) ? process.env.REFUND_DEFAULT_METHOD : 'original';
+
+// Only captured Razorpay payments can go back through the gateway; everything else goes to the wallet
+const resolveRefundMethod = (order, preferred) => {
+  const method = REFUND_METHODS.includes(preferred) ? preferred : defaultRefundMethod();
+  const paidOnline = order.paymentMethod === 'RazorpayX' && Boolean(order.razorpay?.paymentId);
+
+  return method === 'original' && paidOnline ? 'original' : 'wallet';
+};
+
+// Credit an amount to the customer's wallet, creating the wallet on first use. A single
+// atomic update, so it can't lose a debit or credit landing at the same time
+const creditWallet = async (userId, amount, description, session = null) => {
+  const transaction = {
+    transaction_id: new mongoose.Types.ObjectId().toString(),
+    type: 'refund',
+    amount,
+    description,
+    status: 'completed',
+    date: new Date()
+  };
+
+  await Wallet.updateOne(
+    { userId },
+    { $inc: { balance: amount }, $push: { transactions: transaction } },
+    { upsert: true, session }
+  );
+  return transaction;
+};
+
+// Total of the refunds for an order that were issued or are still in flight
+const refundedTotal = async (orderId) => {
+  const refunds = await Refund.find({ orderId, status: { $ne: 'Failed' } });
+  return roundAmount(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+};
+
+// Flag the order as refunded once refunds cover what was paid; the caller saves the order
+const markOrderRefunded = async (order) => {
+  if (await refundedTotal(order._id) >= order.finalAmount) {
+    order.paymentStatus = 'Refunded';
+  }
+  return order;
+};
+
+// Refund `amount` for an order and record it. A gateway refund that Razorpay rejects
+// is kept as a failed record and the amount is credited to the wallet instead
+const issueRefund = async (order, amount, { method, reason = `Refund for order ${order._id}`, returnRequestId } = {}) => {
+  const refund = new Refund({
+    orderId: order._id,
+    userId: order.userId,
+    returnRequestId,
+    amount: roundAmount(amount),
+    method: resolveRefundMethod(order, method),
+    reason
+  });
+
+  if (refund.method === 'original') {
+    let gatewayRefund;
+    try {
+      gatewayRefund = await getRazorpay().payments.refund(order.razorpay.paymentId, {
+        amount: Math.round(refund.amount * 100),
+        notes: { orderId: order._id.toString(), refundId: refund._id.toString() }
+      });
+    } catch (error) {
+      console.error(`Gateway refund failed for order ${order._id}:`, error);
+      refund.status = 'Failed';
+      refund.failureReason = error.error?.description || error.message;
+      await refund.save();
+
+      return issueRefund(order, amount, { method: 'wallet', reason, returnRequestId });
+    }
+
+    // Razorpay has taken the refund, so from here it must never also go to the wallet. If the
+    // record can't be saved, the refund.processed webhook records it
+    refund.gatewayRefundId = gatewayRefund.id;
+    if (gatewayRefund.status === 'processed') {
+      refund.status = 'Processed';
+      refund.processedAt = new Date();
+    }
+    await refund.save();
+    await markOrderRefunded(order);
+    return refund;
+  }
+
+  const transaction = await creditWallet(order.userId, refund.amount, reason);
+  refund.status = 'Processed';
+  refund.processedAt = new Date();
+  refund.walletTransactionId = transaction.transaction_id;
+  await refund.save();
+  await markOrderRefunded(order);
+
+  return refund;
+};
+
+// Send a whole Razorpay payment the store is not keeping straight back. It never became part
+// of an order, so no Refund is recorded; a failure is logged for someone to refund by hand
+const refundPayment = async (payment, reason) => {
+  try {
+    return await getRazorpay().payments.refund(payment.id, {
+      amount: payment.amount,
+      notes: { razorpayOrderId: payment.order_id, reason }
+    });
+  } catch (error) {
+    console.error(`Refund of payment ${payment.id} failed:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  REFUND_METHODS,
+  issueRefund,
+  refundPayment,
+  resolveRefundMethod,
+  refundedTotal,
+  markOrderRefunded,
+};
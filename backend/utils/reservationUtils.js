@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productSchema');
+const StockReservation = require('../models/stockReservationSchema');
+const { createError } = require('./errorUtils');
+const { runInTransaction } = require('./transactionUtils');
+
+const DEFAULT_HOLD_MINUTES = 15;
+
+// How long a checkout may hold stock before it goes back on sale (STOCK_HOLD_MINUTES, default 15)
+const holdMinutes = () => Number(process.env.STOCK_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES;
+
+// Holds still counting against stock. Holds past their expiry stop counting at once,
+// even before the expiry job gets round to marking them
+const activeHoldFilter = () => ({ status: 'Active', expiresAt: { $gt: new Date() } });
+
+// Units of each variant held by active reservations, keyed by variant id
+const heldQuantities = async (variantIds, session) => {
+  const ids = variantIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+  const totals = await StockReservation.aggregate([
+    { $match: { ...activeHoldFilter(), 'items.variantId': { $in: ids } } },
+    { $unwind: '$items' },
+    { $match: { 'items.variantId': { $in: ids } } },
+    { $group: { _id: '$items.variantId', quantity: { $sum: '$items.quantity' } } },
+  ]).session(session || null);
+
+  const held = {};
+  totals.forEach(({ _id, quantity }) => {
+    held[_id.toString()] = quantity;
+  });
+  return held;
+};
+
+// Free any holds matching `filter` that are still active
+const releaseReservations = (filter, reason, session) =>
+  StockReservation.updateMany(
+    { ...filter, status: 'Active' },
+    { $set: { status: 'Released', releaseReason: reason } },
+    { session }
+  );
+
+// Turn the matching hold into a sale. The caller takes the stock right after, and since
+// the hold no longer counts, the units it kept aside are exactly the ones taken
+const convertReservation = (filter, orderId, session) =>
+  StockReservation.findOneAndUpdate(
+    { ...filter, status: 'Active' },
+    { $set: { status: 'Converted', orderId } },
+    { session, new: true }
+  );
+
+// Hold `items` for the customer, replacing any hold they already had. Fails with a 409
+// when another customer's hold or sale leaves too few units
+const reserveStock = (userId, items, { orderId } = {}) =>
+  runInTransaction(async (session) => {
+    await releaseReservations({ userId }, 'Replaced by a new checkout', session);
+
+    const held = await heldQuantities(items.map((item) => item.variantId), session);
+
+    for (const item of items) {
+      // Touching the product also makes concurrent holds and sales of it conflict,
+      // so the held totals read above can't change underneath this check
+      const result = await Product.updateOne(
+        {
+          _id: item.productId,
+          variants: {
+            $elemMatch: {
+              _id: item.variantId,
+              availableQuantity: { $gte: item.quantity + (held[item.variantId.toString()] || 0) },
+            },
+          },
+        },
+        { $set: { updatedAt: new Date() } },
+        { session }
+      );
+
+      if (result.matchedCount === 0) {
+        throw createError(`${item.name} is no longer available in the quantity requested`, 409);
+      }
+    }
+
+    const [reservation] = await StockReservation.create([{
+      userId,
+      orderId,
+      items: items.map(({ productId, variantId, name, quantity }) => ({ productId, variantId, name, quantity })),
+      expiresAt: new Date(Date.now() + holdMinutes() * 60 * 1000),
+    }], { session });
+
+    return reservation;
+  });
+
+// Mark holds that ran out as expired; their stock is already back on sale
+const expireReservations = async () => {
+  const result = await StockReservation.updateMany(
+    { status: 'Active', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'Expired', releaseReason: 'Checkout not completed in time' } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  heldQuantities,
+  reserveStock,
+  releaseReservations,
+  convertReservation,
+  expireReservations,
+};
@@ -0,0 +1,36 @@
+const { createError } = require('./errorUtils');
+
+// Return requests move strictly forward; items go back into stock only once Received
+const RETURN_STATUS_TRANSITIONS = {
+  'Requested': ['Approved', 'Rejected'],
+  'Approved': ['Picked Up', 'Rejected'],
+  'Picked Up': ['Received'],
+  'Received': ['Refunded'],
+  'Rejected': [],
+  'Refunded': [],
+};
+
+// Requests whose units are still on their way back and cannot be requested again
+const OPEN_RETURN_STATUSES = ['Requested', 'Approved', 'Picked Up'];
+
+// Move the return request to a new status and record the change, or throw if the move is illegal
+const changeReturnStatus = (request, status, { actor = 'admin', note } = {}) => {
+  if (!RETURN_STATUS_TRANSITIONS[status]) {
+    throw createError(`Invalid return status: ${status}`);
+  }
+
+  if (!RETURN_STATUS_TRANSITIONS[request.status].includes(status)) {
+    throw createError(`Cannot change return status from ${request.status} to ${status}`);
+  }
+
+  request.statusHistory.push({ status, actor, note, changedAt: new Date() });
+  request.status = status;
+
+  return request;
+};
+
+module.exports = {
+  RETURN_STATUS_TRANSITIONS,
+  OPEN_RETURN_STATUSES,
+  changeReturnStatus,
+};
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Order = require('../models/orderSchema');
+const Product = require('../models/productSchema');
+const Review = require('../models/reviewSchema');
+
+// A review is a verified purchase when the customer has a delivered order containing the product
+const hasDeliveredPurchase = async (userId, productId) =>
+  Boolean(await Order.exists({ userId, orderStatus: 'Delivered', 'products.productId': productId }));
+
+// Recompute the product's average rating (one decimal) and review count from its approved reviews
+const refreshProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(String(productId)), status: 'Approved' } },
+    { $group: { _id: null, averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } },
+  ]);
+
+  const averageRating = stats ? Math.round(stats.averageRating * 10) / 10 : 0;
+  const reviewCount = stats ? stats.reviewCount : 0;
+
+  await Product.updateOne({ _id: productId }, { $set: { averageRating, reviewCount } });
+  return { averageRating, reviewCount };
+};
+
+module.exports = { hasDeliveredPurchase, refreshProductRating };
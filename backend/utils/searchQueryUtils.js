@@ -0,0 +1,74 @@
+const SearchQuery = require('../models/searchQuerySchema');
+const { escapeRegex } = require('./searchUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_QUERY_LENGTH = 100;
+
+const normalizeQuery = (query) =>
+  String(query || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+
+const daysAgo = (days) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  since.setUTCHours(0, 0, 0, 0);
+  return since;
+};
+
+// Count one submitted search and whether it found anything. Never throws, so it can run
+// after a response without awaiting
+const recordSearchQuery = async (query, resultCount) => {
+  const normalized = normalizeQuery(query);
+  if (!normalized) return;
+
+  try {
+    const now = new Date();
+    await SearchQuery.updateOne(
+      { query: normalized, day: daysAgo(0) },
+      {
+        $inc: { count: 1, zeroResultCount: resultCount ? 0 : 1 },
+        $set: { lastSearchedAt: now, ...(!resultCount && { lastZeroResultAt: now }) },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Failed to record search query "${normalized}":`, error);
+  }
+};
+
+// The most searched queries of the last few days that usually find something,
+// optionally only those starting with prefix
+const popularSearches = async ({ prefix = '', days = 7, limit = 5 } = {}) => {
+  const normalizedPrefix = normalizeQuery(prefix);
+  const rows = await SearchQuery.aggregate([
+    {
+      $match: {
+        day: { $gte: daysAgo(days) },
+        ...(normalizedPrefix && { query: { $regex: `^${escapeRegex(normalizedPrefix)}` } }),
+      },
+    },
+    { $group: { _id: '$query', searches: { $sum: '$count' }, zeroResults: { $sum: '$zeroResultCount' } } },
+    { $match: { $expr: { $gt: ['$searches', { $multiply: ['$zeroResults', 2] }] } } },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map((row) => row._id);
+};
+
+// Queries that came back empty over the last few days, most frequent first
+const zeroResultSearches = async ({ days = 30, limit = 50 } = {}) => {
+  const rows = await SearchQuery.aggregate([
+    { $match: { day: { $gte: daysAgo(days) }, zeroResultCount: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$query',
+        zeroResults: { $sum: '$zeroResultCount' },
+        searches: { $sum: '$count' },
+        lastZeroResultAt: { $max: '$lastZeroResultAt' },
+      },
+    },
+    { $sort: { zeroResults: -1, lastZeroResultAt: -1 } },
+    { $limit: limit },
+  ]);
+  return rows.map(({ _id, ...row }) => ({ query: _id, ...row }));
+};
+
+module.exports = { recordSearchQuery, popularSearches, zeroResultSearches };
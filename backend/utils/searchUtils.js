@@ -0,0 +1,240 @@
+const Product = require('../models/productSchema');
+const { LIST_PROJECTION, pricedProductStages } = require('./catalogUtils');
+
+// How much a query term matching each indexed field adds to a product's relevance
+const FIELD_WEIGHTS = {
+  title: 10,
+  brand: 6,
+  category: 5,
+  attributes: 4,
+  specifications: 2,
+  description: 1,
+};
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// A term only found through typo correction counts for this share of an exact match
+const FUZZY_FACTOR = 0.5;
+// Added when the whole query appears as written in the title
+const PHRASE_BONUS = 5;
+const MAX_CANDIDATES = 50;
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'with', 'in', 'on', 'to', 'by']);
+
+// Reduce plurals so "keyboards" and "accessories" find "keyboard" and "accessory"
+const stem = (token) => {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+};
+
+// Lowercased, accent-free, de-pluralised words of the text, without stopwords or repeats
+const tokenize = (text) => {
+  if (text === undefined || text === null) return [];
+  const words = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOPWORDS.has(word))
+    .map(stem);
+  return [...new Set(words)];
+};
+
+// Every string or number inside a specification value, however deeply nested
+const flattenValues = (value) => {
+  if (value === undefined || value === null) return [];
+  if (value instanceof Map) return flattenValues(Object.fromEntries(value));
+  if (Array.isArray(value)) return value.flatMap(flattenValues);
+  if (typeof value === 'object') return Object.values(value).flatMap(flattenValues);
+  return [String(value)];
+};
+
+const buildSearchIndex = (product) => {
+  const index = {
+    title: tokenize(product.title),
+    brand: tokenize(product.brandId?.name),
+    // The whole path, so a search for a parent category finds products in its subcategories
+    category: tokenize(product.categoryId?.path || product.categoryId?.name),
+    attributes: tokenize((product.variants || [])
+      .flatMap((variant) => (variant.attributes || []).map((attribute) => attribute.value))
+      .join(' ')),
+    specifications: tokenize(flattenValues(product.specifications).join(' ')),
+    description: tokenize(product.description),
+  };
+  index.terms = [...new Set(FIELDS.flatMap((field) => index[field]))];
+  return index;
+};
+
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+// Every indexed term of an active product, cached for a few minutes
+const getVocabulary = async () => {
+  if (!vocabulary || Date.now() - vocabularyLoadedAt > VOCABULARY_TTL_MS) {
+    const terms = await Product.distinct('searchIndex.terms', { status: 'active' });
+    vocabulary = { terms, lookup: new Set(terms) };
+    vocabularyLoadedAt = Date.now();
+  }
+  return vocabulary;
+};
+
+// Re-index the products matching filter, e.g. after a product, brand or category changes.
+// Never throws, so it can run after a response without awaiting
+const refreshSearchIndex = async (filter) => {
+  try {
+    const products = await Product.find(filter)
+      .select('title description variants specifications brandId categoryId')
+      .populate('brandId', 'name')
+      .populate('categoryId', 'name path');
+    if (!products.length) return 0;
+
+    // The index is derived data: leave updatedAt alone so it still means the product itself changed
+    await Product.bulkWrite(products.map((product) => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { searchIndex: buildSearchIndex(product) } },
+        timestamps: false,
+      },
+    })), { ordered: false });
+
+    vocabulary = null;
+    return products.length;
+  } catch (error) {
+    console.error('Failed to refresh the product search index:', error);
+    return 0;
+  }
+};
+
+// Optimal string alignment distance (adjacent swaps count as one edit), giving up past max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+// Short words must be spelled right; longer ones may be one or two edits off
+const allowedEdits = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 7) return 1;
+  return 2;
+};
+
+// Indexed terms a query term stands for: itself and words it begins ("logi" for "logitech"),
+// or failing those, words within a typo or two of it, closest first. A word still being typed
+// is always treated as the start of a longer one
+const expandTerm = (term, { terms, lookup }, { partial = false } = {}) => {
+  const exact = lookup.has(term) ? [term] : [];
+  if (partial || term.length >= 3) {
+    exact.push(...terms.filter((candidate) => candidate !== term && candidate.startsWith(term)));
+  }
+  if (exact.length) {
+    return { term, exact: exact.slice(0, MAX_CANDIDATES), fuzzy: [] };
+  }
+
+  const maxEdits = allowedEdits(term);
+  const fuzzy = maxEdits
+    ? terms
+      .map((candidate) => ({ candidate, distance: editDistance(term, candidate, maxEdits) }))
+      .filter(({ distance }) => distance <= maxEdits)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_CANDIDATES)
+      .map(({ candidate }) => candidate)
+    : [];
+
+  return { term, exact: [], fuzzy };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const fieldMatches = (field, candidates) => ({
+  $gt: [{ $size: { $setIntersection: [{ $ifNull: [`$searchIndex.${field}`, []] }, candidates] } }, 0],
+});
+
+// Active products matching every word of the query, most relevant first. Returns the page of
+// products (priced and projected for a list, see utils/catalogUtils), the total match count,
+// and any typo corrections made as { typed: corrected }.
+// With partial set the query is still being typed, so its last word may be unfinished
+const searchProductIndex = async (query, { page = 1, limit = 20, partial = false } = {}) => {
+  const queryTerms = tokenize(query);
+  if (!queryTerms.length) {
+    return { products: [], total: 0, corrections: {} };
+  }
+
+  const currentVocabulary = await getVocabulary();
+  const expanded = queryTerms.map((term, i) =>
+    expandTerm(term, currentVocabulary, { partial: partial && i === queryTerms.length - 1 }));
+
+  const corrections = {};
+  expanded.forEach(({ term, exact, fuzzy }) => {
+    if (!exact.length && fuzzy.length) corrections[term] = fuzzy[0];
+  });
+
+  // A word that matches nothing in the catalogue, even allowing for typos, means no results
+  if (expanded.some(({ exact, fuzzy }) => !exact.length && !fuzzy.length)) {
+    return { products: [], total: 0, corrections };
+  }
+
+  const termScores = expanded.map(({ exact, fuzzy }) => ({
+    $add: FIELDS.map((field) => ({
+      $cond: [
+        fieldMatches(field, exact),
+        FIELD_WEIGHTS[field],
+        { $cond: [fieldMatches(field, fuzzy), FIELD_WEIGHTS[field] * FUZZY_FACTOR, 0] },
+      ],
+    })),
+  }));
+
+  const phraseScore = queryTerms.length > 1
+    ? [{ $cond: [{ $regexMatch: { input: '$title', regex: escapeRegex(String(query).trim()), options: 'i' } }, PHRASE_BONUS, 0] }]
+    : [];
+
+  const priced = await pricedProductStages();
+  const [result] = await Product.aggregate([
+    {
+      $match: {
+        status: 'active',
+        $and: expanded.map(({ exact, fuzzy }) => ({ 'searchIndex.terms': { $in: [...exact, ...fuzzy] } })),
+      },
+    },
+    { $addFields: { searchScore: { $add: [...termScores, ...phraseScore] } } },
+    {
+      $facet: {
+        products: [
+          { $sort: { searchScore: -1, popularityScore: -1, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          ...priced,
+          { $project: LIST_PROJECTION },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  return {
+    products: result.products,
+    total: result.total[0]?.count || 0,
+    corrections,
+  };
+};
+
+module.exports = { tokenize, escapeRegex, buildSearchIndex, refreshSearchIndex, searchProductIndex };
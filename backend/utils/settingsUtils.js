@@ -0,0 +1,15 @@
+const StoreSettings = require('../models/storeSettingsSchema');
+
+// Load the store settings, creating them with defaults on first use
+const getStoreSettings = () =>
+  StoreSettings.findOneAndUpdate(
+    { key: 'store' },
+    { $setOnInsert: { key: 'store' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+// Last moment an unpaid order can still be paid for
+const paymentDeadline = (order, settings) =>
+  new Date(new Date(order.createdAt).getTime() + settings.paymentRetryWindowMinutes * 60 * 1000);
+
+module.exports = { getStoreSettings, paymentDeadline };
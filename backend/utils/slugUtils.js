@@ -0,0 +1,84 @@
+const Product = require('../models/productSchema');
+const Category = require('../models/categorySchema');
+const Brand = require('../models/brandSchema');
+
+const MAX_SLUG_LENGTH = 80;
+
+// "Galaxy S24 Ultra (256GB)" becomes "galaxy-s24-ultra-256gb"
+const slugify = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/^-+|-+$/g, '') || 'item';
+
+// Whether slug is base, or base with a number added to tell it apart from another
+const isSlugOf = (slug, base) => slug === base || new RegExp(`^${base}-\\d+$`).test(slug);
+
+// A slug for text that no other document of Model has now or had before, so old links never
+// lead to the wrong page. Numbers are added (-2, -3, ...) when the plain slug is taken
+const uniqueSlug = async (Model, text, { excludeId, session = null } = {}) => {
+  const base = slugify(text);
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const taken = await Model.find({
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    $or: [{ slug: pattern }, { previousSlugs: pattern }],
+  }).select('slug previousSlugs').session(session).lean();
+
+  const used = new Set(taken.flatMap((doc) => [doc.slug, ...(doc.previousSlugs || [])]));
+  if (!used.has(base)) return base;
+  let number = 2;
+  while (used.has(`${base}-${number}`)) number += 1;
+  return `${base}-${number}`;
+};
+
+// The slug and previousSlugs for current (null for a new document) named text. A document keeps
+// its slug until its name changes; the slug it had goes into previousSlugs so links to it redirect
+const slugFields = async (Model, current, text, session = null) => {
+  if (current?.slug && isSlugOf(current.slug, slugify(text))) {
+    return { slug: current.slug, previousSlugs: current.previousSlugs || [] };
+  }
+
+  const slug = await uniqueSlug(Model, text, { excludeId: current?._id, session });
+  const previousSlugs = (current?.previousSlugs || []).filter((previous) => previous !== slug);
+  if (current?.slug) previousSlugs.push(current.slug);
+  return { slug, previousSlugs };
+};
+
+// The document with slug, matching filter, whether slug is its current one or one it had before.
+// Callers redirect when the slug they were given is not the document's current slug
+const findBySlug = (Model, slug, filter = {}) => Model.findOne({
+  ...filter,
+  $or: [{ slug }, { previousSlugs: slug }],
+});
+
+const SLUGGED_MODELS = [
+  { Model: Product, field: 'title' },
+  { Model: Category, field: 'name' },
+  { Model: Brand, field: 'name' },
+];
+
+// Give products, categories and brands saved before slugs existed one, oldest first so the
+// oldest keeps the plain slug when names collide
+const backfillSlugs = async () => {
+  try {
+    for (const { Model, field } of SLUGGED_MODELS) {
+      const docs = await Model.find({ slug: { $exists: false } }).select(field).sort({ createdAt: 1 }).lean();
+      for (const doc of docs) {
+        const slug = await uniqueSlug(Model, doc[field], { excludeId: doc._id });
+        await Model.updateOne({ _id: doc._id }, { $set: { slug } }, { timestamps: false });
+      }
+    }
+  } catch (error) {
+    console.error('Error backfilling slugs:', error);
+  }
+};
+
+module.exports = {
+  slugify,
+  slugFields,
+  findBySlug,
+  backfillSlugs,
+};
@@ -0,0 +1,54 @@
+const StockAlert = require('../models/stockAlertSchema');
+const User = require('../models/userModel');
+const { sendMail, html } = require('./mailUtils');
+
+// LOW_STOCK_ALERT_EMAIL (comma separated) if set, otherwise every admin account
+const alertRecipients = async () => {
+  if (process.env.LOW_STOCK_ALERT_EMAIL) {
+    return process.env.LOW_STOCK_ALERT_EMAIL.split(',').map((email) => email.trim()).filter(Boolean);
+  }
+  const admins = await User.find({ isAdmin: true }).select('email');
+  return admins.map((admin) => admin.email).filter(Boolean);
+};
+
+const describeAlert = (alert) => (alert.type === 'out_of_stock'
+  ? `${alert.productTitle} (SKU ${alert.sku}) is out of stock`
+  : `${alert.productTitle} (SKU ${alert.sku}) is down to ${alert.quantity}, below its threshold of ${alert.threshold}`);
+
+// Email admins about alerts raised since the last run. Each alert is claimed before sending
+// so concurrent callers never send it twice. Never throws, so it can run after a response without awaiting
+const notifyStockAlerts = async () => {
+  try {
+    const pending = await StockAlert.find({ notifiedAt: null }).sort({ createdAt: 1 }).select('_id');
+    if (!pending.length) return 0;
+
+    const claimedAt = new Date();
+    await StockAlert.updateMany(
+      { _id: { $in: pending.map((alert) => alert._id) }, notifiedAt: null },
+      { $set: { notifiedAt: claimedAt } }
+    );
+    const alerts = await StockAlert.find({ notifiedAt: claimedAt }).sort({ createdAt: 1 });
+    if (!alerts.length) return 0;
+
+    const recipients = await alertRecipients();
+    const lines = alerts.map(describeAlert);
+    const sent = recipients.length > 0 && await sendMail({
+      to: recipients.join(','),
+      subject: `SpectraX stock alert: ${alerts.length} variant(s) need restocking`,
+      text: `The following variants need restocking:\n\n${lines.join('\n')}`,
+      html: `<p>The following variants need restocking:</p><ul>${lines.map((line) => html`<li>${line}</li>`).join('')}</ul>`,
+    });
+
+    // Give the alerts back so the next sale or run tries again
+    if (!sent) {
+      await StockAlert.updateMany({ notifiedAt: claimedAt }, { $unset: { notifiedAt: 1 } });
+      return 0;
+    }
+    return alerts.length;
+  } catch (error) {
+    console.error('Error sending stock alerts:', error);
+    return 0;
+  }
+};
+
+module.exports = { notifyStockAlerts };
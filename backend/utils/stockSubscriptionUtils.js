@@ -0,0 +1,81 @@
+const StockSubscription = require('../models/stockSubscriptionSchema');
+const { sendMail, html } = require('./mailUtils');
+
+const DEFAULT_STOREFRONT_URL = 'http://localhost:5173';
+
+// Stamp the subscriptions of every variant that the given ledger entries took from
+// nothing back into stock. Runs in the same transaction as the stock change
+const markRestocked = async (entries, session) => {
+  const variantIds = entries
+    .filter((entry) => entry.delta > 0 && entry.quantityAfter > 0 && entry.quantityAfter - entry.delta <= 0)
+    .map((entry) => entry.variantId);
+
+  if (!variantIds.length) return;
+
+  await StockSubscription.updateMany(
+    { variantId: { $in: variantIds }, status: 'Active', restockedAt: null },
+    { $set: { restockedAt: new Date() } },
+    { session }
+  );
+};
+
+const describeVariant = (product, variantId) => {
+  const variant = product.variants.id(variantId);
+  const attributes = variant?.attributes?.map((attribute) => attribute.value).join(' / ');
+  return attributes ? `${product.title} (${attributes})` : product.title;
+};
+
+// Email every subscriber whose variant came back. Each subscription is claimed before sending
+// so it is only ever sent once. Never throws, so it can run after a response without awaiting
+const notifyBackInStock = async () => {
+  try {
+    const claimedAt = new Date();
+    const { modifiedCount } = await StockSubscription.updateMany(
+      { status: 'Active', restockedAt: { $ne: null } },
+      { $set: { status: 'Notified', notifiedAt: claimedAt } }
+    );
+    if (!modifiedCount) return 0;
+
+    const subscriptions = await StockSubscription.find({ status: 'Notified', notifiedAt: claimedAt })
+      .populate('userId', 'email firstName')
+      .populate('productId', 'title slug variants');
+
+    const storefrontUrl = process.env.STOREFRONT_URL || DEFAULT_STOREFRONT_URL;
+
+    let notified = 0;
+    for (const subscription of subscriptions) {
+      const user = subscription.userId;
+      const product = subscription.productId;
+      if (!user?.email || !product) continue;
+
+      const name = describeVariant(product, subscription.variantId);
+      // The product's page by slug, or by id if it was saved before slugs existed
+      const link = product.slug
+        ? `${storefrontUrl}/product/${product.slug}`
+        : `${storefrontUrl}/product_details/${product._id}`;
+      const sent = await sendMail({
+        to: user.email,
+        subject: `${product.title} is back in stock`,
+        text: `Hi ${user.firstName}, ${name} is back in stock at SpectraX. Get it before it sells out again: ${link}`,
+        html: html`<p>Hi ${user.firstName},</p><p><b>${name}</b> is back in stock at SpectraX.</p><p><a href="${link}">Get it before it sells out again</a>.</p>`,
+      });
+
+      if (sent) {
+        notified += 1;
+      } else {
+        // Reopen it so the next run tries again
+        await StockSubscription.updateOne(
+          { _id: subscription._id },
+          { $set: { status: 'Active' }, $unset: { notifiedAt: 1 } }
+        ).catch((error) => console.error(`Could not reopen stock subscription ${subscription._id}:`, error));
+      }
+    }
+
+    return notified;
+  } catch (error) {
+    console.error('Error sending back-in-stock notifications:', error);
+    return 0;
+  }
+};
+
+module.exports = { markRestocked, notifyBackInStock };
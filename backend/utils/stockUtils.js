@@ -0,0 +1,188 @@
+const Product = require('../models/productSchema');
+const StockMovement = require('../models/stockMovementSchema');
+const StockAlert = require('../models/stockAlertSchema');
+const { createError } = require('./errorUtils');
+const { heldQuantities } = require('./reservationUtils');
+const { markRestocked } = require('./stockSubscriptionUtils');
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Store-wide threshold for products and variants without their own (LOW_STOCK_THRESHOLD, default 5)
+const defaultLowStockThreshold = () => {
+  const threshold = Number.parseInt(process.env.LOW_STOCK_THRESHOLD, 10);
+  return Number.isNaN(threshold) ? DEFAULT_LOW_STOCK_THRESHOLD : threshold;
+};
+
+// The variant's own threshold wins over the product's, which wins over the store default
+const lowStockThreshold = (product, variant) =>
+  variant?.lowStockThreshold ?? product?.lowStockThreshold ?? defaultLowStockThreshold();
+
+// Sold out is always low, whatever the threshold
+const isLowStock = (quantity, threshold) => quantity <= 0 || quantity < threshold;
+
+// Write ledger entries. `movement` carries what the entries share: reason, reference, actor and note.
+// Entries that bring a sold-out variant back also queue its back-in-stock notifications
+const recordStockMovements = async (entries, movement, session) => {
+  if (!entries.length) {
+    return [];
+  }
+  const movements = await StockMovement.insertMany(entries.map((entry) => ({ ...movement, ...entry })), { session });
+  await markRestocked(entries, session);
+  return movements;
+};
+
+// $inc one variant's stock where `condition` on the variant still holds. Returns the product
+// with just that variant, as it is after the change
+const incrementVariant = (item, delta, condition, session) =>
+  Product.findOneAndUpdate(
+    {
+      _id: item.productId,
+      variants: { $elemMatch: { _id: item.variantId, ...condition } }
+    },
+    { $inc: { 'variants.$.availableQuantity': delta } },
+    {
+      new: true,
+      projection: { title: 1, lowStockThreshold: 1, variants: { $elemMatch: { _id: item.variantId } } },
+      session
+    }
+  );
+
+// Take stock for each line item, only where enough is left once other customers'
+// active holds are set aside, so concurrent checkouts can never push a variant below zero.
+// Convert or release the buyer's own hold before calling this
+const decrementStock = async (items, session, movement = { reason: 'sale' }) => {
+  const held = await heldQuantities(items.map((item) => item.variantId), session);
+
+  const entries = [];
+  const alerts = [];
+  for (const item of items) {
+    const product = await incrementVariant(item, -item.quantity, {
+      availableQuantity: { $gte: item.quantity + (held[item.variantId.toString()] || 0) }
+    }, session);
+
+    if (!product) {
+      throw createError(`Insufficient stock for product ${item.name}`);
+    }
+
+    // Alert on the sale that crosses the threshold and on the one that sells out,
+    // not on every sale in between
+    const [variant] = product.variants;
+    const threshold = lowStockThreshold(product, variant);
+    const quantityBefore = variant.availableQuantity + item.quantity;
+    const crossedThreshold = isLowStock(variant.availableQuantity, threshold) && !isLowStock(quantityBefore, threshold);
+    const soldOut = variant.availableQuantity <= 0 && quantityBefore > 0;
+    if (crossedThreshold || soldOut) {
+      alerts.push({
+        productId: product._id,
+        variantId: variant._id,
+        productTitle: product.title,
+        sku: variant.sku,
+        type: variant.availableQuantity <= 0 ? 'out_of_stock' : 'low_stock',
+        quantity: variant.availableQuantity,
+        threshold,
+        orderId: movement.referenceType === 'Order' ? movement.referenceId : undefined
+      });
+    }
+
+    entries.push({
+      productId: item.productId,
+      variantId: item.variantId,
+      sku: variant.sku,
+      delta: -item.quantity,
+      quantityAfter: variant.availableQuantity
+    });
+  }
+
+  await recordStockMovements(entries, movement, session);
+  if (alerts.length) {
+    await StockAlert.insertMany(alerts, { session });
+  }
+};
+
+// Put stock back for each line item, e.g. after a cancellation or return
+const restoreStock = async (items, session, movement) => {
+  const entries = [];
+  for (const item of items) {
+    const product = await incrementVariant(item, item.quantity, {}, session);
+
+    // The variant may have been removed from the product since it was sold
+    if (product) {
+      const [variant] = product.variants;
+      entries.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        sku: variant.sku,
+        delta: item.quantity,
+        quantityAfter: variant.availableQuantity
+      });
+    }
+  }
+
+  await recordStockMovements(entries, movement, session);
+};
+
+// Ledger entries for the stock differences between two versions of a product.
+// Variants added count up from zero; variants removed go down to zero
+const stockAdjustments = (before, after) => {
+  const previous = new Map(
+    (before?.variants || []).map((variant) => [variant._id.toString(), Number(variant.availableQuantity) || 0])
+  );
+
+  const entries = [];
+  (after.variants || []).forEach((variant) => {
+    const key = variant._id.toString();
+    const quantity = Number(variant.availableQuantity) || 0;
+    const delta = quantity - (previous.get(key) || 0);
+    previous.delete(key);
+
+    if (delta !== 0) {
+      entries.push({ productId: after._id, variantId: variant._id, sku: variant.sku, delta, quantityAfter: quantity });
+    }
+  });
+
+  (before?.variants || []).forEach((variant) => {
+    const quantity = previous.get(variant._id.toString());
+    if (quantity) {
+      entries.push({ productId: after._id, variantId: variant._id, sku: variant.sku, delta: -quantity, quantityAfter: 0 });
+    }
+  });
+
+  return entries;
+};
+
+// Variants as an admin edited them, with stock as the product has it now. An existing variant's
+// quantity only changes when the edit sends it along with expectedQuantity, the quantity the admin
+// started from; if sales or returns moved the stock since, the edit is refused instead of undoing them
+const applyStockEdits = (currentVariants, variants) => {
+  const current = new Map(currentVariants.map((variant) => [variant._id.toString(), variant]));
+
+  return variants.map(({ expectedQuantity, ...variant }) => {
+    const existing = variant._id && current.get(String(variant._id));
+    if (!existing) {
+      return variant;
+    }
+    if (variant.availableQuantity === undefined) {
+      return { ...variant, availableQuantity: existing.availableQuantity };
+    }
+
+    const quantity = Number(existing.availableQuantity) || 0;
+    if (expectedQuantity === undefined || expectedQuantity === null) {
+      throw createError(`Send the quantity the stock change for ${existing.sku} was made from`);
+    }
+    if (Number(expectedQuantity) !== quantity) {
+      throw createError(`Stock for ${existing.sku} is now ${quantity}; it changed while you were editing. Reload the product and try again`, 409);
+    }
+    return variant;
+  });
+};
+
+module.exports = {
+  defaultLowStockThreshold,
+  lowStockThreshold,
+  isLowStock,
+  decrementStock,
+  restoreStock,
+  recordStockMovements,
+  stockAdjustments,
+  applyStockEdits,
+};
@@ -14,4 +14,16 @@ function generateRefreshToken(userId) {
   });
 }
 
-module.exports = { generateAccessToken, generateRefreshToken };
+// The id of the signed-in user on a public route, or null when the request carries no valid access token
+function userIdFromRequest(req) {
+  const token = req.cookies?.accessToken || req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+
+  try {
+    return jwt.verify(token, process.env.ACCESS_TOKEN_SECRET).id;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { generateAccessToken, generateRefreshToken, userIdFromRequest };
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Run a set of writes as one transaction: either all of them land or none do
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { runInTransaction };
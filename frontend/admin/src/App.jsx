@@ -11,7 +11,11 @@ import AdminSidebar from './components/SideBar/AdminSidebar'
 import CustomerList from './components/Customers/CustomerList'
 import BrandManagement from './components/Brand/BrandManagment'
 import EditProduct from './components/Products/EditProduct'
+import StockHistory from './components/Products/StockHistory'
+import ProductImport from './components/Products/ProductImport'
 import OrderManagement from './components/OrderManagement/OrderManagment'
+import ReturnManagement from './components/OrderManagement/ReturnManagement'
+import ReviewManagement from './components/Reviews/ReviewManagement'
 // import { ToastContainer } from 'react-toastify';
 // import 'react-toastify/dist/ReactToastify.css';
 import { Toaster } from 'react-hot-toast';
@@ -31,11 +35,15 @@ const App = () => (
         <Route path='/home' element={<AdminAuth><AdminSidebar><Home /></AdminSidebar></AdminAuth>} />
         <Route path='/products' element={<AdminAuth><AdminSidebar><ProductList/></AdminSidebar></AdminAuth>} />
         <Route path="/add-product" element={<AdminAuth><AdminSidebar><AddProduct /></AdminSidebar></AdminAuth>} />
+        <Route path='/products/import' element={<AdminAuth><AdminSidebar><ProductImport/></AdminSidebar></AdminAuth>}/>
         <Route path='/customerlist' element={<AdminAuth><AdminSidebar><CustomerList/></AdminSidebar></AdminAuth>}/>
         <Route path='/brands' element={<AdminAuth><AdminSidebar><BrandManagement/></AdminSidebar></AdminAuth>}/>
         <Route path='/orders' element={<AdminAuth><AdminSidebar><OrderManagement/></AdminSidebar></AdminAuth>}/>
+        <Route path='/returns' element={<AdminAuth><AdminSidebar><ReturnManagement/></AdminSidebar></AdminAuth>}/>
+        <Route path='/reviews' element={<AdminAuth><AdminSidebar><ReviewManagement/></AdminSidebar></AdminAuth>}/>
         <Route path='/categories' element={<AdminAuth><AdminSidebar><CategoryManagement/></AdminSidebar></AdminAuth>}/>
         <Route path='/edit-product/:id' element={<AdminAuth><AdminSidebar><EditProduct/></AdminSidebar></AdminAuth>}/>
+        <Route path='/products/:id/variants/:variantId/stock-history' element={<AdminAuth><AdminSidebar><StockHistory/></AdminSidebar></AdminAuth>}/>
         <Route path='/coupons' element={<AdminAuth><AdminSidebar><CouponList/></AdminSidebar></AdminAuth>}/>
         <Route path='/Add/Coupon' element={<AdminAuth><AdminSidebar><AddCoupon/></AdminSidebar></AdminAuth>}/>
         <Route path='/offers' element={<AdminAuth><AdminSidebar><OfferList/></AdminSidebar></AdminAuth>}/>
@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaPlusCircle, FaTrash } from 'react-icons/fa';
+import axios from '../../axios/adminAxios';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select'];
+
+const emptyAttribute = () => ({
+  name: '',
+  type: 'text',
+  unit: '',
+  allowedValues: '',
+  required: false,
+  filterable: false,
+  variantDefining: false,
+});
+
+// Editor for the attributes products in a category must follow. Definitions inherited from
+// parent categories are listed read-only; redefining one by name here overrides it
+const CategoryAttributesModal = ({ category, onClose }) => {
+  const [attributes, setAttributes] = useState([]);
+  const [inherited, setInherited] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchAttributes = async () => {
+      try {
+        const response = await axios.get(`/categories/${category._id}/attributes`);
+        const definitions = response.data.attributes;
+        setInherited(definitions.filter((definition) => definition.categoryId !== category._id));
+        setAttributes(
+          definitions
+            .filter((definition) => definition.categoryId === category._id)
+            .map((definition) => ({
+              ...emptyAttribute(),
+              ...definition,
+              unit: definition.unit || '',
+              allowedValues: (definition.allowedValues || []).join(', '),
+            }))
+        );
+      } catch (error) {
+        console.error('Error fetching category attributes:', error);
+        toast.error('Error fetching category attributes');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchAttributes();
+  }, [category._id]);
+
+  const updateAttribute = (index, field, value) => {
+    setAttributes((prev) => prev.map((attribute, i) => (i === index ? { ...attribute, [field]: value } : attribute)));
+  };
+
+  const removeAttribute = (index) => {
+    setAttributes((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await axios.put(`/categories/${category._id}/attributes`, {
+        attributes: attributes.map((attribute) => ({
+          name: attribute.name.trim(),
+          type: attribute.type,
+          unit: attribute.unit.trim(),
+          allowedValues: attribute.allowedValues.split(',').map((value) => value.trim()).filter(Boolean),
+          required: attribute.required,
+          filterable: attribute.filterable,
+          variantDefining: attribute.variantDefining,
+        })),
+      });
+      toast.success('Category attributes updated successfully');
+      onClose();
+    } catch (error) {
+      console.error('Error updating category attributes:', error);
+      toast.error(error.response?.data?.message || 'Error updating category attributes');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center">
+      <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-semibold text-gray-800 mb-1">Attributes</h3>
+        <p className="text-sm text-gray-500 mb-4">{category.path || category.name}</p>
+
+        {isLoading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : (
+          <>
+            {inherited.length > 0 && (
+              <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+                <p className="font-medium text-gray-700 mb-1">Inherited</p>
+                {inherited.map((definition) => (
+                  <p key={definition.name}>
+                    {definition.name} ({definition.type}{definition.unit ? `, ${definition.unit}` : ''}) from {definition.categoryName}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            <div className="space-y-3">
+              {attributes.map((attribute, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center border-b pb-3">
+                  <input
+                    type="text"
+                    value={attribute.name}
+                    onChange={(e) => updateAttribute(index, 'name', e.target.value)}
+                    placeholder="Name"
+                    className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                  <select
+                    value={attribute.type}
+                    onChange={(e) => updateAttribute(index, 'type', e.target.value)}
+                    className="col-span-2 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  >
+                    {ATTRIBUTE_TYPES.map((type) => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={attribute.unit}
+                    onChange={(e) => updateAttribute(index, 'unit', e.target.value)}
+                    placeholder="Unit"
+                    className="col-span-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                  <input
+                    type="text"
+                    value={attribute.allowedValues}
+                    onChange={(e) => updateAttribute(index, 'allowedValues', e.target.value)}
+                    placeholder="Allowed values, comma separated"
+                    disabled={attribute.type === 'boolean'}
+                    className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 disabled:bg-gray-100"
+                  />
+                  <div className="col-span-2 flex flex-col text-sm text-gray-700">
+                    {[
+                      ['required', 'Required'],
+                      ['filterable', 'Filterable'],
+                      ['variantDefining', 'Defines variants'],
+                    ].map(([field, label]) => (
+                      <label key={field} className="flex items-center space-x-1">
+                        <input
+                          type="checkbox"
+                          checked={attribute[field]}
+                          onChange={(e) => updateAttribute(index, field, e.target.checked)}
+                        />
+                        <span>{label}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeAttribute(index)}
+                    className="col-span-1 text-red-500 hover:text-red-700 justify-self-center"
+                    aria-label="Remove attribute"
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setAttributes((prev) => [...prev, emptyAttribute()])}
+              className="mt-4 flex items-center space-x-2 text-blue-500 hover:text-blue-700"
+            >
+              <FaPlusCircle /><span>Add attribute</span>
+            </button>
+          </>
+        )}
+
+        <div className="flex justify-between mt-6">
+          <Button onClick={onClose} className="bg-gray-500 text-white px-4 py-2 rounded">
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={isLoading || isSaving}
+            className="bg-blue-500 text-white px-4 py-2 rounded"
+          >
+            {isSaving ? 'Saving...' : 'Save Attributes'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+CategoryAttributesModal.propTypes = {
+  category: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    path: PropTypes.string,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default CategoryAttributesModal;
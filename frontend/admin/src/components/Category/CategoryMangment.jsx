@@ -1,23 +1,34 @@
 import React, { useEffect, useState } from 'react';
-import { FaEdit, FaPlusCircle } from 'react-icons/fa';
+import { FaEdit, FaPlusCircle, FaChevronDown, FaChevronRight } from 'react-icons/fa';
 import axios from '../../axios/adminAxios';
 import { toast } from 'react-toastify';
 import { Button } from '@/components/ui/button';
 import AdminSidebar from '../SideBar/AdminSidebar';
 import Swal from 'sweetalert2';
+import CategoryAttributesModal from './CategoryAttributesModal';
 
+// The tree as rows in display order, leaving out what is under a collapsed category
+const flattenTree = (nodes, collapsed = new Set()) =>
+  nodes.flatMap((node) => [node, ...(collapsed.has(node._id) ? [] : flattenTree(node.children, collapsed))]);
+
+// A category's id and the ids of everything below it
+const subtreeIds = (node) => [node._id, ...node.children.flatMap(subtreeIds)];
 
 const CategoryManagement = () => {
-  const [categories, setCategories] = useState([]);
+  const [tree, setTree] = useState([]);
+  const [collapsed, setCollapsed] = useState(new Set());
   const [newCategory, setNewCategory] = useState('');
   const [newCategoryDescription, setNewCategoryDescription] = useState('');
+  const [newCategoryParent, setNewCategoryParent] = useState('');
   const [fetch, setFetch] = useState(false);
   const [isEditOpen, setIsEditOpen] = useState(false);
   const [editCategoryName, setEditCategoryName] = useState('');
   const [editCategoryDescription, setEditCategoryDescription] = useState('');
   const [selectedId, setSelectedId] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [categoriesPerPage] = useState(5);
+  const [editCategoryParent, setEditCategoryParent] = useState('');
+  const [originalParent, setOriginalParent] = useState('');
+  const [excludedParents, setExcludedParents] = useState([]);
+  const [attributesCategory, setAttributesCategory] = useState(null);
 
   // Error state for add and edit
   const [errors, setErrors] = useState({
@@ -29,8 +40,8 @@ const CategoryManagement = () => {
   useEffect(() => {
     const fetchCategories = async () => {
       try {
-        const response = await axios.get('/getallcategory');
-        setCategories(response.data.categories);
+        const response = await axios.get('/categories/tree');
+        setTree(response.data.categories);
       } catch (error) {
         console.error('Error fetching categories:', error);
         toast.error('Error fetching categories');
@@ -39,6 +50,18 @@ const CategoryManagement = () => {
     fetchCategories();
   }, [fetch]);
 
+  const categories = flattenTree(tree);
+  const visibleCategories = flattenTree(tree, collapsed);
+
+  const toggleCollapsed = (id) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
   const handleAddCategory = async (e) => {
     e.preventDefault();
     setIsButtonClicked(true); // Show the button clicked state
@@ -88,11 +111,13 @@ const CategoryManagement = () => {
       await axios.post('/category', {
         name: trimmedCategoryName,
         description: trimmedCategoryDescription,
+        parentId: newCategoryParent || null,
       });
 
       // Clear inputs and refresh the list
       setNewCategory('');
       setNewCategoryDescription('');
+      setNewCategoryParent('');
       setFetch(!fetch);
       toast.success('Category added successfully');
       setIsButtonClicked(false); // Reset button state
@@ -144,12 +169,16 @@ const CategoryManagement = () => {
 
     try {
       await axios.put(`/editcategory/${selectedId}`, { name: trimmedName, description: trimmedDescription });
+      // Re-parenting moves the category along with everything below it
+      if (editCategoryParent !== originalParent) {
+        await axios.patch(`/categories/${selectedId}/parent`, { parentId: editCategoryParent || null });
+      }
       setFetch(!fetch);
       setIsEditOpen(false);
       toast.success('Category updated successfully');
     } catch (error) {
       console.error('Error editing category:', error);
-      toast.error('Error editing category');
+      toast.error(error.response?.data?.message || 'Error editing category');
     }
   };
 
@@ -170,12 +199,7 @@ const CategoryManagement = () => {
       if (result.isConfirmed) {
         await axios.patch(`/toggleCategoryStatus/${id}`, { status: newStatus });
         
-        // Update local state
-        setCategories((prevCategories) =>
-          prevCategories.map((category) =>
-            category._id === id ? { ...category, status: newStatus } : category
-          )
-        );
+        setFetch(!fetch);
   
         // Success Alert
         Swal.fire({
@@ -196,15 +220,15 @@ const CategoryManagement = () => {
     }
   };
 
-  // Pagination logic
-  const indexOfLastCategory = currentPage * categoriesPerPage;
-  const indexOfFirstCategory = indexOfLastCategory - categoriesPerPage;
-  const currentCategories = categories.slice(indexOfFirstCategory, indexOfLastCategory);
-
-  const totalPages = Math.ceil(categories.length / categoriesPerPage);
-
-  const handlePageChange = (pageNumber) => {
-    setCurrentPage(pageNumber);
+  const openEditModal = (category) => {
+    setIsEditOpen(true);
+    setSelectedId(category._id);
+    setEditCategoryName(category.name);
+    setEditCategoryDescription(category.description);
+    setEditCategoryParent(category.parentId || '');
+    setOriginalParent(category.parentId || '');
+    // A category can't be moved under itself or anything below it
+    setExcludedParents(subtreeIds(category));
   };
 
   return (
@@ -246,6 +270,16 @@ const CategoryManagement = () => {
               {errors.categoryDescription && (
                 <p className="text-red-500 text-sm">{errors.categoryDescription}</p>
               )}
+              <select
+                value={newCategoryParent}
+                onChange={(e) => setNewCategoryParent(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+              >
+                <option value="">No parent (top level)</option>
+                {categories.map((category) => (
+                  <option key={category._id} value={category._id}>{category.path}</option>
+                ))}
+              </select>
               <Button
                 type="submit"
                 className={`${
@@ -271,24 +305,41 @@ const CategoryManagement = () => {
                 </tr>
               </thead>
               <tbody>
-                {currentCategories.map((category, index) => (
+                {visibleCategories.map((category, index) => (
                   <tr key={category._id}>
-                    <td className="py-4 px-6">{index + indexOfFirstCategory + 1}</td>
-                    <td className="py-4 px-6">{category.name}</td>
+                    <td className="py-4 px-6">{index + 1}</td>
+                    <td className="py-4 px-6">
+                      <div className="flex items-center" style={{ paddingLeft: `${category.depth * 1.5}rem` }}>
+                        {category.children.length > 0 ? (
+                          <button
+                            type="button"
+                            onClick={() => toggleCollapsed(category._id)}
+                            className="mr-2 text-gray-500 hover:text-gray-800"
+                            aria-label={collapsed.has(category._id) ? 'Expand' : 'Collapse'}
+                          >
+                            {collapsed.has(category._id) ? <FaChevronRight /> : <FaChevronDown />}
+                          </button>
+                        ) : (
+                          <span className="mr-2 w-4" />
+                        )}
+                        {category.name}
+                      </div>
+                    </td>
                     <td className="py-4 px-6">{category.description}</td>
                     <td className="py-4 px-6">{category.status}</td>
                     <td className="py-4 px-6 text-center space-x-2">
                       <Button
-                        onClick={() => {
-                          setIsEditOpen(true);
-                          setSelectedId(category._id);
-                          setEditCategoryName(category.name);
-                          setEditCategoryDescription(category.description);
-                        }}
+                        onClick={() => openEditModal(category)}
                         className="bg-blue-500 text-white px-4 py-2 rounded"
                       >
                         <FaEdit />
                       </Button>
+                      <Button
+                        onClick={() => setAttributesCategory(category)}
+                        className="bg-indigo-500 text-white px-4 py-2 rounded"
+                      >
+                        Attributes
+                      </Button>
                       <Button
                         onClick={() => handleToggleStatus(category._id, category.status)}
                         className={`${
@@ -302,27 +353,15 @@ const CategoryManagement = () => {
                 ))}
               </tbody>
             </table>
-
-            {/* Pagination */}
-            <div className="flex justify-center mt-4">
-              <button
-                onClick={() => handlePageChange(currentPage - 1)}
-                disabled={currentPage === 1}
-                className="px-4 py-2 bg-gray-300 text-white rounded-lg"
-              >
-                Prev
-              </button>
-              <div className="px-4 py-2 text-gray-700">{currentPage}</div>
-              <button
-                onClick={() => handlePageChange(currentPage + 1)}
-                disabled={currentPage === totalPages}
-                className="px-4 py-2 bg-gray-300 text-white rounded-lg"
-              >
-                Next
-              </button>
-            </div>
           </div>
 
+          {attributesCategory && (
+            <CategoryAttributesModal
+              category={attributesCategory}
+              onClose={() => setAttributesCategory(null)}
+            />
+          )}
+
           {/* Edit Category Modal */}
           {isEditOpen && (
             <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center">
@@ -349,6 +388,19 @@ const CategoryManagement = () => {
                 {errors.categoryDescription && (
                   <p className="text-red-500 text-sm">{errors.categoryDescription}</p>
                 )}
+                <label className="block text-sm font-medium text-gray-700 mb-1">Parent category</label>
+                <select
+                  value={editCategoryParent}
+                  onChange={(e) => setEditCategoryParent(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4 focus:outline-none focus:border-blue-500"
+                >
+                  <option value="">No parent (top level)</option>
+                  {categories
+                    .filter((category) => !excludedParents.includes(category._id))
+                    .map((category) => (
+                      <option key={category._id} value={category._id}>{category.path}</option>
+                    ))}
+                </select>
                 <div className="flex justify-between">
                   <Button
                     onClick={() => setIsEditOpen(false)}
@@ -3,6 +3,8 @@ import { motion } from "framer-motion"
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts"
 import SalesReport from "./SalesReport"
 import TopSellingItems from './TopSellingItems';
+import LowStockWidget from './LowStockWidget';
+import ZeroResultSearchesWidget from './ZeroResultSearchesWidget';
 
 // Sample data for the chart
 // const salesData = [
@@ -49,6 +51,24 @@ const AdminDashboard = () => {
           ))}
         </div> */}
 
+        <motion.div
+  initial={{ y: 20, opacity: 0 }}
+  animate={{ y: 0, opacity: 1 }}
+  transition={{ delay: 0.2 }}
+  className="mb-8"
+>
+  <LowStockWidget />
+</motion.div>
+
+        <motion.div
+  initial={{ y: 20, opacity: 0 }}
+  animate={{ y: 0, opacity: 1 }}
+  transition={{ delay: 0.3 }}
+  className="mb-8"
+>
+  <ZeroResultSearchesWidget />
+</motion.div>
+
         {/* Sales Report */}
         <motion.div
   initial={{ y: 20, opacity: 0 }}
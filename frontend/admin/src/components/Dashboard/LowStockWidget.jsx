@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { AlertTriangle } from 'lucide-react';
+import axiosInstance from '@/axios/adminAxios';
+
+const MAX_ROWS = 8;
+
+// Variants that are out of stock or below their reorder threshold, each linking to its product
+const LowStockWidget = () => {
+  const navigate = useNavigate();
+  const [variants, setVariants] = useState([]);
+  const [summary, setSummary] = useState({ outOfStock: 0, lowStock: 0 });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        const response = await axiosInstance.get('/inventory/low-stock');
+        setVariants(response.data.variants || []);
+        setSummary(response.data.summary);
+      } catch (error) {
+        console.error('Error fetching low stock report:', error);
+        setError('Failed to load stock levels');
+      }
+    };
+
+    fetchReport();
+  }, []);
+
+  return (
+    <Card className="w-full">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <CardTitle className="text-base font-medium flex items-center gap-2">
+          <AlertTriangle className="w-5 h-5" />
+          Low Stock
+        </CardTitle>
+        <div className="flex gap-2 text-xs">
+          <span className="px-2 py-1 rounded-full bg-red-200 text-red-800">{summary.outOfStock} out of stock</span>
+          <span className="px-2 py-1 rounded-full bg-yellow-200 text-yellow-800">{summary.lowStock} low</span>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && <p className="text-sm text-red-500">{error}</p>}
+        {!error && variants.length === 0 && (
+          <p className="text-sm text-gray-500">All variants are above their reorder thresholds</p>
+        )}
+        <ul className="divide-y divide-gray-100">
+          {variants.slice(0, MAX_ROWS).map((variant) => (
+            <li key={variant.variantId}>
+              <button
+                type="button"
+                onClick={() => navigate(`/edit-product/${variant.productId}`)}
+                className="w-full flex items-center justify-between py-2 text-left hover:bg-gray-50"
+              >
+                <div>
+                  <p className="text-sm font-medium">{variant.title}</p>
+                  <p className="text-xs text-gray-500">
+                    SKU {variant.sku}
+                    {variant.attributes?.length > 0 && ` · ${variant.attributes.map((attribute) => attribute.value).join(' / ')}`}
+                  </p>
+                </div>
+                <span className={`text-sm font-semibold ${variant.stockStatus === 'out_of_stock' ? 'text-red-600' : 'text-yellow-600'}`}>
+                  {variant.quantity} / {variant.threshold}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+        {variants.length > MAX_ROWS && (
+          <p className="text-xs text-gray-500 mt-2">and {variants.length - MAX_ROWS} more</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LowStockWidget;
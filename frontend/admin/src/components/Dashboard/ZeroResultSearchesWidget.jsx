@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { SearchX } from 'lucide-react';
+import axiosInstance from '@/axios/adminAxios';
+
+const MAX_ROWS = 10;
+
+// What customers searched the storefront for over the last 30 days and found nothing
+const ZeroResultSearchesWidget = () => {
+  const [searches, setSearches] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSearches = async () => {
+      try {
+        const response = await axiosInstance.get('/search/zero-results');
+        setSearches(response.data.searches || []);
+      } catch (error) {
+        console.error('Error fetching zero result searches:', error);
+        setError('Failed to load searches');
+      }
+    };
+
+    fetchSearches();
+  }, []);
+
+  return (
+    <Card className="w-full">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <CardTitle className="text-base font-medium flex items-center gap-2">
+          <SearchX className="w-5 h-5" />
+          Searches With No Results
+        </CardTitle>
+        <span className="text-xs text-gray-500">Last 30 days</span>
+      </CardHeader>
+      <CardContent>
+        {error && <p className="text-sm text-red-500">{error}</p>}
+        {!error && searches.length === 0 && (
+          <p className="text-sm text-gray-500">Every search found something</p>
+        )}
+        <ul className="divide-y divide-gray-100">
+          {searches.slice(0, MAX_ROWS).map((search) => (
+            <li key={search.query} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium">&quot;{search.query}&quot;</p>
+                <p className="text-xs text-gray-500">
+                  Last searched {new Date(search.lastZeroResultAt).toLocaleDateString()}
+                </p>
+              </div>
+              <span className="text-sm font-semibold text-gray-700">
+                {search.zeroResults} {search.zeroResults === 1 ? 'time' : 'times'}
+              </span>
+            </li>
+          ))}
+        </ul>
+        {searches.length > MAX_ROWS && (
+          <p className="text-xs text-gray-500 mt-2">and {searches.length - MAX_ROWS} more</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ZeroResultSearchesWidget;
@@ -87,10 +87,16 @@ export default function AddOffer() {
     fetchCategories();
   }, []);
 
+  // Every active product for the select, following the list's cursor a page at a time
   const fetchProducts = async () => {
-    const ProductData = await axiosInstance.get('/showproductsIsActive');
-    setProducts(ProductData.data.products);
-    console.log("product data.....",ProductData)
+    const allProducts = [];
+    let cursor;
+    do {
+      const ProductData = await axiosInstance.get('/showproductsIsActive', { params: { cursor, limit: 100 } });
+      allProducts.push(...ProductData.data.products);
+      cursor = ProductData.data.pagination.nextCursor;
+    } while (cursor);
+    setProducts(allProducts);
   };
 
   
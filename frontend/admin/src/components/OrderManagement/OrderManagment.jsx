@@ -1,17 +1,31 @@
-import React, { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect } from 'react';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { toast } from 'react-hot-toast';
 import axiosInstance from '@/axios/adminAxios';
+import OrderTimeline from './OrderTimeline';
+import PaymentRetrySettings from './PaymentRetrySettings';
+
+// Mirrors the transition graph enforced by the backend
+const ORDER_STATUS_TRANSITIONS = {
+  'Payment Failed': ['Cancelled'],
+  'Processing': ['Confirmed', 'Cancelled'],
+  'Confirmed': ['Shipped', 'Cancelled'],
+  'Shipped': ['Delivered'],
+  'Delivered': [],
+  'Cancelled': [],
+  'Returned': [],
+};
 
 function OrderManagement() {
     const [orders, setOrders] = useState([]);
     const [currentPage, setCurrentPage] = useState(1);
     const [isLoading, setIsLoading] = useState(false);
+    const [expandedOrderId, setExpandedOrderId] = useState(null);
     const ordersPerPage = 10;
   
-    const orderStatuses = ['Processing', 'Shipped', 'Delivered', 'Cancelled'];
+    const orderStatuses = ['Processing', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled'];
   
     useEffect(() => {
       fetchOrders();
@@ -32,8 +46,8 @@ function OrderManagement() {
     const handleStatusChange = async (orderId, newStatus, currentStatus) => {
       if (newStatus === currentStatus) return;
   
-      if (['Delivered', 'Cancelled', 'Payment Failed', 'Returned'].includes(currentStatus)) {
-          toast.error(`Cannot change status of ${currentStatus} orders`);
+      if (!ORDER_STATUS_TRANSITIONS[currentStatus]?.includes(newStatus)) {
+          toast.error(`Cannot change order status from ${currentStatus} to ${newStatus}`);
           return;
       }
   
@@ -48,14 +62,13 @@ function OrderManagement() {
           );
   
           const response = await axiosInstance.post(`/order/status/${orderId}`, {
-              status: newStatus,
-              role: 'admin'
+              status: newStatus
           });
   
-          if (response.data && response.data.updatedOrder) {
+          if (response.data && response.data.updateOrder) {
               setOrders(prevOrders =>
                   prevOrders.map(order =>
-                      order._id === orderId ? { ...order, ...response.data.updatedOrder } : order
+                      order._id === orderId ? { ...order, ...response.data.updateOrder } : order
                   )
               );
               toast.success(`Order status updated to ${newStatus}`);
@@ -98,6 +111,7 @@ function OrderManagement() {
     return (
       <div className="ml-[280px] p-10">
         <h1 className="text-3xl font-bold mb-6">Order Management</h1>
+        <PaymentRetrySettings />
 
         <div className="overflow-x-auto">
           <Table>
@@ -114,7 +128,8 @@ function OrderManagement() {
             </TableHeader>
             <TableBody>
               {currentOrders.map((order) => (
-                <TableRow key={order._id}>
+                <Fragment key={order._id}>
+                <TableRow>
                   <TableCell className="font-medium">{order._id}</TableCell>
                   <TableCell>{formatDate(order.orderDate)}</TableCell>
                   <TableCell>
@@ -152,18 +167,31 @@ function OrderManagement() {
                           <SelectItem 
                             key={status} 
                             value={status}
-                            disabled={
-                              (order.orderStatus === 'Shipped' && (status === 'Processing' || status === 'Cancelled')) ||
-                              status === order.orderStatus
-                            }
+                            disabled={!ORDER_STATUS_TRANSITIONS[order.orderStatus]?.includes(status)}
                           >
                             {status}
                           </SelectItem>
                         ))}
                       </SelectContent>
                     </Select>
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="px-0 mt-1"
+                      onClick={() => setExpandedOrderId(expandedOrderId === order._id ? null : order._id)}
+                    >
+                      {expandedOrderId === order._id ? 'Hide timeline' : 'View timeline'}
+                    </Button>
                   </TableCell>
                 </TableRow>
+                {expandedOrderId === order._id && (
+                  <TableRow>
+                    <TableCell colSpan={7} className="bg-gray-50">
+                      <OrderTimeline history={order.statusHistory} />
+                    </TableCell>
+                  </TableRow>
+                )}
+                </Fragment>
               ))}
             </TableBody>
           </Table>
@@ -0,0 +1,43 @@
+import PropTypes from 'prop-types';
+
+const actorLabel = {
+  admin: 'Admin',
+  customer: 'Customer',
+  system: 'System',
+};
+
+const OrderTimeline = ({ history = [] }) => {
+  if (!history.length) {
+    return <p className="text-sm text-gray-500">No status changes recorded for this order.</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-300 ml-2 space-y-3">
+      {history.map((entry, index) => (
+        <li key={entry._id || index} className="ml-4">
+          <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full bg-black" />
+          <p className="font-medium">
+            {entry.previousStatus ? `${entry.previousStatus} → ${entry.status}` : entry.status}
+          </p>
+          <p className="text-xs text-gray-500">
+            {new Date(entry.changedAt).toLocaleString()} · {actorLabel[entry.actor] || entry.actor}
+          </p>
+          {entry.note && <p className="text-sm text-gray-700">{entry.note}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+OrderTimeline.propTypes = {
+  history: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string,
+    status: PropTypes.string.isRequired,
+    previousStatus: PropTypes.string,
+    changedAt: PropTypes.string,
+    actor: PropTypes.string,
+    note: PropTypes.string,
+  })),
+};
+
+export default OrderTimeline;
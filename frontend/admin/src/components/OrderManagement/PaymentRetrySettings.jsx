@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { toast } from 'react-hot-toast';
+import axiosInstance from '@/axios/adminAxios';
+
+// Unpaid online orders are cancelled automatically once this many minutes have passed
+function PaymentRetrySettings() {
+    const [minutes, setMinutes] = useState('');
+    const [savedMinutes, setSavedMinutes] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+      axiosInstance.get('/settings/payment-retry')
+        .then((response) => {
+          setMinutes(String(response.data.paymentRetryWindowMinutes));
+          setSavedMinutes(response.data.paymentRetryWindowMinutes);
+        })
+        .catch((error) => {
+          console.error('Error fetching payment retry window:', error);
+          toast.error('Failed to fetch payment retry window');
+        });
+    }, []);
+
+    const handleSave = async (e) => {
+      e.preventDefault();
+
+      try {
+        setIsSaving(true);
+        const response = await axiosInstance.put('/settings/payment-retry', {
+          paymentRetryWindowMinutes: Number(minutes)
+        });
+        setSavedMinutes(response.data.paymentRetryWindowMinutes);
+        toast.success('Payment retry window updated');
+      } catch (error) {
+        console.error('Error updating payment retry window:', error);
+        toast.error(error.response?.data?.message || 'Failed to update payment retry window');
+      } finally {
+        setIsSaving(false);
+      }
+    };
+
+    return (
+      <form onSubmit={handleSave} className="flex items-end gap-3 mb-6">
+        <div>
+          <label htmlFor="payment-retry-window" className="block text-sm font-medium mb-1">
+            Payment retry window (minutes)
+          </label>
+          <Input
+            id="payment-retry-window"
+            type="number"
+            min={5}
+            max={10080}
+            value={minutes}
+            onChange={(e) => setMinutes(e.target.value)}
+            className="w-40"
+          />
+        </div>
+        <Button type="submit" disabled={isSaving || !minutes || Number(minutes) === savedMinutes}>
+          Save
+        </Button>
+        <p className="text-sm text-gray-500 pb-2">
+          Unpaid online orders are cancelled and their stock released after this window.
+        </p>
+      </form>
+    );
+}
+
+export default PaymentRetrySettings;
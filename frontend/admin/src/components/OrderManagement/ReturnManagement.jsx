@@ -0,0 +1,227 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { toast } from 'react-hot-toast';
+import axiosInstance from '@/axios/adminAxios';
+import OrderTimeline from './OrderTimeline';
+
+// Mirrors the return request lifecycle enforced by the backend
+const RETURN_STATUS_TRANSITIONS = {
+  'Requested': ['Approved', 'Rejected'],
+  'Approved': ['Picked Up', 'Rejected'],
+  'Picked Up': ['Received'],
+  'Received': ['Refunded'],
+  'Rejected': [],
+  'Refunded': [],
+};
+
+const actionLabels = {
+  'Approved': 'Approve',
+  'Rejected': 'Reject',
+  'Picked Up': 'Mark Picked Up',
+  'Received': 'Mark Received',
+  'Refunded': 'Refund',
+};
+
+const statusStyles = {
+  'Requested': 'bg-yellow-200 text-yellow-800',
+  'Approved': 'bg-blue-200 text-blue-800',
+  'Picked Up': 'bg-blue-200 text-blue-800',
+  'Received': 'bg-purple-200 text-purple-800',
+  'Refunded': 'bg-green-200 text-green-800',
+  'Rejected': 'bg-red-200 text-red-800',
+};
+
+function ReturnManagement() {
+    const [returnRequests, setReturnRequests] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('Requested');
+    const [expandedRequestId, setExpandedRequestId] = useState(null);
+    const [notes, setNotes] = useState({});
+    const [isLoading, setIsLoading] = useState(false);
+
+    const fetchReturnRequests = useCallback(async () => {
+      try {
+        const response = await axiosInstance.get('/returns', {
+          params: statusFilter === 'All' ? {} : { status: statusFilter }
+        });
+        setReturnRequests(response.data.returnRequests || []);
+      } catch (error) {
+        console.error('Error fetching return requests:', error);
+        toast.error('Failed to fetch return requests');
+      }
+    }, [statusFilter]);
+
+    useEffect(() => {
+      fetchReturnRequests();
+    }, [fetchReturnRequests]);
+
+    const handleStatusChange = async (request, newStatus) => {
+      const note = notes[request._id]?.trim();
+
+      if (newStatus === 'Rejected' && !note) {
+        toast.error('Please add a note explaining the rejection');
+        return;
+      }
+
+      try {
+        setIsLoading(true);
+        const response = await axiosInstance.post(`/returns/${request._id}/status`, {
+          status: newStatus,
+          note
+        });
+
+        const updated = { ...request, ...response.data.returnRequest, userId: request.userId, orderId: request.orderId };
+        setReturnRequests(prevRequests =>
+          prevRequests.map(item => item._id === request._id ? updated : item)
+        );
+        setNotes(prevNotes => ({ ...prevNotes, [request._id]: '' }));
+
+        const { refund } = response.data;
+        if (refund) {
+          toast.success(`₹${refund.amount} refunded to the customer's ${refund.method === 'wallet' ? 'wallet' : 'original payment method'}`);
+        } else {
+          toast.success(`Return request ${newStatus.toLowerCase()}`);
+        }
+      } catch (error) {
+        console.error('Error updating return request:', error);
+        toast.error(error.response?.data?.message || 'Failed to update return request');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    const formatDate = (dateString) => {
+      return new Date(dateString).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+      });
+    };
+
+    return (
+      <div className="ml-[280px] p-10">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Return Requests</h1>
+          <Select value={statusFilter} onValueChange={setStatusFilter}>
+            <SelectTrigger className="w-[180px]">
+              <SelectValue placeholder="Filter by status" />
+            </SelectTrigger>
+            <SelectContent>
+              {['All', ...Object.keys(RETURN_STATUS_TRANSITIONS)].map((status) => (
+                <SelectItem key={status} value={status}>{status}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Requested</TableHead>
+                <TableHead>Order ID</TableHead>
+                <TableHead>Customer</TableHead>
+                <TableHead>Items</TableHead>
+                <TableHead>Reason</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {returnRequests.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center text-gray-500">
+                    No return requests found
+                  </TableCell>
+                </TableRow>
+              )}
+              {returnRequests.map((request) => (
+                <Fragment key={request._id}>
+                <TableRow>
+                  <TableCell>{formatDate(request.createdAt)}</TableCell>
+                  <TableCell className="font-medium">{request.orderId?._id || request.orderId}</TableCell>
+                  <TableCell>
+                    <div className="text-sm">
+                      <p>{request.userId?.firstName} {request.userId?.lastName}</p>
+                      <p className="text-gray-500">{request.userId?.email}</p>
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <div className="text-sm">
+                      {request.items.map((item) => (
+                        <p key={item._id}>{item.quantity} x {item.name}</p>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <div className="text-sm max-w-xs">
+                      <p className="font-medium">{request.reason}</p>
+                      <p className="text-gray-600">{request.description}</p>
+                      {request.photos?.map((url, index) => (
+                        <a key={url} href={url} target="_blank" rel="noreferrer" className="text-blue-600 underline mr-2">
+                          Photo {index + 1}
+                        </a>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <span className={`px-2 py-1 rounded-full text-xs ${statusStyles[request.status]}`}>
+                      {request.status}
+                    </span>
+                    {request.refundAmount > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">Refund ₹{request.refundAmount}</p>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {RETURN_STATUS_TRANSITIONS[request.status].length > 0 && (
+                      <div className="space-y-2 w-[220px]">
+                        <Textarea
+                          value={notes[request._id] || ''}
+                          onChange={(e) => setNotes({ ...notes, [request._id]: e.target.value })}
+                          placeholder="Note for the customer"
+                          rows={2}
+                        />
+                        <div className="flex flex-wrap gap-2">
+                          {RETURN_STATUS_TRANSITIONS[request.status].map((status) => (
+                            <Button
+                              key={status}
+                              size="sm"
+                              variant={status === 'Rejected' ? 'destructive' : 'default'}
+                              disabled={isLoading}
+                              onClick={() => handleStatusChange(request, status)}
+                            >
+                              {actionLabels[status]}
+                            </Button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="px-0 mt-1"
+                      onClick={() => setExpandedRequestId(expandedRequestId === request._id ? null : request._id)}
+                    >
+                      {expandedRequestId === request._id ? 'Hide history' : 'View history'}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+                {expandedRequestId === request._id && (
+                  <TableRow>
+                    <TableCell colSpan={7} className="bg-gray-50">
+                      <OrderTimeline history={request.statusHistory} />
+                    </TableCell>
+                  </TableRow>
+                )}
+                </Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </div>
+    );
+}
+
+export default ReturnManagement;
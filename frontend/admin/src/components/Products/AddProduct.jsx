@@ -2,9 +2,11 @@ import React, { useState, useEffect, useCallback } from 'react';
 import axiosInstance from '@/axios/adminAxios';
 // import { toast } from 'react-toastify';
 import {toast} from 'react-hot-toast';
-import cloudAxios from 'axios';
 import Cropper from 'react-easy-crop';
 import { useNavigate } from 'react-router-dom';
+import useCategoryAttributes from '@/hooks/useCategoryAttributes';
+import AttributeInput from './AttributeInput';
+import { uploadImage } from '@/lib/uploadImage';
 
 const AddProduct = () => {
 
@@ -40,6 +42,8 @@ const AddProduct = () => {
     dimensions: '',
     countryOfOrigin: ''
   });
+  // Values for the specifications the chosen category defines, used instead of the common ones
+  const [attributeSpecifications, setAttributeSpecifications] = useState({});
   const [categories, setCategories] = useState([]);
   const [brands, setBrands] = useState([]);
   const [crop, setCrop] = useState({ x: 0, y: 0, width: 100, height: 100 });
@@ -48,6 +52,7 @@ const AddProduct = () => {
   const [croppedAreas, setCroppedAreas] = useState([]);
   const [showCropper, setShowCropper] = useState(false);
   const [previewImages, setPreviewImages] = useState([]);
+  const [imageAlts, setImageAlts] = useState([]);
   const [selectedAttributes, setSelectedAttributes] = useState({});
   const [showVariantForm, setShowVariantForm] = useState(false);
   const [errors, setErrors] = useState({
@@ -81,6 +86,26 @@ const AddProduct = () => {
       .catch(() => toast.error('Error fetching brands'));
   }, []);
 
+  const definitions = useCategoryAttributes(categoryId);
+  const specificationDefinitions = definitions.filter((definition) => !definition.variantDefining);
+  const variantDefinitions = definitions.filter((definition) => definition.variantDefining);
+  const variantDefinitionFor = (name) => variantDefinitions.find((definition) => definition.name === name);
+
+  // A category with attribute definitions decides which attributes its variants are made from
+  useEffect(() => {
+    if (!definitions.length) return;
+    const variantNames = definitions
+      .filter((definition) => definition.variantDefining)
+      .map((definition) => definition.name);
+    setAttributeSpecifications({});
+    setVariantAttributes(
+      variantNames.length
+        ? variantNames.map((name) => ({ attribute: name, values: [''] }))
+        : [{ attribute: '', values: [''] }]
+    );
+    setVariants([{ attributes: [], sku: '', price: '', availableQuantity: '', specifications: {} }]);
+  }, [definitions]);
+
   const createImage = (url) =>
     new Promise((resolve, reject) => {
       const image = new Image();
@@ -159,6 +184,7 @@ const AddProduct = () => {
         const croppedImage = new File([croppedBlob], 'cropped.jpg', { type: 'image/jpeg' });
         setProductImages(prev => [...prev, croppedImage]);
         setPreviewImages(prev => [...prev, URL.createObjectURL(croppedBlob)]);
+        setImageAlts(prev => [...prev, '']);
         setShowCropper(false);
         setCurrentImage(null);
         setCroppedAreas([]);
@@ -172,6 +198,7 @@ const AddProduct = () => {
   const removeImage = (index) => {
     setProductImages(prev => prev.filter((_, i) => i !== index));
     setPreviewImages(prev => prev.filter((_, i) => i !== index));
+    setImageAlts(prev => prev.filter((_, i) => i !== index));
     // Reset the file input
     const fileInput = document.querySelector('input[type="file"]');
     if (fileInput) {
@@ -179,6 +206,20 @@ const AddProduct = () => {
     }
   };
 
+  // The first image is the one shown in listings, so the order matters
+  const moveImage = (index, offset) => {
+    const move = (list) => {
+      const target = index + offset;
+      if (target < 0 || target >= list.length) return list;
+      const updated = [...list];
+      [updated[index], updated[target]] = [updated[target], updated[index]];
+      return updated;
+    };
+    setProductImages(move);
+    setPreviewImages(move);
+    setImageAlts(move);
+  };
+
   const handleVariantChange = (index, field, value) => {
     setVariants((prevVariants) => {
       const updatedVariants = [...prevVariants];
@@ -337,7 +378,7 @@ const AddProduct = () => {
     e.preventDefault();
   
     // Validate all fields
-    const specErrors = validateSpecifications(specifications);
+    const specErrors = definitions.length ? {} : validateSpecifications(specifications);
     const newErrors = {
       title: validateField('title', title),
       sku: validateField('sku', sku),
@@ -359,17 +400,8 @@ const AddProduct = () => {
         return;
       }
   
-      // Upload images to Cloudinary
-      const uploadPromises = productImages.map((image) => {
-        const formData = new FormData();
-        formData.append('file', image);
-        formData.append('upload_preset', 'products');
-        formData.append('cloud_name', 'djfuu8l1u');
-        return cloudAxios.post('https://api.cloudinary.com/v1_1/djfuu8l1u/image/upload', formData);
-      });
-  
-      const imageResponses = await Promise.all(uploadPromises);
-      const imageUrls = imageResponses.map((res) => res.data.secure_url);
+      // Upload the images through the server, which stores them as resized renditions
+      const assets = await Promise.all(productImages.map((image, index) => uploadImage(image, imageAlts[index])));
   
       const selectedBrand = brands.find(b => b.name === specifications.brand);
       
@@ -383,13 +415,15 @@ const AddProduct = () => {
         description,
         categoryId,
         brandId,
-        productImages: imageUrls,
+        images: assets.map((asset, index) => ({ assetId: asset._id, alt: imageAlts[index] })),
         status,
         variants,
-        specifications: {
-          ...specifications,
-          brand: selectedBrand ? selectedBrand._id : ''
-        },
+        specifications: definitions.length
+          ? attributeSpecifications
+          : {
+            ...specifications,
+            brand: selectedBrand ? selectedBrand._id : ''
+          },
       };
   
       const response = await axiosInstance.post('/product', productData);
@@ -400,7 +434,7 @@ const AddProduct = () => {
       navigate('/products');
     } catch (error) {
       console.error('Error adding product:', error);
-      toast.error('Error adding product. Please check the console for more details.');
+      toast.error(error.response?.data?.message || 'Error adding product. Please check the console for more details.');
     }
   };
 
@@ -491,6 +525,7 @@ const AddProduct = () => {
     setDescription('');
     setProductImages([]);
     setPreviewImages([]);
+    setImageAlts([]);
     setCategoryId('');
     setBrandId('');
     setSpecifications({
@@ -511,6 +546,7 @@ const AddProduct = () => {
       specifications: {}
     }]);
     setVariantAttributes([{ attribute: '', values: [''] }]);
+    setAttributeSpecifications({});
     setShowCropper(false);
     setCurrentImage(null);
     setCroppedAreas([]);
@@ -700,15 +736,31 @@ const AddProduct = () => {
           )}
           <div className="flex mt-4 flex-wrap gap-4">
             {previewImages.map((image, index) => (
-              <div key={index} className="relative w-24 h-24">
-                <img src={image} alt={`Preview ${index}`} className="object-cover w-full h-full rounded" />
-                <button
-                  type="button"
-                  onClick={() => removeImage(index)}
-                  className="absolute top-0 right-0 text-white bg-red-600 rounded-full text-xs p-1"
-                >
-                  x
-                </button>
+              <div key={image} className="w-24">
+                <div className="relative w-24 h-24">
+                  <img src={image} alt={imageAlts[index] || `Preview ${index}`} className="object-cover w-full h-full rounded" />
+                  <button
+                    type="button"
+                    onClick={() => removeImage(index)}
+                    className="absolute top-0 right-0 text-white bg-red-600 rounded-full text-xs p-1"
+                  >
+                    x
+                  </button>
+                </div>
+                <input
+                  value={imageAlts[index] || ''}
+                  onChange={(e) => setImageAlts(prev => prev.map((alt, i) => (i === index ? e.target.value : alt)))}
+                  placeholder="Alt text"
+                  className="mt-1 w-full border border-gray-300 p-1 rounded text-xs"
+                />
+                <div className="flex justify-between text-xs mt-1">
+                  <button type="button" onClick={() => moveImage(index, -1)} disabled={index === 0} className="text-blue-600 disabled:text-gray-300" aria-label="Move earlier">
+                    ←
+                  </button>
+                  <button type="button" onClick={() => moveImage(index, 1)} disabled={index === previewImages.length - 1} className="text-blue-600 disabled:text-gray-300" aria-label="Move later">
+                    →
+                  </button>
+                </div>
               </div>
             ))}
           </div>
@@ -717,6 +769,30 @@ const AddProduct = () => {
           </p>
         </div>
 
+        {definitions.length > 0 ? (
+          specificationDefinitions.length > 0 && (
+            <div className="my-6">
+              <label className="block text-xl font-semibold mb-4">Specifications</label>
+              <div className="grid grid-cols-2 gap-4">
+                {specificationDefinitions.map((definition) => (
+                  <div key={definition.name} className="mb-6">
+                    <label className="block text-sm font-medium text-gray-700">
+                      {definition.name}{definition.unit && ` (${definition.unit})`}
+                      {definition.required && <span className="text-red-500"> *</span>}
+                    </label>
+                    <AttributeInput
+                      definition={definition}
+                      value={attributeSpecifications[definition.name]}
+                      onChange={(value) => setAttributeSpecifications((prev) => ({ ...prev, [definition.name]: value }))}
+                      className="mt-1 block w-full border border-gray-300 p-2 rounded"
+                      required={definition.required}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )
+        ) : (
         <div className="my-6">
           <label className="block text-xl font-semibold mb-4">Common Product Specifications</label>
           <div className="grid grid-cols-2 gap-4">
@@ -799,7 +875,10 @@ const AddProduct = () => {
             </div>
           </div>
         </div>
+        )}
 
+        {/* A category whose definitions name no variant attributes has single-variant products */}
+        {(definitions.length === 0 || variantDefinitions.length > 0) && (
         <div className="my-6">
           <label className="block text-xl font-semibold mb-4">Variant Attributes</label>
           
@@ -812,12 +891,13 @@ const AddProduct = () => {
                   onChange={(e) => handleAttributeChange(attrIndex, e.target.value)}
                   placeholder="Attribute Name (e.g., RAM, Color)"
                   className="flex-1 border border-gray-300 p-2 rounded"
+                  readOnly={variantDefinitions.length > 0}
                 />
                 <button
                   type="button"
                   onClick={() => removeAttribute(attrIndex)}
                   className="text-red-600 hover:text-red-800 px-2"
-                  disabled={variantAttributes.length === 1}
+                  disabled={variantAttributes.length === 1 || variantDefinitions.length > 0}
                 >
                   Remove Attribute
                 </button>
@@ -827,13 +907,22 @@ const AddProduct = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-2">Values</label>
                 {attr.values.map((value, valueIndex) => (
                   <div key={valueIndex} className="flex items-center gap-2 mb-2">
-                    <input
-                      type="text"
-                      value={value}
-                      onChange={(e) => handleAttributeValueChange(attrIndex, valueIndex, e.target.value)}
-                      placeholder="Attribute Value"
-                      className="flex-1 border border-gray-300 p-2 rounded"
-                    />
+                    {variantDefinitionFor(attr.attribute) ? (
+                      <AttributeInput
+                        definition={variantDefinitionFor(attr.attribute)}
+                        value={value}
+                        onChange={(newValue) => handleAttributeValueChange(attrIndex, valueIndex, newValue)}
+                        className="flex-1 border border-gray-300 p-2 rounded"
+                      />
+                    ) : (
+                      <input
+                        type="text"
+                        value={value}
+                        onChange={(e) => handleAttributeValueChange(attrIndex, valueIndex, e.target.value)}
+                        placeholder="Attribute Value"
+                        className="flex-1 border border-gray-300 p-2 rounded"
+                      />
+                    )}
                     <button
                       type="button"
                       onClick={() => removeAttributeValue(attrIndex, valueIndex)}
@@ -856,13 +945,15 @@ const AddProduct = () => {
           ))}
 
           <div className="flex gap-4">
-            <button
-              type="button"
-              onClick={addNewAttribute}
-              className="text-blue-600 hover:text-blue-800"
-            >
-              + Add New Attribute
-            </button>
+            {variantDefinitions.length === 0 && (
+              <button
+                type="button"
+                onClick={addNewAttribute}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                + Add New Attribute
+              </button>
+            )}
             <button
               type="button"
               onClick={() => setShowVariantForm(true)}
@@ -879,6 +970,7 @@ const AddProduct = () => {
             </button>
           </div>
         </div>
+        )}
 
         {showVariantForm && (
           <div className="fixed inset-0 bg-gray-800 bg-opacity-50 flex justify-center items-center">
@@ -0,0 +1,57 @@
+import PropTypes from 'prop-types';
+
+// Options a definition limits its values to, or null when any value of its type is accepted
+const attributeOptions = (definition) => {
+  if (definition.type === 'boolean') return ['true', 'false'];
+  return definition.allowedValues?.length ? definition.allowedValues : null;
+};
+
+const optionLabel = (definition, option) => {
+  if (definition.type === 'boolean') return option === 'true' ? 'Yes' : 'No';
+  return definition.unit ? `${option} ${definition.unit}` : option;
+};
+
+// An input for one value of a category attribute definition: a select when its values are
+// fixed, otherwise a text or number field
+const AttributeInput = ({ definition, value, onChange, className = '', required = false }) => {
+  const options = attributeOptions(definition);
+  const current = value === undefined || value === null ? '' : String(value);
+
+  if (options) {
+    return (
+      <select value={current} onChange={(e) => onChange(e.target.value)} className={className} required={required}>
+        <option value="">Select {definition.name}</option>
+        {options.map((option) => (
+          <option key={option} value={option}>{optionLabel(definition, option)}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      type={definition.type === 'number' ? 'number' : 'text'}
+      step="any"
+      value={current}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={definition.unit ? `${definition.name} (${definition.unit})` : definition.name}
+      className={className}
+      required={required}
+    />
+  );
+};
+
+AttributeInput.propTypes = {
+  definition: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['text', 'number', 'boolean', 'select']).isRequired,
+    unit: PropTypes.string,
+    allowedValues: PropTypes.arrayOf(PropTypes.string),
+  }).isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.bool]),
+  onChange: PropTypes.func.isRequired,
+  className: PropTypes.string,
+  required: PropTypes.bool,
+};
+
+export default AttributeInput;
@@ -16,7 +16,9 @@ import { toast } from "react-hot-toast";
 import { Save, X } from "lucide-react";
 import { useNavigate, useParams } from "react-router-dom";
 import axiosInstance from "@/axios/adminAxios";
-import cloudAxios from "axios";
+import { uploadImage } from "@/lib/uploadImage";
+import useCategoryAttributes from "@/hooks/useCategoryAttributes";
+import AttributeInput from "./AttributeInput";
 import axios from "axios";
 
 const EditProduct = () => {
@@ -70,6 +72,9 @@ const EditProduct = () => {
 
   const [variants, setVariants] = useState([]);
   const [variantErrors, setVariantErrors] = useState([]);
+  // Stock as loaded, so a change in quantity can ask for a reason
+  const [savedQuantities, setSavedQuantities] = useState({});
+  const [stockAdjustmentReason, setStockAdjustmentReason] = useState("");
 
 
 
@@ -82,14 +87,13 @@ const EditProduct = () => {
 
         setProduct(response.data.product);
         setVariants(response.data.product.variants || []);
+        setSavedQuantities(Object.fromEntries(
+          (response.data.product.variants || []).map((variant) => [variant._id, Number(variant.availableQuantity) || 0])
+        ));
 
-        const arrimg = response.data.product.productImage.map((img) => {
-          return img;
-        },[id]);
-
-        console.log("img.................", arrimg);
-
-        setImages(arrimg);
+        // Products from before managed images only have their URLs
+        const { images: productImages, productImage } = response.data.product;
+        setImages(productImages?.length ? productImages : productImage.map((url) => ({ url, alt: "" })));
 
         console.log("uploaded images", response.data.product.productImage);
         setLoading(false);
@@ -124,6 +128,17 @@ const EditProduct = () => {
     fetchCategoriesAndBrands();
   }, []);
 
+  // A category with attribute definitions replaces the common specification fields with its own
+  const definitions = useCategoryAttributes(product.categoryId);
+  const specificationDefinitions = definitions.filter((definition) => !definition.variantDefining);
+
+  const handleDefinedSpecificationChange = (name, value) => {
+    setProduct((prev) => ({
+      ...prev,
+      specifications: { ...prev.specifications, [name]: value },
+    }));
+  };
+
   const validateField = (fieldName, newValue, fallbackValue) => {
     if (!newValue && !fallbackValue) {
       return `${fieldName} is required`;
@@ -195,7 +210,8 @@ const EditProduct = () => {
     if (file) {
       // Check if the file is an image
       if (file.type.startsWith("image/")) {
-        setImages((prevImages) => [...prevImages, file]); // Store the File object
+        // Uploaded when the product is saved
+        setImages((prevImages) => [...prevImages, { file, url: URL.createObjectURL(file), alt: "" }]);
       } else {
         toast.error("Please select a valid image file");
       }
@@ -211,33 +227,46 @@ const EditProduct = () => {
       toast.error("Please check variant details");
       return;
     }
+
+    if (stockChanged && !stockAdjustmentReason.trim()) {
+      toast.error("Please give a reason for the stock change");
+      return;
+    }
   
     try {
-      let imageUrls = [];
-  
-      // Keep existing URLs and handle new files
-      const existingUrls = images.filter(img => typeof img === "string" && !img.startsWith("blob:"));
-      const newImages = images.filter(img => img instanceof File);
-  
-      imageUrls = [...existingUrls];
-  
-      // Upload new images
-      for (const image of newImages) {
-        const formData = new FormData();
-        formData.append("file", image);
-        formData.append("upload_preset", "products");
-  
-        const response = await cloudAxios.post(
-          "https://api.cloudinary.com/v1_1/djfuu8l1u/image/upload",
-          formData
-        );
-        imageUrls.push(response.data.secure_url);
-      }
-  
-      const updatedProduct = { 
-        ...product, 
-        productImage: imageUrls,
-        variants: variants 
+      // New images go through the server's upload first; the rest keep their asset or URL
+      const productImages = await Promise.all(images.map(async (image) => {
+        if (image.file) {
+          const asset = await uploadImage(image.file, image.alt);
+          return { assetId: asset._id, alt: image.alt };
+        }
+        return image.assetId ? { assetId: image.assetId, alt: image.alt } : { url: image.url, alt: image.alt };
+      }));
+
+      // Only the fields this form edits, so nothing kept up to date elsewhere is written back stale
+      const updatedProduct = {
+        title: product.title,
+        sku: product.sku,
+        price: product.price,
+        color: product.color,
+        description: product.description,
+        categoryId: product.categoryId,
+        lowStockThreshold: product.lowStockThreshold,
+        // Only what the category defines, leaving behind any common specifications from before
+        specifications: definitions.length
+          ? Object.fromEntries(
+              specificationDefinitions.map((definition) => [definition.name, product.specifications?.[definition.name]])
+            )
+          : product.specifications,
+        images: productImages,
+        // Stock is only sent for variants whose quantity was changed, with the quantity it was changed
+        // from, so the server can refuse the edit if sales moved it meanwhile
+        variants: variants.map(({ availableQuantity, ...variant }) => (
+          quantityChanged({ ...variant, availableQuantity })
+            ? { ...variant, availableQuantity: Number(availableQuantity), expectedQuantity: savedQuantities[variant._id] }
+            : variant
+        )),
+        stockAdjustmentReason
       };
   
       await axiosInstance.put(`/product/${id}`, updatedProduct);
@@ -245,7 +274,7 @@ const EditProduct = () => {
       setTimeout(() => navigate("/products"), 2000);
     } catch (error) {
       console.error("Error updating product:", error);
-      toast.error("Failed to update product");
+      toast.error(error.response?.data?.message || "Failed to update product");
     }
   };
 
@@ -253,11 +282,27 @@ const EditProduct = () => {
     return <div>Loading...</div>;
   }
 
+  const quantityChanged = (variant) => (Number(variant.availableQuantity) || 0) !== savedQuantities[variant._id];
+  const stockChanged = variants.length !== Object.keys(savedQuantities).length || variants.some(quantityChanged);
+
   const handleRemoveImage = (index) => {
     const updatedImages = images.filter((_, i) => i !== index);
     setImages(updatedImages);
   };
 
+  // The first image is the one shown in listings
+  const handleMoveImage = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= images.length) return;
+    const updatedImages = [...images];
+    [updatedImages[index], updatedImages[target]] = [updatedImages[target], updatedImages[index]];
+    setImages(updatedImages);
+  };
+
+  const handleImageAltChange = (index, alt) => {
+    setImages(images.map((image, i) => (i === index ? { ...image, alt } : image)));
+  };
+
 
 
   const validateVariants = (variants) => {
@@ -446,10 +491,10 @@ const EditProduct = () => {
 
               <div className="flex gap-3 flex-wrap">
                 {images.map((image, index) => (
-                  <div key={index} className="relative w-24">
+                  <div key={image.url} className="relative w-24">
                     <img
-                      src={image}
-                      alt=""
+                      src={image.thumbnailUrl || image.url}
+                      alt={image.alt}
                       className="rounded-lg w-full h-24 object-cover"
                     />
                     <button
@@ -459,11 +504,49 @@ const EditProduct = () => {
                     >
                       &times;
                     </button>
+                    <Input
+                      value={image.alt}
+                      onChange={(e) => handleImageAltChange(index, e.target.value)}
+                      placeholder="Alt text"
+                      className="mt-1 h-7 text-xs"
+                    />
+                    <div className="flex justify-between text-xs mt-1">
+                      <button type="button" onClick={() => handleMoveImage(index, -1)} disabled={index === 0} className="text-blue-600 disabled:text-gray-300" aria-label="Move earlier">
+                        ←
+                      </button>
+                      <button type="button" onClick={() => handleMoveImage(index, 1)} disabled={index === images.length - 1} className="text-blue-600 disabled:text-gray-300" aria-label="Move later">
+                        →
+                      </button>
+                    </div>
                   </div>
                 ))}
               </div>
             </div>
 
+            {definitions.length > 0 ? (
+              specificationDefinitions.length > 0 && (
+                <div className="col-span-2">
+                  <h3 className="text-lg font-semibold mb-4">Specifications</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {specificationDefinitions.map((definition) => (
+                      <div key={definition.name} className="space-y-2">
+                        <Label>
+                          {definition.name}
+                          {definition.unit && ` (${definition.unit})`}
+                        </Label>
+                        <AttributeInput
+                          definition={definition}
+                          value={product.specifications?.[definition.name]}
+                          onChange={(value) => handleDefinedSpecificationChange(definition.name, value)}
+                          className="flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm"
+                          required={definition.required}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )
+            ) : (
             <div className="col-span-2">
               <h3 className="text-lg font-semibold mb-4">Specifications</h3>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -595,15 +678,30 @@ const EditProduct = () => {
                 </div>
               </div>
             </div>
+            )}
           </div>
 
             <div className="col-span-2 mt-6">
             <h3 className="text-lg font-semibold mb-4">Product Variants ({variants.length})</h3>
+            <div className="space-y-2 mb-4 max-w-xs">
+              <Label htmlFor="lowStockThreshold">Low Stock Alert Below (all variants)</Label>
+              <Input
+                id="lowStockThreshold"
+                type="number"
+                min="0"
+                value={product.lowStockThreshold ?? ""}
+                placeholder="Store default"
+                onChange={(e) => setProduct((prev) => ({
+                  ...prev,
+                  lowStockThreshold: e.target.value === "" ? null : Number(e.target.value)
+                }))}
+              />
+            </div>
             <div className="space-y-4">
             {variants.map((variant, index) => (
               <div key={index} className="border p-4 rounded-lg">
                 {/* ... existing variant combination display ... */}
-                <div className="grid grid-cols-3 gap-4">
+                <div className="grid grid-cols-4 gap-4">
                   <div>
                     <Label>SKU</Label>
                     <Input
@@ -639,10 +737,43 @@ const EditProduct = () => {
                       <p className="text-red-500 text-xs mt-1">{variantErrors[index].availableQuantity}</p>
                     )}
                   </div>
+                  <div>
+                    <Label>Low Stock Alert Below</Label>
+                    <Input
+                      type="number"
+                      min="0"
+                      value={variant.lowStockThreshold ?? ""}
+                      placeholder={product.lowStockThreshold != null ? `Product default (${product.lowStockThreshold})` : "Product default"}
+                      onChange={(e) => handleVariantChange(index, 'lowStockThreshold', e.target.value === "" ? null : Number(e.target.value))}
+                    />
+                  </div>
                 </div>
+                {variant._id && (
+                  <Button
+                    type="button"
+                    variant="link"
+                    className="px-0 mt-2"
+                    onClick={() => navigate(`/products/${id}/variants/${variant._id}/stock-history`)}
+                  >
+                    View stock history
+                  </Button>
+                )}
               </div>
             ))}
             </div>
+
+            {stockChanged && (
+              <div className="space-y-2 mt-4">
+                <Label htmlFor="stockAdjustmentReason">Reason for stock change</Label>
+                <Textarea
+                  id="stockAdjustmentReason"
+                  value={stockAdjustmentReason}
+                  onChange={(e) => setStockAdjustmentReason(e.target.value)}
+                  placeholder="e.g. New shipment received, damaged units written off, stock count correction"
+                  rows={2}
+                />
+              </div>
+            )}
           </div>
           
           <div className="flex justify-end space-x-4">
@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Download, Upload } from 'lucide-react';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { toast } from 'react-hot-toast';
+import axiosInstance from '@/axios/adminAxios';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const actionLabels = {
+  'create': 'New',
+  'update': 'Update',
+  'skip': 'Skipped',
+};
+
+const actionStyles = {
+  'create': 'bg-green-200 text-green-800',
+  'update': 'bg-blue-200 text-blue-800',
+  'skip': 'bg-red-200 text-red-800',
+};
+
+// Bulk product changes from a CSV or XLSX file: checked first as a dry run, then imported.
+// Exports use the same columns, so a catalog can be downloaded, edited and imported back
+function ProductImport() {
+    const navigate = useNavigate();
+    const [file, setFile] = useState(null);
+    const [report, setReport] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+
+    const handleExport = async (format) => {
+      try {
+        const response = await axiosInstance.get('/products/export', { params: { format }, responseType: 'blob' });
+        const url = URL.createObjectURL(response.data);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `products.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+      } catch (error) {
+        console.error('Error exporting products:', error);
+        toast.error('Failed to export products');
+      }
+    };
+
+    const sendFile = async (dryRun) => {
+      setIsWorking(true);
+      try {
+        const response = await axiosInstance.post('/products/import', file, {
+          params: { dryRun },
+          // The server reads the file by its type, which browsers don't reliably set for CSV
+          headers: { 'Content-Type': file.name.toLowerCase().endsWith('.xlsx') ? XLSX_TYPE : 'text/csv' },
+        });
+        setReport(response.data);
+        if (!dryRun) {
+          const { created, updated, failed } = response.data.summary;
+          toast.success(`Imported ${created} new and ${updated} updated products${failed ? `, ${failed} skipped` : ''}`);
+        }
+      } catch (error) {
+        console.error('Error importing products:', error);
+        toast.error(error.response?.data?.message || 'Failed to import products');
+      } finally {
+        setIsWorking(false);
+      }
+    };
+
+    const handleFileChange = (e) => {
+      setFile(e.target.files[0] || null);
+      setReport(null);
+    };
+
+    const readyCount = report ? report.summary.created + report.summary.updated : 0;
+
+    return (
+      <div className="ml-[280px] p-10">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-3xl font-bold">Import Products</h1>
+            <p className="text-gray-600 mt-1">
+              One row per variant, matched to products by SKU. Blank cells keep a product&apos;s current values.
+              Exports leave variantQuantity blank; fill it in only to set a variant&apos;s stock.
+            </p>
+          </div>
+          <Button variant="outline" onClick={() => navigate('/products')}>
+            Back to products
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap gap-4 mb-8">
+          <Button variant="outline" onClick={() => handleExport('csv')}>
+            <Download className="mr-2 h-4 w-4" /> Export CSV
+          </Button>
+          <Button variant="outline" onClick={() => handleExport('xlsx')}>
+            <Download className="mr-2 h-4 w-4" /> Export XLSX
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mb-6">
+          <input
+            type="file"
+            accept={`.csv,.xlsx,text/csv,${XLSX_TYPE}`}
+            onChange={handleFileChange}
+            className="border border-gray-300 p-2 rounded"
+          />
+          <Button disabled={!file || isWorking} onClick={() => sendFile(true)}>
+            Check file
+          </Button>
+          {report?.dryRun && (
+            <Button
+              disabled={!readyCount || isWorking}
+              onClick={() => sendFile(false)}
+              className="bg-blue-600 hover:bg-blue-700"
+            >
+              <Upload className="mr-2 h-4 w-4" /> Import {readyCount} products
+            </Button>
+          )}
+        </div>
+
+        {report && (
+          <>
+            <p className="mb-4 text-gray-700">
+              {report.dryRun ? 'Dry run: nothing has been saved yet. ' : 'Import finished. '}
+              {report.summary.rows} rows, {report.summary.products} products: {report.summary.created} new,{' '}
+              {report.summary.updated} updated, {report.summary.failed} with errors.
+            </p>
+
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Rows</TableHead>
+                    <TableHead>SKU</TableHead>
+                    <TableHead>Title</TableHead>
+                    <TableHead>Action</TableHead>
+                    <TableHead>Errors</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.products.map((product) => (
+                    <TableRow key={`${product.sku}-${product.rows[0]}`}>
+                      <TableCell>{product.rows.join(', ')}</TableCell>
+                      <TableCell>{product.sku || '-'}</TableCell>
+                      <TableCell>{product.title}</TableCell>
+                      <TableCell>
+                        <span className={`px-2 py-1 rounded-full text-xs ${actionStyles[product.action]}`}>
+                          {actionLabels[product.action]}
+                        </span>
+                      </TableCell>
+                      <TableCell className="text-sm text-red-600">
+                        {product.errors.map((error, index) => (
+                          <p key={index}>Row {error.row}: {error.message}</p>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </>
+        )}
+      </div>
+    );
+}
+
+export default ProductImport;
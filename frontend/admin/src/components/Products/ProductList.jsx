@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { PlusCircle, Pencil, ToggleLeft, ToggleRight } from 'lucide-react';
+import { PlusCircle, Pencil, ToggleLeft, ToggleRight, FileSpreadsheet } from 'lucide-react';
 import { Button } from '@/components/ui/button'; // Assuming Shadcn Button component is available
 import AdminSidebar from '../SideBar/AdminSidebar';
 import axiosInstance from '@/axios/adminAxios';
@@ -14,14 +14,16 @@ const ProductList = () => {
   const [error, setError] = useState(null);
   const [categories, setCategories] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
   const [productsPerPage] = useState(5);
   const navigate = useNavigate();
 
+  // The server pages the catalogue; only the current page is loaded
   useEffect(() => {
-    axiosInstance.get('/showproducts')
+    axiosInstance.get('/showproducts', { params: { page: currentPage, limit: productsPerPage } })
       .then(response => {
-        console.log('API Response:', response.data);
         setProducts(response.data.products);
+        setTotalPages(response.data.pagination.totalPages || 1);
         setLoading(false);
       })
       .catch(err => {
@@ -29,7 +31,7 @@ const ProductList = () => {
         setError('Error fetching products');
         setLoading(false);
       });
-  }, []);
+  }, [currentPage, productsPerPage]);
 
   useEffect(() => {
     axiosInstance.get('/getallcategory')
@@ -72,11 +74,6 @@ const ProductList = () => {
     navigate(`/edit-product/${productId}`);
   };
 
-  // Pagination Logic
-  const indexOfLastProduct = currentPage * productsPerPage;
-  const indexOfFirstProduct = indexOfLastProduct - productsPerPage;
-  const currentProducts = products.slice(indexOfFirstProduct, indexOfLastProduct);
-
   const paginate = (pageNumber) => setCurrentPage(pageNumber);
 
   if (loading) return <div className="flex justify-center items-center h-screen">Loading...</div>;
@@ -89,12 +86,17 @@ const ProductList = () => {
       <div className="flex-1 p-6 max-w-screen-lg mx-auto">
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-2xl font-semibold text-gray-800">Product List</h2>
-          <Button onClick={() => navigate('/add-product')} className="bg-blue-600 hover:bg-blue-700">
-            <PlusCircle className="mr-2 h-5 w-5" /> Add Product
-          </Button>
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={() => navigate('/products/import')}>
+              <FileSpreadsheet className="mr-2 h-5 w-5" /> Import / Export
+            </Button>
+            <Button onClick={() => navigate('/add-product')} className="bg-blue-600 hover:bg-blue-700">
+              <PlusCircle className="mr-2 h-5 w-5" /> Add Product
+            </Button>
+          </div>
         </div>
 
-        {currentProducts.length === 0 ? (
+        {products.length === 0 ? (
           <div className="text-center py-4 text-gray-600">No products found.</div>
         ) : (
           <>
@@ -111,7 +113,7 @@ const ProductList = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {currentProducts.map((product) => (
+                  {products.map((product) => (
                     <tr key={product._id} className="border-t hover:bg-gray-50">
                       <td className="px-6 py-4">
                         <img
@@ -162,7 +164,7 @@ const ProductList = () => {
 
             {/* Pagination Controls */}
             <div className="flex justify-center items-center mt-6 space-x-2">
-              {Array.from({ length: Math.ceil(products.length / productsPerPage) }, (_, index) => (
+              {Array.from({ length: totalPages }, (_, index) => (
                 <Button
                   key={index + 1}
                   variant={currentPage === index + 1 ? 'default' : 'outline'}
@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { toast } from 'react-hot-toast';
+import axiosInstance from '@/axios/adminAxios';
+
+const reasonLabels = {
+  'sale': 'Sale',
+  'cancel': 'Cancellation',
+  'return': 'Return',
+  'manual_adjustment': 'Manual adjustment',
+  'import': 'Import',
+};
+
+// Every change to one variant's stock, newest first
+function StockHistory() {
+    const { id, variantId } = useParams();
+    const navigate = useNavigate();
+    const [product, setProduct] = useState(null);
+    const [variant, setVariant] = useState(null);
+    const [movements, setMovements] = useState([]);
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+
+    useEffect(() => {
+      const fetchMovements = async () => {
+        try {
+          const response = await axiosInstance.get(`/product/${id}/variants/${variantId}/stock-movements`, {
+            params: { page }
+          });
+          setProduct(response.data.product);
+          setVariant(response.data.variant);
+          setMovements(response.data.movements || []);
+          setTotalPages(response.data.pagination.totalPages || 1);
+        } catch (error) {
+          console.error('Error fetching stock movements:', error);
+          toast.error(error.response?.data?.message || 'Failed to fetch stock history');
+        }
+      };
+
+      fetchMovements();
+    }, [id, variantId, page]);
+
+    const formatDate = (dateString) => {
+      return new Date(dateString).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    };
+
+    const describeActor = (movement) => {
+      if (movement.actorId?.email) {
+        return `${movement.actorId.firstName || ''} ${movement.actorId.lastName || ''}`.trim() || movement.actorId.email;
+      }
+      return movement.actor;
+    };
+
+    const variantLabel = variant?.attributes?.map((attribute) => attribute.value).join(' / ');
+
+    return (
+      <div className="ml-[280px] p-10">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-3xl font-bold">Stock History</h1>
+            <p className="text-gray-600 mt-1">
+              {product?.title}
+              {variantLabel && ` — ${variantLabel}`}
+              {variant && ` (SKU ${variant.sku}, ${variant.availableQuantity} in stock)`}
+            </p>
+          </div>
+          <Button variant="outline" onClick={() => navigate(`/edit-product/${id}`)}>
+            Back to product
+          </Button>
+        </div>
+
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Reason</TableHead>
+                <TableHead className="text-right">Change</TableHead>
+                <TableHead className="text-right">Stock After</TableHead>
+                <TableHead>Reference</TableHead>
+                <TableHead>By</TableHead>
+                <TableHead>Note</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {movements.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center text-gray-500">
+                    No stock movements recorded for this variant
+                  </TableCell>
+                </TableRow>
+              )}
+              {movements.map((movement) => (
+                <TableRow key={movement._id}>
+                  <TableCell>{formatDate(movement.createdAt)}</TableCell>
+                  <TableCell>{reasonLabels[movement.reason] || movement.reason}</TableCell>
+                  <TableCell className={`text-right font-medium ${movement.delta < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                  </TableCell>
+                  <TableCell className="text-right">{movement.quantityAfter ?? '-'}</TableCell>
+                  <TableCell className="text-sm">
+                    {movement.referenceType && (
+                      <>
+                        <span className="text-gray-500">{movement.referenceType} </span>
+                        {movement.referenceId}
+                      </>
+                    )}
+                  </TableCell>
+                  <TableCell className="capitalize">{describeActor(movement)}</TableCell>
+                  <TableCell className="text-sm text-gray-600">{movement.note}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+
+        {totalPages > 1 && (
+          <div className="flex justify-end items-center gap-4 mt-4">
+            <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+              Previous
+            </Button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <Button variant="outline" size="sm" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+              Next
+            </Button>
+          </div>
+        )}
+      </div>
+    );
+}
+
+export default StockHistory;
@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'react-hot-toast';
+import axiosInstance from '@/axios/adminAxios';
+
+// Customer reviews across all products; hiding one drops it from the storefront and the product's rating
+function ReviewManagement() {
+    const [reviews, setReviews] = useState([]);
+    const [status, setStatus] = useState('all');
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [notes, setNotes] = useState({});
+
+    useEffect(() => {
+      const fetchReviews = async () => {
+        try {
+          const response = await axiosInstance.get('/reviews', {
+            params: { page, status: status === 'all' ? undefined : status }
+          });
+          setReviews(response.data.reviews || []);
+          setTotalPages(response.data.pagination.totalPages || 1);
+        } catch (error) {
+          console.error('Error fetching reviews:', error);
+          toast.error(error.response?.data?.message || 'Failed to fetch reviews');
+        }
+      };
+
+      fetchReviews();
+    }, [status, page]);
+
+    const handleModerate = async (review, nextStatus) => {
+      try {
+        const response = await axiosInstance.patch(`/reviews/${review._id}/moderation`, {
+          status: nextStatus,
+          note: notes[review._id] ?? review.moderationNote
+        });
+        setReviews((prev) => prev.map((item) =>
+          item._id === review._id ? { ...item, ...response.data.review, userId: item.userId, productId: item.productId } : item
+        ));
+        toast.success(response.data.message);
+      } catch (error) {
+        console.error('Error moderating review:', error);
+        toast.error(error.response?.data?.message || 'Failed to update review');
+      }
+    };
+
+    return (
+      <div className="ml-[280px] p-10">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Reviews</h1>
+          <Select value={status} onValueChange={(value) => { setStatus(value); setPage(1); }}>
+            <SelectTrigger className="w-[180px]">
+              <SelectValue placeholder="Filter by status" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All reviews</SelectItem>
+              <SelectItem value="Approved">Approved</SelectItem>
+              <SelectItem value="Hidden">Hidden</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Product</TableHead>
+                <TableHead>Customer</TableHead>
+                <TableHead>Rating</TableHead>
+                <TableHead>Review</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Moderation Note</TableHead>
+                <TableHead>Action</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {reviews.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center text-gray-500">
+                    No reviews found
+                  </TableCell>
+                </TableRow>
+              )}
+              {reviews.map((review) => (
+                <TableRow key={review._id}>
+                  <TableCell>{new Date(review.createdAt).toLocaleDateString()}</TableCell>
+                  <TableCell>{review.productId?.title || 'Deleted product'}</TableCell>
+                  <TableCell>
+                    {review.userId ? `${review.userId.firstName} ${review.userId.lastName || ''}` : 'Deleted user'}
+                    {review.verifiedPurchase && <p className="text-xs text-green-600">Verified purchase</p>}
+                  </TableCell>
+                  <TableCell>{review.rating} / 5</TableCell>
+                  <TableCell className="max-w-xs">
+                    {review.title && <p className="font-medium">{review.title}</p>}
+                    <p className="text-sm text-gray-600">{review.body}</p>
+                  </TableCell>
+                  <TableCell>
+                    <span className={`px-2 py-1 rounded-full text-xs ${review.status === 'Hidden' ? 'bg-red-200 text-red-800' : 'bg-green-200 text-green-800'}`}>
+                      {review.status}
+                    </span>
+                  </TableCell>
+                  <TableCell>
+                    <Input
+                      value={notes[review._id] ?? review.moderationNote ?? ''}
+                      onChange={(e) => setNotes({ ...notes, [review._id]: e.target.value })}
+                      placeholder="Reason (optional)"
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {review.status === 'Hidden' ? (
+                      <Button size="sm" onClick={() => handleModerate(review, 'Approved')}>Approve</Button>
+                    ) : (
+                      <Button size="sm" variant="destructive" onClick={() => handleModerate(review, 'Hidden')}>Hide</Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+
+        {totalPages > 1 && (
+          <div className="flex justify-end items-center gap-4 mt-4">
+            <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+              Previous
+            </Button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <Button variant="outline" size="sm" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+              Next
+            </Button>
+          </div>
+        )}
+      </div>
+    );
+}
+
+export default ReviewManagement;
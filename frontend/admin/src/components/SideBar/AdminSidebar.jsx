@@ -10,6 +10,8 @@ import {
   FaSignOutAlt,
   FaTicketAlt,
   FaTags,
+  FaUndo,
+  FaStar,
 } from 'react-icons/fa';
 import { Link, useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button'; // Adjust the path if necessary
@@ -25,6 +27,8 @@ const AdminSidebar = ({children}) => {
     { icon: FaHome, text: 'Dashboard', href: '/home' },
     { icon: FaBox, text: 'Products', href: '/products' },
     { icon: FaShoppingCart, text: 'Orders', href: '/orders' },
+    { icon: FaUndo, text: 'Returns', href: '/returns' },
+    { icon: FaStar, text: 'Reviews', href: '/reviews' },
     { icon: FaUsers, text: 'Customers', href: '/customerlist' },
     { icon: FaList, text: 'Categories', href: '/categories' },
     { icon: FaIndustry, text: 'Brands', href: '/brands' },
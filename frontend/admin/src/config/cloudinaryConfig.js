@@ -1,10 +0,0 @@
-// src/cloudinaryConfig.js
-import { v2 as cloudinary } from 'cloudinary';
-
-cloudinary.config({
-  cloud_name: 'djfuu8l1u',     // Replace with your Cloudinary cloud name
-  api_key: '988947868279776',           // Replace with your Cloudinary API key
-  api_secret: 'LqjKb0ggrEX0slbsCFMZsNJDT1M',     // Replace with your Cloudinary API secret
-});
-
-export default cloudinary;
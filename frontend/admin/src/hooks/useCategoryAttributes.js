@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+import axiosInstance from '@/axios/adminAxios';
+
+// The attribute definitions that apply to products in categoryId, inherited ones included.
+// Empty while loading, when no category is chosen, or when the category defines none
+export default function useCategoryAttributes(categoryId) {
+  const [definitions, setDefinitions] = useState([]);
+
+  useEffect(() => {
+    setDefinitions([]);
+    if (!categoryId) return undefined;
+
+    let active = true;
+    axiosInstance.get(`/categories/${categoryId}/attributes`)
+      .then((response) => {
+        if (active) setDefinitions(response.data.attributes);
+      })
+      .catch((error) => console.error('Error fetching category attributes:', error));
+    return () => {
+      active = false;
+    };
+  }, [categoryId]);
+
+  return definitions;
+}
@@ -0,0 +1,11 @@
+import axiosInstance from "@/axios/adminAxios";
+
+// Send one image to the server, which checks it, makes its resized renditions and stores them.
+// Resolves to the stored asset, whose _id goes in a product's images
+export async function uploadImage(file, alt = "") {
+  const response = await axiosInstance.post("/images", file, {
+    params: { alt, name: file.name },
+    headers: { "Content-Type": file.type || "image/jpeg" },
+  });
+  return response.data.asset;
+}
@@ -43,9 +43,12 @@ const App = () => {
       <Route path='/home' element={<ProtectHome><Home/></ProtectHome>}/>
       {/* <Route path='/shop' element={<ProtectedComponent><ProductPage/></ProtectedComponent>}/> */}
       <Route path='/shop' element={<ProductPage/>}/>
+      <Route path='/category/:categorySlug' element={<ProductPage/>}/>
+      <Route path='/brand/:brandSlug' element={<ProductPage/>}/>
 
       {/* <Route path='/product_details/:id' element={<ProtectedComponent><ProductDetails/></ProtectedComponent>}/> */}
       <Route path='/product_details/:id' element={<ProductDetails/>}/>
+      <Route path='/product/:slug' element={<ProductDetails/>}/>
 
       <Route path='/Account' element={<ProtectedComponent><AccountPage/></ProtectedComponent>} />
       <Route path='/cart' element ={<ProtectedComponent><CartPage/></ProtectedComponent>}/>
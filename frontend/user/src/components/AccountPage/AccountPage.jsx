@@ -16,6 +16,7 @@ import axiosInstance from '@/axios/userAxios'
 import toast from 'react-hot-toast'
 import { Package, Pencil, Trash, Wallet, ArrowUpRight, ArrowDownLeft } from 'lucide-react';
 import OrderDetailsBox from './OrderDetailsBox'
+import StockSubscriptions from './StockSubscriptions'
 export default function AccountPage() {
   // State for user profile data
   const [profileData, setProfileData] = useState({
@@ -528,6 +529,14 @@ const updateOrderStatus = (orderId, newStatus) => {
   );
 };
 
+// Replace an order with the copy returned by the server after an item was cancelled or returned
+const replaceOrder = (updatedOrder) => {
+  setOrderDetails(prevOrders =>
+    prevOrders.map(order => order._id === updatedOrder._id ? updatedOrder : order)
+  );
+  setSelectedOrder(updatedOrder);
+};
+
 const handleTopUp = async () => {
   try {
     const userId = getUserId(userDetails);
@@ -573,11 +582,12 @@ const totalPages = Math.ceil(orderDetails.length / ordersPerPage);
         <h1 className="text-3xl font-bold mb-8">My Account</h1>
         
         <Tabs defaultValue="profile" className="space-y-8">
-          <TabsList className="grid w-full grid-cols-4 bg-gray-800">
+          <TabsList className="grid w-full grid-cols-5 bg-gray-800">
             <TabsTrigger value="profile">Profile</TabsTrigger>
             <TabsTrigger value="Address">Address</TabsTrigger>
             <TabsTrigger value="orders">Orders</TabsTrigger>
             <TabsTrigger value="Wallet">Wallet</TabsTrigger>
+            <TabsTrigger value="stockAlerts">Stock Alerts</TabsTrigger>
           </TabsList>
 
           <TabsContent value="profile">
@@ -1054,6 +1064,10 @@ const totalPages = Math.ceil(orderDetails.length / ordersPerPage);
             </Card>
           </TabsContent>
 
+          <TabsContent value="stockAlerts">
+            <StockSubscriptions />
+          </TabsContent>
+
         </Tabs>
       </div>
       <OrderDetailsBox
@@ -1061,6 +1075,7 @@ const totalPages = Math.ceil(orderDetails.length / ordersPerPage);
   open={isOrderDetailsOpen}
   onOpenChange={setIsOrderDetailsOpen}
   onStatusUpdate={updateOrderStatus}
+  onOrderUpdate={replaceOrder}
 />
     </div>
   )
@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
 import {
   Dialog,
   DialogContent,
@@ -6,12 +7,13 @@ import {
   DialogTitle,
   DialogClose,
 } from "@/components/ui/dialog";
-import { Package, Truck, CreditCard, Calendar, Tag } from 'lucide-react';
+import { Package, Truck, CreditCard, Calendar, Tag, RotateCcw } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import axiosInstance from '@/axios/userAxios';
 import { toast } from 'react-hot-toast';
 import { ShoppingBag } from 'lucide-react';
 import { downloadInvoice } from '../CheckoutPage/InvoiceDownload';
+import OrderTimeline from './OrderTimeline';
 
 
 const RAZORPAY_KEY_ID = import.meta.env.VITE_RAZORPAY_KEY_ID || '';
@@ -28,13 +30,31 @@ const loadRazorpay = () => {
 };
 
 
-const ReturnDialog = ({ isOpen, onClose, onSubmit }) => {
+// Units of a line that have not been cancelled or returned yet
+const openQuantity = (product) =>
+  (product.quantity || 0) - (product.cancelledQuantity || 0) - (product.returnedQuantity || 0);
+
+// Return requests whose items have not reached the warehouse yet
+const OPEN_RETURN_STATUSES = ['Requested', 'Approved', 'Picked Up'];
+
+const describeRefund = (refund) =>
+  refund.method === 'wallet'
+    ? `₹${refund.amount.toFixed(2)} refunded to wallet`
+    : `refund of ₹${refund.amount.toFixed(2)} sent to your original payment method`;
+
+
+const ReturnDialog = ({ isOpen, onClose, onSubmit, item, maxQuantity = 0 }) => {
   const [reason, setReason] = useState('');
   const [description, setDescription] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [photoLinks, setPhotoLinks] = useState('');
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(reason, description);
+    const photos = photoLinks.split('\n').map((link) => link.trim()).filter(Boolean);
+    onSubmit(reason, description, quantity, photos);
+    setQuantity(1);
+    setPhotoLinks('');
     onClose();
   };
 
@@ -42,9 +62,23 @@ const ReturnDialog = ({ isOpen, onClose, onSubmit }) => {
     <Dialog open={isOpen} onOpenChange={onClose}>
       <DialogContent className="bg-gray-800 text-white">
         <DialogHeader>
-          <DialogTitle>Return Order</DialogTitle>
+          <DialogTitle>{item ? `Return ${item.name}` : 'Return Order'}</DialogTitle>
         </DialogHeader>
         <form onSubmit={handleSubmit} className="space-y-4">
+          {maxQuantity > 1 && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Quantity</label>
+              <select
+                value={quantity}
+                onChange={(e) => setQuantity(Number(e.target.value))}
+                className="w-full p-2 bg-gray-700 rounded-md"
+              >
+                {Array.from({ length: maxQuantity }, (_, index) => (
+                  <option key={index + 1} value={index + 1}>{index + 1}</option>
+                ))}
+              </select>
+            </div>
+          )}
           <div>
             <label className="block text-sm font-medium mb-1">Return Reason</label>
             <select 
@@ -56,7 +90,6 @@ const ReturnDialog = ({ isOpen, onClose, onSubmit }) => {
               <option value="">Select a reason</option>
               <option value="Wrong Item">Wrong Item</option>
               <option value="Defective Product">Defective Product</option>
-              <option value="Size/Fit Issue">Size/Fit Issue</option>
               <option value="Not as Described">Not as Described</option>
               <option value="Other">Other</option>
             </select>
@@ -72,12 +105,22 @@ const ReturnDialog = ({ isOpen, onClose, onSubmit }) => {
               placeholder="Please provide more details about your return reason..."
             />
           </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Photo links (optional)</label>
+            <textarea
+              value={photoLinks}
+              onChange={(e) => setPhotoLinks(e.target.value)}
+              className="w-full p-2 bg-gray-700 rounded-md"
+              rows="2"
+              placeholder="One image URL per line, up to 5"
+            />
+          </div>
           <div className="flex justify-end gap-3">
             {/* <Button variant="outline" onClick={onClose}>
               Cancel
             </Button> */}
             <Button type="submit">
-              Submit Return
+              Request Return
             </Button>
           </div>
         </form>
@@ -86,10 +129,72 @@ const ReturnDialog = ({ isOpen, onClose, onSubmit }) => {
   );
 };
 
+ReturnDialog.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  item: PropTypes.shape({
+    name: PropTypes.string,
+  }),
+  maxQuantity: PropTypes.number,
+};
 
-const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
-  if (!order) return null;
+
+const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate, onOrderUpdate }) => {
   const [isReturnDialogOpen, setIsReturnDialogOpen] = useState(false);
+  const [returnItem, setReturnItem] = useState(null);
+  const [cancelQuantities, setCancelQuantities] = useState({});
+  const [returnRequests, setReturnRequests] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  const [refundMethod, setRefundMethod] = useState('original');
+  const [retryWindowMinutes, setRetryWindowMinutes] = useState(null);
+
+  const canHaveReturns = order && ['Delivered', 'Returned'].includes(order.orderStatus);
+
+  useEffect(() => {
+    if (!order?._id || !canHaveReturns) {
+      setReturnRequests([]);
+      return;
+    }
+
+    axiosInstance.get(`/order/${order._id}/returns`)
+      .then((response) => setReturnRequests(response.data.returnRequests || []))
+      .catch((error) => console.error("Error fetching return requests:", error));
+  }, [order?._id, canHaveReturns]);
+
+  useEffect(() => {
+    if (!order?._id) return;
+
+    axiosInstance.get(`/order/${order._id}/refunds`)
+      .then((response) => setRefunds(response.data.refunds || []))
+      .catch((error) => console.error("Error fetching refunds:", error));
+  }, [order?._id, order?.orderStatus, order?.updatedAt]);
+
+  useEffect(() => {
+    if (order?.orderStatus !== 'Payment Failed') return;
+
+    axiosInstance.get('/settings/payment-retry')
+      .then((response) => setRetryWindowMinutes(response.data.paymentRetryWindowMinutes))
+      .catch((error) => console.error("Error fetching payment retry window:", error));
+  }, [order?.orderStatus]);
+
+  if (!order) return null;
+
+  // Unpaid orders are cancelled automatically once the retry window has passed
+  const paymentDeadline = retryWindowMinutes
+    ? new Date(new Date(order.createdAt).getTime() + retryWindowMinutes * 60 * 1000)
+    : null;
+  const canRetryPayment = order.orderStatus === 'Payment Failed' && (!paymentDeadline || paymentDeadline > new Date());
+
+  // Units already on their way back cannot be requested again
+  const returnableQuantity = (product) => {
+    const pending = returnRequests
+      .filter((request) => OPEN_RETURN_STATUSES.includes(request.status))
+      .flatMap((request) => request.items)
+      .filter((item) => item.itemId === product._id)
+      .reduce((sum, item) => sum + item.quantity, 0);
+    return openQuantity(product) - pending;
+  };
 
 
 
@@ -108,12 +213,11 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
     try {
       const response = await axiosInstance.post(
         `/update/order-status/${order._id}`,
-        { status: 'Cancelled' }
+        { status: 'Cancelled', refundMethod }
       );
   
-      if (response.data.wallet) {
-        const refundAmount = response.data.wallet.lastTransaction.amount;
-        toast.success(`Order cancelled and ₹${refundAmount.toFixed(2)} refunded to wallet`);
+      if (response.data.refund) {
+        toast.success(`Order cancelled and ${describeRefund(response.data.refund)}`);
       } else {
         toast.success('Order cancelled successfully');
       }
@@ -143,7 +247,7 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
   
       // Create a new Razorpay order
       const retryResponse = await axiosInstance.post("/create-razorpay-order", {
-        amount: order.finalAmount,
+        orderId: order._id,
         currency: "INR",
       });
   
@@ -154,23 +258,22 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
         name: "SpectraX",
         description: "Retry Payment",
         order_id: retryResponse.data.order.id,
+        // Close the checkout once the stock held for it goes back on sale
+        timeout: Math.max(Math.floor((new Date(retryResponse.data.holdExpiresAt) - Date.now()) / 1000), 60),
         handler: async (response) => {
           try {
-            // Verify payment
+            // Verifying the payment moves the order back to Processing on the server
             await axiosInstance.post("/verify-payment", {
               razorpay_payment_id: response.razorpay_payment_id,
               razorpay_order_id: response.razorpay_order_id,
               razorpay_signature: response.razorpay_signature,
               orderId: order._id // Add original order ID
+            }, {
+              headers: { 'Idempotency-Key': `verify-${response.razorpay_payment_id}` }
             });
   
-            // ✅ Update order status to "Completed"
-            await axiosInstance.post(`/order/status/${order._id}`, {
-              status: "Processing"
-            });
-  
-            toast.success("Payment successful, order updated to Completed.");
-            onStatusUpdate(order._id, 'Completed');
+            toast.success("Payment successful, your order is being processed.");
+            onStatusUpdate(order._id, 'Processing');
             onOpenChange(false);
           } catch (error) {
             console.error("Error verifying payment:", error);
@@ -190,44 +293,68 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
       paymentObject.open();
     } catch (error) {
       console.error("Retry payment error:", error);
-      toast.error(error.response?.data?.message || "Failed to process payment. Please try again.");
+      toast.error(error.response?.data?.error || error.response?.data?.message || "Failed to process payment. Please try again.");
     }
   };
   
 
   
-  const handleReturnOrder = async (reason, description) => {
-    if (order.orderStatus !== 'Delivered') {
-      toast.error('Only delivered orders can be returned');
-      return;
+  const handleReturnClick = () => {
+    setReturnItem(null);
+    setIsReturnDialogOpen(true);
+  };
+
+  const handleItemReturnClick = (product) => {
+    setReturnItem(product);
+    setIsReturnDialogOpen(true);
+  };
+
+  const showItemResult = (response, fallbackMessage) => {
+    if (response.data.refund) {
+      toast.success(`${fallbackMessage} and ${describeRefund(response.data.refund)}`);
+    } else {
+      toast.success(fallbackMessage);
     }
+    onOrderUpdate?.(response.data.order);
+  };
+
+  const handleCancelItem = async (product) => {
+    const quantity = cancelQuantities[product._id] || openQuantity(product);
 
     try {
       const response = await axiosInstance.post(
-        `/order/return/${order._id}`,
-        { 
-          status: 'Returned',
-          returnReason: reason,
-          returnDescription: description
-        }
+        `/order/${order._id}/items/${product._id}/cancel`,
+        { quantity, refundMethod }
       );
-
-      if (response.data.wallet) {
-        const refundAmount = response.data.wallet.lastTransaction.amount;
-        toast.success(`Return processed and ₹${refundAmount.toFixed(2)} refunded to wallet`);
-      } else {
-        toast.success('Return processed successfully');
-      }
-      onStatusUpdate(order._id, 'Returned');
-      onOpenChange(false);
+      showItemResult(response, `Cancelled ${quantity} x ${product.name}`);
     } catch (error) {
-      console.error("Error in returning order:", error);
-      toast.error(error.response?.data?.message || 'Failed to process return');
+      console.error("Error in cancelling item:", error);
+      toast.error(error.response?.data?.message || 'Failed to cancel item');
     }
   };
 
-  const handleReturnClick = () => {
-    setIsReturnDialogOpen(true);
+  // Returns go through a request the store approves before pickup; refunds follow once the items are received
+  const handleReturnRequest = async (reason, description, quantity, photos) => {
+    if (order.orderStatus !== 'Delivered') {
+      toast.error('Only delivered orders can be returned');
+      return;
+    }
+
+    try {
+      const response = await axiosInstance.post(`/order/${order._id}/returns`, {
+        items: returnItem ? [{ itemId: returnItem._id, quantity }] : undefined,
+        reason,
+        description,
+        photos,
+        refundMethod
+      });
+
+      setReturnRequests((prevRequests) => [response.data.returnRequest, ...prevRequests]);
+      toast.success('Return requested. We will let you know once it is reviewed.');
+    } catch (error) {
+      console.error("Error in requesting return:", error);
+      toast.error(error.response?.data?.message || 'Failed to request return');
+    }
   };
 
   const handleInvoiceDownload = () => {
@@ -265,6 +392,9 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
     return String(value);
   };
 
+  // Single-unit orders are cancelled or returned as a whole
+  const hasMultipleUnits = order.products.reduce((sum, product) => sum + (product.quantity || 1), 0) > 1;
+
   // Calculate the subtotal
   const subtotal = order.totalAmount || 0;
   
@@ -314,7 +444,42 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
                     <p className="text-sm text-gray-300">
                       Price: ₹{product.price || 0}
                     </p>
+                    {product.status && product.status !== 'Active' && (
+                      <p className="text-sm text-red-400 mt-1">
+                        {product.status}
+                        {product.cancelledQuantity > 0 && ` · ${product.cancelledQuantity} cancelled`}
+                        {product.returnedQuantity > 0 && ` · ${product.returnedQuantity} returned`}
+                        {product.refundedAmount > 0 && ` · ₹${product.refundedAmount} refunded`}
+                      </p>
+                    )}
                   </div>
+                  {product._id && openQuantity(product) > 0 && hasMultipleUnits && (
+                    <div className="flex flex-col items-end gap-2">
+                      {['Processing', 'Confirmed'].includes(order.orderStatus) && (
+                        <div className="flex items-center gap-2">
+                          {openQuantity(product) > 1 && (
+                            <select
+                              value={cancelQuantities[product._id] || openQuantity(product)}
+                              onChange={(e) => setCancelQuantities({ ...cancelQuantities, [product._id]: Number(e.target.value) })}
+                              className="p-1 bg-gray-700 rounded-md text-sm"
+                            >
+                              {Array.from({ length: openQuantity(product) }, (_, i) => (
+                                <option key={i + 1} value={i + 1}>{i + 1}</option>
+                              ))}
+                            </select>
+                          )}
+                          <Button size="sm" variant="destructive" onClick={() => handleCancelItem(product)}>
+                            Cancel Item
+                          </Button>
+                        </div>
+                      )}
+                      {order.orderStatus === 'Delivered' && returnableQuantity(product) > 0 && (
+                        <Button size="sm" variant="destructive" onClick={() => handleItemReturnClick(product)}>
+                          Return Item
+                        </Button>
+                      )}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -333,6 +498,70 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
               </div>
             </div>
           )}
+          {returnRequests.length > 0 && (
+            <div className="bg-gray-700 rounded-lg p-4">
+              <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                <RotateCcw className="w-5 h-5" />
+                Return Requests
+              </h3>
+              <div className="space-y-3">
+                {returnRequests.map((request) => (
+                  <div key={request._id} className="bg-gray-600 p-3 rounded-lg text-sm">
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-300">
+                        Requested on {new Date(request.createdAt).toLocaleDateString()}
+                      </span>
+                      <span className={`font-medium ${
+                        request.status === 'Rejected' ? 'text-red-400' :
+                        request.status === 'Refunded' ? 'text-green-400' :
+                        'text-yellow-400'
+                      }`}>
+                        {request.status}
+                      </span>
+                    </div>
+                    <p className="text-gray-300 mt-1">
+                      {request.items.map((item) => `${item.quantity} x ${item.name}`).join(', ')}
+                    </p>
+                    {request.refundAmount > 0 && (
+                      <p className="text-gray-300">Refund: ₹{request.refundAmount}</p>
+                    )}
+                    {request.adminNote && (
+                      <p className="text-gray-400 mt-1">Note from SpectraX: {request.adminNote}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {refunds.length > 0 && (
+            <div className="bg-gray-700 rounded-lg p-4">
+              <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                <CreditCard className="w-5 h-5" />
+                Refunds
+              </h3>
+              <div className="space-y-2 text-sm">
+                {refunds.map((refund) => (
+                  <div key={refund._id} className="flex justify-between items-center">
+                    <span className="text-gray-300">
+                      ₹{refund.amount} to {refund.method === 'wallet' ? 'wallet' : 'original payment method'}
+                      {' · '}{new Date(refund.createdAt).toLocaleDateString()}
+                    </span>
+                    <span className={`font-medium ${
+                      refund.status === 'Processed' ? 'text-green-400' :
+                      refund.status === 'Failed' ? 'text-red-400' :
+                      'text-yellow-400'
+                    }`}>
+                      {refund.status}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <OrderTimeline history={order.statusHistory} />
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {/* Shipping Details */}
             <div className="bg-gray-700 rounded-lg p-4">
@@ -392,10 +621,34 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
           </div>
         </div>
 
+        {order.paymentMethod === 'RazorpayX' && order.paymentStatus === 'Completed' &&
+          !['Shipped', 'Cancelled', 'Returned'].includes(order.orderStatus) && (
+          <div className="flex justify-center items-center gap-2 pt-4 text-sm text-gray-300">
+            <label htmlFor="refund-method">If you cancel or return, refund to</label>
+            <select
+              id="refund-method"
+              value={refundMethod}
+              onChange={(e) => setRefundMethod(e.target.value)}
+              className="p-1 bg-gray-700 rounded-md text-white"
+            >
+              <option value="original">Original payment method</option>
+              <option value="wallet">SpectraX wallet</option>
+            </select>
+          </div>
+        )}
+
+        {order.orderStatus === 'Payment Failed' && paymentDeadline && (
+          <p className="text-center text-sm text-yellow-400 pt-4">
+            {canRetryPayment
+              ? `Complete the payment by ${paymentDeadline.toLocaleString()} or this order will be cancelled automatically.`
+              : 'The time to pay for this order has run out and it will be cancelled shortly.'}
+          </p>
+        )}
+
         <div className="flex justify-center gap-4 pt-6">
   {order.orderStatus !== "Cancelled" && order.orderStatus !== "Returned" && (
     <>
-      {order.orderStatus === "Payment Failed" && (
+      {canRetryPayment && (
         <Button
           variant="default"
           className="w-40"
@@ -413,7 +666,7 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
           Cancel Order
         </Button>
       )}
-      {order.orderStatus === "Delivered" && (
+      {order.orderStatus === "Delivered" && order.products.some((product) => returnableQuantity(product) > 0) && (
         <Button
           variant="destructive"
           className="w-40"
@@ -437,7 +690,9 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
 <ReturnDialog
   isOpen={isReturnDialogOpen}
   onClose={() => setIsReturnDialogOpen(false)}
-  onSubmit={handleReturnOrder}
+  onSubmit={handleReturnRequest}
+  item={returnItem}
+  maxQuantity={returnItem ? returnableQuantity(returnItem) : 0}
 />
 
       </DialogContent>
@@ -445,4 +700,37 @@ const OrderDetailsBox = ({ order, open, onOpenChange, onStatusUpdate }) => {
   );
 };
 
+OrderDetailsBox.propTypes = {
+  order: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    orderStatus: PropTypes.string.isRequired,
+    paymentMethod: PropTypes.string,
+    paymentStatus: PropTypes.string,
+    customerName: PropTypes.string,
+    customerEmail: PropTypes.string,
+    orderDate: PropTypes.string,
+    createdAt: PropTypes.string,
+    updatedAt: PropTypes.string,
+    products: PropTypes.arrayOf(PropTypes.object).isRequired,
+    shippingAddress: PropTypes.shape({
+      address: PropTypes.string,
+      city: PropTypes.string,
+      state: PropTypes.string,
+      pinCode: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      country: PropTypes.string,
+    }),
+    totalAmount: PropTypes.number,
+    finalAmount: PropTypes.number,
+    coupon: PropTypes.shape({
+      code: PropTypes.string,
+      discountAmount: PropTypes.number,
+    }),
+    statusHistory: PropTypes.arrayOf(PropTypes.object),
+  }),
+  open: PropTypes.bool.isRequired,
+  onOpenChange: PropTypes.func.isRequired,
+  onStatusUpdate: PropTypes.func.isRequired,
+  onOrderUpdate: PropTypes.func,
+};
+
 export default OrderDetailsBox;
\ No newline at end of file
@@ -0,0 +1,64 @@
+import PropTypes from 'prop-types';
+import { Clock } from 'lucide-react';
+
+const statusColor = (status) => {
+  switch (status) {
+    case 'Delivered':
+      return 'bg-green-500';
+    case 'Shipped':
+      return 'bg-blue-500';
+    case 'Confirmed':
+    case 'Processing':
+      return 'bg-yellow-500';
+    case 'Cancelled':
+    case 'Returned':
+    case 'Payment Failed':
+      return 'bg-red-500';
+    default:
+      return 'bg-gray-500';
+  }
+};
+
+const actorLabel = {
+  admin: 'SpectraX',
+  customer: 'You',
+  system: 'System',
+};
+
+const OrderTimeline = ({ history = [] }) => {
+  if (!history.length) return null;
+
+  return (
+    <div className="bg-gray-700 rounded-lg p-4">
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <Clock className="w-5 h-5" />
+        Order Timeline
+      </h3>
+      <ol className="relative border-l border-gray-500 ml-2 space-y-4">
+        {history.map((entry, index) => (
+          <li key={entry._id || index} className="ml-4">
+            <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${statusColor(entry.status)}`} />
+            <p className="font-medium text-white">{entry.status}</p>
+            <p className="text-xs text-gray-400">
+              {new Date(entry.changedAt).toLocaleString()} · {actorLabel[entry.actor] || entry.actor}
+            </p>
+            {entry.note && <p className="text-sm text-gray-300 mt-1">{entry.note}</p>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+OrderTimeline.propTypes = {
+  history: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string,
+    status: PropTypes.string.isRequired,
+    previousStatus: PropTypes.string,
+    changedAt: PropTypes.string,
+    actor: PropTypes.string,
+    note: PropTypes.string,
+  })),
+};
+
+export default OrderTimeline;
@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Bell, Trash } from 'lucide-react'
+import axiosInstance from '@/axios/userAxios'
+import toast from 'react-hot-toast'
+import { productPath } from '@/lib/paths'
+
+// Out-of-stock variants the customer asked to hear about; each is emailed once on restock
+export default function StockSubscriptions() {
+  const navigate = useNavigate()
+  const [subscriptions, setSubscriptions] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchSubscriptions = async () => {
+      try {
+        const response = await axiosInstance.get('/stock-subscriptions')
+        setSubscriptions(response.data.subscriptions || [])
+      } catch (error) {
+        console.error('Error fetching stock subscriptions:', error)
+        toast.error('Failed to load your stock alerts')
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchSubscriptions()
+  }, [])
+
+  const handleRemove = async (subscriptionId) => {
+    try {
+      await axiosInstance.delete(`/stock-subscriptions/${subscriptionId}`)
+      setSubscriptions((prev) => prev.filter((subscription) => subscription._id !== subscriptionId))
+      toast.success('Stock alert removed')
+    } catch (error) {
+      console.error('Error removing stock subscription:', error)
+      toast.error(error.response?.data?.message || 'Failed to remove stock alert')
+    }
+  }
+
+  return (
+    <Card className="bg-gray-800 border-gray-700 text-white">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Bell className="mr-2" />
+          Stock Alerts
+        </CardTitle>
+        <CardDescription>We will email you once when any of these items is back in stock.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-4">
+          {!isLoading && subscriptions.length === 0 && (
+            <p className="text-center text-gray-400">You have no stock alerts.</p>
+          )}
+          {subscriptions.map((subscription) => (
+            <div
+              key={subscription._id}
+              className="flex items-center justify-between p-4 bg-gray-700 rounded-lg"
+            >
+              <button
+                type="button"
+                onClick={() => navigate(productPath({ _id: subscription.productId, slug: subscription.slug }))}
+                className="flex items-center space-x-4 text-left"
+              >
+                {subscription.image && (
+                  <img src={subscription.image} alt={subscription.title} className="w-16 h-16 object-cover rounded" />
+                )}
+                <div>
+                  <p className="font-semibold text-white">{subscription.title || 'Product no longer available'}</p>
+                  {subscription.attributes.length > 0 && (
+                    <p className="text-sm text-gray-400">
+                      {subscription.attributes.map((attribute) => `${attribute.name}: ${attribute.value}`).join(', ')}
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-400">
+                    Subscribed on {new Date(subscription.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+              </button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => handleRemove(subscription._id)}
+                className="text-red-400 hover:text-red-300"
+              >
+                <Trash className="w-4 h-4 mr-1" />
+                Remove
+              </Button>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -85,7 +85,11 @@ export default function CartPage() {
                 productId: item.productId,
                 variantId: item.variantId,
                 name: product.title,
-                variant: selectedVariant,
+                // Units held by checkouts still being paid for are not available
+                variant: selectedVariant && {
+                  ...selectedVariant,
+                  availableQuantity: Math.max(selectedVariant.availableQuantity - (selectedVariant.heldQuantity || 0), 0)
+                },
                 originalPrice: originalPrice,
                 discountedPrice: discountedPrice,
                 discountPercent: bestDiscount,
@@ -57,6 +57,14 @@ const CheckoutPage = () => {
   const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
   const [paymentMethod, setPaymentMethod] = useState('cod');
 
+  // Sent as the Idempotency-Key so double clicks and retries of the same checkout place one order.
+  // A new key is used as soon as anything that changes the order does
+  const [checkoutKey, setCheckoutKey] = useState(() => crypto.randomUUID());
+
+  useEffect(() => {
+    setCheckoutKey(crypto.randomUUID());
+  }, [cartItems, selectedAddress, appliedCoupon, paymentMethod]);
+
   const navigate = useNavigate();
 
   const userDetails = useSelector((state) => state.user);
@@ -347,7 +355,9 @@ const CheckoutPage = () => {
         finalAmount: calculateFinalPrice()
       };
 
-      const response = await axiosInstance.post('/place-order', orderData);
+      const response = await axiosInstance.post('/place-order', orderData, {
+        headers: { 'Idempotency-Key': checkoutKey }
+      });
 
       if (response.status === 201) {
         toast.success("Order placed successfully!");
@@ -436,11 +446,14 @@ const CheckoutPage = () => {
         },
         products: formattedProducts,
         paymentMethod: "Wallet",
+        couponCode: appliedCoupon ? appliedCoupon.name : null,
         totalAmount: priceDetails.total,
         finalAmount: calculateFinalPrice(),
       };
   
-      const response = await axiosInstance.post("/wallet-payment", paymentData);
+      const response = await axiosInstance.post("/wallet-payment", paymentData, {
+        headers: { 'Idempotency-Key': checkoutKey }
+      });
   
       if (response.status === 201) {
         toast.success("Payment successful!");
@@ -499,10 +512,22 @@ const CheckoutPage = () => {
     }
   
     try {
-      // Create Razorpay order
+      const selectedAddressDetails = addresses.find(
+        (addr) => addr._id === selectedAddress
+      );
+
+      // Create Razorpay order. The server prices the cart and keeps the order to place once paid
       const orderResponse = await axiosInstance.post("/create-razorpay-order", {
-        amount: calculateFinalPrice(),
+        couponCode: appliedCoupon?.name,
         currency: "INR",
+        shippingAddress: {
+          address: selectedAddressDetails.address,
+          city: selectedAddressDetails.city,
+          state: selectedAddressDetails.state,
+          country: selectedAddressDetails.country,
+          pinCode: selectedAddressDetails.pinCode,
+        },
+        finalAmount: calculateFinalPrice(),
       });
   
       const options = {
@@ -512,38 +537,28 @@ const CheckoutPage = () => {
         name: "Your Company Name",
         description: "Purchase Payment",
         order_id: orderResponse.data.order.id,
+        // Close the checkout once the stock held for it goes back on sale
+        timeout: Math.max(Math.floor((new Date(orderResponse.data.holdExpiresAt) - Date.now()) / 1000), 60),
         handler: async function (response) {
           try {
-            // Verify payment
-            await axiosInstance.post("/verify-payment", {
+            // The server checks the payment with Razorpay and places the order
+            const verifyResponse = await axiosInstance.post("/verify-payment", {
               razorpay_payment_id: response.razorpay_payment_id,
               razorpay_order_id: response.razorpay_order_id,
               razorpay_signature: response.razorpay_signature,
+            }, {
+              headers: { 'Idempotency-Key': `verify-${response.razorpay_payment_id}` }
             });
-  
-            // Place order with "Completed" status
-            const orderData = {
-              userId,
-              products: cartItems,
-              shippingAddress: addresses.find((addr) => addr._id === selectedAddress),
-              paymentMethod: "RazorpayX",
-              couponCode: appliedCoupon?.name,
-              totalAmount: priceDetails.total,
-              finalAmount: calculateFinalPrice(),
-              razorpayOrderId: response.razorpay_order_id,
-              status: "Completed",
-            };
-  
-            const orderResponse = await axiosInstance.post("/place-order", orderData);
-  
-            if (orderResponse.data?.order?._id) {
-              navigate(`/orderSuccessful/${orderResponse.data.order._id}`, {
-                state: { orderId: orderResponse.data.order._id },
+
+            const placedOrder = verifyResponse.data?.order;
+            if (placedOrder?._id) {
+              navigate(`/orderSuccessful/${placedOrder._id}`, {
+                state: { orderId: placedOrder._id },
               });
             }
           } catch (error) {
             console.error("Error processing payment:", error);
-            toast.error("Payment failed. Please try again.");
+            toast.error(error.response?.data?.error || "Payment failed. Please try again.");
           }
         },
         prefill: {
@@ -569,7 +584,11 @@ const CheckoutPage = () => {
             };
   
             try {
-              const failedOrderResponse = await axiosInstance.post("/place-order", orderData);
+              // Its own key, so it never replays another response for this payment. If the
+              // payment went through after all, the server refuses to record it as failed
+              const failedOrderResponse = await axiosInstance.post("/place-order", orderData, {
+                headers: { 'Idempotency-Key': `payment-failed-${orderResponse.data.order.id}` }
+              });
               if (failedOrderResponse.data?.order?._id) {
                 navigate(`/Payment Failed`, {
                   state: {
@@ -590,7 +609,7 @@ const CheckoutPage = () => {
       paymentObject.open();
     } catch (error) {
       console.error("Payment initialization error:", error);
-      toast.error("Failed to initialize payment. Please try again.");
+      toast.error(error.response?.data?.error || "Failed to initialize payment. Please try again.");
     }
   };
 
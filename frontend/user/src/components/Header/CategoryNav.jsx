@@ -0,0 +1,92 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Link } from "react-router-dom";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import useCategoryTree from "@/hooks/useCategoryTree";
+import { categoryPath } from "@/lib/paths";
+
+const categoryNode = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  slug: PropTypes.string,
+  children: PropTypes.array.isRequired,
+});
+
+// One category with its subcategories in a flyout to the side
+const CategoryMenuItem = ({ category, onNavigate }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const hasChildren = category.children.length > 0;
+
+  return (
+    <li
+      className="relative"
+      onMouseEnter={() => setIsOpen(true)}
+      onMouseLeave={() => setIsOpen(false)}
+    >
+      <Link
+        to={categoryPath(category)}
+        onClick={onNavigate}
+        className="flex items-center justify-between gap-4 px-4 py-2 text-sm whitespace-nowrap hover:bg-gray-800 hover:text-green-400"
+        aria-haspopup={hasChildren || undefined}
+        aria-expanded={hasChildren ? isOpen : undefined}
+      >
+        {category.name}
+        {hasChildren && <ChevronRight className="h-4 w-4" />}
+      </Link>
+      {hasChildren && isOpen && (
+        <div className="absolute left-full top-0">
+          <CategoryMenu categories={category.children} onNavigate={onNavigate} />
+        </div>
+      )}
+    </li>
+  );
+};
+
+CategoryMenuItem.propTypes = {
+  category: categoryNode.isRequired,
+  onNavigate: PropTypes.func,
+};
+
+const CategoryMenu = ({ categories, onNavigate }) => (
+  <ul className="min-w-48 py-2 bg-gray-900 border border-gray-800 rounded-md shadow-lg shadow-green-500/10">
+    {categories.map((category) => (
+      <CategoryMenuItem key={category._id} category={category} onNavigate={onNavigate} />
+    ))}
+  </ul>
+);
+
+CategoryMenu.propTypes = {
+  categories: PropTypes.arrayOf(categoryNode).isRequired,
+  onNavigate: PropTypes.func,
+};
+
+// Header menu of the category tree; each category opens the shop filtered to it and its subcategories
+export default function CategoryNav() {
+  const categories = useCategoryTree();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!categories.length) return null;
+
+  return (
+    <div
+      className="relative"
+      onMouseEnter={() => setIsOpen(true)}
+      onMouseLeave={() => setIsOpen(false)}
+    >
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="flex items-center text-sm font-medium hover:text-gray-300 transition-colors"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+      >
+        CATEGORIES <ChevronDown className="ml-1 h-4 w-4" />
+      </button>
+      {isOpen && (
+        <div className="absolute left-0 top-full pt-2 z-50">
+          <CategoryMenu categories={categories} onNavigate={() => setIsOpen(false)} />
+        </div>
+      )}
+    </div>
+  );
+}
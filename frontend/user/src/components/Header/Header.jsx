@@ -1,6 +1,5 @@
 import { Button } from "@/components/ui/button";
-import { Input } from "@/components/ui/input";
-import { Heart, Search, ShoppingCart, User } from "lucide-react";
+import { Heart, ShoppingCart, User } from "lucide-react";
 import { Link, useNavigate } from "react-router-dom";
 import { useState, useEffect, useRef } from "react";
 import axiosInstance from "@/axios/userAxios";
@@ -8,9 +7,10 @@ import { useDispatch, useSelector } from "react-redux";
 import toast from "react-hot-toast";
 import { useLocation } from "react-router-dom";
 import { logoutUser } from "@/redux/userSlice";
+import SearchBox from "./SearchBox";
+import CategoryNav from "./CategoryNav";
 
 export default function Header() {
-  const [searchQuery, setSearchQuery] = useState("");
   const [isUserDropdownOpen, setIsUserDropdownOpen] = useState(false);
   const [user, setUser] = useState(null); // Simulate user state
   const navigate = useNavigate();
@@ -20,11 +20,6 @@ export default function Header() {
   const userDetails = useSelector((state) => state.user);
   console.log("user Details  : ", userDetails);
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    navigate(`/shop?search=${searchQuery}`);
-  };
-
   const handleUserAction = (path) => {
     if (userDetails !== null) {
       navigate(path);
@@ -99,6 +94,7 @@ export default function Header() {
             >
               SHOP
             </Link>
+            <CategoryNav />
             {/* <Link
               to="/contact"
               className="text-sm font-medium hover:text-gray-300 transition-colors"
@@ -108,24 +104,7 @@ export default function Header() {
           </nav>
 
           <div className="flex items-center space-x-4">
-            <form onSubmit={handleSearch} className="relative hidden sm:block">
-              <Input
-                type="search"
-                placeholder="Search..."
-                className="w-[200px] lg:w-[300px] bg-black text-white pr-8 border-white border-opacity-20"
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-              />
-              <Button
-                type="submit"
-                variant="ghost"
-                size="icon"
-                className="absolute right-0 top-0 h-full px-3 text-white hover:text-gray-300"
-              >
-                <Search className="h-4 w-4" />
-                <span className="sr-only">Search</span>
-              </Button>
-            </form>
+            <SearchBox />
 
             <div className="flex items-center space-x-4">
               <Button
@@ -0,0 +1,190 @@
+import { Fragment, useState, useEffect, useMemo, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { Search } from "lucide-react";
+import { debounce } from "lodash";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import axiosInstance from "@/axios/userAxios";
+import { productPath } from "@/lib/paths";
+
+const emptySuggestions = { products: [], brands: [], categories: [], queries: [] };
+
+const groupLabels = {
+  query: "Popular searches",
+  product: "Products",
+  brand: "Brands",
+  category: "Categories",
+};
+
+const searchPath = (text) => `/shop?search=${encodeURIComponent(text)}`;
+
+// Header search box with suggestions while typing; arrow keys move through them and Enter opens one
+export default function SearchBox() {
+  const [searchQuery, setSearchQuery] = useState("");
+  const [suggestions, setSuggestions] = useState(emptySuggestions);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const navigate = useNavigate();
+  const containerRef = useRef(null);
+  const latestRequest = useRef(0);
+
+  const fetchSuggestions = useMemo(
+    () =>
+      debounce(async (q) => {
+        // Responses can arrive out of order; only the latest request may update the list
+        const requestId = ++latestRequest.current;
+        try {
+          const response = await axiosInstance.get("/search/suggestions", { params: { q } });
+          if (requestId === latestRequest.current) {
+            setSuggestions({ ...emptySuggestions, ...response.data });
+          }
+        } catch (error) {
+          console.error("Error fetching search suggestions:", error);
+        }
+      }, 200),
+    []
+  );
+
+  useEffect(() => () => fetchSuggestions.cancel(), [fetchSuggestions]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const options = [
+    ...suggestions.queries.map((query) => ({
+      key: `query-${query}`, type: "query", label: query, path: searchPath(query),
+    })),
+    ...suggestions.products.map((product) => ({
+      key: `product-${product._id}`, type: "product", label: product.title, image: product.image,
+      path: productPath(product),
+    })),
+    ...suggestions.brands.map((brand) => ({
+      key: `brand-${brand._id}`, type: "brand", label: brand.name, path: searchPath(brand.name),
+    })),
+    ...suggestions.categories.map((category) => ({
+      key: `category-${category._id}`, type: "category", label: category.name, path: searchPath(category.name),
+    })),
+  ];
+
+  const goTo = (path) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    navigate(path);
+  };
+
+  const handleChange = (e) => {
+    setSearchQuery(e.target.value);
+    setActiveIndex(-1);
+    setIsOpen(true);
+    fetchSuggestions(e.target.value.trim());
+  };
+
+  const handleFocus = () => {
+    setIsOpen(true);
+    fetchSuggestions(searchQuery.trim());
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (isOpen && options[activeIndex]) {
+      goTo(options[activeIndex].path);
+      return;
+    }
+
+    const trimmedQuery = searchQuery.trim();
+    goTo(trimmedQuery ? searchPath(trimmedQuery) : "/shop");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setIsOpen(false);
+      setActiveIndex(-1);
+      return;
+    }
+    if (!options.length || (e.key !== "ArrowDown" && e.key !== "ArrowUp")) return;
+
+    e.preventDefault();
+    setIsOpen(true);
+    if (e.key === "ArrowDown") {
+      setActiveIndex((index) => (index + 1) % options.length);
+    } else {
+      setActiveIndex((index) => (index <= 0 ? options.length - 1 : index - 1));
+    }
+  };
+
+  const showSuggestions = isOpen && options.length > 0;
+
+  return (
+    <form onSubmit={handleSearch} className="relative hidden sm:block" ref={containerRef}>
+      <Input
+        type="search"
+        placeholder="Search..."
+        className="w-[200px] lg:w-[300px] bg-black text-white pr-8 border-white border-opacity-20"
+        value={searchQuery}
+        onChange={handleChange}
+        onFocus={handleFocus}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={showSuggestions}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={showSuggestions && activeIndex >= 0 ? `search-option-${activeIndex}` : undefined}
+      />
+      <Button
+        type="submit"
+        variant="ghost"
+        size="icon"
+        className="absolute right-0 top-0 h-full px-3 text-white hover:text-gray-300"
+      >
+        <Search className="h-4 w-4" />
+        <span className="sr-only">Search</span>
+      </Button>
+
+      {showSuggestions && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute left-0 right-0 mt-2 max-h-96 overflow-y-auto bg-gray-900 text-white border border-gray-700 rounded shadow-lg z-50"
+        >
+          {options.map((option, index) => (
+            <Fragment key={option.key}>
+              {(index === 0 || options[index - 1].type !== option.type) && (
+                <li role="presentation" className="px-3 pt-2 pb-1 text-xs uppercase tracking-wide text-gray-500">
+                  {groupLabels[option.type]}
+                </li>
+              )}
+              <li
+                id={`search-option-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseDown={(e) => {
+                  // Keep focus in the input so the click is not lost to the outside-click handler
+                  e.preventDefault();
+                  goTo(option.path);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`flex items-center gap-3 px-3 py-2 cursor-pointer text-sm ${
+                  index === activeIndex ? "bg-gray-700" : ""
+                }`}
+              >
+                {option.type === "product" && option.image && (
+                  <img src={option.image} alt="" className="w-8 h-8 object-cover rounded" />
+                )}
+                {option.type === "query" && <Search className="w-4 h-4 text-gray-400" />}
+                <span className="truncate">{option.label}</span>
+              </li>
+            </Fragment>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+}
@@ -3,27 +3,39 @@ import { motion } from 'framer-motion';
 import { Link, useNavigate } from 'react-router-dom';
 import axiosInstance from '../../axios/userAxios'; // Ensure your axios instance is correctly imported
 import { Button } from '@/components/ui/button'; // Ensure Button component is imported correctly
+import { productPath } from '@/lib/paths';
+
+const FEATURED_COUNT = 8;
 
 const HomePage = () => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   const navigate = useNavigate();
 
-  // Fetch products from the backend
-  useEffect(() => {
-    axiosInstance.get('/showproductsisActive')
+  // Fetch the most popular products from the backend, a page at a time; later pages are appended
+  const fetchFeatured = (page) => {
+    if (page > 1) setLoadingMore(true);
+    return axiosInstance.get('/products/featured', { params: { page, limit: FEATURED_COUNT } })
       .then(response => {
-        console.log('API Response:', response.data);
-        setProducts(response.data.products);
-        setLoading(false);
+        setProducts(prev => (page === 1 ? response.data.products : [...prev, ...response.data.products]));
+        setPagination(response.data.pagination);
       })
       .catch(err => {
         console.error('API Error:', err);
         setError('Error fetching products');
+      })
+      .finally(() => {
         setLoading(false);
+        setLoadingMore(false);
       });
+  };
+
+  useEffect(() => {
+    fetchFeatured(1);
   }, []);
 
   const features = [
@@ -33,8 +45,8 @@ const HomePage = () => {
     { title: "Secure Payment", description: "Safe transactions for your gaming equipment purchases" }
   ];
 
-  const handleProductDetails=(id)=>{
-    navigate(`/product_details/${id}`);
+  const handleProductDetails=(product)=>{
+    navigate(productPath(product));
   }
  
 
@@ -116,7 +128,12 @@ const HomePage = () => {
               key={index}
               className="bg-gray-800 p-4 rounded-lg shadow-lg hover:shadow-green-500 transition-shadow"
             >
-              <div className="h-48 bg-gray-700 rounded-lg mb-4 overflow-hidden">
+              <div className="relative h-48 bg-gray-700 rounded-lg mb-4 overflow-hidden">
+                {product.isBestSeller && (
+                  <span className="absolute top-2 right-2 px-2 py-1 rounded-full bg-yellow-500 text-black text-xs font-semibold">
+                    Best Seller
+                  </span>
+                )}
                 {product.productImage.length > 0 ? (
                   <img
                     src={product.productImage[0]}
@@ -130,11 +147,11 @@ const HomePage = () => {
                 )}
               </div>
               <h3 className="text-xl font-semibold text-center">{product.title}</h3>
-              <Link to={`/product_details/${product._id}`}>
+              <Link to={productPath(product)}>
                       <Button
                         style={{ backgroundColor: '#44D62C' }}
                         className="hover:bg-green-600 w-full py-2 text-black font-semibold"
-                        onClick={()=>handleProductDetails(product._id)}
+                        onClick={()=>handleProductDetails(product)}
                       >
                         View Details
                       </Button>
@@ -143,6 +160,18 @@ const HomePage = () => {
             
           ))}
         </div>
+
+        {pagination?.hasMore && (
+          <div className="flex justify-center mt-8">
+            <Button
+              onClick={() => fetchFeatured(pagination.page + 1)}
+              disabled={loadingMore}
+              className="bg-gray-800 hover:bg-gray-700 text-white"
+            >
+              {loadingMore ? 'Loading...' : 'Show more'}
+            </Button>
+          </div>
+        )}
       </section>
 
 
@@ -0,0 +1,45 @@
+import PropTypes from "prop-types";
+import { Link } from "react-router-dom";
+import { ChevronRight } from "lucide-react";
+import useCategoryTree, { findTrail } from "@/hooks/useCategoryTree";
+import { categoryPath } from "@/lib/paths";
+
+// Shop > parent categories > category, each linking to the shop filtered to that category.
+// current, when given, is shown last without a link (e.g. the product's title)
+const CategoryTrail = ({ categoryId, current }) => {
+  const categories = useCategoryTree();
+  const trail = categoryId ? findTrail(categories, categoryId) : [];
+
+  if (!trail.length && !current) return null;
+
+  return (
+    <nav aria-label="Breadcrumb" className="flex flex-wrap items-center gap-1 text-sm text-gray-400">
+      <Link to="/shop" className="hover:text-green-400 transition-colors">Shop</Link>
+      {trail.map((category, index) => (
+        <span key={category._id} className="flex items-center gap-1">
+          <ChevronRight className="h-4 w-4" />
+          {index === trail.length - 1 && !current ? (
+            <span className="text-white" aria-current="page">{category.name}</span>
+          ) : (
+            <Link to={categoryPath(category)} className="hover:text-green-400 transition-colors">
+              {category.name}
+            </Link>
+          )}
+        </span>
+      ))}
+      {current && (
+        <span className="flex items-center gap-1">
+          <ChevronRight className="h-4 w-4" />
+          <span className="text-white" aria-current="page">{current}</span>
+        </span>
+      )}
+    </nav>
+  );
+};
+
+CategoryTrail.propTypes = {
+  categoryId: PropTypes.string,
+  current: PropTypes.string,
+};
+
+export default CategoryTrail;
@@ -1,36 +1,49 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, Filter } from 'lucide-react';
 import { Button } from "@/components/ui/button"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
-import { Slider } from "@/components/ui/slider"
 import { Checkbox } from "@/components/ui/checkbox"
 import { Label } from "@/components/ui/label"
 import axiosInstance from "../../axios/userAxios"
 
-const FilterComponent = ({ isOpen, setIsOpen, setProducts }) => {
-  const [priceRange, setPriceRange] = useState([0, 1000000]);
-  const [brands, setBrands] = useState([])
-  const [categories, setCategories] = useState([])
+const formatPrice = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+const FilterComponent = ({ isOpen, setIsOpen, onApply }) => {
+  const [facets, setFacets] = useState(null)
   const [selectedSort, setSelectedSort] = useState("");
   const [selectedBrands, setSelectedBrands] = useState([]);
   const [selectedCategories, setSelectedCategories] = useState([]);
+  const [selectedAttributes, setSelectedAttributes] = useState({});
+  const [selectedPriceBucket, setSelectedPriceBucket] = useState(null);
+  const [inStockOnly, setInStockOnly] = useState(false);
+
+  const params = useMemo(() => ({
+    sortBy: selectedSort,
+    brands: selectedBrands,
+    categories: selectedCategories,
+    attributes: selectedAttributes,
+    inStock: inStockOnly || undefined,
+    minPrice: selectedPriceBucket?.min,
+    maxPrice: selectedPriceBucket?.max ?? undefined,
+  }), [selectedSort, selectedBrands, selectedCategories, selectedAttributes, selectedPriceBucket, inStockOnly]);
 
+  // Refresh the counts whenever the panel is open and the selection changes; only the facets
+  // are used here, so a single product is requested
   useEffect(() => {
-    const fetchData = async () => {
+    if (!isOpen) return
+
+    const fetchFacets = async () => {
       try {
-        const brandsResponse = await axiosInstance.get('/Brand/active')
-        const categoriesResponse = await axiosInstance.get('/category/active')
-        console.log("fetched categories",categoriesResponse.data)
-        console.log("fetched brands",brandsResponse.data.brand)
-        setBrands(brandsResponse.data.brand)
-        setCategories(categoriesResponse.data.categories)
+        const response = await axiosInstance.get("/filterProduct", { params: { ...params, limit: 1 } })
+        setFacets(response.data.facets)
       } catch (error) {
-        console.log('Error while fetching data in filter component', error)
+        console.log('Error while fetching filter options', error)
       }
     }
-    fetchData()
-  }, [])
+    fetchFacets()
+  }, [isOpen, params])
 
   const toggleModal = () => setIsOpen(!isOpen);
 
@@ -55,23 +68,24 @@ const FilterComponent = ({ isOpen, setIsOpen, setProducts }) => {
     );
   };
 
-  const handleApplyFilter = async () => {
-    try {
-      const response = await axiosInstance.get("/filterProduct", {
-        params: {
-          sortBy: selectedSort,
-          brands: selectedBrands,
-          categories: selectedCategories,
-          // minPrice: priceRange[0],
-          // maxPrice: priceRange[1],
-        },
-      });
-      setProducts(response.data)
-      
-      setIsOpen(false)
-    } catch (error) {
-      console.log('Error applying filters:', error)
-    }
+  const handleAttributeChange = (name, value) => {
+    setSelectedAttributes((prev) => {
+      const values = prev[name] || [];
+      const nextValues = values.includes(value) ? values.filter((v) => v !== value) : [...values, value];
+      const next = { ...prev, [name]: nextValues };
+      if (!nextValues.length) delete next[name];
+      return next;
+    });
+  };
+
+  const handlePriceBucketChange = (bucket) => {
+    setSelectedPriceBucket((prev) => (prev?.min === bucket.min ? null : bucket));
+  };
+
+  // The product list loads the filtered results itself, a page at a time
+  const handleApplyFilter = () => {
+    onApply(params)
+    setIsOpen(false)
   }
 
   return (
@@ -126,10 +140,10 @@ const FilterComponent = ({ isOpen, setIsOpen, setProducts }) => {
                       <SelectValue placeholder="Select option" />
                     </SelectTrigger>
                     <SelectContent className="bg-gray-800 border-gray-700 text-white">
-                      {/* <SelectItem value="popularity" className="hover:bg-gray-700">Popularity</SelectItem> */}
+                      <SelectItem value="popularity" className="hover:bg-gray-700">Popularity</SelectItem>
                       <SelectItem value="price-low-high" className="hover:bg-gray-700">Price: Low to High</SelectItem>
                       <SelectItem value="price-high-low" className="hover:bg-gray-700">Price: High to Low</SelectItem>
-                      {/* <SelectItem value="average-rating" className="hover:bg-gray-700">Average Rating</SelectItem> */}
+                      <SelectItem value="average-rating" className="hover:bg-gray-700">Average Rating</SelectItem>
                       {/* <SelectItem value="featured" className="hover:bg-gray-700">Featured</SelectItem> */}
                       <SelectItem value="new-arrivals" className="hover:bg-gray-700">New Arrivals</SelectItem>
                       <SelectItem value="a-z" className="hover:bg-gray-700">A - Z</SelectItem>
@@ -138,55 +152,88 @@ const FilterComponent = ({ isOpen, setIsOpen, setProducts }) => {
                   </Select>
                 </div>
 
-                {/* <div className="space-y-2">
-                  <Label className="text-green-400 font-medium">Price Range</Label>
-                  <Slider
-                    min={0}
-                    max={100000}
-                    step={10}
-                    value={priceRange}
-                    onValueChange={setPriceRange}
-                    className="mt-2"
-                  />
-                  <div className="flex justify-between mt-2 text-gray-400">
-                    <span>₹{priceRange[0]}</span>
-                    <span>₹{priceRange[1]}</span>
-                  </div>
-                </div> */}
+                {facets && (
+                  <>
+                    <div className="space-y-2">
+                      <Label className="text-green-400 font-medium">Availability</Label>
+                      <FacetOption
+                        id="in-stock"
+                        label="In stock only"
+                        count={facets.availability.inStock}
+                        checked={inStockOnly}
+                        onChange={() => setInStockOnly((prev) => !prev)}
+                      />
+                    </div>
 
-                <div className="space-y-2">
-                  <Label className="text-green-400 font-medium">Brand</Label>
-                  <div className="space-y-2 mt-2">
-                    {brands.map((brand) => (
-                      <div key={brand._id} className="flex items-center space-x-2">
-                        <Checkbox 
-                          id={brand._id}
-                          checked={selectedBrands.includes(brand._id)}
-                          onCheckedChange={() => handleBrandChange(brand._id)}
-                          className="border-gray-700 data-[state=checked]:bg-green-400 data-[state=checked]:border-green-400" 
-                        />
-                        <Label htmlFor={brand._id} className="text-gray-300 hover:text-white cursor-pointer">{brand.name}</Label>
+                    <div className="space-y-2">
+                      <Label className="text-green-400 font-medium">Price</Label>
+                      <div className="space-y-2 mt-2">
+                        {facets.priceBuckets.map((bucket) => (
+                          <FacetOption
+                            key={bucket.min}
+                            id={`price-${bucket.min}`}
+                            label={bucket.max === null
+                              ? `${formatPrice(bucket.min)} and above`
+                              : `${formatPrice(bucket.min)} – ${formatPrice(bucket.max)}`}
+                            count={bucket.count}
+                            checked={selectedPriceBucket?.min === bucket.min}
+                            onChange={() => handlePriceBucketChange(bucket)}
+                          />
+                        ))}
                       </div>
-                    ))}
-                  </div>
-                </div>
+                    </div>
 
-                <div className="space-y-2">
-                  <Label className="text-green-400 font-medium">Category</Label>
-                  <div className="space-y-2 mt-2">
-                    {categories.map((category) => (
-                      <div key={category._id} className="flex items-center space-x-2">
-                        <Checkbox 
-                          id={category._id}
-                          checked={selectedCategories.includes(category._id)}
-                          onCheckedChange={() => handleCategoryChange(category._id)}
-                          className="border-gray-700 data-[state=checked]:bg-green-400 data-[state=checked]:border-green-400" 
-                        />
-                        <Label htmlFor={category._id} className="text-gray-300 hover:text-white cursor-pointer">{category.name}</Label>
+                    <div className="space-y-2">
+                      <Label className="text-green-400 font-medium">Brand</Label>
+                      <div className="space-y-2 mt-2">
+                        {facets.brands.map((brand) => (
+                          <FacetOption
+                            key={brand._id}
+                            id={brand._id}
+                            label={brand.name}
+                            count={brand.count}
+                            checked={selectedBrands.includes(brand._id)}
+                            onChange={() => handleBrandChange(brand._id)}
+                          />
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="space-y-2">
+                      <Label className="text-green-400 font-medium">Category</Label>
+                      <div className="space-y-2 mt-2">
+                        {facets.categories.map((category) => (
+                          <FacetOption
+                            key={category._id}
+                            id={category._id}
+                            label={category.name}
+                            count={category.count}
+                            checked={selectedCategories.includes(category._id)}
+                            onChange={() => handleCategoryChange(category._id)}
+                          />
+                        ))}
+                      </div>
+                    </div>
+
+                    {facets.attributes.map((attribute) => (
+                      <div key={attribute.name} className="space-y-2">
+                        <Label className="text-green-400 font-medium">{attribute.name}</Label>
+                        <div className="space-y-2 mt-2">
+                          {attribute.values.map((option) => (
+                            <FacetOption
+                              key={option.value}
+                              id={`${attribute.name}-${option.value}`}
+                              label={attributeValueLabel(attribute, option.value)}
+                              count={option.count}
+                              checked={(selectedAttributes[attribute.name] || []).includes(option.value)}
+                              onChange={() => handleAttributeChange(attribute.name, option.value)}
+                            />
+                          ))}
+                        </div>
                       </div>
                     ))}
-                  </div>
-                </div>
+                  </>
+                )}
               </div>
 
               <Button
@@ -205,5 +252,48 @@ const FilterComponent = ({ isOpen, setIsOpen, setProducts }) => {
   );
 };
 
+// Values as the category's attribute definition describes them, e.g. "16 GB" or "Yes"
+FilterComponent.propTypes = {
+  isOpen: PropTypes.bool,
+  setIsOpen: PropTypes.func,
+  onApply: PropTypes.func,
+};
+
+const attributeValueLabel = (attribute, value) => {
+  if (attribute.type === "boolean") return value === "true" ? "Yes" : "No";
+  return attribute.unit ? `${value} ${attribute.unit}` : value;
+};
+
+// A checkbox with its result count; options with no results are disabled unless already ticked
+const FacetOption = ({ id, label, count, checked, onChange }) => {
+  const disabled = count === 0 && !checked;
+  return (
+    <div className="flex items-center space-x-2">
+      <Checkbox
+        id={id}
+        checked={checked}
+        disabled={disabled}
+        onCheckedChange={onChange}
+        className="border-gray-700 data-[state=checked]:bg-green-400 data-[state=checked]:border-green-400"
+      />
+      <Label
+        htmlFor={id}
+        className={`flex-1 flex justify-between ${disabled ? 'text-gray-600 cursor-not-allowed' : 'text-gray-300 hover:text-white cursor-pointer'}`}
+      >
+        <span>{label}</span>
+        <span className="text-gray-500">{count}</span>
+      </Label>
+    </div>
+  );
+};
+
+FacetOption.propTypes = {
+  id: PropTypes.string.isRequired,
+  label: PropTypes.node.isRequired,
+  count: PropTypes.number.isRequired,
+  checked: PropTypes.bool.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
 export default FilterComponent;
 
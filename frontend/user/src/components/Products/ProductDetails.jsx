@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Star, ShoppingCart, Heart, ChevronDown, ChevronUp, Loader2, ArrowLeft } from 'lucide-react';
+import { ShoppingCart, Heart, ChevronDown, ChevronUp, Loader2, ArrowLeft, Bell } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Card } from '@/components/ui/card';
@@ -9,6 +9,12 @@ import axiosInstance from '@/axios/userAxios';
 import { useSelector } from 'react-redux';
 import {toast} from 'react-hot-toast'
 import PriceDisplay from '@/components/PriceDisplay/PriceDisplay';
+import ProductReviews from './ProductReviews';
+import CategoryTrail from './CategoryTrail';
+import useDocumentMeta from '@/hooks/useDocumentMeta';
+import { productPath } from '@/lib/paths';
+
+const META_DESCRIPTION_LENGTH = 160;
 
 export default function ProductDetail() {
   const [productData, setProductData] = useState(null);
@@ -37,18 +43,28 @@ export default function ProductDetail() {
     return userDetails?.user?._id || userDetails?.user?.id;
   };
   const userId = getUserId(userDetails);
-  const { id } = useParams();
+  // Opened by slug (/product/:slug) or, from older links, by id (/product_details/:id)
+  const { id: routeId, slug } = useParams();
+  const id = productData?._id || routeId;
 
   useEffect(() => {
     fetchData();
   }, []);
 
+  // Each visit counts towards the product's popularity
+  useEffect(() => {
+    if (!id) return;
+    axiosInstance.post(`/products/${id}/views`)
+      .catch((error) => console.error('Error recording product view:', error));
+  }, [id]);
+
   
 
   const fetchData = async () => {
     try {
       // Fetch product data
-      const productResponse = await axiosInstance.get(`/showProductsById/${id}`);
+      // An old slug is redirected by the server to the product under its current one
+      const productResponse = await axiosInstance.get(slug ? `/products/slug/${slug}` : `/showProductsById/${routeId}`);
       const product = productResponse.data.product;
       
       if (!product) {
@@ -57,6 +73,17 @@ export default function ProductDetail() {
         return;
       }
 
+      // Id links and old slugs settle on the product's current address
+      if (product.slug && product.slug !== slug) {
+        navigate(productPath(product), { replace: true });
+      }
+
+      // Units held by checkouts still being paid for are not available
+      product.variants = (product.variants || []).map(variant => ({
+        ...variant,
+        availableQuantity: Math.max(variant.availableQuantity - (variant.heldQuantity || 0), 0)
+      }));
+
       setProductData(product);
 
       if (userId) {
@@ -69,7 +96,7 @@ export default function ProductDetail() {
             newWishlistMap[item.productId._id] = true;
           });
           setWishlistMap(newWishlistMap);
-          setIsInWishlist(!!newWishlistMap[id]); // Update isInWishlist based on wishlistMap
+          setIsInWishlist(!!newWishlistMap[product._id]); // Update isInWishlist based on wishlistMap
         } catch (error) {
           console.error("Error fetching wishlist:", error);
         }
@@ -182,8 +209,8 @@ export default function ProductDetail() {
       });
   };
 
-  const handleShop = (productId) => {
-    navigate(`/product_details/${productId}`);
+  const handleShop = (product) => {
+    navigate(productPath(product));
   };
 
   const handleVariantChange = (variant) => {
@@ -237,6 +264,25 @@ export default function ProductDetail() {
   };
   
 
+  // Out-of-stock variants: email the customer once it is restocked
+  const handleNotifyMe = async () => {
+    if (!userId) {
+      toast.error("Please login to get stock updates");
+      navigate('/login');
+      return;
+    }
+    try {
+      const response = await axiosInstance.post('/stock-subscriptions', {
+        productId: productData._id,
+        variantId: selectedVariant._id
+      });
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error("Error subscribing to stock updates:", error);
+      toast.error(error.response?.data?.message || "Could not subscribe to stock updates");
+    }
+  };
+
   const handleWishlist = async () => {
     if (!userId) {
       toast.error("Please login to add items to wishlist");
@@ -294,6 +340,14 @@ export default function ProductDetail() {
     setZoomStyle({ display: 'none' });
   };
 
+  useDocumentMeta({
+    title: productData?.title,
+    description: productData?.description?.replace(/\s+/g, ' ').trim().slice(0, META_DESCRIPTION_LENGTH),
+    image: productData?.productImage?.[0],
+    url: productData?.slug && `${window.location.origin}/product/${productData.slug}`,
+    type: 'product',
+  });
+
   if (loading) return (
     <div className="flex h-screen items-center justify-center bg-gray-900">
       <Loader2 className="h-12 w-12 animate-spin text-primary" />
@@ -324,6 +378,8 @@ export default function ProductDetail() {
           Back to products
         </Button>
 
+        <CategoryTrail categoryId={productData.categoryId} current={productData.title} />
+
         <div className="grid lg:grid-cols-2 gap-12">
           {/* Image Gallery */}
           <div className="space-y-4">
@@ -334,7 +390,7 @@ export default function ProductDetail() {
             >
               <img
                 src={productData.productImage[selectedImage]}
-                alt={productData.title}
+                alt={productData.images?.[selectedImage]?.alt || productData.title}
                 className="w-full h-full object-contain transition-transform duration-300 hover:scale-105"
               />
               <Badge className="absolute top-4 left-4 bg-primary text-primary-foreground">
@@ -359,8 +415,8 @@ export default function ProductDetail() {
                   }`}
                 >
                   <img
-                    src={image}
-                    alt={`Product ${index + 1}`}
+                    src={productData.images?.[index]?.thumbnailUrl || image}
+                    alt={productData.images?.[index]?.alt || `Product ${index + 1}`}
                     className="w-full h-full object-cover transition-opacity hover:opacity-80"
                   />
                 </button>
@@ -371,6 +427,9 @@ export default function ProductDetail() {
           {/* Product Info */}
           <div className="space-y-8">
             <div className="space-y-4">
+              {productData.isBestSeller && (
+                <Badge className="bg-yellow-500 text-black hover:bg-yellow-500">Best Seller</Badge>
+              )}
               <h1 className="text-4xl font-bold tracking-tight text-white">{productData.title}</h1>
               <PriceDisplay 
   originalPrice={selectedVariant ? selectedVariant.price : productData.price}
@@ -413,6 +472,7 @@ export default function ProductDetail() {
 
             <div className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
+                {selectedVariant.availableQuantity > 0 ? (
                 <Button 
                   size="lg" 
                   className="w-full bg-blue-950 text-primary-foreground hover:bg-blue-950 transition-all duration-300 hover:scale-105"
@@ -421,6 +481,16 @@ export default function ProductDetail() {
                   <ShoppingCart className="w-4 h-4 mr-2" />
                   Add to Cart
                 </Button>
+                ) : (
+                <Button 
+                  size="lg" 
+                  className="w-full bg-blue-950 text-primary-foreground hover:bg-blue-950 transition-all duration-300 hover:scale-105"
+                  onClick={handleNotifyMe}
+                >
+                  <Bell className="w-4 h-4 mr-2" />
+                  Notify Me When Available
+                </Button>
+                )}
                 <Button 
       size="lg" 
       variant="outline" 
@@ -517,7 +587,7 @@ export default function ProductDetail() {
                     <Button 
                       variant="secondary" 
                       className="w-full bg-secondary text-secondary-foreground hover:bg-secondary/90 transition-all duration-300"
-                      onClick={() => handleShop(product._id)}
+                      onClick={() => handleShop(product)}
                     >
                       View Details
                     </Button>
@@ -529,47 +599,7 @@ export default function ProductDetail() {
         )}
 
         {/* Reviews */}
-        <section className="space-y-6">
-          <h2 className="text-3xl font-bold tracking-tight text-center text-white">Customer Reviews</h2>
-          <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-            {[
-              {
-                name: "John Doe",
-                rating: 5,
-                comment: "Excellent product! The quality exceeded my expectations. Highly recommend it!"
-              },
-              {
-                name: "Jane Smith",
-                rating: 4,
-                comment: "Good value for the price. Works well, but shipping took a bit longer than expected."
-              },
-              {
-                name: "Michael Brown",
-                rating: 5,
-                comment: "Amazing product! Customer service was also very helpful and responsive."
-              }
-            ].map((review, index) => (
-              <Card key={index} className="p-6 bg-gray-800 border-gray-700 transition-all duration-300 hover:scale-105 hover:shadow-lg hover:shadow-primary/20">
-                <div className="space-y-4">
-                  <div className="flex justify-between items-start">
-                    <div>
-                      <p className="font-semibold text-white">{review.name}</p>
-                      <div className="flex text-yellow-400">
-                        {Array(5).fill(0).map((_, i) => (
-                          <Star
-                            key={i}
-                            className={`w-4 h-4 ${i < review.rating ? 'fill-current' : 'stroke-current fill-none'}`}
-                          />
-                        ))}
-                      </div>
-                    </div>
-                  </div>
-                  <p className="text-gray-300">{review.comment}</p>
-                </div>
-              </Card>
-            ))}
-          </div>
-        </section>
+        <ProductReviews productId={id} userId={userId} />
       </div>
     </div>
   );
@@ -1,10 +1,10 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import axiosInstance from "../../axios/userAxios";
 import { Badge } from "../ui/badge";
 import { Button } from "../ui/button";
 import { Card } from "../ui/card";
 import { FaShoppingCart, FaStar } from "react-icons/fa";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import toast from "react-hot-toast";
 import { useSelector } from "react-redux";
 import FilterComponent from "./Filter";
@@ -13,6 +13,29 @@ import PriceDisplay from "@/components/PriceDisplay/PriceDisplay";
 import { useLocation } from "react-router-dom";
 import { useCallback } from "react";
 import { debounce } from "lodash";
+import CategoryTrail from "./CategoryTrail";
+import { productPath } from "@/lib/paths";
+
+const PAGE_SIZE = 24;
+
+// Endpoint and params for the next page of what the grid is showing: the whole catalogue
+// (cursor paged), search results, a category with its subcategories, a brand, or filter results
+// (page numbered)
+const pageRequest = (listing, pagination) => {
+  const page = pagination ? pagination.page + 1 : 1;
+  switch (listing.mode) {
+    case "search":
+      return ["/search/products", { query: listing.query, page, limit: PAGE_SIZE }];
+    case "category":
+      return ["/filterProduct", { categories: [listing.categoryId], includeDescendants: true, page, limit: PAGE_SIZE }];
+    case "brand":
+      return ["/filterProduct", { brands: [listing.brandId], page, limit: PAGE_SIZE }];
+    case "filter":
+      return ["/filterProduct", { ...listing.params, page, limit: PAGE_SIZE }];
+    default:
+      return ["/showproductsisActive", { cursor: pagination?.nextCursor, limit: PAGE_SIZE }];
+  }
+};
 
 const ProductPage = () => {
   const [products, setProducts] = useState([]);
@@ -20,9 +43,15 @@ const ProductPage = () => {
   const [error, setError] = useState(null);
   const [isFilterOpen, setIsFilterOpen] = useState(false);
   const [wishlistMap, setWishlistMap] = useState({});
-  const [productOffers, setProductOffers] = useState({});
-  const [categoryOffers, setCategoryOffers] = useState({});
+  const [listing, setListing] = useState({ mode: "all" });
+  const [pagination, setPagination] = useState(null);
+  const [searchResult, setSearchResult] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const latestRequest = useRef(0);
+  const sentinelRef = useRef(null);
   const location = useLocation();
+  const navigate = useNavigate();
+  const { categorySlug, brandSlug } = useParams();
 
   const userDetails = useSelector((state) => state.user);
   const getUserId = (userDetails) => {
@@ -31,105 +60,15 @@ const ProductPage = () => {
   const userId = getUserId(userDetails);
   console.log(userId);
 
-  const query = new URLSearchParams(location.search).get("search");
-
-  const calculateBestDiscount = (
-    originalPrice,
-    productOffer,
-    categoryOffer
-  ) => {
-    let bestDiscountPercent = 0;
-    const currentDate = new Date();
-
-    if (
-      productOffer &&
-      productOffer.isActive &&
-      new Date(productOffer.startDate) <= currentDate &&
-      new Date(productOffer.endDate) >= currentDate
-    ) {
-      bestDiscountPercent = Math.max(
-        bestDiscountPercent,
-        productOffer.discountPercent
-      );
-    }
-
-    if (
-      categoryOffer &&
-      categoryOffer.isActive &&
-      new Date(categoryOffer.startDate) <= currentDate &&
-      new Date(categoryOffer.endDate) >= currentDate
-    ) {
-      bestDiscountPercent = Math.max(
-        bestDiscountPercent,
-        categoryOffer.discountPercent
-      );
-    }
-
-    const discountedPrice =
-      originalPrice - originalPrice * (bestDiscountPercent / 100);
-    const savings = originalPrice - discountedPrice;
-
-    return {
-      discountedPrice,
-      originalPrice,
-      savings,
-      discountPercent: bestDiscountPercent,
-    };
-  };
-
-  const fetchData = async () => {
-    try {
-      const productsResponse = await axiosInstance.get("/showproductsisActive");
-      const products = productsResponse.data.products;
+  const searchParams = new URLSearchParams(location.search);
+  const query = searchParams.get("search");
+  const categoryId = searchParams.get("category");
 
-      // Fetch offers for all products
-      const offersPromises = products.map(async (product) => {
-        const offers = { productOffer: null, categoryOffer: null };
-
-        if (product.offerId) {
-          try {
-            const productOfferResponse = await axiosInstance.get(
-              `/Offer/fetch/${product.offerId}`
-            );
-            offers.productOffer = productOfferResponse.data.offerData;
-          } catch (error) {
-            console.error("Error fetching product offer:", error);
-          }
-        }
-
-        if (product.categoryId) {
-          try {
-            const categoryOfferResponse = await axiosInstance.get(
-              `/Offer/category/${product.categoryId}`
-            );
-            offers.categoryOffer = categoryOfferResponse.data.offerData;
-          } catch (error) {
-            console.error("Error fetching category offer:", error);
-          }
-        }
-
-        return {
-          productId: product._id,
-          offers,
-        };
-      });
-
-      const offersResults = await Promise.all(offersPromises);
-
-      // Create maps of offers
-      const productOffersMap = {};
-      const categoryOffersMap = {};
-      offersResults.forEach((result) => {
-        productOffersMap[result.productId] = result.offers.productOffer;
-        categoryOffersMap[result.productId] = result.offers.categoryOffer;
-      });
-
-      setProductOffers(productOffersMap);
-      setCategoryOffers(categoryOffersMap);
-      setProducts(products);
+  useEffect(() => {
+    if (!userId) return;
 
-      // Fetch wishlist if user is logged in
-      if (userId) {
+    const fetchWishlist = async () => {
+      try {
         const wishlistResponse = await axiosInstance.get(`/wishlist/${userId}`);
         const wishlistItems = wishlistResponse.data.wishlist?.product || [];
 
@@ -138,49 +77,108 @@ const ProductPage = () => {
           newWishlistMap[item.productId._id] = true;
         });
         setWishlistMap(newWishlistMap);
+      } catch (err) {
+        console.error("Error fetching wishlist:", err);
       }
+    };
 
-      setLoading(false);
-    } catch (err) {
-      console.error("Error fetching data:", err);
-      setError("Error fetching products");
-      setLoading(false);
-    }
-  };
-
-  useEffect(() => {
-    fetchData();
+    fetchWishlist();
   }, [userId]);
 
-  const fetchProducts = async (searchQuery = "") => {
-    setLoading(true);
+  // First page of a listing replaces the grid; passing the current pagination appends the next
+  // page. Responses to anything but the latest listing requested are dropped
+  const loadProducts = useCallback(async (nextListing, current = null) => {
+    const requestId = current ? latestRequest.current : ++latestRequest.current;
+    if (current) {
+      setLoadingMore(true);
+    }
     try {
-      const response = await axiosInstance.get("/search/products", {
-        params: { query: searchQuery },
-      });
-      setProducts(response.data.data);
-      setLoading(false);
+      const [url, params] = pageRequest(nextListing, current);
+      const response = await axiosInstance.get(url, { params });
+      if (requestId !== latestRequest.current) return;
+
+      const results = nextListing.mode === "search" ? response.data.data : response.data.products;
+      setProducts((prev) => (current ? [...prev, ...results] : results));
+      setListing(nextListing);
+      setPagination(response.data.pagination);
+      setSearchResult(nextListing.mode === "search"
+        ? {
+          query: nextListing.query,
+          corrections: response.data.corrections || {},
+          total: response.data.pagination.total,
+        }
+        : null);
     } catch (error) {
       console.error("Error fetching products:", error);
       setError("Error fetching products");
+    } finally {
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, []);
+
+  // Category and brand pages name them by slug. The server redirects a slug they had before to
+  // their current one, which then replaces it in the address bar
+  const loadSluggedListing = useCallback(async (type, slug) => {
+    try {
+      const response = await axiosInstance.get(`/${type === "category" ? "categories" : "brands"}/slug/${slug}`);
+      const item = response.data[type];
+      if (item.slug !== slug) {
+        navigate(`/${type}/${item.slug}`, { replace: true });
+        return;
+      }
+      loadProducts(type === "category"
+        ? { mode: "category", categoryId: item._id, title: item.name }
+        : { mode: "brand", brandId: item._id, title: item.name });
+    } catch (error) {
+      console.error(`Error fetching ${type}:`, error);
+      setError(error.response?.status === 404 ? `This ${type} could not be found` : "Error fetching products");
       setLoading(false);
     }
-  };
+  }, [loadProducts, navigate]);
 
-  const debouncedFetchProducts = useCallback(
-    debounce((searchQuery) => {
-      fetchProducts(searchQuery);
+  const debouncedSearch = useMemo(
+    () => debounce((searchQuery) => {
+      loadProducts({ mode: "search", query: searchQuery });
     }, 500), // 500ms debounce delay
-    []
+    [loadProducts]
   );
 
   useEffect(() => {
-    debouncedFetchProducts(query); // Fetch products dynamically
-  }, [query, debouncedFetchProducts]);
+    if (query) {
+      debouncedSearch(query); // Fetch products dynamically
+    } else if (categoryId) {
+      loadProducts({ mode: "category", categoryId });
+    } else if (categorySlug) {
+      loadSluggedListing("category", categorySlug);
+    } else if (brandSlug) {
+      loadSluggedListing("brand", brandSlug);
+    } else {
+      loadProducts({ mode: "all" });
+    }
+    return () => debouncedSearch.cancel();
+  }, [query, categoryId, categorySlug, brandSlug, debouncedSearch, loadProducts, loadSluggedListing]);
 
-  // console.log(wishlistProducts)
-  const navigate = useNavigate();
+  // Infinite scroll: load the next page once the end of the grid comes near
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !pagination?.hasMore || loadingMore) return;
 
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          loadProducts(listing, pagination);
+        }
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loading, listing, pagination, loadingMore, loadProducts]);
+
+  // console.log(wishlistProducts)
   const handleCart = async (userId, productId, variantId) => {
     console.log("UserId:", userId);
     console.log("ProductId:", productId);
@@ -212,8 +210,8 @@ const ProductPage = () => {
     }
   };
 
-  const handleShop = (productId) => {
-    navigate(`/product_details/${productId}`);
+  const handleShop = (product) => {
+    navigate(productPath(product));
   };
 
   const handleWishlist = async (userId, productId, variantId) => {
@@ -303,23 +301,41 @@ const ProductPage = () => {
     <div className="bg-black min-h-screen text-white py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-7xl mx-auto">
         <h1 className="text-4xl md:text-5xl font-extrabold text-center text-green-400 mb-12 tracking-tight">
-          Our Products
+          {listing.title || "Our Products"}
         </h1>
+        {listing.mode === "category" && (
+          <div className="mb-6">
+            <CategoryTrail categoryId={listing.categoryId} />
+          </div>
+        )}
         <FilterComponent
           isOpen={isFilterOpen}
           setIsOpen={setIsFilterOpen}
-          setProducts={setProducts}
+          onApply={(params) => loadProducts({ mode: "filter", params })}
         />
 
+        {searchResult && (
+          <div className="mb-8 text-gray-300">
+            <p>
+              {searchResult.total} {searchResult.total === 1 ? "result" : "results"} for{" "}
+              <span className="text-white font-semibold">&quot;{searchResult.query}&quot;</span>
+            </p>
+            {Object.keys(searchResult.corrections).length > 0 && (
+              <p className="text-sm text-gray-400">
+                Including results for{" "}
+                {Object.values(searchResult.corrections).join(", ")}
+              </p>
+            )}
+          </div>
+        )}
+
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8">
           
           {products.map((product) => {
-            const { discountedPrice, originalPrice, savings, discountPercent } =
-              calculateBestDiscount(
-                product.price,
-                productOffers[product._id],
-                categoryOffers[product._id]
-              );
+            // Offers are already applied by the server
+            const originalPrice = product.price;
+            const discountedPrice = product.effectivePrice ?? originalPrice;
+            const discountPercent = product.discountPercent || 0;
 
             return (
               <Card
@@ -332,6 +348,11 @@ const ProductPage = () => {
                     alt={product.title}
                     className="w-full h-64 object-cover"
                   />
+                  {product.isBestSeller && (
+                    <Badge className="absolute top-4 right-4 bg-yellow-500 text-black">
+                      Best Seller
+                    </Badge>
+                  )}
                   <button
                     className="absolute top-4 left-4 bg-black/70 p-2 rounded-full hover:bg-black/90 transition-colors cursor-pointer"
                     onClick={() =>
@@ -383,7 +404,7 @@ const ProductPage = () => {
                       <FaShoppingCart className="mr-2" /> Add to Cart
                     </Button>
                     <Button
-                      onClick={() => handleShop(product._id)}
+                      onClick={() => handleShop(product)}
                       className="bg-blue-500 hover:bg-blue-600"
                     >
                       View Details
@@ -394,6 +415,13 @@ const ProductPage = () => {
             );
           })}
         </div>
+
+        <div ref={sentinelRef} />
+        {loadingMore && (
+          <div className="flex justify-center mt-10">
+            <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-green-500"></div>
+          </div>
+        )}
       </div>
     </div>
   );
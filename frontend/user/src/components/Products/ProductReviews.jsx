@@ -0,0 +1,266 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Star, BadgeCheck } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import axiosInstance from '@/axios/userAxios';
+import { toast } from 'react-hot-toast';
+
+const PAGE_SIZE = 6;
+
+const StarRow = ({ rating, size = 'w-4 h-4', onSelect }) => (
+  <div className="flex text-yellow-400">
+    {Array(5).fill(0).map((_, i) => (
+      <Star
+        key={i}
+        onClick={onSelect ? () => onSelect(i + 1) : undefined}
+        className={`${size} ${i < Math.round(rating) ? 'fill-current' : 'stroke-current fill-none'} ${onSelect ? 'cursor-pointer' : ''}`}
+      />
+    ))}
+  </div>
+);
+
+StarRow.propTypes = {
+  rating: PropTypes.number.isRequired,
+  size: PropTypes.string,
+  onSelect: PropTypes.func,
+};
+
+const emptyForm = { rating: 0, title: '', body: '' };
+
+// Approved reviews for a product, a page at a time, plus the signed-in customer's own review
+const ProductReviews = ({ productId, userId }) => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState({ averageRating: 0, reviewCount: 0, ratingCounts: {} });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [sort, setSort] = useState('newest');
+  const [myReview, setMyReview] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get(`/products/${productId}/reviews`, {
+        params: { page, limit: PAGE_SIZE, sort }
+      });
+      setReviews(response.data.reviews || []);
+      setSummary(response.data.summary);
+      setTotalPages(response.data.pagination.totalPages || 1);
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    }
+  }, [productId, page, sort]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    axiosInstance.get(`/products/${productId}/reviews/mine`)
+      .then((response) => setMyReview(response.data.review))
+      .catch((error) => console.error('Error fetching your review:', error));
+  }, [productId, userId]);
+
+  const startEditing = () => {
+    setForm(myReview
+      ? { rating: myReview.rating, title: myReview.title || '', body: myReview.body || '' }
+      : emptyForm);
+    setIsEditing(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.rating) {
+      toast.error('Please choose a star rating');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = myReview
+        ? await axiosInstance.put(`/reviews/${myReview._id}`, form)
+        : await axiosInstance.post(`/products/${productId}/reviews`, form);
+
+      setMyReview(response.data.review);
+      setIsEditing(false);
+      toast.success(response.data.message);
+      fetchReviews();
+    } catch (error) {
+      console.error('Error saving review:', error);
+      toast.error(error.response?.data?.message || 'Failed to save your review');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await axiosInstance.delete(`/reviews/${myReview._id}`);
+      setMyReview(null);
+      setForm(emptyForm);
+      toast.success('Review deleted');
+      fetchReviews();
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete your review');
+    }
+  };
+
+  return (
+    <section className="space-y-6">
+      <h2 className="text-3xl font-bold tracking-tight text-center text-white">Customer Reviews</h2>
+
+      <div className="grid gap-6 md:grid-cols-3">
+        <Card className="p-6 bg-gray-800 border-gray-700 text-white space-y-3">
+          <p className="text-4xl font-bold">{summary.reviewCount ? summary.averageRating.toFixed(1) : '-'}</p>
+          <StarRow rating={summary.averageRating} size="w-5 h-5" />
+          <p className="text-sm text-gray-400">
+            {summary.reviewCount} {summary.reviewCount === 1 ? 'review' : 'reviews'}
+          </p>
+          <div className="space-y-1">
+            {[5, 4, 3, 2, 1].map((stars) => {
+              const count = summary.ratingCounts?.[stars] || 0;
+              const percent = summary.reviewCount ? (count / summary.reviewCount) * 100 : 0;
+              return (
+                <div key={stars} className="flex items-center gap-2 text-sm text-gray-300">
+                  <span className="w-4">{stars}</span>
+                  <div className="flex-1 h-2 bg-gray-700 rounded">
+                    <div className="h-2 bg-yellow-400 rounded" style={{ width: `${percent}%` }} />
+                  </div>
+                  <span className="w-6 text-right">{count}</span>
+                </div>
+              );
+            })}
+          </div>
+        </Card>
+
+        <Card className="p-6 bg-gray-800 border-gray-700 text-white md:col-span-2">
+          {!userId && <p className="text-gray-400">Log in to write a review.</p>}
+
+          {userId && !isEditing && (
+            myReview ? (
+              <div className="space-y-3">
+                <p className="font-semibold">Your review</p>
+                <StarRow rating={myReview.rating} />
+                {myReview.title && <p className="font-medium">{myReview.title}</p>}
+                {myReview.body && <p className="text-gray-300">{myReview.body}</p>}
+                {myReview.status === 'Hidden' && (
+                  <p className="text-sm text-yellow-400">This review has been hidden by our moderators.</p>
+                )}
+                <div className="flex gap-2">
+                  <Button variant="outline" className="text-black" onClick={startEditing}>Edit</Button>
+                  <Button variant="destructive" onClick={handleDelete}>Delete</Button>
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                <p className="text-gray-300">Share your thoughts with other customers.</p>
+                <Button className="bg-blue-950" onClick={startEditing}>Write a review</Button>
+              </div>
+            )
+          )}
+
+          {userId && isEditing && (
+            <form onSubmit={handleSubmit} className="space-y-3">
+              <StarRow rating={form.rating} size="w-6 h-6" onSelect={(rating) => setForm({ ...form, rating })} />
+              <Input
+                value={form.title}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+                placeholder="Headline"
+                maxLength={120}
+                className="bg-gray-700 border-gray-600 text-white"
+              />
+              <Textarea
+                value={form.body}
+                onChange={(e) => setForm({ ...form, body: e.target.value })}
+                placeholder="What did you like or dislike?"
+                maxLength={2000}
+                rows={4}
+                className="bg-gray-700 border-gray-600 text-white"
+              />
+              <div className="flex gap-2">
+                <Button type="submit" className="bg-blue-950" disabled={isSaving}>
+                  {myReview ? 'Update review' : 'Submit review'}
+                </Button>
+                <Button type="button" variant="outline" className="text-black" onClick={() => setIsEditing(false)}>
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          )}
+        </Card>
+      </div>
+
+      {summary.reviewCount > 0 && (
+        <div className="flex justify-end">
+          <Select value={sort} onValueChange={(value) => { setSort(value); setPage(1); }}>
+            <SelectTrigger className="w-[180px] bg-gray-800 border-gray-700 text-white">
+              <SelectValue placeholder="Sort reviews" />
+            </SelectTrigger>
+            <SelectContent className="bg-gray-800 border-gray-700 text-white">
+              <SelectItem value="newest">Newest</SelectItem>
+              <SelectItem value="highest">Highest rated</SelectItem>
+              <SelectItem value="lowest">Lowest rated</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+        {reviews.map((review) => (
+          <Card key={review._id} className="p-6 bg-gray-800 border-gray-700 transition-all duration-300 hover:scale-105 hover:shadow-lg hover:shadow-primary/20">
+            <div className="space-y-4">
+              <div className="flex justify-between items-start">
+                <div>
+                  <p className="font-semibold text-white">
+                    {review.userId ? `${review.userId.firstName} ${review.userId.lastName || ''}` : 'Customer'}
+                  </p>
+                  <StarRow rating={review.rating} />
+                </div>
+                <span className="text-xs text-gray-400">{new Date(review.createdAt).toLocaleDateString()}</span>
+              </div>
+              {review.verifiedPurchase && (
+                <p className="flex items-center text-xs text-green-400">
+                  <BadgeCheck className="w-4 h-4 mr-1" />
+                  Verified purchase
+                </p>
+              )}
+              {review.title && <p className="font-medium text-white">{review.title}</p>}
+              {review.body && <p className="text-gray-300">{review.body}</p>}
+            </div>
+          </Card>
+        ))}
+      </div>
+
+      {summary.reviewCount === 0 && (
+        <p className="text-center text-gray-400">No reviews yet. Be the first to review this product.</p>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4">
+          <Button variant="outline" className="text-black" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            Previous
+          </Button>
+          <span className="text-gray-300">Page {page} of {totalPages}</span>
+          <Button variant="outline" className="text-black" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+ProductReviews.propTypes = {
+  productId: PropTypes.string.isRequired,
+  userId: PropTypes.string,
+};
+
+export default ProductReviews;
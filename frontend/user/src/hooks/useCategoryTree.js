@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import axiosInstance from "@/axios/userAxios";
+
+let treeRequest = null;
+
+// The active category tree is fetched once and shared by every component that needs it
+const loadCategoryTree = () => {
+  if (!treeRequest) {
+    treeRequest = axiosInstance.get("/categories/tree")
+      .then((response) => response.data.categories)
+      .catch((error) => {
+        treeRequest = null;
+        throw error;
+      });
+  }
+  return treeRequest;
+};
+
+// The categories from the top level down to categoryId, or [] when it isn't in the tree
+export const findTrail = (categories, categoryId) => {
+  for (const category of categories) {
+    if (category._id === categoryId) return [category];
+    const trail = findTrail(category.children, categoryId);
+    if (trail.length) return [category, ...trail];
+  }
+  return [];
+};
+
+export default function useCategoryTree() {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    loadCategoryTree()
+      .then((tree) => {
+        if (active) setCategories(tree);
+      })
+      .catch((error) => console.error("Error fetching categories:", error));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return categories;
+}
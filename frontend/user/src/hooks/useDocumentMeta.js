@@ -0,0 +1,43 @@
+import { useEffect } from "react";
+
+const SITE_NAME = "SPECTRAX";
+
+// The page's title, description, canonical link and Open Graph tags, taken out again (and the
+// title put back) when the page changes. Nothing is set until title is known.
+// These are set in the browser only: crawlers that run JavaScript see them, but link previews
+// and crawlers that read the raw HTML get index.html's defaults
+export default function useDocumentMeta({ title, description, image, url, type = "website" }) {
+  useEffect(() => {
+    if (!title) return;
+
+    const previousTitle = document.title;
+    document.title = `${title} | ${SITE_NAME}`;
+
+    const tags = [
+      ["meta", { name: "description" }, description],
+      ["link", { rel: "canonical" }, url],
+      ["meta", { property: "og:site_name" }, SITE_NAME],
+      ["meta", { property: "og:type" }, type],
+      ["meta", { property: "og:title" }, title],
+      ["meta", { property: "og:description" }, description],
+      ["meta", { property: "og:image" }, image],
+      ["meta", { property: "og:url" }, url],
+      ["meta", { name: "twitter:card" }, image ? "summary_large_image" : "summary"],
+    ];
+
+    const added = tags
+      .filter(([, , value]) => value)
+      .map(([tagName, attributes, value]) => {
+        const element = document.createElement(tagName);
+        Object.entries(attributes).forEach(([name, attribute]) => element.setAttribute(name, attribute));
+        element.setAttribute(tagName === "link" ? "href" : "content", value);
+        document.head.appendChild(element);
+        return element;
+      });
+
+    return () => {
+      document.title = previousTitle;
+      added.forEach((element) => element.remove());
+    };
+  }, [title, description, image, url, type]);
+}
@@ -0,0 +1,6 @@
+// Storefront links by slug. Anything saved before slugs existed falls back to its id-based link
+export const productPath = (product) =>
+  product.slug ? `/product/${product.slug}` : `/product_details/${product._id}`;
+
+export const categoryPath = (category) =>
+  category.slug ? `/category/${category.slug}` : `/shop?category=${category._id}`;
@@ -1,12 +1,23 @@
 import path from "path"
 import react from "@vitejs/plugin-react"
-import { defineConfig } from "vite"
+import { defineConfig, loadEnv } from "vite"
 
-export default defineConfig({
-  plugins: [react()],
-  resolve: {
-    alias: {
-      "@": path.resolve(__dirname, "./src"),
+export default defineConfig(({ mode }) => {
+  // robots.txt and sitemap.xml are generated by the backend but have to be served from the storefront
+  const apiOrigin = new URL(loadEnv(mode, path.resolve(), "").VITE_BASE_URL || "http://localhost:4000").origin
+
+  return {
+    plugins: [react()],
+    resolve: {
+      alias: {
+        "@": path.resolve(__dirname, "./src"),
+      },
+    },
+    server: {
+      proxy: {
+        "/robots.txt": apiOrigin,
+        "/sitemap.xml": apiOrigin,
+      },
     },
-  },
+  }
 })